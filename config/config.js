@@ -1,6 +1,17 @@
 import dotenv from 'dotenv';
 dotenv.config();
 
+/**
+ * Numeric env var for settings where 0 is meaningful (`parseFloat(x) || fallback` would replace it)
+ */
+function envNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+// Paper runs keep their journal, risk state and account apart from the live ones
+const paperTrading = process.env.PAPER_TRADING === 'true';
+
 export const config = {
   // Binance API Configuration
   binance: {
@@ -10,20 +21,86 @@ export const config = {
     testnetBaseUrl: 'https://testnet.binance.vision/api/v3',
     productionBaseUrl: 'https://api.binance.com/api/v3',
     websocketTestnet: 'wss://testnet.binance.vision/ws',
-    websocketProduction: 'wss://stream.binance.com:9443/ws'
+    websocketProduction: 'wss://stream.binance.com:9443/ws',
+    apiUrl: process.env.BINANCE_API_URL || '', // Overrides testnet/production REST (e.g. http://localhost:8089/api/v3 for the mock exchange)
+    websocketUrl: process.env.BINANCE_WS_URL || '' // Overrides testnet/production WebSocket (e.g. ws://localhost:8089/ws)
   },
 
   // Trading Configuration
   trading: {
     minProfitThreshold: parseFloat(process.env.MIN_PROFIT_THRESHOLD) || 0.3, // 0.3%
     tradeAmountUSDT: parseFloat(process.env.TRADE_AMOUNT_USDT) || 1000,
+    minTradeAmountUSDT: parseFloat(process.env.MIN_TRADE_AMOUNT_USDT) || 10, // Lower bound of the trade-size search
+    maxTradeAmountUSDT: parseFloat(process.env.MAX_TRADE_AMOUNT_USDT) || 5000, // Upper bound when the balance is unknown
+    optimizeTradeSize: process.env.OPTIMIZE_TRADE_SIZE !== 'false', // Search for the most profitable start amount
     autoTradeEnabled: process.env.AUTO_TRADE_ENABLED === 'true',
-    takerFee: 0.001, // 0.1% Binance taker fee
+    takerFee: envNumber('DEFAULT_TAKER_FEE', 0.001), // 0.1% Binance taker fee (default when no per-symbol rate)
     slippageTolerance: 0.002, // 0.2% slippage tolerance
     useAdvancedEngine: process.env.USE_ADVANCED_ENGINE !== 'false', // Use advanced precision engine by default
+    orderBookDepth: parseInt(process.env.ORDER_BOOK_DEPTH) || 20, // Levels walked per leg by the advanced engine
     riskAppetite: parseFloat(process.env.RISK_APPETITE) || 0.3 // Risk appetite for position sizing (0-1)
   },
 
+  // Paper trading: orders fill against real books with virtual balances
+  paper: {
+    enabled: paperTrading, // AutoTrader trades on the paper exchange instead of Binance
+    balances: JSON.parse(process.env.PAPER_BALANCES || '{"USDT":10000}'), // Starting balances of a new paper account
+    stateFile: process.env.PAPER_STATE_FILE || './data/paper-account.json',
+    tradesFile: process.env.PAPER_TRADES_FILE || './data/paper-trades.jsonl',
+    latencyMs: parseInt(process.env.PAPER_LATENCY_MS) || 50, // Delay between placing an order and reading the book it fills on
+    bookRefreshMs: parseInt(process.env.PAPER_BOOK_REFRESH_MS) || 1000 // Consumed depth stays consumed until the book is refetched
+  },
+
+  // Post-Trade Reconciliation (balances before/after a cycle vs. the cycle's own fills)
+  reconciliation: {
+    enabled: process.env.RECONCILE_TRADES !== 'false', // P&L from the cycle's fills instead of a start-currency balance diff
+    tolerancePct: parseFloat(process.env.RECONCILE_TOLERANCE_PCT) || 0.01 // % of the start amount: smaller differences and leftovers are dust
+  },
+
+  // Risk Control (kill switch and circuit breakers shared by every executor)
+  risk: {
+    stateFile: process.env.RISK_STATE_FILE || (paperTrading ? './data/paper-risk-state.json' : './data/risk-state.json'), // Trips survive restarts until an operator reset
+    maxDailyLossUsd: parseFloat(process.env.RISK_MAX_DAILY_LOSS_USD) || 20, // Realised loss per UTC day that trips the kill switch
+    maxConsecutiveLosses: parseInt(process.env.RISK_MAX_CONSECUTIVE_LOSSES) || 3, // Losing cycles in a row that trip it
+    errorWindow: parseInt(process.env.RISK_ERROR_WINDOW) || 10, // Cycles the error rate is measured over
+    maxErrorRate: parseFloat(process.env.RISK_MAX_ERROR_RATE) || 0.5, // Share of failed cycles in the window that trips it
+    maxTradesPerHour: parseInt(process.env.RISK_MAX_TRADES_PER_HOUR) || 30, // Cycles that may start per rolling hour
+    maxNotional: JSON.parse(process.env.RISK_MAX_NOTIONAL || '{"USDT":5000}') // Most of an asset one order may commit
+  },
+
+  // Fee schedule (per-symbol rates are loaded by the fee service)
+  fees: {
+    defaultMaker: envNumber('DEFAULT_MAKER_FEE', 0.001), // 0.1% VIP 0 maker fee
+    payWithBnb: process.env.FEES_PAY_WITH_BNB === undefined ? null : process.env.FEES_PAY_WITH_BNB === 'true', // null = read from account
+    bnbDiscount: envNumber('BNB_FEE_DISCOUNT', 0.25), // 25% off when paying fees in BNB
+    offline: process.env.FEES_OFFLINE === 'true', // Read fees from feeFile instead of the exchange
+    feeFile: process.env.FEE_FILE || '' // Fee schedule JSON (format: config/fees.example.json); unset = default rates above
+  },
+
+  // Order execution strategy
+  execution: {
+    mode: process.env.EXECUTION_MODE || 'taker', // taker | maker (one leg rests as a limit order)
+    makerLeg: parseInt(process.env.MAKER_LEG) || 0, // Index of the leg posted as a limit order
+    makerPriceMode: process.env.MAKER_PRICE_MODE || 'touch', // touch (join best price) | inside (improve by one tick)
+    makerTimeoutMs: parseInt(process.env.MAKER_TIMEOUT_MS) || 5000, // Cancel the resting order after this long
+    minFillProbability: parseFloat(process.env.MIN_FILL_PROBABILITY) || 0.5,
+    makerScanMargin: parseFloat(process.env.MAKER_SCAN_MARGIN) || 0.15, // Re-check taker results within this % of the threshold
+    journalFile: process.env.CYCLE_JOURNAL_FILE || (paperTrading ? './data/paper-cycle-journal.jsonl' : './data/cycle-journal.jsonl'), // Every cycle state transition, fsync'd
+    recoveryMode: process.env.CYCLE_RECOVERY_MODE || 'unwind', // unwind (back to start currency) | finish (run remaining legs)
+    recoveryIntervalMs: envNumber('CYCLE_RECOVERY_INTERVAL_MS', 60000), // Retry cycles left to recovery this often while running (0 = startup only)
+    minFillRatio: parseFloat(process.env.MIN_FILL_RATIO) || 0.95, // Market legs filling less than this are unwound
+    unwindMaxLossPct: parseFloat(process.env.UNWIND_MAX_LOSS_PCT) || 1.5, // Max loss (%) accepted to complete a broken cycle
+    buyHeadroomPct: parseFloat(process.env.BUY_HEADROOM_PCT) || 0.2, // Under-size base-quantity buys on venues without quoteOrderQty
+    submitRetries: parseInt(process.env.ORDER_SUBMIT_RETRIES) || 1, // Resubmissions after a timeout, once the client order id is confirmed absent
+    submitLookupDelayMs: parseInt(process.env.ORDER_LOOKUP_DELAY_MS) || 1000, // Wait before looking up an uncertain order (it may still be in flight)
+    // Re-price every cycle from fresh books right before leg 1
+    revalidation: {
+      enabled: process.env.PRETRADE_REVALIDATION !== 'false',
+      minEdgeRatio: parseFloat(process.env.REVALIDATE_MIN_EDGE_RATIO) || 0.5, // Abort below this fraction of the original edge
+      maxBookAgeMs: parseInt(process.env.REVALIDATE_MAX_BOOK_AGE_MS) || 1500 // Abort if the fresh books are older than this
+    }
+  },
+
   // Trading Pairs Configuration
   pairs: {
     bases: ['BTC', 'ETH', 'BNB'],
@@ -41,6 +118,54 @@ export const config = {
     ]
   },
 
+  // Automatic triangle discovery from exchange market metadata
+  discovery: {
+    enabled: process.env.TRIANGLE_DISCOVERY === 'true', // Replace static triangles with discovered ones
+    startCurrencies: (process.env.DISCOVERY_START_CURRENCIES || 'USDT').split(',').map(s => s.trim()).filter(Boolean),
+    quoteAssets: (process.env.DISCOVERY_QUOTE_ASSETS || 'USDT,BTC,ETH,BNB').split(',').map(s => s.trim()).filter(Boolean),
+    minVolumeUSDT: parseFloat(process.env.DISCOVERY_MIN_VOLUME_USDT) || 1000000, // Minimum 24h volume per leg
+    maxTriangles: parseInt(process.env.DISCOVERY_MAX_TRIANGLES) || 100,
+    refreshMinutes: parseInt(process.env.DISCOVERY_REFRESH_MINUTES) || 60
+  },
+
+  // Market-graph negative-cycle detection over the full bookTicker snapshot
+  graphScan: {
+    enabled: process.env.GRAPH_SCAN_ENABLED === 'true', // Append detected cycles to scan results
+    maxCycleLength: parseInt(process.env.GRAPH_SCAN_MAX_CYCLE_LENGTH) || 4,
+    startCurrencies: (process.env.GRAPH_SCAN_START_CURRENCIES || 'USDT').split(',').map(s => s.trim()).filter(Boolean)
+  },
+
+  // Cross-exchange (spatial) arbitrage across ccxt venues
+  crossExchange: {
+    enabled: process.env.CROSS_EXCHANGE_ENABLED === 'true', // Append cross-exchange opportunities to scan results
+    exchanges: (process.env.CROSS_EXCHANGES || 'binance,kraken,okx').split(',').map(s => s.trim()).filter(Boolean),
+    symbols: (process.env.CROSS_EXCHANGE_SYMBOLS || 'BTC/USDT,ETH/USDT').split(',').map(s => s.trim()).filter(Boolean),
+    includeReturnTransfer: process.env.CROSS_EXCHANGE_RETURN_TRANSFER !== 'false', // Also pay to move the quote back
+    // Fallback withdrawal fees per asset when a venue does not publish them, e.g. '{"BTC":0.0002,"USDT":1}'
+    withdrawalFees: JSON.parse(process.env.CROSS_EXCHANGE_WITHDRAWAL_FEES || '{}')
+  },
+
+  // Inventory rebalancing between cross-exchange venues (plans are executed manually)
+  rebalancer: {
+    skewThreshold: parseFloat(process.env.REBALANCE_SKEW_THRESHOLD) || 0.25, // Max deviation from an even per-venue share
+    planFile: process.env.REBALANCE_PLAN_FILE || './data/rebalance-plans.json', // Proposed plans, read by --execute
+    // Withdrawal network per asset, e.g. '{"USDT":"TRC20","BTC":"BTC"}'
+    networks: JSON.parse(process.env.REBALANCE_NETWORKS || '{}')
+  },
+
+  // Market data source for the engines, scanner and agent
+  marketData: {
+    provider: process.env.MARKET_DATA_PROVIDER || 'rest', // rest | file | memory
+    recordingFile: process.env.MARKET_DATA_FILE || './market-data.json' // Used by the file provider
+  },
+
+  // Local mock Binance exchange for offline runs (see src/mockExchange)
+  mockExchange: {
+    port: parseInt(process.env.MOCK_EXCHANGE_PORT) || 8089,
+    scenarioFile: process.env.MOCK_SCENARIO_FILE || './src/mockExchange/scenarios/default.json',
+    apiSecret: process.env.MOCK_EXCHANGE_SECRET || '' // Verify request signatures when set
+  },
+
   // MongoDB Configuration
   mongodb: {
     uri: process.env.MONGODB_URI || 'mongodb://localhost:27017',
@@ -48,7 +173,8 @@ export const config = {
     collections: {
       opportunities: 'opportunities',
       trades: 'trades',
-      performance: 'performance'
+      performance: 'performance',
+      rebalancePlans: 'rebalance_plans'
     }
   },
 
@@ -73,8 +199,16 @@ export const config = {
   websocket: {
     enabled: process.env.WEBSOCKET_ENABLED !== 'false',
     updateIntervalMs: parseInt(process.env.UPDATE_INTERVAL_MS) || 1000,
-    reconnectDelay: 5000,
-    maxReconnectAttempts: 10
+    evaluationDebounceMs: parseInt(process.env.EVALUATION_DEBOUNCE_MS) || 25, // Coalesce depth updates before re-evaluating triangles
+    reconnectDelay: parseInt(process.env.WS_RECONNECT_DELAY_MS) || 1000, // First reconnect backoff, doubled per attempt
+    reconnectMaxDelayMs: parseInt(process.env.WS_RECONNECT_MAX_DELAY_MS) || 60000, // Backoff cap (reconnects never give up)
+    staleBookMs: parseInt(process.env.STALE_BOOK_MS) || 30000, // Books without a message for this long are skipped
+    healthCheckIntervalMs: parseInt(process.env.WS_HEALTH_CHECK_INTERVAL_MS) || 5000,
+    bookTickerMode: process.env.BOOK_TICKER_STREAM || 'off', // off | symbols (@bookTicker per pair) | all (!bookTicker)
+    depthRetentionMs: parseInt(process.env.DEPTH_SUBSCRIPTION_RETENTION_MS) || 60000, // Keep depth for prefiltered pairs this long
+    maxStreamsPerConnection: parseInt(process.env.WS_MAX_STREAMS_PER_CONNECTION) || 200, // Binance allows up to 1024 per connection
+    snapshotDepth: parseInt(process.env.ORDER_BOOK_SNAPSHOT_DEPTH) || 1000, // REST snapshot levels used to sync local books
+    resyncDelayMs: parseInt(process.env.ORDER_BOOK_RESYNC_DELAY_MS) || 2000 // Wait after a failed sync before retrying
   },
 
   // News feed configuration
@@ -96,6 +230,7 @@ export const config = {
 
 // Helper to get the appropriate base URL
 export function getBaseUrl() {
+  if (config.binance.apiUrl) return config.binance.apiUrl;
   return config.binance.useTestnet 
     ? config.binance.testnetBaseUrl 
     : config.binance.productionBaseUrl;
@@ -103,9 +238,33 @@ export function getBaseUrl() {
 
 // Helper to get the appropriate WebSocket URL
 export function getWebSocketUrl() {
+  if (config.binance.websocketUrl) return config.binance.websocketUrl;
   return config.binance.useTestnet
     ? config.binance.websocketTestnet
     : config.binance.websocketProduction;
 }
 
+// Helper to get ccxt constructor overrides when the REST URL is overridden (null otherwise)
+// Only spot markets are loaded, since a custom endpoint serves no futures, margin or currency APIs
+export function getCcxtOverrides() {
+  if (!config.binance.apiUrl) return null;
+
+  const origin = config.binance.apiUrl.replace(/\/api\/v3\/?$/, '');
+  return {
+    urls: {
+      api: {
+        public: `${origin}/api/v3`,
+        private: `${origin}/api/v3`,
+        v1: `${origin}/api/v1`,
+        sapi: `${origin}/sapi/v1`
+      }
+    },
+    options: {
+      fetchMarkets: { types: ['spot'] },
+      fetchMargins: false,
+      fetchCurrencies: false
+    }
+  };
+}
+
 export default config;
@@ -3,7 +3,8 @@
 // Main Bot Orchestrator
 // Coordinates all modules for comprehensive arbitrage detection and execution
 
-import { config } from './config/config.js';
+import axios from 'axios';
+import { config, getBaseUrl } from './config/config.js';
 import { WebSocketFeedManager, createTriangularFeed } from './src/websocket/websocketFeeds.js';
 import { scanAllTriangles, getProfitableOpportunities, continuousScan } from './src/scanner/multiTriangleScanner.js';
 import { AutoTrader, autoTrader } from './src/trading/autoTrader.js';
@@ -12,6 +13,10 @@ import { TelegramAlerts, telegramAlerts } from './src/alerts/telegramBot.js';
 import { GeminiAnalyzer, geminiAnalyzer } from './src/ai/geminiAnalyzer.js';
 import NewsFeed from './src/alerts/newsFeed.js';
 import { ForexGoldFeed } from './src/alerts/forexGoldFeed.js';
+import { resolveTriangles, getResolvedTriangles } from './src/scanner/triangleDiscovery.js';
+import { LiveTriangleEvaluator } from './src/scanner/liveTriangleEvaluator.js';
+import { feeService } from './src/core/feeService.js';
+import { riskControl } from './src/trading/riskControl.js';
 
 // Agentic AI imports
 import { autonomousAgent } from './src/agents/autonomousArbitrageAgent.js';
@@ -40,7 +45,7 @@ class InvestorMetricsTracker {
       activeOpportunities: 0,
       uptime: '0h 0m',
       apiHealth: '100%',
-      websocketHealth: '100%',
+      websocketHealth: 100, // Feed health score (0-100) while a WebSocket feed runs
       memoryUsage: '0MB',
       expectedReturn: 0,
       riskLevel: 'Low',
@@ -70,7 +75,7 @@ class InvestorMetricsTracker {
       this.metrics.winRate * 0.3,
       (this.metrics.responseTime < 1000 ? 100 : Math.max(0, 100 - (this.metrics.responseTime - 1000) / 10)) * 0.2,
       (this.metrics.apiHealth === '100%' ? 100 : 80) * 0.2,
-      (this.metrics.websocketHealth === '100%' ? 100 : 80) * 0.2,
+      Math.min(100, this.metrics.websocketHealth) * 0.2,
       Math.min(100, this.metrics.confidenceScore) * 0.1
     ];
     this.metrics.efficiency = efficiencyFactors.reduce((a, b) => a + b, 0) / efficiencyFactors.length;
@@ -101,7 +106,7 @@ class InvestorMetricsTracker {
 
 // Create global metrics tracker
 export const investorMetrics = new InvestorMetricsTracker();
-import { simulateTriangularCycle } from './src/core/triangularArbitrage.js';
+import { WebSocketMarketDataProvider, getMarketDataProvider, setMarketDataProvider } from './src/marketData/marketDataProvider.js';
 import { OpportunitySelector, opportunitySelector } from './src/strategies/opportunitySelector.js';
 import { CronScheduler, cronScheduler, createDefaultSchedule, CronSchedules } from './src/scheduler/cronScheduler.js';
 
@@ -113,6 +118,9 @@ import { CronScheduler, cronScheduler, createDefaultSchedule, CronSchedules } fr
 class ArbitrageBot {
   constructor() {
     this.websocketFeed = null;
+    this.liveEvaluator = null;
+    this.liveTradeInProgress = false;
+    this.triangleRefreshInterval = null;
     this.autoTrader = null;
     this.logger = null;
     this.telegram = null;
@@ -156,14 +164,20 @@ class ArbitrageBot {
     
     console.log('\x1b[33m[SYSTEM]\x1b[0m \x1b[36m>>>\x1b[0m Initializing core modules...');
     console.log('\x1b[33m[CONFIG]\x1b[0m \x1b[36m>>>\x1b[0m Mode: ' + (config.binance.useTestnet ? '\x1b[32mTESTNET\x1b[0m' : '\x1b[31m🚨 PRODUCTION 🚨\x1b[0m'));
-    console.log('\x1b[33m[CONFIG]\x1b[0m \x1b[36m>>>\x1b[0m Auto-Trading: ' + (config.trading.autoTradeEnabled ? '\x1b[32mENABLED ✅\x1b[0m' : '\x1b[33mDISABLED ⚠️\x1b[0m'));
+    console.log('\x1b[33m[CONFIG]\x1b[0m \x1b[36m>>>\x1b[0m Auto-Trading: ' + (config.trading.autoTradeEnabled ? '\x1b[32mENABLED ✅\x1b[0m' : '\x1b[33mDISABLED ⚠️\x1b[0m') + (config.paper.enabled ? ' \x1b[36m(PAPER 📄)\x1b[0m' : ''));
     console.log('\x1b[33m[CONFIG]\x1b[0m \x1b[36m>>>\x1b[0m Profit Threshold: \x1b[32m' + config.trading.minProfitThreshold + '%\x1b[0m');
-    console.log('\x1b[33m[CONFIG]\x1b[0m \x1b[36m>>>\x1b[0m Trade Amount: \x1b[32m$' + config.trading.tradeAmountUSDT + ' USDT\x1b[0m\n');
+    console.log('\x1b[33m[CONFIG]\x1b[0m \x1b[36m>>>\x1b[0m Trade Amount: \x1b[32m$' + config.trading.tradeAmountUSDT + ' USDT\x1b[0m');
+    console.log('\x1b[33m[CONFIG]\x1b[0m \x1b[36m>>>\x1b[0m Kill Switch: ' + (riskControl.isTripped ? '\x1b[31m🛑 TRIPPED (' + riskControl.state.trip.reason + ') - npm run risk -- --reset\x1b[0m\n' : '\x1b[32mARMED\x1b[0m (max daily loss $' + config.risk.maxDailyLossUsd + ')\n'));
 
     // Initialize Opportunity Selector
     console.log('\x1b[33m[MODULE]\x1b[0m \x1b[36m>>>\x1b[0m Loading Advanced Opportunity Selector...');
     this.opportunitySelector = opportunitySelector;
 
+    // Load per-symbol fee schedule (exchange, or local fee file in offline mode)
+    console.log('\x1b[33m[FEES]\x1b[0m \x1b[36m>>>\x1b[0m Loading fee schedule...');
+    const fees = await feeService.load();
+    console.log(`\x1b[33m[FEES]\x1b[0m \x1b[36m>>>\x1b[0m Source: ${fees.source} | Taker: ${(fees.defaultTaker * 100).toFixed(4)}% | BNB discount: ${fees.payWithBnb ? 'ON' : 'OFF'}`);
+
     // Initialize Gemini AI Analyzer
     if (config.gemini.enabled) {
       console.log('\x1b[33m[AI-CORE]\x1b[0m \x1b[36m>>>\x1b[0m Activating Gemini AI Analyzer...');
@@ -453,6 +467,13 @@ class ArbitrageBot {
     this.storePrediction(prediction);
   }
 
+  /**
+   * Add an executed trade's reconciled P&L (USD when it could be valued) to the investor metrics
+   */
+  recordTradeMetrics(tradeResult) {
+    investorMetrics.recordTrade(tradeResult.actualProfitUsd ?? tradeResult.actualProfit, tradeResult.success);
+  }
+
   /**
    * Handle emergency stop decisions
    */
@@ -465,13 +486,9 @@ class ArbitrageBot {
       clearInterval(this.scanInterval);
     }
 
-    // Notify via Telegram
-    if (this.telegram) {
-      this.telegram.sendCustomAlert('🚨 EMERGENCY STOP', {
-        reason: decision.reason,
-        timestamp: new Date()
-      });
-    }
+    // Trip the shared kill switch: every executor refuses new orders until an operator reset
+    // (it also sends the Telegram alert)
+    riskControl.trip(decision.reason, 'emergency_stop');
   }
 
   /**
@@ -1099,6 +1116,7 @@ class ArbitrageBot {
           
           if (tradeResult) {
             this.stats.tradesExecuted++;
+            this.recordTradeMetrics(tradeResult);
             
             // Log trade
             if (this.logger && this.logger.isConnected) {
@@ -1151,81 +1169,107 @@ class ArbitrageBot {
     this.isRunning = true;
     this.stats.startTime = new Date();
 
-    // Create WebSocket feed
-    this.websocketFeed = createTriangularFeed();
+    // Create WebSocket feed for the discovered (or configured) triangles
+    const triangles = await resolveTriangles();
+    this.websocketFeed = createTriangularFeed(triangles);
     
+    // Surface feed health changes (stale books, dropped connections) as they happen
+    this.websocketFeed.onHealthChange((summary, previousStatus) => {
+      investorMetrics.updateMetrics({ websocketHealth: summary.score });
+      if (previousStatus === null) return;
+
+      console.log(`📡 WebSocket feed ${previousStatus} → ${summary.status} (${summary.score}%)`);
+      if (this.telegram) {
+        this.telegram.sendCustomAlert('WebSocket Feed Health', {
+          Status: `${previousStatus} → ${summary.status}`,
+          Score: `${summary.score}%`,
+          'Usable books': `${summary.usable}/${summary.symbols}`,
+          Stale: summary.stale.join(', ') || 'none',
+          'Out of sync': summary.outOfSync.join(', ') || 'none',
+          Connections: `${summary.openConnections}/${summary.connections} open`
+        }).catch(() => {});
+      }
+    });
+
     // Connect to WebSocket
     this.websocketFeed.connect();
 
-    // Monitor for opportunities every few seconds
-    const checkInterval = config.websocket.updateIntervalMs || 5000;
-    
-    this.scanInterval = setInterval(async () => {
-      if (!this.isRunning) return;
+    // Serve order books from the socket cache; symbols it does not track fall back to the previous provider
+    const marketData = new WebSocketMarketDataProvider(this.websocketFeed, { fallback: getMarketDataProvider() });
+    setMarketDataProvider(marketData);
 
-      try {
-        // Check all triangles using live WebSocket data
-        const opportunities = [];
-        
-        for (const triangle of config.pairs.triangles) {
-          // Get live order books from WebSocket
-          const books = triangle.pairs.map(pair => 
-            this.websocketFeed.getOrderBook(pair)
-          ).filter(book => book !== null);
-
-          // Only proceed if we have all order books
-          if (books.length === triangle.pairs.length) {
-            // Simulate with live data (we'd need to adapt simulateTriangularCycle)
-            // For now, we'll use the REST API version
-            const result = await simulateTriangularCycle(triangle);
-            if (result && result.isProfitable) {
-              opportunities.push(result);
-            }
+    // Re-evaluate only the triangles touched by each depth update, straight from the local books
+    this.liveEvaluator = new LiveTriangleEvaluator(this.websocketFeed, triangles);
+    this.liveEvaluator.on('opportunity', opportunity => {
+      this.handleLiveOpportunity(opportunity).catch(error => {
+        console.error('❌ Error in WebSocket mode:', error.message);
+      });
+    });
+    this.liveEvaluator.start();
+
+    // Follow discovery refreshes: subscribe new pairs and drop ones no triangle uses any more
+    if (config.discovery.enabled) {
+      this.triangleRefreshInterval = setInterval(async () => {
+        try {
+          const refreshed = await resolveTriangles();
+          const pairs = [...new Set(refreshed.flatMap(triangle => triangle.pairs))];
+          const { added, removed } = this.websocketFeed.setSymbols(pairs);
+          this.liveEvaluator.setTriangles(refreshed);
+
+          if (added.length > 0 || removed.length > 0) {
+            console.log(`🔍 Triangles refreshed: ${refreshed.length} cycles (+${added.length} / -${removed.length} pairs)`);
           }
+        } catch (error) {
+          // Keep watching the current triangles until the next refresh
+          console.error(`❌ Triangle refresh failed, keeping ${this.liveEvaluator.triangles.size} current triangles:`, error.message);
         }
+      }, config.discovery.refreshMinutes * 60 * 1000);
+    }
 
-        if (opportunities.length > 0) {
-          this.stats.opportunitiesFound += opportunities.length;
-          
-          console.log(`\n💰 Found ${opportunities.length} profitable opportunities!`);
-          opportunities.forEach(opp => {
-            console.log(`   ${opp.triangle}: ${opp.profitPct.toFixed(4)}%`);
-          });
+    console.log(`✅ WebSocket mode running (event-driven, ${this.liveEvaluator.debounceMs}ms debounce)`);
+  }
+
+  /**
+   * Log, alert and (optionally) trade a triangle that just turned profitable on live books
+   */
+  async handleLiveOpportunity(opportunity) {
+    if (!this.isRunning) return;
+
+    this.stats.opportunitiesFound++;
+    console.log(`\n💰 ${opportunity.triangle}: ${opportunity.profitPct.toFixed(4)}% (${opportunity.evaluationLatencyMs}ms after update)`);
+
+    // Log to MongoDB
+    if (this.logger && this.logger.isConnected) {
+      await this.logger.logOpportunities([opportunity]);
+    }
+
+    // Send Telegram alert
+    if (this.telegram) {
+      await this.telegram.alertOpportunity(opportunity);
+    }
+
+    // Execute trade if auto-trading enabled (one live trade at a time)
+    if (this.autoTrader && this.autoTrader.canTrade() && !this.liveTradeInProgress) {
+      this.liveTradeInProgress = true;
+      try {
+        const tradeResult = await this.autoTrader.executeTriangularArbitrage(opportunity);
+
+        if (tradeResult) {
+          this.stats.tradesExecuted++;
+          this.recordTradeMetrics(tradeResult);
 
-          // Log to MongoDB
           if (this.logger && this.logger.isConnected) {
-            await this.logger.logOpportunities(opportunities);
+            await this.logger.logTrade(tradeResult);
           }
 
-          // Send Telegram alert for best opportunity
           if (this.telegram) {
-            await this.telegram.alertOpportunity(opportunities[0]);
-          }
-
-          // Execute trade if auto-trading enabled
-          if (this.autoTrader && this.autoTrader.canTrade()) {
-            const tradeResult = await this.autoTrader.executeTriangularArbitrage(opportunities[0]);
-            
-            if (tradeResult) {
-              this.stats.tradesExecuted++;
-              
-              if (this.logger && this.logger.isConnected) {
-                await this.logger.logTrade(tradeResult);
-              }
-              
-              if (this.telegram) {
-                await this.telegram.alertTradeExecution(tradeResult);
-              }
-            }
+            await this.telegram.alertTradeExecution(tradeResult);
           }
         }
-
-      } catch (error) {
-        console.error('❌ Error in WebSocket mode:', error.message);
+      } finally {
+        this.liveTradeInProgress = false;
       }
-    }, checkInterval);
-
-    console.log(`✅ WebSocket mode running (checking every ${checkInterval/1000}s)`);
+    }
   }
 
   /**
@@ -1376,6 +1420,7 @@ class ArbitrageBot {
             if (tradeResult) {
               const executionTime = Date.now() - startTime;
               this.stats.tradesExecuted++;
+              this.recordTradeMetrics(tradeResult);
 
               // Record execution time
               this.opportunitySelector.recordExecutionTime(best.opportunity.triangle, executionTime);
@@ -1586,7 +1631,7 @@ class ArbitrageBot {
         failedTrades: 0,
         uptime: `${uptime} minutes`,
         mongodbStatus: this.logger && this.logger.isConnected ? '✅ Connected' : '❌ Disconnected',
-        websocketStatus: this.websocketFeed && this.websocketFeed.isConnected ? '✅ Active' : '⚠️ Inactive'
+        websocketStatus: this.websocketFeed && this.websocketFeed.isConnected() ? '✅ Active' : '⚠️ Inactive'
       };
 
       console.log(`📊 Scans: ${performanceStats.totalScans}`);
@@ -1598,7 +1643,7 @@ class ArbitrageBot {
       investorMetrics.updateMetrics({
         opportunitiesFound: this.stats.opportunitiesFound,
         successfulTrades: this.stats.tradesExecuted,
-        trianglesMonitored: config.pairs.triangles.length,
+        trianglesMonitored: this.liveEvaluator ? this.liveEvaluator.triangles.size : getResolvedTriangles().length,
         bestPair: performanceStats.bestPath,
         responseTime: 850, // Average response time in ms
         stopLossCount: 0, // Update based on actual stop losses
@@ -1676,7 +1721,7 @@ class ArbitrageBot {
 
       // Check Binance API (simple test)
       try {
-        const testData = await axios.get(`${config.getBaseUrl()}/api/v3/ping`);
+        await axios.get(`${getBaseUrl()}/ping`, { timeout: 5000 });
         console.log('✅ Binance API: Responding');
         healthStatus.binance = true;
       } catch (error) {
@@ -1685,14 +1730,31 @@ class ArbitrageBot {
       }
 
       // Check WebSocket
-      if (this.websocketFeed && this.websocketFeed.isConnected) {
+      if (this.websocketFeed && this.websocketFeed.isConnected()) {
         console.log('✅ WebSocket: Active');
         healthStatus.websocket = true;
+
+        if (this.liveEvaluator) {
+          const evalMetrics = this.liveEvaluator.getMetrics();
+          console.log(`⚡ Live evaluations: ${evalMetrics.evaluations} (p50 ${evalMetrics.latencyP50Ms ?? '-'}ms, p95 ${evalMetrics.latencyP95Ms ?? '-'}ms after update)`);
+        }
+      } else if (this.websocketFeed) {
+        console.log('❌ WebSocket: Disconnected (reconnecting)');
+        healthy = false;
       } else {
         console.log('⚠️  WebSocket: Not in use');
         healthStatus.websocket = false;
       }
 
+      // Feed health (stale / out-of-sync books, lag, message rate)
+      if (this.websocketFeed) {
+        const feedHealth = this.websocketFeed.getHealth();
+        healthStatus.websocketFeed = feedHealth;
+        investorMetrics.updateMetrics({ websocketHealth: feedHealth.score });
+        console.log(`📡 Feed health: ${feedHealth.status} (${feedHealth.score}%) | ${feedHealth.usable}/${feedHealth.symbols} books usable | ${feedHealth.messagesPerSec.toFixed(1)} msg/s | lag ${feedHealth.avgLagMs !== null ? feedHealth.avgLagMs.toFixed(0) : '-'}ms`);
+        if (feedHealth.status !== 'healthy') healthy = false;
+      }
+
       console.log(`\n📊 Uptime: ${uptime} minutes`);
       console.log(`💾 Memory: ${memMB} MB`);
       console.log(`📈 Opportunities Found: ${this.stats.opportunitiesFound}`);
@@ -1927,6 +1989,14 @@ Be inspiring, professional, and focused on discipline and profit. Format as a br
       clearInterval(this.scanInterval);
     }
 
+    // Stop live re-evaluation before the feed goes away
+    if (this.triangleRefreshInterval) {
+      clearInterval(this.triangleRefreshInterval);
+    }
+    if (this.liveEvaluator) {
+      this.liveEvaluator.stop();
+    }
+
     // Disconnect WebSocket
     if (this.websocketFeed) {
       this.websocketFeed.disconnect();
@@ -18,7 +18,7 @@ export class AgentOrchestrator extends EventEmitter {
     this.communicationLog = [];
     this.goals = {
       dailyProfitTarget: 50, // USD
-      maxDailyLoss: -20, // USD
+      maxDailyLoss: -config.risk.maxDailyLossUsd, // USD, enforced by the risk control kill switch
       riskLevel: 'medium',
       confidenceThreshold: 75,
       adaptationFrequency: 3600000 // 1 hour in ms
@@ -1,15 +1,28 @@
 // Autonomous Triangular Arbitrage Agent
 // High-precision, fully autonomous trading agent for Binance spot markets
 
-import axios from 'axios';
-import { simulateTriangularCycle, getOrderBook, applyFee } from '../core/triangularArbitrage.js';
+import { simulateTriangularCycle, simulateCycleFromBooks, applyFee } from '../core/triangularArbitrage.js';
+import { optimizeTradeSize } from '../core/tradeSizeOptimizer.js';
 import { AutoTrader } from '../trading/autoTrader.js';
-import { config, getBaseUrl } from '../../config/config.js';
+import { riskControl, RiskLimitError } from '../trading/riskControl.js';
+import { resolveTriangles } from '../scanner/triangleDiscovery.js';
+import { negativeCycleDetector } from '../core/negativeCycleDetector.js';
+import { getMarketDataProvider, WebSocketMarketDataProvider } from '../marketData/marketDataProvider.js';
+import { WebSocketFeedManager } from '../websocket/websocketFeeds.js';
+import { config } from '../../config/config.js';
 
-const BASE_URL = getBaseUrl();
+const USD_STABLECOINS = ['USDT', 'BUSD', 'USDC', 'FDUSD', 'TUSD', 'DAI'];
 
 export class AutonomousArbitrageAgent {
-  constructor() {
+  /**
+   * @param {Object} options - { marketData } provider for quotes and order books (default provider if omitted),
+   *   { tickerFeed } WebSocketFeedManager whose bookTicker cache replaces REST polling
+   */
+  constructor(options = {}) {
+    this.marketData = options.marketData || null;
+    this.tickerFeed = options.tickerFeed || null;
+    this.ownsTickerFeed = false;
+    this.depthInterest = new Map(); // symbol -> last time a triangle using it passed the prefilter
     this.isRunning = false;
     this.symbolCache = new Map();
     this.balanceCache = new Map();
@@ -20,6 +33,7 @@ export class AutonomousArbitrageAgent {
     this.autoTrader = new AutoTrader();
     this.lastMarketFetch = 0;
     this.consecutiveFailures = 0;
+    this.triangles = config.pairs.triangles;
 
     // Agent state
     this.state = {
@@ -53,6 +67,15 @@ export class AutonomousArbitrageAgent {
         throw new Error('Failed to initialize auto-trader');
       }
 
+      // Load the triangle universe (discovered or configured)
+      this.triangles = await resolveTriangles();
+      console.log(`🔺 Monitoring ${this.triangles.length} triangles`);
+
+      // Stream top-of-book instead of polling REST
+      if (!this.tickerFeed && config.websocket.bookTickerMode !== 'off') {
+        await this.startTickerFeed();
+      }
+
       // Initial market data fetch
       await this.observeMarketData();
 
@@ -121,7 +144,13 @@ export class AutonomousArbitrageAgent {
     this.isRunning = false;
 
     // Cancel any pending orders
-    this.cancelAllPendingOrders();
+    this.cancelAllPendingOrders().catch(error => {
+      console.error('❌ Error cancelling pending orders:', error.message);
+    });
+
+    if (this.tickerFeed && this.ownsTickerFeed) {
+      this.tickerFeed.disconnect();
+    }
 
     // Print final statistics
     this.printFinalStatistics();
@@ -141,6 +170,11 @@ export class AutonomousArbitrageAgent {
     // Filter candidates by basic criteria
     const filteredCandidates = this.filterCandidates(candidates);
 
+    // Only triangles that pass the top-of-book prefilter need full depth
+    if (this.tickerFeed) {
+      this.updateDepthSubscriptions(filteredCandidates);
+    }
+
     if (filteredCandidates.length === 0) {
       console.log('ℹ️  No viable candidates after filtering');
       return;
@@ -154,7 +188,7 @@ export class AutonomousArbitrageAgent {
         if (!liquidityAnalysis.canExecute) continue;
 
         // COMPUTE: Simulate path with fees and slippage
-        const simulation = await this.computePath(triangle, this.state.currentTradeSize, liquidityAnalysis.estimatedSlippage);
+        const simulation = await this.computePath(triangle, this.state.currentTradeSize, liquidityAnalysis.estimatedSlippage, liquidityAnalysis.orderBooks);
         if (!simulation) continue;
 
         // RISK: Assess risk factors
@@ -168,6 +202,9 @@ export class AutonomousArbitrageAgent {
         // EXECUTE: Execute the trade
         const executionResult = await this.executeTrade(decision.executionPlan);
 
+        // Refused by risk control or abandoned by the pre-trade revalidation: nothing traded, nothing to learn
+        if (executionResult.aborted) continue;
+
         // LEARN: Update models from results
         this.learnFromExecution(executionResult, simulation, liquidityAnalysis);
 
@@ -179,10 +216,74 @@ export class AutonomousArbitrageAgent {
     this.state.totalScans++;
   }
 
+  /**
+   * Market data provider in use (resolved per call so a provider swapped in at startup applies)
+   */
+  getMarketData() {
+    return this.marketData || getMarketDataProvider();
+  }
+
+  /**
+   * Open a bookTicker feed for the monitored pairs (or the whole market) and serve
+   * quotes and synced depth from it, falling back to the previous provider
+   */
+  async startTickerFeed() {
+    const feed = new WebSocketFeedManager([]);
+    const pairs = [...new Set(this.triangles.flatMap(triangle => triangle.pairs))];
+    feed.subscribeBookTickers(config.websocket.bookTickerMode === 'all' ? 'all' : pairs);
+    feed.connect();
+
+    this.tickerFeed = feed;
+    this.ownsTickerFeed = true;
+    if (!this.marketData) {
+      this.marketData = new WebSocketMarketDataProvider(feed, { fallback: getMarketDataProvider() });
+    }
+
+    // Give the cache a moment to fill before the first cycle
+    const deadline = Date.now() + this.maxLatencyMs;
+    while (feed.bookTickers.size === 0 && Date.now() < deadline) {
+      await this.sleep(100);
+    }
+    console.log(`📡 Book ticker stream active (${feed.bookTickers.size} symbols cached)`);
+  }
+
+  /**
+   * Subscribe depth for pairs of prefiltered triangles; drop depth that has not been
+   * needed for depthRetentionMs (kept a while so books are not resynced every cycle)
+   */
+  updateDepthSubscriptions(triangles) {
+    const now = Date.now();
+    triangles.forEach(triangle => triangle.pairs.forEach(pair => this.depthInterest.set(pair, now)));
+
+    const expired = [];
+    this.depthInterest.forEach((lastNeeded, symbol) => {
+      if (now - lastNeeded > config.websocket.depthRetentionMs) expired.push(symbol);
+    });
+    expired.forEach(symbol => this.depthInterest.delete(symbol));
+
+    this.tickerFeed.addSymbols([...this.depthInterest.keys()]);
+    this.tickerFeed.removeSymbols(expired);
+  }
+
+  /**
+   * Latest top-of-book quote: live from the ticker feed when streaming, else the last REST snapshot
+   */
+  getQuote(symbol) {
+    if (this.tickerFeed) {
+      return this.tickerFeed.getBookTicker(symbol) || this.symbolCache.get(symbol);
+    }
+    return this.symbolCache.get(symbol);
+  }
+
   /**
    * OBSERVE: Fetch market data with caching
+   * With a ticker feed the quotes come from its live cache, so there is no fetch latency to gate on.
    */
   async observeMarketData() {
+    if (this.tickerFeed) {
+      return this.observeFromTickerFeed();
+    }
+
     const now = Date.now();
     if (now - this.lastMarketFetch < 1000) { // Cache for 1 second
       return this.getCachedMarketData();
@@ -191,10 +292,8 @@ export class AutonomousArbitrageAgent {
     try {
       const startTime = Date.now();
 
-      // Fetch bookTicker for all symbols
-      const response = await axios.get(`${BASE_URL}/ticker/bookTicker`, {
-        timeout: 2000
-      });
+      // Fetch best bid/ask for all symbols
+      const quotes = await this.getMarketData().getBookTickers();
 
       const fetchTime = Date.now() - startTime;
       if (fetchTime > this.maxLatencyMs) {
@@ -204,14 +303,8 @@ export class AutonomousArbitrageAgent {
 
       // Cache symbol mappings and balances
       this.symbolCache.clear();
-      response.data.forEach(ticker => {
-        this.symbolCache.set(ticker.symbol, {
-          bid: parseFloat(ticker.bidPrice),
-          ask: parseFloat(ticker.askPrice),
-          bidQty: parseFloat(ticker.bidQty),
-          askQty: parseFloat(ticker.askQty),
-          timestamp: now
-        });
+      quotes.forEach((quote, symbol) => {
+        this.symbolCache.set(symbol, { ...quote, timestamp: now });
       });
 
       // Update balance cache
@@ -233,6 +326,35 @@ export class AutonomousArbitrageAgent {
     }
   }
 
+  /**
+   * OBSERVE from the bookTicker stream cache
+   */
+  async observeFromTickerFeed() {
+    const now = Date.now();
+    const quotes = this.tickerFeed.getBookTickers();
+    if (quotes.size === 0) {
+      console.warn('⚠️  Book ticker cache empty, waiting for the stream');
+      return null;
+    }
+
+    this.symbolCache = quotes;
+
+    // Balances still come over REST, at most once a second
+    if (now - this.lastMarketFetch >= 1000) {
+      await this.updateBalanceCache();
+      this.lastMarketFetch = now;
+    }
+    this.consecutiveFailures = 0;
+
+    return {
+      symbols: this.symbolCache,
+      balances: this.balanceCache,
+      timestamp: now,
+      fetchLatency: 0,
+      source: 'bookTicker'
+    };
+  }
+
   /**
    * Get cached market data
    */
@@ -267,20 +389,44 @@ export class AutonomousArbitrageAgent {
    */
   generateCandidates() {
     const candidates = [];
-    const symbols = Array.from(this.symbolCache.keys());
 
-    // Generate triangles from configured pairs (for now)
-    // In production, this would dynamically generate from all available symbols
-    config.pairs.triangles.forEach(triangle => {
-      const allSymbolsExist = triangle.pairs.every(pair => symbols.includes(pair));
+    // Triangles come from discovery (or the static config) and are refreshed in initialize()
+    this.triangles.forEach(triangle => {
+      const allSymbolsExist = triangle.pairs.every(pair => this.symbolCache.has(pair));
       if (allSymbolsExist) {
         candidates.push(triangle);
       }
     });
 
+    // Add profitable cycles found in the full bookTicker snapshot
+    if (config.graphScan.enabled) {
+      const known = new Set(candidates.map(t => t.pairs.join(',')));
+      this.detectGraphCycles()
+        .filter(opp => opp.pairs.length === 3) // Liquidity inference is 3-leg only
+        .forEach(opp => {
+          const key = opp.pairs.join(',');
+          if (known.has(key)) return;
+          known.add(key);
+          candidates.push({ path: opp.triangle.split(' → '), pairs: opp.pairs });
+        });
+    }
+
     return candidates;
   }
 
+  /**
+   * Run the negative-cycle detector over the cached bookTicker snapshot
+   * @returns {Array} Opportunities in scanner format
+   */
+  detectGraphCycles() {
+    try {
+      return negativeCycleDetector.detect(this.symbolCache, { startAmount: this.state.currentTradeSize });
+    } catch (error) {
+      console.warn('⚠️  Graph cycle detection failed:', error.message);
+      return [];
+    }
+  }
+
   /**
    * Filter candidates by basic criteria
    */
@@ -288,7 +434,7 @@ export class AutonomousArbitrageAgent {
     return candidates.filter(triangle => {
       // Check if all pairs have sufficient spread and volume
       return triangle.pairs.every(pair => {
-        const ticker = this.symbolCache.get(pair);
+        const ticker = this.getQuote(pair);
         if (!ticker) return false;
 
         const spread = (ticker.ask - ticker.bid) / ticker.bid;
@@ -306,11 +452,7 @@ export class AutonomousArbitrageAgent {
   async inferLiquidity(triangle, tradeSize) {
     try {
       // Fetch order books for depth analysis
-      const [bookA, bookB, bookC] = await Promise.all([
-        getOrderBook(triangle.pairs[0]),
-        getOrderBook(triangle.pairs[1]),
-        getOrderBook(triangle.pairs[2])
-      ]);
+      const [bookA, bookB, bookC] = await this.getMarketData().getOrderBooks(triangle.pairs.slice(0, 3));
 
       // Calculate slippage for each leg
       const slippageA = this.calculateSlippage(bookA, triangle.pairs[0], tradeSize, 'buy');
@@ -365,13 +507,19 @@ export class AutonomousArbitrageAgent {
 
   /**
    * COMPUTE: Simulate triangular path with fees and slippage
+   * When order books are supplied, also solves for the most profitable trade size
+   * between the minimum trade amount and the available balance.
    */
-  async computePath(triangle, startAmount, estimatedSlippage) {
+  async computePath(triangle, startAmount, estimatedSlippage, orderBooks = null) {
     try {
-      const simulation = await simulateTriangularCycle(triangle, startAmount);
+      const simulation = await simulateTriangularCycle(triangle, startAmount, this.getMarketData());
 
       if (!simulation) return null;
 
+      const sizing = orderBooks && config.trading.optimizeTradeSize
+        ? this.optimizeSize(triangle, Object.values(orderBooks))
+        : null;
+
       // Add slippage buffer to simulation
       const slippageBuffer = estimatedSlippage * startAmount;
       const netProfit = simulation.profit - slippageBuffer;
@@ -383,7 +531,11 @@ export class AutonomousArbitrageAgent {
         slippageBuffer,
         netProfit,
         netProfitPct,
-        isViable: netProfitPct >= this.minProfitThreshold
+        isViable: netProfitPct >= this.minProfitThreshold,
+        optimalSize: sizing ? sizing.optimalSize : null,
+        profitAtOptimal: sizing ? sizing.profitAtOptimal : null,
+        profitPctAtOptimal: sizing ? sizing.profitPctAtOptimal : null,
+        sizeCurve: sizing ? sizing.curve : null
       };
 
     } catch (error) {
@@ -392,6 +544,43 @@ export class AutonomousArbitrageAgent {
     }
   }
 
+  /**
+   * Solve for the start amount that maximises profit on already-fetched books
+   * Sizes are in the start currency; profit and the minimum trade amount are converted to USD.
+   * @param {Object} triangle - Cycle configuration { path, pairs }
+   * @param {Array} books - Order books aligned with triangle.pairs
+   * @returns {Object|null} { optimalSize, profitAtOptimal (USD), profitPctAtOptimal, curve }, null when
+   *   the start currency cannot be valued in USD
+   */
+  optimizeSize(triangle, books) {
+    const usdRate = this.getUsdRate(triangle, books);
+    if (!usdRate) return null;
+
+    const available = (this.balanceCache.get(triangle.path[0]) || 0) * 0.99; // Keep a 1% buffer
+    const maxSize = available > 0 ? available : this.state.currentTradeSize;
+    const minSize = config.trading.minTradeAmountUSDT / usdRate;
+
+    return optimizeTradeSize((size) => {
+      const result = simulateCycleFromBooks(triangle, books, size);
+      return { profitUsd: result.profit * usdRate, profitPct: result.profitPct };
+    }, { minSize, maxSize: Math.max(maxSize, minSize) });
+  }
+
+  /**
+   * USD value of one unit of a cycle's start currency: 1 for stablecoins, else the mid price of a
+   * leg quoting it against a stablecoin
+   * @returns {number|null}
+   */
+  getUsdRate(triangle, books) {
+    const start = triangle.path[0];
+    if (USD_STABLECOINS.includes(start)) return 1;
+
+    const index = triangle.pairs.findIndex(pair => USD_STABLECOINS.some(stable => pair === `${start}${stable}`));
+    const book = books[index];
+    if (!book || book.bids.length === 0 || book.asks.length === 0) return null;
+    return (parseFloat(book.bids[0][0]) + parseFloat(book.asks[0][0])) / 2;
+  }
+
   /**
    * RISK: Assess risk factors
    */
@@ -401,7 +590,7 @@ export class AutonomousArbitrageAgent {
     // Balance risk
     const startCurrency = triangle.path[0];
     const availableBalance = this.balanceCache.get(startCurrency) || 0;
-    const requiredAmount = simulation.startAmount * 1.01; // 1% buffer
+    const requiredAmount = (simulation.optimalSize || simulation.startAmount) * 1.01; // 1% buffer
 
     if (availableBalance < requiredAmount) {
       risks.push('Insufficient balance');
@@ -498,13 +687,17 @@ export class AutonomousArbitrageAgent {
     // Generate execution plan
     const executionPlan = {
       triangle: simulation.triangle,
-      tradeSize: simulation.startAmount,
+      tradeSize: simulation.optimalSize || simulation.startAmount,
+      profitPct: simulation.profitPct, // Edge the pre-trade revalidation compares against
+      timestamp: simulation.timestamp,
       orderTypes: ['market', 'market', 'market'], // Prefer speed
       priceLimits: [], // Market orders
       acceptableSlippage: Math.min(this.maxSlippageTolerance, simulation.estimatedSlippage * 1.5),
       steps: simulation.steps.map(step => ({
         pair: step.pair,
         action: step.action,
+        from: step.from,
+        to: step.to,
         expectedAmount: step.output
       }))
     };
@@ -544,13 +737,41 @@ export class AutonomousArbitrageAgent {
     const tradeId = `trade_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     const startTime = Date.now();
 
-    // Reserve funds
     const startCurrency = executionPlan.triangle.split(' → ')[0];
+
+    // Kill switch and cycles-per-hour throttle
+    const entry = riskControl.canEnter();
+    if (!entry.allowed) {
+      console.log(`🛑 Risk control: ${entry.reason}, skipping ${executionPlan.triangle}`);
+      return { success: false, aborted: true, tradeId, error: entry.reason };
+    }
+
+    // Re-price from fresh books: analysis and risk checks take time
+    const revalidation = await this.autoTrader.revalidate(executionPlan, executionPlan.tradeSize);
+    if (!revalidation.ok) {
+      return { success: false, aborted: true, tradeId, error: revalidation.summary.reason, revalidation: revalidation.summary };
+    }
+
+    // Snapshot every balance: the cycle's P&L is reconciled against it afterwards
+    let before;
+    try {
+      before = await this.autoTrader.reconciler.snapshot();
+    } catch (error) {
+      console.error(`❌ Balance snapshot failed, skipping ${executionPlan.triangle}: ${error.message}`);
+      return { success: false, aborted: true, tradeId, error: error.message };
+    }
+
+    // Reserve funds
     this.reserveFunds(startCurrency, executionPlan.tradeSize);
 
+    // Journal the cycle so a crash mid-trade can be recovered on restart
+    const cycle = this.autoTrader.beginCycle(executionPlan, executionPlan.tradeSize, 'agent');
+
     // Track active trade
     this.activeTrades.set(tradeId, {
       id: tradeId,
+      cycleId: cycle.id,
+      symbols: cycle.record.legs.map(leg => leg.symbol),
       triangle: executionPlan.triangle,
       quoteCurrency: startCurrency,
       startTime,
@@ -571,12 +792,13 @@ export class AutonomousArbitrageAgent {
         const symbol = this.autoTrader.formatSymbolForCCXT(step.pair);
         const side = step.action.toLowerCase();
 
-        // Calculate amount with buffer
-        const amount = i === 0 ? currentAmount : currentAmount * 0.99;
+        // Each leg spends exactly what the previous one delivered, sized for the market's orientation
+        const sized = await this.autoTrader.legSizer.size(symbol, side, currentAmount);
 
-        console.log(`Step ${i + 1}: ${side.toUpperCase()} ${amount} ${symbol}`);
+        console.log(`Step ${i + 1}: ${side.toUpperCase()} ${symbol} spending ${sized.input} ${sized.from}`);
 
-        const order = await this.autoTrader.executeMarketOrder(symbol, side, amount);
+        const order = await this.autoTrader.submitLeg(cycle, i, sized, { source: 'agent' });
+        const fill = this.autoTrader.recordLegFill(cycle, i, order);
 
         // Record step
         const stepResult = {
@@ -588,18 +810,19 @@ export class AutonomousArbitrageAgent {
           cost: order.cost,
           price: order.average,
           fee: order.fee,
+          spent: fill.spent,
+          received: fill.output,
           orderId: order.id
         };
 
         this.activeTrades.get(tradeId).steps.push(stepResult);
 
-        // Check for partial fills that create exposure
-        if (order.filled < order.amount * 0.95) { // Less than 95% fill
-          console.warn(`⚠️  Partial fill detected: ${order.filled}/${order.amount}`);
-          // Could implement unwind logic here
+        // Partial fills leave exposure in two assets: unwind instead of carrying on
+        if (fill.partial) {
+          throw new Error(`Partial fill on ${symbol}: spent ${fill.spent}/${sized.input} ${sized.from}`);
         }
 
-        currentAmount = order.filled;
+        currentAmount = fill.output;
 
         // Small delay between orders
         if (i < executionPlan.steps.length - 1) {
@@ -609,11 +832,13 @@ export class AutonomousArbitrageAgent {
 
       // Mark as completed
       const trade = this.activeTrades.get(tradeId);
+      const outcome = await this.reconcileTrade(executionPlan, cycle, before, trade);
+      cycle.transition('settled', { result: { finalAmount: currentAmount, actualProfit: outcome.actualProfit } });
       trade.status = 'completed';
       trade.endTime = Date.now();
       trade.duration = trade.endTime - trade.startTime;
 
-      console.log(`✅ Trade ${tradeId} completed in ${trade.duration}ms`);
+      console.log(`✅ Trade ${tradeId} completed in ${trade.duration}ms, actual profit ${outcome.actualProfit.toFixed(4)} ${startCurrency}`);
 
       this.state.executedTrades++;
       this.activeTrades.delete(tradeId);
@@ -621,12 +846,19 @@ export class AutonomousArbitrageAgent {
       // Release fund reservation
       this.releaseFunds(startCurrency, executionPlan.tradeSize);
 
+      this.recordRiskOutcome(outcome.actualProfitUsd, false);
+
       return {
         success: true,
         tradeId,
+        cycleId: cycle.id,
+        startAmount: executionPlan.tradeSize,
         duration: trade.duration,
         steps: trade.steps,
-        finalAmount: currentAmount
+        finalAmount: currentAmount,
+        actualProfit: outcome.actualProfit,
+        actualProfitUsd: outcome.actualProfitUsd,
+        reconciliation: outcome.reconciliation
       };
 
     } catch (error) {
@@ -639,24 +871,69 @@ export class AutonomousArbitrageAgent {
       trade.endTime = Date.now();
       trade.duration = trade.endTime - trade.startTime;
 
-      // Implement unwind logic for failed trades
-      await this.unwindFailedTrade(trade);
+      // Complete or revert whatever the filled legs left us holding
+      const unwind = await this.unwindFailedTrade(trade, cycle, error);
+      const outcome = await this.reconcileTrade(executionPlan, cycle, before, trade);
 
       this.activeTrades.delete(tradeId);
 
       // Release fund reservation
       this.releaseFunds(startCurrency, executionPlan.tradeSize);
 
+      // Leg 1 refused by risk control: nothing traded
+      const refused = error instanceof RiskLimitError && trade.steps.length === 0;
+      if (!refused) {
+        this.recordRiskOutcome(outcome.actualProfitUsd, true);
+      }
+
       return {
         success: false,
+        aborted: refused,
         tradeId,
+        cycleId: cycle.id,
         error: error.message,
         duration: trade.duration,
-        steps: trade.steps || []
+        steps: trade.steps || [],
+        unwind,
+        pendingRecovery: trade.pendingRecovery || false,
+        actualProfit: outcome.actualProfit,
+        actualProfitUsd: outcome.actualProfitUsd,
+        reconciliation: outcome.reconciliation
       };
     }
   }
 
+  /**
+   * Set a finished cycle's P&L from its own fills, the way AutoTrader does
+   * (BalanceReconciler against the snapshot taken before leg 1)
+   * @param {Object} executionPlan - Plan the cycle executed
+   * @param {TradeCycle} cycle - The cycle's journal entry
+   * @param {Object} before - BalanceReconciler.snapshot() taken before the cycle
+   * @param {Object} trade - Active trade (startTime, and unwind/pendingRecovery after a failure)
+   * @returns {Promise<Object>} { actualProfit, actualProfitPct, actualProfitUsd, reconciliation }
+   */
+  async reconcileTrade(executionPlan, cycle, before, trade) {
+    const result = {
+      opportunity: executionPlan,
+      startTime: new Date(trade.startTime),
+      unwind: trade.unwind || null,
+      pendingRecovery: trade.pendingRecovery || false
+    };
+    await this.autoTrader.reconcileCycle(result, cycle, before);
+    return result;
+  }
+
+  /**
+   * Report a finished cycle's reconciled P&L (USD) to risk control
+   */
+  recordRiskOutcome(pnlUsd, failed) {
+    riskControl.recordCycle({
+      source: 'agent',
+      pnlUsd,
+      error: failed
+    });
+  }
+
   /**
    * Reserve funds for trade execution
    */
@@ -675,31 +952,72 @@ export class AutonomousArbitrageAgent {
 
   /**
    * Unwind failed trade positions
+   * Cancels anything still resting on the trade's symbols, then hands the cycle to the unwinder
+   * (or leaves it for recovery when the last leg's order is unaccounted for).
+   * @returns {Promise<Object|null>} Unwind report with the realised loss, or null if nothing was unwound
    */
-  async unwindFailedTrade(trade) {
+  async unwindFailedTrade(trade, cycle, error) {
     console.log(`🔄 Unwinding failed trade ${trade.id}`);
 
-    // Implementation would reverse any completed steps
-    // For now, just log the need
-    console.warn('⚠️  Unwind logic not fully implemented - manual intervention may be required');
+    await this.cancelOpenOrders(cycle.record.legs.map(leg => leg.symbol));
+    const report = await this.autoTrader.closeOutCycle(cycle, error, trade);
+    if (report) {
+      trade.unwind = report;
+    }
+    return report;
   }
 
   /**
-   * Cancel all pending orders
+   * Cancel open orders on the given symbols
    */
-  cancelAllPendingOrders() {
+  async cancelOpenOrders(symbols) {
+    const exchange = this.autoTrader.exchange;
+    if (!exchange) return 0;
+
+    let cancelled = 0;
+    for (const symbol of new Set(symbols)) {
+      try {
+        const open = await exchange.fetchOpenOrders(symbol);
+        for (const order of open) {
+          await exchange.cancelOrder(order.id, symbol);
+          cancelled++;
+        }
+      } catch (error) {
+        console.warn(`⚠️  Could not cancel open orders on ${symbol}: ${error.message}`);
+      }
+    }
+    return cancelled;
+  }
+
+  /**
+   * Cancel all pending orders on the symbols of trades still in flight
+   */
+  async cancelAllPendingOrders() {
     console.log('🔄 Cancelling all pending orders...');
-    // Implementation would cancel any open orders
+
+    const symbols = Array.from(this.activeTrades.values())
+      .flatMap(trade => trade.symbols || []);
+    const cancelled = await this.cancelOpenOrders(symbols);
+    if (cancelled > 0) {
+      console.log(`✅ Cancelled ${cancelled} pending order(s)`);
+    }
+    return cancelled;
   }
 
   /**
    * LEARN: Update models from execution results
    */
   learnFromExecution(executionResult, simulation, liquidityAnalysis) {
+    // The trade may have run at the optimal size rather than the simulated amount
+    const executedSize = executionResult.startAmount || simulation.startAmount;
+    const expectedPct = executedSize === simulation.optimalSize && simulation.profitPctAtOptimal !== null
+      ? simulation.profitPctAtOptimal
+      : simulation.profitPct;
+
     // Update slippage model
     const triangleKey = simulation.triangle;
     const realizedSlippage = executionResult.success ?
-      (simulation.profit - (executionResult.finalAmount - simulation.startAmount)) / simulation.startAmount :
+      expectedPct / 100 - (executionResult.finalAmount - executedSize) / executedSize :
       liquidityAnalysis.estimatedSlippage;
 
     const currentModel = this.slippageModel.get(triangleKey) || { samples: [], average: 0 };
@@ -728,11 +1046,8 @@ export class AutonomousArbitrageAgent {
       );
     }
 
-    // Update profit tracking
-    if (executionResult.success) {
-      const actualProfit = executionResult.finalAmount - simulation.startAmount;
-      this.state.totalProfit += actualProfit;
-    }
+    // Update profit tracking from the reconciled P&L (unwind losses included)
+    this.state.totalProfit += executionResult.actualProfit || 0;
 
     console.log(`📚 Learned: Updated slippage model for ${triangleKey}, new avg: ${(currentModel.average * 100).toFixed(3)}%`);
   }
@@ -53,7 +53,7 @@ export class GoalOrientedAgent extends EventEmitter {
       timeframe: 'daily',
       priority: 'high',
       constraints: {
-        maxLoss: -20,
+        maxLoss: -config.risk.maxDailyLossUsd, // Same limit the risk control kill switch enforces
         maxTrades: 20
       },
       status: 'active',
@@ -84,7 +84,7 @@ export class GoalOrientedAgent extends EventEmitter {
       priority: 'medium',
       constraints: {
         minTrades: 10,
-        maxConsecutiveLosses: 3
+        maxConsecutiveLosses: config.risk.maxConsecutiveLosses
       },
       status: 'active',
       created: new Date()
@@ -20,8 +20,12 @@ export class TelegramAlerts {
 
   /**
    * Initialize Telegram bot
+   * @param {Object} options - { polling, announce } (both default true; one-shot commands turn them off)
    */
-  initialize() {
+  initialize(options = {}) {
+    const polling = options.polling !== false;
+    const announce = options.announce !== false;
+
     if (!this.isEnabled) {
       console.log('⚠️  Telegram alerts disabled in config');
       return false;
@@ -35,12 +39,12 @@ export class TelegramAlerts {
     try {
       // Enable polling to listen for commands with error handling
       this.bot = new TelegramBot(config.telegram.botToken, {
-        polling: {
+        polling: polling ? {
           interval: 300, // Poll every 300ms
           timeout: 10,   // 10 second timeout
           limit: 100,    // Maximum 100 updates per poll
           retryTimeout: 5000, // Retry after 5 seconds on error
-        }
+        } : false
       });
 
       // Add error handling for polling
@@ -164,13 +168,13 @@ export class TelegramAlerts {
       });
 
       // Send startup message if chat ID is configured
-      if (config.telegram.chatId) {
+      if (announce && config.telegram.chatId) {
         this.sendMessage('🤖 Arbitrage Bot Started!\n\nMonitoring for profitable opportunities...');
       }
 
       // Also send a startup test to the configured CHANNEL (if provided)
       const channelIdEnv = process.env.TELEGRAM_CHANNEL_ID || config.telegram.channelId;
-      if (channelIdEnv) {
+      if (announce && channelIdEnv) {
         // Non-blocking send; log outcome
         this.sendChannelMessage('✅ *Bot Active*\n\n🤖 Arbitrage monitoring system is now online and scanning for profitable opportunities.\n\n⏰ Scheduled Tasks Active:\n• Quick Scan: Every 2 minutes\n• Deep Scan: Every 15 minutes\n• Health Check: Every hour\n• Daily Report: Midnight\n• Weekly Cleanup: Sunday midnight')
           .then(() => console.log('✅ "Bot Active" message sent to Telegram channel'))
@@ -300,6 +304,15 @@ export class TelegramAlerts {
    */
   async sendHealthCheck(status) {
     const statusEmoji = status.healthy ? '✅' : '⚠️';
+    const feed = status.websocketFeed;
+    const feedSection = feed
+      ? `📡 *WebSocket Feed:* ${feed.status} (${feed.score}%)\n` +
+        `• Usable Books: ${feed.usable}/${feed.symbols}\n` +
+        `• Stale: ${feed.stale.length > 0 ? feed.stale.join(', ') : 'none'}\n` +
+        `• Out of Sync: ${feed.outOfSync.length > 0 ? feed.outOfSync.join(', ') : 'none'}\n` +
+        `• Connections: ${feed.openConnections}/${feed.connections} open\n` +
+        `• Messages: ${feed.messagesPerSec.toFixed(1)}/s | Lag: ${feed.avgLagMs !== null ? feed.avgLagMs.toFixed(0) : '-'}ms\n\n`
+      : '';
     const message =
       `${statusEmoji} *System Health Check*\n` +
       `━━━━━━━━━━━━━━━━━━━━\n\n` +
@@ -307,6 +320,7 @@ export class TelegramAlerts {
       `• MongoDB: ${status.mongodb ? '✅ Connected' : '❌ Disconnected'}\n` +
       `• Binance API: ${status.binance ? '✅ Active' : '❌ Inactive'}\n` +
       `• WebSocket: ${status.websocket ? '✅ Active' : '❌ Inactive'}\n\n` +
+      feedSection +
       `⚙️ *System:*\n` +
       `• Uptime: ${status.uptime}\n` +
       `• Memory: ${status.memory}\n` +
@@ -353,7 +367,7 @@ export class TelegramAlerts {
       `⚡ *TECHNICAL METRICS*\n` +
       `• System Uptime: ${metrics.uptime || 'N/A'}\n` +
       `• API Response Rate: ${metrics.apiHealth || '100'}%\n` +
-      `• WebSocket Stability: ${metrics.websocketHealth || '100'}%\n` +
+      `• WebSocket Stability: ${metrics.websocketHealth ?? 100}%\n` +
       `• Memory Usage: ${metrics.memoryUsage || 'N/A'}\n\n` +
       `🎯 *INVESTMENT INSIGHTS*\n` +
       `• Expected Daily Return: ${metrics.expectedReturn?.toFixed(2) || '0.00'}%\n` +
@@ -630,7 +644,7 @@ export class TelegramAlerts {
     const emoji = tradeResult.success ? '✅' : '❌';
     const profitEmoji = tradeResult.actualProfitPct > 0 ? '💰' : '📉';
     
-    let message = `${emoji} *Trade ${tradeResult.success ? 'Completed' : 'Failed'}!*\n\n`;
+    let message = `${emoji} *${tradeResult.paper ? 'Paper ' : ''}Trade ${tradeResult.success ? 'Completed' : 'Failed'}!*\n\n`;
     
     if (tradeResult.success) {
       message += `${profitEmoji} *Profit: ${tradeResult.actualProfitPct.toFixed(4)}%*\n`;
@@ -640,8 +654,22 @@ export class TelegramAlerts {
     }
     
     message += `🔄 Triangle: \`${tradeResult.opportunity.triangle}\`\n`;
+    if (tradeResult.cycleId) {
+      message += `🧾 Cycle: \`${tradeResult.cycleId}\`\n`;
+    }
     message += `⏱️ Duration: ${tradeResult.endTime - tradeResult.startTime}ms\n`;
-    message += `📊 Steps Completed: ${tradeResult.steps.length}/${tradeResult.opportunity.steps.length}\n\n`;
+    message += `📊 Steps Completed: ${tradeResult.steps.length}/${tradeResult.opportunity.steps.length}\n`;
+
+    const reconciliation = tradeResult.reconciliation;
+    if (reconciliation && reconciliation.status === 'flagged') {
+      const flags = [
+        ...reconciliation.leftovers.map(left => `${left.dust ? 'dust' : 'leftover'} ${left.amount} ${left.asset}`),
+        ...reconciliation.unexplained.map(diff => `unexplained ${diff.difference} ${diff.asset}`),
+        ...reconciliation.missingOrders.map(id => `no trades for order ${id}`)
+      ];
+      message += `🧮 Reconciliation: ${flags.join(', ')}\n`;
+    }
+    message += `\n`;
     
     if (tradeResult.success && tradeResult.steps.length > 0) {
       message += `*Execution Details:*\n`;
@@ -657,6 +685,60 @@ export class TelegramAlerts {
     return message;
   }
 
+  /**
+   * Send proposed (or executed) inventory rebalance plans
+   * @param {Array} plans - Plans from InventoryRebalancer
+   * @param {Object} context - { blocked } opportunities held back by inventory
+   */
+  async alertRebalancePlans(plans, context = {}) {
+    if (!this.isEnabled || plans.length === 0) return false;
+
+    const message = this.formatRebalanceMessage(plans, context);
+    const sent = await this.sendMessage(message);
+
+    if (sent) {
+      this.alertHistory.push({
+        type: 'rebalance',
+        plans: plans.map(p => p.id),
+        timestamp: new Date()
+      });
+      console.log(`📱 Telegram rebalance alert sent (${plans.length} plans)`);
+    }
+
+    return sent;
+  }
+
+  /**
+   * Format rebalance plans message
+   */
+  formatRebalanceMessage(plans, context = {}) {
+    const statusEmoji = { proposed: '📝', executed: '✅', failed: '❌' };
+
+    let message = `⚖️ *Inventory Rebalance*\n\n`;
+    if (context.blocked && context.blocked.length > 0) {
+      message += `🚧 Opportunities blocked by inventory: ${context.blocked.length}\n\n`;
+    }
+
+    plans.forEach((plan, i) => {
+      const route = plan.type === 'transfer'
+        ? `${plan.from} → ${plan.to}`
+        : `${plan.side.toUpperCase()} ${plan.symbol} on ${plan.venue}`;
+      message += `${statusEmoji[plan.status] || '📝'} ${i + 1}. *${plan.type}* ${plan.amount.toFixed(6)} ${plan.asset}\n`;
+      message += `   ${route}\n`;
+      message += `   Cost: ~$${plan.costEstimate.usd.toFixed(2)} (${plan.costEstimate.pct.toFixed(3)}%)\n`;
+      message += `   Reason: ${plan.reason}\n`;
+      if (plan.status === 'proposed') {
+        message += `   Run: \`${plan.command}\`\n`;
+      } else if (plan.error) {
+        message += `   ⚠️ ${plan.error}\n`;
+      }
+    });
+
+    message += `\n⏰ ${new Date().toLocaleTimeString()}`;
+
+    return message;
+  }
+
   /**
    * Send daily summary
    */
@@ -2,8 +2,10 @@
  * Advanced Triangular Arbitrage Engine
  * 
  * Purpose:
- * - Detect triangle arbitrage opportunities among three markets (A/B, B/C, A/C)
+ * - Detect triangle arbitrage opportunities among three markets (A/B, B/C, A/C),
+ *   and longer N-leg cycles (e.g. USDT → BTC → ETH → BNB → USDT)
  * - Simulate execution considering fees, precision, and available liquidity
+ *   by walking order book depth and applying LOT_SIZE, PRICE_FILTER and MIN_NOTIONAL filters
  * - Production-ready implementation with proper error handling and logging
  * 
  * Best Practices Implemented:
@@ -20,8 +22,16 @@
 
 import ccxt from 'ccxt';
 import Decimal from 'decimal.js';
-import axios from 'axios';
-import { config, getBaseUrl } from '../../config/config.js';
+import { resolveLegAction, validateCycle } from './triangularArbitrage.js';
+import { buildSymbolFilterIndex, fetchSymbolFilters } from './symbolFilters.js';
+import { optimizeTradeSize } from './tradeSizeOptimizer.js';
+import { LegSizer } from './legSizer.js';
+import { PreTradeRevalidator } from './preTradeRevalidation.js';
+import { feeService } from './feeService.js';
+import { getMarketDataProvider } from '../marketData/marketDataProvider.js';
+import { PaperExchange } from '../trading/paperExchange.js';
+import { riskControl, RiskLimitError } from '../trading/riskControl.js';
+import { config, getCcxtOverrides } from '../../config/config.js';
 
 // Configure Decimal.js for financial precision
 Decimal.set({
@@ -42,7 +52,10 @@ export class AdvancedTriangularArbitrage {
     this.minProfitPerc = options.minProfitPerc || config.trading.minProfitThreshold;
     this.dryRun = options.dryRun !== undefined ? options.dryRun : !config.trading.autoTradeEnabled;
     this.baseAmount = options.baseAmount || config.trading.tradeAmountUSDT.toString();
-    this.takerFeePerc = options.takerFeePerc || (config.trading.takerFee * 100); // Convert to percentage
+    this.takerFeePerc = options.takerFeePerc ?? null; // Flat override in percent; per-symbol rates from the fee service otherwise
+    this.orderBookDepth = options.orderBookDepth || config.trading.orderBookDepth;
+    this.optimizeSizes = options.optimizeSizes !== undefined ? options.optimizeSizes : config.trading.optimizeTradeSize;
+    this.marketData = options.marketData || null; // REST, WebSocket cache, recorded file or in-memory; default provider if null
     this.config = options; // Store config for testnet check
     
     // Simple console logger
@@ -68,10 +81,23 @@ export class AdvancedTriangularArbitrage {
         }
       };
     }
+
+    // A custom endpoint (e.g. the mock exchange) wins over testnet/production
+    const overrides = getCcxtOverrides();
+    if (overrides) {
+      Object.assign(exchangeOptions, overrides);
+    }
     
     this.exchange = new ccxt[this.exchangeId](exchangeOptions);
+
+    // Re-prices opportunities with this engine's own depth walk right before execution
+    this.revalidator = new PreTradeRevalidator(this.exchange, {
+      simulate: (cycle, books, startAmount) => this.repriceCycle(cycle, books, startAmount)
+    });
     
+    this.paperExchange = null; // Dry runs trade on a paper account against the same books
     this.markets = null;
+    this.symbolFilters = new Map(); // symbol -> LOT_SIZE / PRICE_FILTER / MIN_NOTIONAL rules
     this.initialized = false;
     this.isRunning = false;
     this.statistics = {
@@ -94,6 +120,7 @@ export class AdvancedTriangularArbitrage {
       // For testnet, skip ALL CCXT operations and use direct API only
       if (this.config.testnet || this.config.enableSandboxMode) {
         this.logger.info('Testnet mode: Using direct API calls only (no CCXT operations)');
+        await this.loadSymbolFilters();
         this.initialized = true;
         this.logger.info('Advanced arbitrage engine initialized in testnet mode');
         return;
@@ -103,10 +130,12 @@ export class AdvancedTriangularArbitrage {
       this.logger.info('Production mode: Loading markets...');
       await this.exchange.loadMarkets();
       this.logger.info(`Loaded ${Object.keys(this.exchange.markets).length} markets`);
+      this.setSymbolFilters(buildSymbolFilterIndex(Object.values(this.exchange.markets)));
       
-      // Fetch trading fees
+      // Fetch trading fees into the shared fee service
       try {
         const fees = await this.exchange.fetchTradingFees();
+        feeService.ingestTradingFees(fees, this.exchange);
         this.logger.info('Trading fees fetched successfully');
       } catch (error) {
         this.logger.warn('Could not fetch trading fees, using defaults');
@@ -118,7 +147,29 @@ export class AdvancedTriangularArbitrage {
       this.logger.error('Failed to initialize exchange', { error: error.message });
       throw error;
     }
-  }  /**
+  }
+
+  /**
+   * Load symbol filters from exchangeInfo (used when ccxt markets are not loaded)
+   */
+  async loadSymbolFilters() {
+    try {
+      this.setSymbolFilters(await fetchSymbolFilters());
+    } catch (error) {
+      this.logger.warn('Could not load symbol filters, simulating without LOT_SIZE/MIN_NOTIONAL', error.message);
+    }
+  }
+
+  /**
+   * Replace the symbol filter index
+   * @param {Map<string, object>} filters - symbol -> parsed filters (see symbolFilters.js)
+   */
+  setSymbolFilters(filters) {
+    this.symbolFilters = filters;
+    this.logger.info(`Loaded filters for ${filters.size} symbols`);
+  }
+
+  /**
    * Convert to Decimal with proper precision
    */
   toDecimal(value) {
@@ -135,6 +186,13 @@ export class AdvancedTriangularArbitrage {
     return new Decimal(1).minus(new Decimal(feePerc).dividedBy(100));
   }
 
+  /**
+   * Taker fee for a symbol in percent (flat override, or the fee service's per-symbol rate)
+   */
+  getTakerFeePerc(symbol) {
+    return this.takerFeePerc !== null ? this.takerFeePerc : feeService.getFee(symbol) * 100;
+  }
+
   /**
    * Round value to market step size
    */
@@ -145,63 +203,27 @@ export class AdvancedTriangularArbitrage {
   }
 
   /**
-   * Safely fetch order book with retries
-   * Uses direct API call for testnet, CCXT for production
+   * Round value up to the next multiple of a step (tick) size
    */
-  async fetchOrderBookSafe(symbol, retries = 3) {
-    // Use direct API for testnet since CCXT doesn't support it properly
-    if (config.binance.useTestnet) {
-      return await this.fetchOrderBookDirect(symbol, retries);
-    }
-
-    // Use CCXT for production
-    for (let attempt = 1; attempt <= retries; attempt++) {
-      try {
-        const orderBook = await this.exchange.fetchOrderBook(symbol, 10); // Top 10 levels
-        return orderBook;
-      } catch (error) {
-        if (attempt === retries) {
-          console.warn(`\x1b[33m[WARN]\x1b[0m Failed to fetch orderbook for ${symbol}: ${error.message}`);
-          return null;
-        }
-        await new Promise(resolve => setTimeout(resolve, 500 * attempt)); // Exponential backoff
-      }
-    }
-    return null;
+  roundUpToStep(value, stepSize) {
+    if (!stepSize) return value;
+    const step = this.toDecimal(stepSize);
+    return this.toDecimal(value).dividedBy(step).ceil().times(step);
   }
 
   /**
-   * Fetch order book directly from Binance API (for testnet compatibility)
+   * Safely fetch order book through the market data provider
+   * @returns {Promise<Object|null>} Order book, or null if it could not be fetched
    */
-  async fetchOrderBookDirect(symbol, retries = 3) {
-    const baseUrl = getBaseUrl();
-    
-    for (let attempt = 1; attempt <= retries; attempt++) {
-      try {
-        const response = await axios.get(`${baseUrl}/depth`, {
-          params: { 
-            symbol, 
-            limit: 10 
-          },
-          timeout: 10000
-        });
+  async fetchOrderBookSafe(symbol, retries = 3, marketData = null) {
+    const provider = marketData || this.marketData || getMarketDataProvider();
 
-        // Convert to CCXT format
-        return {
-          bids: response.data.bids.map(([price, amount]) => [parseFloat(price), parseFloat(amount)]),
-          asks: response.data.asks.map(([price, amount]) => [parseFloat(price), parseFloat(amount)]),
-          timestamp: response.data.lastUpdateId,
-          datetime: new Date().toISOString()
-        };
-      } catch (error) {
-        if (attempt === retries) {
-          console.warn(`\x1b[33m[WARN]\x1b[0m Failed to fetch orderbook for ${symbol}: ${error.message}`);
-          return null;
-        }
-        await new Promise(resolve => setTimeout(resolve, 500 * attempt));
-      }
+    try {
+      return await provider.getOrderBook(symbol, this.orderBookDepth, { retries });
+    } catch (error) {
+      console.warn(`\x1b[33m[WARN]\x1b[0m Failed to fetch orderbook for ${symbol}: ${error.message}`);
+      return null;
     }
-    return null;
   }
 
   /**
@@ -244,101 +266,248 @@ export class AdvancedTriangularArbitrage {
   }
 
   /**
-   * Compute triangular arbitrage opportunity
-   * Path: A -> B -> C -> A
+   * Normalize order books to an array aligned with the cycle's pairs
+   * Accepts an array, or the legacy { obA_B, obB_C, obA_C } object for triangles.
+   */
+  normalizeOrderBooks(orderBooks) {
+    if (Array.isArray(orderBooks)) return orderBooks;
+    const { obA_B, obB_C, obA_C } = orderBooks;
+    return [obA_B, obB_C, obA_C];
+  }
+
+  /**
+   * Total base quantity that a quote amount buys when walking levels
+   */
+  baseForQuote(levels, quoteAmount) {
+    let remaining = quoteAmount;
+    let base = new Decimal(0);
+
+    for (const [priceRaw, qtyRaw] of levels) {
+      if (remaining.lte(0)) break;
+      const price = this.toDecimal(priceRaw);
+      const qty = this.toDecimal(qtyRaw);
+      const levelQuote = price.times(qty);
+
+      if (remaining.gte(levelQuote)) {
+        base = base.plus(qty);
+        remaining = remaining.minus(levelQuote);
+      } else {
+        base = base.plus(remaining.dividedBy(price));
+        remaining = new Decimal(0);
+      }
+    }
+
+    return base;
+  }
+
+  /**
+   * Fill an exact base quantity against book levels
+   * @returns {object} { filled, quote, worstPrice, levelsUsed }
+   */
+  fillBase(levels, baseQty) {
+    let remaining = baseQty;
+    let filled = new Decimal(0);
+    let quote = new Decimal(0);
+    let worstPrice = null;
+    let levelsUsed = 0;
+
+    for (const [priceRaw, qtyRaw] of levels) {
+      if (remaining.lte(0)) break;
+      const price = this.toDecimal(priceRaw);
+      const take = Decimal.min(remaining, this.toDecimal(qtyRaw));
+
+      filled = filled.plus(take);
+      quote = quote.plus(take.times(price));
+      remaining = remaining.minus(take);
+      worstPrice = price;
+      levelsUsed++;
+    }
+
+    return { filled, quote, worstPrice, levelsUsed };
+  }
+
+  /**
+   * Simulate one leg against full order book depth with the symbol's filters
+   * BUY spends `amount` quote on the asks, SELL sells `amount` base into the bids.
+   * Quantities are rounded down to LOT_SIZE stepSize and capped at maxQty; legs whose
+   * quantity or notional falls below minQty / minNotional are rejected.
+   * @returns {object} Leg result, or { rejected: reason } when the leg cannot be placed
+   */
+  walkLeg(book, action, amount, filters = {}, feePerc = this.getTakerFeePerc(null)) {
+    const feeMul = this.getFeeMultiplier(feePerc);
+    const levels = action === 'BUY' ? (book.asks || []) : (book.bids || []);
+    const maxQty = filters.marketMaxQty || filters.maxQty;
+
+    if (levels.length === 0) {
+      return { rejected: 'empty order book' };
+    }
+
+    // Base quantity the leg trades before filters
+    let targetQty = action === 'BUY'
+      ? this.baseForQuote(levels, amount)
+      : Decimal.min(amount, levels.reduce((sum, [, qty]) => sum.plus(this.toDecimal(qty)), new Decimal(0)));
+
+    if (maxQty && targetQty.gt(maxQty)) {
+      targetQty = this.toDecimal(maxQty);
+    }
+    targetQty = this.roundToStep(targetQty, filters.stepSize);
+
+    if (targetQty.lte(0)) {
+      return { rejected: 'quantity rounds to zero' };
+    }
+    if (filters.minQty && targetQty.lt(filters.minQty)) {
+      return { rejected: `quantity ${targetQty} below LOT_SIZE minQty ${filters.minQty}` };
+    }
+
+    const fill = this.fillBase(levels, targetQty);
+
+    if (filters.minNotional && fill.quote.lt(filters.minNotional)) {
+      return { rejected: `notional ${fill.quote} below MIN_NOTIONAL ${filters.minNotional}` };
+    }
+
+    // Limit price that would sweep the same levels, aligned to PRICE_FILTER tickSize
+    const limitPrice = action === 'BUY'
+      ? this.roundUpToStep(fill.worstPrice, filters.tickSize)
+      : this.roundToStep(fill.worstPrice, filters.tickSize);
+
+    const spent = action === 'BUY' ? fill.quote : fill.filled;
+    const gross = action === 'BUY' ? fill.filled : fill.quote;
+    const output = gross.times(feeMul);
+
+    return {
+      input: amount,
+      filledQty: fill.filled,
+      notional: fill.quote,
+      averagePrice: fill.quote.dividedBy(fill.filled),
+      limitPrice,
+      levelsUsed: fill.levelsUsed,
+      output,
+      fee: gross.minus(output),
+      feeRate: feePerc / 100,
+      unfilled: amount.minus(spent) // Left in the leg's `from` currency (book exhausted, step rounding)
+    };
+  }
+
+  /**
+   * Walk a cycle leg by leg through order book depth
+   * @param {Array<string>} path - Currencies visited, first === last
+   * @param {Array<string>} pairs - Pair traded on each leg
+   * @param {Array<object>} books - Order books aligned with pairs
+   * @param {Decimal} startAmount - Amount of the start currency
+   * @returns {object} { finalAmount, legs } or { rejected, pair } if a leg cannot be placed
+   */
+  walkCycle(path, pairs, books, startAmount) {
+    let amount = startAmount;
+    const legs = [];
+
+    for (let i = 0; i < pairs.length; i++) {
+      const from = path[i];
+      const to = path[i + 1];
+      const action = resolveLegAction(pairs[i], from, to);
+      const leg = this.walkLeg(books[i], action, amount, this.symbolFilters.get(pairs[i]), this.getTakerFeePerc(pairs[i]));
+
+      if (leg.rejected) {
+        return { rejected: leg.rejected, pair: pairs[i] };
+      }
+
+      legs.push({ pair: pairs[i], action, from, to, price: leg.averagePrice, ...leg });
+      amount = leg.output;
+    }
+
+    return { finalAmount: amount, legs };
+  }
+
+  /**
+   * Estimate the USD value of an amount of the start currency from the cycle's own prices
+   */
+  estimateUsdValue(amount, currency, legs) {
+    const stableCoins = ['USDT', 'BUSD', 'USDC', 'FDUSD', 'TUSD'];
+    if (stableCoins.includes(currency)) return amount.toNumber();
+
+    // First leg out of the start currency into a stablecoin gives a direct USD price
+    const usdLeg = legs.find(leg => leg.from === currency && stableCoins.includes(leg.to));
+    if (usdLeg) return amount.times(usdLeg.price).toNumber();
+
+    return amount.toNumber();
+  }
+
+  /**
+   * Compute arbitrage opportunity for a cycle of any length
+   * Path: A -> B -> C -> A (triangle) or A -> B -> C -> D -> A (quadrangle) ...
+   * Both the configured direction and its reverse are evaluated.
+   * Profit counts only what returns to the start currency; amounts left behind
+   * by exhausted books or step rounding are reported per step as `unfilled`.
    * 
-   * @param {object} triangle - Triangle configuration with pairs
-   * @param {object} orderBooks - Order books for all three pairs
+   * @param {object} triangle - Cycle configuration { path, pairs }
+   * @param {Array|object} orderBooks - Order books aligned with triangle.pairs
+   * @param {string|number} startAmount - Amount of the start currency (default: baseAmount)
+   * @param {object} options - { quiet } - no rejection warning (size searches try many amounts)
    * @returns {object|null} Opportunity details or null
    */
-  computeTriangleOpportunity(triangle, orderBooks) {
+  computeTriangleOpportunity(triangle, orderBooks, startAmount = this.baseAmount, options = {}) {
     try {
-      const { obA_B, obB_C, obA_C } = orderBooks;
+      validateCycle(triangle);
 
-      // Extract prices
-      const bidA_B = this.getBestBid(obA_B);
-      const askA_B = this.getBestAsk(obA_B);
-      const bidB_C = this.getBestBid(obB_C);
-      const askB_C = this.getBestAsk(obB_C);
-      const bidA_C = this.getBestBid(obA_C);
-      const askA_C = this.getBestAsk(obA_C);
-
-      if (!bidA_B || !askB_C || !bidA_C || !askA_B || !bidB_C || !askA_C) {
+      const books = this.normalizeOrderBooks(orderBooks);
+      if (books.length !== triangle.pairs.length || books.some(book => !book)) {
         return null;
       }
 
-      const feeMul = this.getFeeMultiplier(this.takerFeePerc);
-      const amountA = this.toDecimal(this.baseAmount);
+      const amountA = this.toDecimal(startAmount);
 
-      // Path 1: A -> B -> C -> A (Forward)
-      // Step 1: Sell A for B at bidA_B
-      const amountB = amountA.times(bidA_B).times(feeMul);
-      
-      // Step 2: Buy C with B at askA_C
-      const amountC = amountB.dividedBy(askA_C).times(feeMul);
-      
-      // Step 3: Sell C for A at bidB_C
-      const finalA_forward = amountC.times(bidB_C).times(feeMul);
+      // Path 1: configured direction (Forward)
+      const forward = this.walkCycle(triangle.path, triangle.pairs, books, amountA);
 
-      const profitForward = finalA_forward.minus(amountA);
-      const profitPercForward = profitForward.dividedBy(amountA).times(100);
+      // Path 2: same currencies traversed backwards (Reverse)
+      const reverse = this.walkCycle(
+        [...triangle.path].reverse(),
+        [...triangle.pairs].reverse(),
+        [...books].reverse(),
+        amountA
+      );
 
-      // Path 2: A -> C -> B -> A (Reverse)
-      // Step 1: Buy C with A at askB_C
-      const amountC2 = amountA.dividedBy(askB_C).times(feeMul);
-      
-      // Step 2: Sell C for B at bidA_C
-      const amountB2 = amountC2.times(bidA_C).times(feeMul);
-      
-      // Step 3: Buy A with B at askA_B
-      const finalA_reverse = amountB2.dividedBy(askA_B).times(feeMul);
+      if (forward.rejected && reverse.rejected) {
+        if (!options.quiet) this.logger.warn(`${triangle.path.join(' → ')} rejected: ${forward.pair} ${forward.rejected}`);
+        return null;
+      }
 
-      const profitReverse = finalA_reverse.minus(amountA);
-      const profitPercReverse = profitReverse.dividedBy(amountA).times(100);
+      const profitPerc = (walk) => walk.finalAmount.minus(amountA).dividedBy(amountA).times(100);
 
-      // Choose best direction
-      const isForwardBetter = profitPercForward.greaterThan(profitPercReverse);
-      const bestProfit = isForwardBetter ? profitForward : profitReverse;
-      const bestProfitPerc = isForwardBetter ? profitPercForward : profitPercReverse;
-      const bestFinalAmount = isForwardBetter ? finalA_forward : finalA_reverse;
+      // Choose best direction among the ones that pass the symbol filters
+      const isForwardBetter = !forward.rejected &&
+        (reverse.rejected || profitPerc(forward).greaterThanOrEqualTo(profitPerc(reverse)));
+      const best = isForwardBetter ? forward : reverse;
+      const bestProfit = best.finalAmount.minus(amountA);
+      const bestProfitPerc = profitPerc(best);
       const direction = isForwardBetter ? 'FORWARD' : 'REVERSE';
-
-      // Check liquidity
-      const liquidity = {
-        A_B: this.getAvailableLiquidity(obA_B),
-        B_C: this.getAvailableLiquidity(obB_C),
-        A_C: this.getAvailableLiquidity(obA_C)
-      };
+      const bestPath = best.legs.map(leg => leg.from).concat(triangle.path[0]);
+
+      // Prices and liquidity per pair
+      const prices = {};
+      const liquidity = {};
+      triangle.pairs.forEach((pair, i) => {
+        if (!this.getBestBid(books[i]) || !this.getBestAsk(books[i])) return;
+        prices[pair] = {
+          bid: this.getBestBid(books[i]).toString(),
+          ask: this.getBestAsk(books[i]).toString()
+        };
+        liquidity[pair] = this.getAvailableLiquidity(books[i]);
+      });
 
       return {
-        triangle: triangle.path.join(' → '),
-        pairs: triangle.pairs,
+        triangle: bestPath.join(' → '),
+        pairs: best.legs.map(leg => leg.pair),
         direction,
         startAmount: amountA.toString(),
-        endAmount: bestFinalAmount.toString(),
+        endAmount: best.finalAmount.toString(),
         profit: bestProfit.toString(),
         profitPct: bestProfitPerc.toNumber(),
-        profitUsd: bestProfit.times(bidA_B).toNumber(), // Approximate USD value
+        profitUsd: this.estimateUsdValue(bestProfit, triangle.path[0], best.legs),
         isProfitable: bestProfitPerc.greaterThanOrEqualTo(this.minProfitPerc),
-        prices: {
-          bidA_B: bidA_B.toString(),
-          askA_B: askA_B.toString(),
-          bidB_C: bidB_C.toString(),
-          askB_C: askB_C.toString(),
-          bidA_C: bidA_C.toString(),
-          askA_C: askA_C.toString()
-        },
+        prices,
         liquidity,
         timestamp: new Date().toISOString(),
-        steps: this.generateSteps(triangle, direction, isForwardBetter ? {
-          step1Price: bidA_B.toString(),
-          step2Price: askA_C.toString(),
-          step3Price: bidB_C.toString()
-        } : {
-          step1Price: askB_C.toString(),
-          step2Price: bidA_C.toString(),
-          step3Price: askA_B.toString()
-        })
+        steps: this.generateSteps(best.legs)
       };
     } catch (error) {
       console.error(`\x1b[31m[ERROR]\x1b[0m Error computing triangle:`, error.message);
@@ -347,89 +516,108 @@ export class AdvancedTriangularArbitrage {
   }
 
   /**
-   * Generate execution steps for the triangle
+   * Generate execution steps from the walked legs
    */
-  generateSteps(triangle, direction, prices) {
-    const steps = [];
-    const pairs = triangle.pairs;
-
-    if (direction === 'FORWARD') {
-      steps.push({
-        step: 1,
-        action: 'SELL',
-        pair: pairs[0],
-        from: triangle.path[0],
-        to: triangle.path[1],
-        price: prices.step1Price
-      });
-      steps.push({
-        step: 2,
-        action: 'BUY',
-        pair: pairs[2],
-        from: triangle.path[1],
-        to: triangle.path[2],
-        price: prices.step2Price
-      });
-      steps.push({
-        step: 3,
-        action: 'SELL',
-        pair: pairs[1],
-        from: triangle.path[2],
-        to: triangle.path[0],
-        price: prices.step3Price
-      });
-    } else {
-      steps.push({
-        step: 1,
-        action: 'BUY',
-        pair: pairs[1],
-        from: triangle.path[0],
-        to: triangle.path[2],
-        price: prices.step1Price
-      });
-      steps.push({
-        step: 2,
-        action: 'SELL',
-        pair: pairs[2],
-        from: triangle.path[2],
-        to: triangle.path[1],
-        price: prices.step2Price
-      });
-      steps.push({
-        step: 3,
-        action: 'BUY',
-        pair: pairs[0],
-        from: triangle.path[1],
-        to: triangle.path[0],
-        price: prices.step3Price
-      });
-    }
+  generateSteps(legs) {
+    return legs.map((leg, i) => ({
+      step: i + 1,
+      action: leg.action,
+      pair: leg.pair,
+      from: leg.from,
+      to: leg.to,
+      input: leg.input.toString(),
+      output: leg.output.toString(),
+      price: leg.price.toString(),
+      limitPrice: leg.limitPrice.toString(),
+      quantity: leg.filledQty.toString(),
+      notional: leg.notional.toString(),
+      fee: leg.fee.toString(),
+      feeRate: leg.feeRate,
+      unfilled: leg.unfilled.toString(),
+      levelsUsed: leg.levelsUsed
+    }));
+  }
+
+  /**
+   * Smallest start amount that clears every leg's MIN_NOTIONAL, scaled from a reference opportunity
+   * @param {object} opportunity - Result of computeTriangleOpportunity
+   * @returns {number} Minimum start amount in the start currency (0 if no leg has a minimum)
+   */
+  estimateMinStartAmount(opportunity) {
+    const start = this.toDecimal(opportunity.startAmount);
+
+    return opportunity.steps.reduce((minStart, step) => {
+      const filters = this.symbolFilters.get(step.pair);
+      if (!filters || !filters.minNotional || this.toDecimal(step.notional).isZero()) return minStart;
+
+      // Notional scales linearly with the start amount until depth runs out
+      const required = this.toDecimal(filters.minNotional).times(start).dividedBy(step.notional).toNumber();
+      return Math.max(minStart, required);
+    }, 0);
+  }
 
-    return steps;
+  /**
+   * Search for the start amount that maximises USD profit on the given books
+   * @param {object} triangle - Cycle configuration { path, pairs }
+   * @param {Array|object} orderBooks - Order books aligned with triangle.pairs
+   * @param {object} options - { minSize, maxSize } in the start currency, passed on to optimizeTradeSize
+   * @returns {object|null} { optimalSize, profitAtOptimal, profitPctAtOptimal, curve }
+   */
+  optimizeTradeSize(triangle, orderBooks, options = {}) {
+    const reference = this.computeTriangleOpportunity(triangle, orderBooks);
+    if (!reference) return null;
+
+    // Config bounds are in USD; convert when the cycle starts in a non-stable currency
+    const profit = parseFloat(reference.profit);
+    const usdPerUnit = profit !== 0 && reference.profitUsd !== profit ? reference.profitUsd / profit : 1;
+
+    const minSize = options.minSize || Math.max(
+      config.trading.minTradeAmountUSDT / usdPerUnit,
+      this.estimateMinStartAmount(reference) * 1.01 // Margin for price movement between legs
+    );
+    const maxSize = options.maxSize || config.trading.maxTradeAmountUSDT / usdPerUnit;
+
+    return optimizeTradeSize((size) => {
+      const opportunity = this.computeTriangleOpportunity(triangle, orderBooks, size.toString(), { quiet: true });
+      if (!opportunity) return null;
+      return {
+        profitUsd: opportunity.profitUsd,
+        profitPct: opportunity.profitPct,
+        direction: opportunity.direction
+      };
+    }, { ...options, minSize, maxSize: Math.max(minSize, maxSize) });
   }
 
   /**
    * Evaluate all triangular opportunities
+   * @param {Array} triangles - Cycles to evaluate
+   * @param {MarketDataProvider} marketData - Order book source for this pass (engine default if omitted)
    */
-  async evaluateAllTriangles(triangles) {
+  async evaluateAllTriangles(triangles, marketData = null) {
     const opportunities = [];
 
     for (const triangle of triangles) {
       try {
-        // Fetch order books for all three pairs
-        const [obA_B, obB_C, obA_C] = await Promise.all([
-          this.fetchOrderBookSafe(triangle.pairs[0]),
-          this.fetchOrderBookSafe(triangle.pairs[1]),
-          this.fetchOrderBookSafe(triangle.pairs[2])
-        ]);
-
-        if (!obA_B || !obB_C || !obA_C) {
+        // Fetch order books for every leg of the cycle
+        const orderBooks = await Promise.all(
+          triangle.pairs.map(pair => this.fetchOrderBookSafe(pair, 3, marketData))
+        );
+
+        if (orderBooks.some(book => !book)) {
           continue;
         }
 
-        const opportunity = this.computeTriangleOpportunity(triangle, {
-          obA_B, obB_C, obA_C
-        });
+        const opportunity = this.computeTriangleOpportunity(triangle, orderBooks);
+
+        if (opportunity && this.optimizeSizes) {
+          const sizing = this.optimizeTradeSize(triangle, orderBooks);
+          if (sizing) {
+            opportunity.optimalSize = sizing.optimalSize;
+            opportunity.profitAtOptimal = sizing.profitAtOptimal;
+            opportunity.profitPctAtOptimal = sizing.profitPctAtOptimal;
+            opportunity.sizeCurve = sizing.curve;
+          }
+        }
 
         if (opportunity) {
           opportunities.push(opportunity);
@@ -452,49 +640,83 @@ export class AdvancedTriangularArbitrage {
   }
 
   /**
-   * Execute triangular arbitrage trade (if not dry run)
+   * Profit of a cycle walked through fresh books (for pre-trade revalidation)
+   * @returns {object} { profitPct, finalAmount } - a leg the filters reject prices the cycle at -100%
+   */
+  repriceCycle(cycle, books, startAmount) {
+    const amount = this.toDecimal(startAmount);
+    const walk = this.walkCycle(cycle.path, cycle.pairs, books, amount);
+    if (walk.rejected) {
+      return { profitPct: -100, rejected: `${walk.pair}: ${walk.rejected}` };
+    }
+    return {
+      profitPct: walk.finalAmount.minus(amount).dividedBy(amount).times(100).toNumber(),
+      finalAmount: walk.finalAmount.toString()
+    };
+  }
+
+  /**
+   * Paper account used by dry runs (created on first use, balances persist across runs)
+   */
+  getPaperExchange() {
+    if (!this.paperExchange) {
+      this.paperExchange = new PaperExchange({ source: this.exchange, marketData: this.marketData });
+    }
+    return this.paperExchange;
+  }
+
+  /**
+   * Execute triangular arbitrage trade (on the paper account in dry run)
+   * Risk control must allow a new cycle, then the cycle is re-priced from fresh books and
+   * abandoned if its edge has decayed.
    */
   async executeTrade(opportunity) {
-    if (this.dryRun) {
-      console.log(`\x1b[33m[DRY-RUN]\x1b[0m Would execute trade: ${opportunity.triangle}`);
-      return {
-        success: true,
-        dryRun: true,
-        opportunity
-      };
+    const entry = riskControl.canEnter();
+    if (!entry.allowed) {
+      console.warn(`\x1b[33m[RISK]\x1b[0m Skipping ${opportunity.triangle}: ${entry.reason}`);
+      return { success: false, aborted: true, error: entry.reason, opportunity };
     }
 
     try {
-      console.log(`\x1b[35m[TRADE]\x1b[0m \x1b[36m>>>\x1b[0m Executing ${opportunity.triangle}...`);
-      
-      const orders = [];
-      
-      // Execute each step sequentially
-      for (const step of opportunity.steps) {
-        const market = this.markets[step.pair];
-        if (!market) {
-          throw new Error(`Market ${step.pair} not found`);
-        }
+      await this.exchange.loadMarkets();
+      const revalidation = await this.revalidator.revalidate(opportunity, opportunity.startAmount);
+      if (!revalidation.ok) {
+        return {
+          success: false,
+          aborted: true,
+          error: revalidation.reason,
+          revalidation,
+          opportunity
+        };
+      }
+    } catch (error) {
+      console.error(`\x1b[31m[ERROR]\x1b[0m Revalidation failed:`, error.message);
+      return { success: false, aborted: true, error: error.message, opportunity };
+    }
 
-        // Calculate order amount based on step
-        let amount = this.baseAmount;
-        if (step.step > 1) {
-          // Use output from previous step
-          amount = orders[orders.length - 1].filled || amount;
-        }
+    const exchange = this.dryRun ? this.getPaperExchange() : this.exchange;
+    const orders = [];
 
-        // Round to market precision
-        const roundedAmount = this.roundToStep(amount, market.limits.amount.min);
+    try {
+      console.log(this.dryRun
+        ? `\x1b[33m[DRY-RUN]\x1b[0m \x1b[36m>>>\x1b[0m Paper trading ${opportunity.triangle}...`
+        : `\x1b[35m[TRADE]\x1b[0m \x1b[36m>>>\x1b[0m Executing ${opportunity.triangle}...`);
+      
+      const sizer = new LegSizer(exchange);
+      let amount = parseFloat(opportunity.startAmount);
 
-        // Place order
-        const order = await this.exchange.createMarketOrder(
-          step.pair,
-          step.action.toLowerCase(),
-          roundedAmount.toString()
-        );
+      // Execute each step sequentially, each spending exactly what the previous one delivered
+      for (const [leg, step] of opportunity.steps.entries()) {
+        const symbol = exchange.market(step.pair).symbol;
+
+        // Quote-denominated buys use quoteOrderQty, sells are rounded to the LOT_SIZE step
+        const sized = await sizer.size(symbol, step.action.toLowerCase(), amount);
+        riskControl.checkOrder({ source: 'advanced', symbol, side: sized.side, asset: sized.from, amount: sized.input, leg });
+        const order = await sizer.place(sized);
+        amount = sizer.received(order, sized);
 
-        orders.push(order);
-        console.log(`\x1b[32m[ORDER]\x1b[0m Step ${step.step}: ${step.action} ${order.filled} ${step.pair}`);
+        orders.push({ ...order, received: amount });
+        console.log(`\x1b[32m[ORDER]\x1b[0m Step ${step.step}: ${step.action} ${symbol} spent ${sizer.spent(order, sized)} ${sized.from}, received ${amount} ${sized.to}`);
 
         // Small delay between orders
         await new Promise(resolve => setTimeout(resolve, 100));
@@ -503,18 +725,40 @@ export class AdvancedTriangularArbitrage {
       this.statistics.tradesExecuted++;
       this.statistics.profitGenerated = this.statistics.profitGenerated.plus(opportunity.profit);
 
+      const actualProfit = amount - parseFloat(opportunity.startAmount);
+      riskControl.recordCycle({
+        source: 'advanced',
+        pnlUsd: await riskControl.toUsd(actualProfit, opportunity.steps[0].from, exchange),
+        error: false
+      });
+
       return {
         success: true,
+        dryRun: this.dryRun,
+        paper: this.dryRun,
         orders,
         opportunity,
-        actualProfit: orders[orders.length - 1].filled - opportunity.startAmount
+        actualProfit
       };
     } catch (error) {
       console.error(`\x1b[31m[ERROR]\x1b[0m Trade execution failed:`, error.message);
       this.statistics.errors++;
+
+      // The engine does not unwind, so a failed cycle's loss is unknown: risk control counts the
+      // whole start amount as lost, unless it refused leg 1 (nothing traded)
+      if (!(error instanceof RiskLimitError && orders.length === 0)) {
+        riskControl.recordCycle({
+          source: 'advanced',
+          pnlUsd: null,
+          exposureUsd: await riskControl.toUsd(parseFloat(opportunity.startAmount), opportunity.steps[0].from, exchange),
+          error: true
+        });
+      }
       
       return {
         success: false,
+        dryRun: this.dryRun,
+        paper: this.dryRun,
         error: error.message,
         opportunity
       };
@@ -556,7 +800,7 @@ export class AdvancedTriangularArbitrage {
         
         // Execute best opportunity if found and conditions met
         const profitable = opportunities.filter(o => o.isProfitable);
-        if (profitable.length > 0 && !this.dryRun) {
+        if (profitable.length > 0 && (!this.dryRun || config.paper.enabled)) {
           const best = profitable.sort((a, b) => b.profitPct - a.profitPct)[0];
           await this.executeTrade(best);
         }
@@ -0,0 +1,213 @@
+// Fee Service
+// Per-symbol maker/taker rates, account VIP tier and BNB fee discount, from the exchange or a local fee file
+
+import fs from 'fs';
+import ccxt from 'ccxt';
+import { config, getCcxtOverrides } from '../../config/config.js';
+
+// Binance spot schedule (maker, taker) by VIP tier, used when per-symbol rates are unavailable
+const VIP_TIER_FEES = [
+  { maker: 0.001, taker: 0.001 },
+  { maker: 0.0009, taker: 0.001 },
+  { maker: 0.0008, taker: 0.001 },
+  { maker: 0.00042, taker: 0.0006 },
+  { maker: 0.00042, taker: 0.00054 },
+  { maker: 0.00036, taker: 0.00048 },
+  { maker: 0.0003, taker: 0.00042 },
+  { maker: 0.00024, taker: 0.00036 },
+  { maker: 0.00018, taker: 0.0003 },
+  { maker: 0.00012, taker: 0.00024 }
+];
+
+/**
+ * Fee Service
+ * Resolves the effective fee rate for a symbol and order type.
+ * When fees are paid in BNB the exchange charges the BNB balance instead of the received asset;
+ * simulators still deduct the discounted rate from the output, which is equivalent in value.
+ */
+export class FeeService {
+  constructor() {
+    this.defaultFees = { maker: config.fees.defaultMaker, taker: config.trading.takerFee };
+    this.symbolFees = new Map(); // symbol -> { maker, taker } before the BNB discount
+    this.vipTier = null;
+    this.payWithBnb = config.fees.payWithBnb === null ? false : config.fees.payWithBnb;
+    this.bnbDiscount = config.fees.bnbDiscount;
+    this.source = 'default';
+    this.loadedAt = null;
+  }
+
+  /**
+   * Load the fee schedule
+   * Offline mode (or no exchange access) reads the local fee file; otherwise the exchange is queried.
+   * @param {Object} options - { exchange } ccxt instance with API keys (one is created from config if omitted)
+   */
+  async load(options = {}) {
+    const canQueryExchange = !config.fees.offline &&
+      !config.binance.useTestnet && // Testnet has no fee or account-info endpoints
+      (options.exchange || (config.binance.apiKey && config.binance.apiSecret));
+
+    if (!canQueryExchange) {
+      this.loadFromFile(config.fees.feeFile);
+      return this.getSummary();
+    }
+
+    const exchange = options.exchange || new ccxt.binance({
+      apiKey: config.binance.apiKey,
+      secret: config.binance.apiSecret,
+      enableRateLimit: true,
+      ...getCcxtOverrides()
+    });
+
+    try {
+      if (!exchange.markets) {
+        await exchange.loadMarkets();
+      }
+      this.ingestTradingFees(await exchange.fetchTradingFees(), exchange);
+    } catch (error) {
+      console.warn(`⚠️  Could not fetch trading fees, using file/defaults: ${error.message}`);
+      this.loadFromFile(config.fees.feeFile);
+    }
+
+    await this.loadAccountInfo(exchange);
+    return this.getSummary();
+  }
+
+  /**
+   * Read VIP tier and BNB-burn status from the account
+   */
+  async loadAccountInfo(exchange) {
+    try {
+      const account = await exchange.sapiGetAccountInfo();
+      this.setVipTier(parseInt(account.vipLevel));
+    } catch (error) {
+      console.warn(`⚠️  Could not fetch VIP tier: ${error.message}`);
+    }
+
+    // Explicit configuration wins over the account flag
+    if (config.fees.payWithBnb !== null) return;
+
+    try {
+      const burn = await exchange.sapiGetBnbBurn();
+      this.payWithBnb = burn.spotBNBBurn === true || burn.spotBNBBurn === 'true';
+    } catch (error) {
+      console.warn(`⚠️  Could not fetch BNB fee setting: ${error.message}`);
+    }
+  }
+
+  /**
+   * Store the result of ccxt fetchTradingFees
+   * @param {Object} fees - ccxt symbol -> { maker, taker, info }
+   * @param {Object} exchange - ccxt instance used to map unified symbols to exchange ids
+   */
+  ingestTradingFees(fees, exchange = null) {
+    Object.entries(fees || {}).forEach(([symbol, fee]) => {
+      if (typeof fee.maker !== 'number' || typeof fee.taker !== 'number') return;
+
+      let id = fee.info && fee.info.symbol;
+      if (!id && exchange && exchange.markets && exchange.markets[symbol]) {
+        id = exchange.markets[symbol].id;
+      }
+      this.symbolFees.set(id || symbol.replace('/', ''), { maker: fee.maker, taker: fee.taker });
+    });
+
+    this.source = 'exchange';
+    this.loadedAt = new Date();
+    console.log(`💸 Loaded trading fees for ${this.symbolFees.size} symbols`);
+  }
+
+  /**
+   * Load the fee schedule from a JSON file
+   * Format: { vipTier, payWithBnb, bnbDiscount, default: { maker, taker }, symbols: { BTCUSDT: { maker, taker } } }
+   */
+  loadFromFile(filePath) {
+    if (!filePath) {
+      console.log('💸 No fee file configured, using default fees');
+      return false;
+    }
+    if (!fs.existsSync(filePath)) {
+      console.warn(`⚠️  Fee file ${filePath} not found, using default fees`);
+      return false;
+    }
+
+    try {
+      const schedule = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+      if (Number.isInteger(schedule.vipTier)) this.setVipTier(schedule.vipTier);
+      if (schedule.default) this.defaultFees = { ...this.defaultFees, ...schedule.default };
+      if (typeof schedule.payWithBnb === 'boolean' && config.fees.payWithBnb === null) {
+        this.payWithBnb = schedule.payWithBnb;
+      }
+      if (typeof schedule.bnbDiscount === 'number') this.bnbDiscount = schedule.bnbDiscount;
+
+      Object.entries(schedule.symbols || {}).forEach(([symbol, fee]) => {
+        this.symbolFees.set(symbol, { ...this.defaultFees, ...fee });
+      });
+
+      this.source = 'file';
+      this.loadedAt = new Date();
+      console.log(`💸 Loaded fee schedule from ${filePath} (${this.symbolFees.size} symbols)`);
+      return true;
+    } catch (error) {
+      console.error(`❌ Invalid fee file ${filePath}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Set the account VIP tier; tier rates become the default for symbols without their own rate
+   */
+  setVipTier(tier) {
+    if (!Number.isInteger(tier) || tier < 0) return;
+    this.vipTier = tier;
+    this.defaultFees = { ...VIP_TIER_FEES[Math.min(tier, VIP_TIER_FEES.length - 1)] };
+  }
+
+  /**
+   * Get the effective fee rate for a symbol
+   * @param {string} symbol - Binance symbol (e.g., 'BTCUSDT'); null for the account default
+   * @param {string} type - 'taker' or 'maker'
+   * @returns {number} Fee rate as a fraction (0.001 = 0.1%)
+   */
+  getFee(symbol = null, type = 'taker') {
+    const fees = (symbol && this.symbolFees.get(symbol)) || this.defaultFees;
+    const rate = type === 'maker' ? fees.maker : fees.taker;
+    return this.payWithBnb ? rate * (1 - this.bnbDiscount) : rate;
+  }
+
+  /**
+   * Get the multiplier that turns a gross amount into the amount kept after fees
+   */
+  getFeeMultiplier(symbol = null, type = 'taker') {
+    return 1 - this.getFee(symbol, type);
+  }
+
+  /**
+   * Summary for logging and health checks
+   */
+  getSummary() {
+    return {
+      source: this.source,
+      vipTier: this.vipTier,
+      payWithBnb: this.payWithBnb,
+      bnbDiscount: this.bnbDiscount,
+      defaultTaker: this.getFee(null, 'taker'),
+      defaultMaker: this.getFee(null, 'maker'),
+      symbols: this.symbolFees.size,
+      loadedAt: this.loadedAt
+    };
+  }
+}
+
+// Create singleton instance
+export const feeService = new FeeService();
+
+// If run directly (for testing)
+if (import.meta.url === `file://${process.argv[1]}`) {
+  console.log('🚀 Testing Fee Service...\n');
+
+  const summary = await feeService.load();
+  console.log('📊 Fee schedule:', summary);
+  ['BTCUSDT', 'ETHBTC', 'BNBUSDT'].forEach(symbol => {
+    console.log(`${symbol}: taker ${(feeService.getFee(symbol) * 100).toFixed(4)}% | maker ${(feeService.getFee(symbol, 'maker') * 100).toFixed(4)}%`);
+  });
+}
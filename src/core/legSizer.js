@@ -0,0 +1,170 @@
+// Leg Sizer
+// Turns "convert this much of one asset into another" into a correctly denominated, exchange-precise market order
+
+import { parseSymbolFilters } from './symbolFilters.js';
+import { simulateBuyWithQuote } from './triangularArbitrage.js';
+import { config } from '../../config/config.js';
+
+/**
+ * Leg Sizer
+ * A cycle leg always spends an amount of its `from` asset. How that maps onto an order
+ * depends on the leg's orientation in the market:
+ *   - SELL (from = base): the amount is a base quantity, floored to the LOT_SIZE step
+ *   - BUY (from = quote): the amount is quote to spend, sent as quoteOrderQty (ccxt `cost`)
+ *     so the exchange buys as much base as it buys; exchanges without cost-denominated
+ *     market buys get a base quantity priced from the current asks instead
+ * After the fill, received() gives what actually arrived net of any fee charged in the
+ * received asset, which is what the next leg spends.
+ */
+export class LegSizer {
+  /**
+   * @param {Object} exchange - ccxt exchange with markets loaded
+   */
+  constructor(exchange) {
+    this.exchange = exchange;
+  }
+
+  /**
+   * Market metadata and trading limits of a symbol
+   */
+  getMarket(symbol) {
+    const market = this.exchange.markets && this.exchange.markets[symbol];
+    if (!market) {
+      throw new Error(`Market ${symbol} not found`);
+    }
+    return market;
+  }
+
+  /**
+   * Orientation of a leg: which asset it spends and which it receives
+   * @param {string} symbol - ccxt symbol (e.g. 'BTC/USDT')
+   * @param {string} side - 'buy' or 'sell'
+   * @returns {Object} { symbol, side, base, quote, from, to }
+   */
+  orient(symbol, side) {
+    const { base, quote } = this.getMarket(symbol);
+    return side === 'buy'
+      ? { symbol, side, base, quote, from: quote, to: base }
+      : { symbol, side, base, quote, from: base, to: quote };
+  }
+
+  /**
+   * Minimum quantity, maximum market quantity and minimum notional of a symbol
+   * Binance filters from the raw market info win; other venues fall back to ccxt limits.
+   */
+  getLimits(symbol) {
+    const market = this.getMarket(symbol);
+    const filters = parseSymbolFilters((market.info && market.info.filters) || []);
+    const limits = market.limits || {};
+    const number = value => (value === null || value === undefined ? null : parseFloat(value));
+
+    return {
+      minQty: number(filters.minQty) ?? number(limits.amount && limits.amount.min),
+      maxQty: number(filters.marketMaxQty || filters.maxQty) ?? number(limits.amount && limits.amount.max),
+      minNotional: number(filters.minNotional) ?? number(limits.cost && limits.cost.min)
+    };
+  }
+
+  /**
+   * Size a market order that spends `amount` of the leg's from-asset
+   * @param {string} symbol - ccxt symbol
+   * @param {string} side - 'buy' or 'sell'
+   * @param {number} amount - Amount of the from-asset to spend
+   * @returns {Promise<Object>} Orientation plus { input, quantity, cost } - quantity (base) for
+   *   sells and fallback buys, cost (quote) for quote-denominated buys; input is the rounded spend
+   */
+  async size(symbol, side, amount) {
+    const leg = this.orient(symbol, side);
+    const limits = this.getLimits(symbol);
+
+    if (side === 'sell') {
+      let quantity = limits.maxQty ? Math.min(amount, limits.maxQty) : amount;
+      quantity = this.floorAmount(symbol, quantity);
+
+      if (quantity <= 0) {
+        throw new Error(`${amount} ${leg.base} rounds to zero on ${symbol}`);
+      }
+      if (limits.minQty && quantity < limits.minQty) {
+        throw new Error(`Quantity ${quantity} ${leg.base} below ${symbol} minimum ${limits.minQty}`);
+      }
+      return { ...leg, input: quantity, quantity, cost: null };
+    }
+
+    if (limits.minNotional && amount < limits.minNotional) {
+      throw new Error(`Spend ${amount} ${leg.quote} below ${symbol} minimum notional ${limits.minNotional}`);
+    }
+
+    if (this.exchange.has && this.exchange.has.createMarketBuyOrderWithCost) {
+      const cost = parseFloat(this.exchange.costToPrecision(symbol, amount));
+      if (!(cost > 0)) {
+        throw new Error(`${amount} ${leg.quote} rounds to zero on ${symbol}`);
+      }
+      return { ...leg, input: cost, quantity: null, cost };
+    }
+
+    // No cost-denominated market buys: buy the base the asks give for the spend, with headroom
+    // for the price moving before the order lands
+    const book = await this.exchange.fetchOrderBook(symbol, config.trading.orderBookDepth);
+    const { baseAcquired, averagePrice } = simulateBuyWithQuote(amount * (1 - config.execution.buyHeadroomPct / 100), book.asks);
+    const quantity = this.floorAmount(symbol, baseAcquired);
+
+    if (!(quantity > 0)) {
+      throw new Error(`${amount} ${leg.quote} buys no ${leg.base} on ${symbol}`);
+    }
+    if (limits.minQty && quantity < limits.minQty) {
+      throw new Error(`Quantity ${quantity} ${leg.base} below ${symbol} minimum ${limits.minQty}`);
+    }
+    return { ...leg, input: quantity * averagePrice, quantity, cost: null };
+  }
+
+  /**
+   * Round a base quantity down to the market's step size
+   */
+  floorAmount(symbol, amount) {
+    // ccxt truncates to the LOT_SIZE step; below one step it throws rather than returning 0
+    try {
+      return parseFloat(this.exchange.amountToPrecision(symbol, amount));
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  /**
+   * Place a sized leg as a market order
+   * @param {Object} sized - Result of size()
+   * @param {Object} params - Extra exchange params
+   * @returns {Promise<Object>} ccxt order
+   */
+  async place(sized, params = {}) {
+    if (sized.cost !== null) {
+      return await this.exchange.createMarketBuyOrderWithCost(sized.symbol, sized.cost, params);
+    }
+    return await this.exchange.createOrder(sized.symbol, 'market', sized.side, sized.quantity, undefined, params);
+  }
+
+  /**
+   * Amount of the from-asset an order actually spent (plus any fee charged in it)
+   */
+  spent(order, leg) {
+    const gross = leg.side === 'buy' ? order.cost : order.filled;
+    return (gross || 0) + this.feeIn(order, leg.from);
+  }
+
+  /**
+   * Amount of the to-asset an order actually delivered, net of any fee charged in it
+   */
+  received(order, leg) {
+    const gross = leg.side === 'buy' ? order.filled : order.cost;
+    return Math.max(0, (gross || 0) - this.feeIn(order, leg.to));
+  }
+
+  /**
+   * Total fee an order charged in one asset (BNB-paid fees count in neither leg asset)
+   */
+  feeIn(order, asset) {
+    const fees = order.fees && order.fees.length > 0 ? order.fees : (order.fee ? [order.fee] : []);
+    return fees
+      .filter(fee => fee && fee.currency === asset)
+      .reduce((sum, fee) => sum + (fee.cost || 0), 0);
+  }
+}
@@ -0,0 +1,334 @@
+// Maker-Leg Execution Model
+// Simulates cycles where one leg rests as a limit order and the rest fire as takers once it fills
+
+import axios from 'axios';
+import {
+  getOrderBook,
+  simulateBuyWithQuote,
+  simulateSellBaseForQuote,
+  resolveLegAction,
+  validateCycle
+} from './triangularArbitrage.js';
+import { feeService } from './feeService.js';
+import { config, getBaseUrl } from '../../config/config.js';
+
+const BASE_URL = getBaseUrl();
+
+/**
+ * Fetch recent trades and summarize the order flow that fills resting orders
+ * @param {string} symbol - Trading pair symbol
+ * @param {number} limit - Number of recent trades to sample
+ * @returns {Promise<Object>} Trade flow (see summarizeTradeFlow)
+ */
+export async function fetchTradeFlow(symbol, limit = 500) {
+  const response = await axios.get(`${BASE_URL}/trades`, {
+    params: { symbol, limit },
+    timeout: 10000
+  });
+  return summarizeTradeFlow(response.data);
+}
+
+/**
+ * Summarize raw trades into per-side arrival rates and volatility
+ * isBuyerMaker=true means a seller hit the bid, which is what fills a resting BUY.
+ * @param {Array} trades - Binance trades [{ price, qty, time, isBuyerMaker }]
+ * @returns {Object} { buy: { tradesPerSec, avgQty }, sell: { tradesPerSec, avgQty }, volatilityPerSqrtSec, sampleSeconds }
+ */
+export function summarizeTradeFlow(trades) {
+  if (!trades || trades.length < 2) {
+    return {
+      buy: { tradesPerSec: 0, avgQty: 0 },
+      sell: { tradesPerSec: 0, avgQty: 0 },
+      volatilityPerSqrtSec: 0,
+      sampleSeconds: 0
+    };
+  }
+
+  const first = trades[0].time;
+  const last = trades[trades.length - 1].time;
+  const seconds = Math.max((last - first) / 1000, 1);
+
+  // "buy" flow fills resting BUY orders (sellers hitting the bid), "sell" flow fills resting SELLs
+  const side = (isBuyerMaker) => {
+    const matching = trades.filter(t => t.isBuyerMaker === isBuyerMaker);
+    const volume = matching.reduce((sum, t) => sum + parseFloat(t.qty), 0);
+    return {
+      tradesPerSec: matching.length / seconds,
+      avgQty: matching.length > 0 ? volume / matching.length : 0
+    };
+  };
+
+  let squaredReturns = 0;
+  for (let i = 1; i < trades.length; i++) {
+    const r = Math.log(parseFloat(trades[i].price) / parseFloat(trades[i - 1].price));
+    squaredReturns += r * r;
+  }
+
+  return {
+    buy: side(true),
+    sell: side(false),
+    volatilityPerSqrtSec: Math.sqrt(squaredReturns / seconds),
+    sampleSeconds: seconds
+  };
+}
+
+/**
+ * Probability that a Poisson variable with mean `mean` reaches at least n
+ */
+function poissonTail(n, mean) {
+  if (n <= 0) return 1;
+  if (mean <= 0) return 0;
+
+  // Normal approximation for large counts keeps the sum bounded
+  if (n > 1000) {
+    const z = (n - 0.5 - mean) / Math.sqrt(mean);
+    return 0.5 * (1 - erf(z / Math.SQRT2));
+  }
+
+  let term = Math.exp(-mean);
+  let cumulative = term;
+  for (let k = 1; k < n; k++) {
+    term *= mean / k;
+    cumulative += term;
+  }
+  return Math.max(0, 1 - cumulative);
+}
+
+/**
+ * Error function (Abramowitz-Stegun 7.1.26)
+ */
+function erf(x) {
+  const sign = x < 0 ? -1 : 1;
+  const t = 1 / (1 + 0.3275911 * Math.abs(x));
+  const y = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return sign * y;
+}
+
+/**
+ * Infer the tick size from the spacing of book levels
+ */
+export function inferTickSize(book) {
+  const prices = [...(book.bids || []), ...(book.asks || [])]
+    .map(([price]) => parseFloat(price))
+    .sort((a, b) => a - b);
+
+  let tick = Infinity;
+  for (let i = 1; i < prices.length; i++) {
+    const diff = prices[i] - prices[i - 1];
+    if (diff > 0 && diff < tick) tick = diff;
+  }
+  return Number.isFinite(tick) ? Number(tick.toPrecision(6)) : null;
+}
+
+/**
+ * Choose the resting price and queue position for a maker leg
+ * 'touch' joins the best bid/ask behind its queue; 'inside' improves it by one tick
+ * (when the spread allows) and sits first in line.
+ * @returns {Object} { price, queueAhead, improved }
+ */
+export function chooseMakerPrice(book, action, priceMode = 'touch', tickSize = null) {
+  const bestBid = parseFloat(book.bids[0][0]);
+  const bestAsk = parseFloat(book.asks[0][0]);
+  const tick = tickSize || inferTickSize(book);
+
+  if (priceMode === 'inside' && tick && bestAsk - bestBid > tick * 1.5) {
+    return {
+      price: action === 'BUY' ? bestBid + tick : bestAsk - tick,
+      queueAhead: 0,
+      improved: true
+    };
+  }
+
+  return action === 'BUY'
+    ? { price: bestBid, queueAhead: parseFloat(book.bids[0][1]), improved: false }
+    : { price: bestAsk, queueAhead: parseFloat(book.asks[0][1]), improved: false };
+}
+
+/**
+ * Estimate the fill probability and time in queue of a resting order
+ * Opposite-side trades arrive as a Poisson process; the order fills once the
+ * traded volume clears the queue ahead of it plus its own quantity.
+ * @param {Object} params - { action, quantity, queueAhead, flow, horizonMs }
+ * @returns {Object} { fillProbability, expectedWaitMs, queueCostPct }
+ */
+export function estimateFillProbability({ action, quantity, queueAhead, flow, horizonMs }) {
+  const sideFlow = action === 'BUY' ? flow.buy : flow.sell;
+  const horizonSec = horizonMs / 1000;
+
+  if (!sideFlow || sideFlow.tradesPerSec <= 0 || sideFlow.avgQty <= 0) {
+    return { fillProbability: 0, expectedWaitMs: horizonMs, queueCostPct: 0 };
+  }
+
+  const volumeNeeded = queueAhead + quantity;
+  const tradesNeeded = Math.ceil(volumeNeeded / sideFlow.avgQty);
+  const fillProbability = poissonTail(tradesNeeded, sideFlow.tradesPerSec * horizonSec);
+
+  const volumeRate = sideFlow.tradesPerSec * sideFlow.avgQty;
+  const expectedWaitSec = Math.min(volumeNeeded / volumeRate, horizonSec);
+
+  // Expected adverse move of the remaining legs' prices while waiting in the queue
+  const queueCostPct = flow.volatilityPerSqrtSec * Math.sqrt(expectedWaitSec) * 100;
+
+  return {
+    fillProbability,
+    expectedWaitMs: expectedWaitSec * 1000,
+    queueCostPct
+  };
+}
+
+/**
+ * Simulate a cycle with one maker leg against loaded books
+ * Legs before the maker leg execute as takers first, the maker leg rests at its limit price,
+ * and the legs after it execute as takers once it fills.
+ * @param {Object} cycle - Cycle configuration { path, pairs }
+ * @param {Array} books - Order books aligned with cycle.pairs
+ * @param {number} startAmount - Starting amount in the first currency
+ * @param {Object} options - { makerLeg, priceMode, horizonMs, flow, tickSize }
+ * @returns {Object} Opportunity in scanner format with an `execution` block
+ */
+export function simulateMakerCycleFromBooks(cycle, books, startAmount = null, options = {}) {
+  validateCycle(cycle);
+
+  const {
+    makerLeg = config.execution.makerLeg,
+    priceMode = config.execution.makerPriceMode,
+    horizonMs = config.execution.makerTimeoutMs,
+    flow,
+    tickSize = null
+  } = options;
+
+  const { path, pairs } = cycle;
+  const initialAmount = startAmount || config.trading.tradeAmountUSDT;
+  const steps = [];
+  let currentAmount = initialAmount;
+  let makerOrder = null;
+  let preLegCostPct = 0;
+
+  pairs.forEach((pair, i) => {
+    const from = path[i];
+    const to = path[i + 1];
+    const book = books[i];
+    const action = resolveLegAction(pair, from, to);
+    const input = currentAmount;
+    const isMaker = i === makerLeg;
+    const feeRate = feeService.getFee(pair, isMaker ? 'maker' : 'taker');
+
+    let gross;
+    let price;
+    if (isMaker) {
+      makerOrder = chooseMakerPrice(book, action, priceMode, tickSize);
+      price = makerOrder.price;
+      gross = action === 'BUY' ? currentAmount / price : currentAmount * price;
+      makerOrder.quantity = action === 'BUY' ? gross : currentAmount;
+    } else if (action === 'BUY') {
+      const result = simulateBuyWithQuote(currentAmount, book.asks);
+      gross = result.baseAcquired;
+      price = result.averagePrice;
+    } else {
+      const result = simulateSellBaseForQuote(currentAmount, book.bids);
+      gross = result.quoteAcquired;
+      price = result.averagePrice;
+    }
+
+    // Undoing a pre-maker taker leg if the maker order never fills costs both fees plus the spread
+    if (i < makerLeg) {
+      const bestBid = parseFloat(book.bids[0][0]);
+      const bestAsk = parseFloat(book.asks[0][0]);
+      preLegCostPct += (feeRate * 2 + (bestAsk - bestBid) / bestBid) * 100;
+    }
+
+    currentAmount = gross * (1 - feeRate);
+    steps.push({
+      step: i + 1,
+      pair,
+      action,
+      orderType: isMaker ? 'LIMIT_MAKER' : 'MARKET',
+      from,
+      to,
+      input,
+      output: currentAmount,
+      price,
+      fee: gross - currentAmount,
+      feeRate
+    });
+  });
+
+  const profit = currentAmount - initialAmount;
+  const profitPct = (profit / initialAmount) * 100;
+
+  const fill = estimateFillProbability({
+    action: steps[makerLeg].action,
+    quantity: makerOrder.quantity,
+    queueAhead: makerOrder.queueAhead,
+    flow,
+    horizonMs
+  });
+
+  // Filled: cycle profit minus queue cost. Not filled: cancel, unwinding any pre-maker legs.
+  const expectedProfitPct = fill.fillProbability * (profitPct - fill.queueCostPct) -
+    (1 - fill.fillProbability) * preLegCostPct;
+
+  return {
+    triangle: path.join(' → '),
+    pairs,
+    startAmount: initialAmount,
+    endAmount: currentAmount,
+    profit,
+    profitPct,
+    isProfitable: expectedProfitPct > config.trading.minProfitThreshold &&
+      fill.fillProbability >= config.execution.minFillProbability,
+    steps,
+    timestamp: new Date(),
+    execution: {
+      mode: 'maker',
+      makerLeg,
+      priceMode,
+      limitPrice: makerOrder.price,
+      improvedTouch: makerOrder.improved,
+      queueAhead: makerOrder.queueAhead,
+      horizonMs,
+      fillProbability: fill.fillProbability,
+      expectedWaitMs: fill.expectedWaitMs,
+      queueCostPct: fill.queueCostPct,
+      expectedProfitPct
+    }
+  };
+}
+
+/**
+ * Simulate a maker-leg cycle with live order books and trade flow
+ * @param {Object} cycle - Cycle configuration { path, pairs }
+ * @param {number} startAmount - Starting amount in the first currency
+ * @param {Object} options - Passed to simulateMakerCycleFromBooks, plus { marketData } order book source
+ * @returns {Promise<Object|null>} Maker-mode opportunity or null on error
+ */
+export async function simulateMakerCycle(cycle, startAmount = null, options = {}) {
+  const makerLeg = options.makerLeg !== undefined ? options.makerLeg : config.execution.makerLeg;
+
+  try {
+    const [books, flow] = await Promise.all([
+      options.marketData
+        ? options.marketData.getOrderBooks(cycle.pairs, 20)
+        : Promise.all(cycle.pairs.map(pair => getOrderBook(pair, 20))),
+      options.flow ? Promise.resolve(options.flow) : fetchTradeFlow(cycle.pairs[makerLeg])
+    ]);
+
+    return simulateMakerCycleFromBooks(cycle, books, startAmount, { ...options, makerLeg, flow });
+  } catch (error) {
+    console.error(`❌ Error simulating maker cycle ${cycle.path.join(' → ')}:`, error.message);
+    return null;
+  }
+}
+
+// If run directly (for testing)
+if (import.meta.url === `file://${process.argv[1]}`) {
+  console.log('🚀 Testing Maker-Leg Execution Model...\n');
+
+  const result = await simulateMakerCycle(config.pairs.triangles[0]);
+  if (result) {
+    console.log(`📊 ${result.triangle}: ${result.profitPct.toFixed(4)}% if filled`);
+    console.log(`   Limit ${result.execution.limitPrice} on ${result.pairs[result.execution.makerLeg]}`);
+    console.log(`   Fill probability: ${(result.execution.fillProbability * 100).toFixed(1)}% | Wait: ${result.execution.expectedWaitMs.toFixed(0)}ms`);
+    console.log(`   Queue cost: ${result.execution.queueCostPct.toFixed(4)}% | Expected: ${result.execution.expectedProfitPct.toFixed(4)}%`);
+  }
+}
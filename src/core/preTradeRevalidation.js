@@ -0,0 +1,120 @@
+// Pre-Trade Revalidation
+// Re-prices an opportunity from fresh order books immediately before its first order is placed
+
+import { simulateCycleFromBooks } from './triangularArbitrage.js';
+import { config } from '../../config/config.js';
+
+/**
+ * Pre-Trade Revalidator
+ * Opportunities reach an executor after scanning, agent analysis and sometimes an AI review,
+ * so the books they were priced on can be seconds old. Before leg 1 the revalidator fetches
+ * every leg's book from the exchange that will trade it, re-runs the cycle simulation at the
+ * size about to be traded and compares the edge:
+ *   - a fresh edge below minEdgeRatio × the original edge aborts the trade
+ *   - a book older than maxBookAgeMs when the check completes aborts the trade (a slow or
+ *     retried fetch means the "fresh" price is already stale)
+ * Every check logs how much of the edge decayed since the opportunity was found.
+ */
+export class PreTradeRevalidator {
+  /**
+   * @param {Object} exchange - ccxt exchange the cycle will be executed on (markets loaded)
+   * @param {Object} options - { enabled, minEdgeRatio, maxBookAgeMs, depth, simulate }
+   *   simulate(cycle, books, startAmount) -> { profitPct } re-prices with the caller's own model
+   *   (default: simulateCycleFromBooks with the fee service's taker rates)
+   */
+  constructor(exchange, options = {}) {
+    const settings = config.execution.revalidation;
+    this.exchange = exchange;
+    this.enabled = options.enabled !== undefined ? options.enabled : settings.enabled;
+    this.minEdgeRatio = options.minEdgeRatio !== undefined ? options.minEdgeRatio : settings.minEdgeRatio;
+    this.maxBookAgeMs = options.maxBookAgeMs !== undefined ? options.maxBookAgeMs : settings.maxBookAgeMs;
+    this.depth = options.depth || config.trading.orderBookDepth;
+    this.simulate = options.simulate || simulateCycleFromBooks;
+  }
+
+  /**
+   * Fetch a leg's book, stamped with the exchange timestamp or else the time it was requested
+   */
+  async fetchBook(pair) {
+    const requestedAt = Date.now();
+    const symbol = this.exchange.market(pair).symbol;
+    const book = await this.exchange.fetchOrderBook(symbol, this.depth);
+    return { ...book, timestamp: book.timestamp || requestedAt };
+  }
+
+  /**
+   * Re-price an opportunity from fresh books
+   * @param {Object} opportunity - { triangle, steps: [{ pair, from, to }], profitPct, timestamp }
+   * @param {number} startAmount - Amount of the start currency about to be committed
+   * @param {Function} simulate - Pricing model for this opportunity (default: the revalidator's)
+   * @returns {Promise<Object>} { ok, reason, originalPct, freshPct, decayPct, retained, bookAgeMs, opportunityAgeMs, fresh }
+   */
+  async revalidate(opportunity, startAmount, simulate = this.simulate) {
+    if (!this.enabled) {
+      return { ok: true, skipped: true };
+    }
+
+    const steps = opportunity.steps;
+    const cycle = {
+      path: steps.map(step => step.from).concat(steps[steps.length - 1].to),
+      pairs: steps.map(step => step.pair)
+    };
+    const originalPct = Number(opportunity.profitPct);
+    const foundAt = opportunity.timestamp ? new Date(opportunity.timestamp).getTime() : null;
+
+    let books;
+    try {
+      books = await Promise.all(cycle.pairs.map(pair => this.fetchBook(pair)));
+    } catch (error) {
+      return this.report(opportunity, { ok: false, reason: `Could not fetch fresh books: ${error.message}`, originalPct });
+    }
+
+    const checkedAt = Date.now();
+    const bookAgeMs = checkedAt - Math.min(...books.map(book => book.timestamp));
+    const fresh = simulate(cycle, books, startAmount);
+    const freshPct = fresh.profitPct;
+
+    const result = {
+      ok: true,
+      reason: null,
+      originalPct,
+      freshPct,
+      decayPct: originalPct - freshPct,
+      retained: originalPct > 0 ? freshPct / originalPct : null,
+      bookAgeMs,
+      opportunityAgeMs: foundAt ? checkedAt - foundAt : null,
+      fresh
+    };
+
+    if (bookAgeMs > this.maxBookAgeMs) {
+      result.ok = false;
+      result.reason = `Fresh books are ${bookAgeMs}ms old (max ${this.maxBookAgeMs}ms)`;
+    } else if (freshPct <= 0 || freshPct < originalPct * this.minEdgeRatio) {
+      result.ok = false;
+      result.reason = `Edge decayed to ${freshPct.toFixed(4)}% (need ${(originalPct * this.minEdgeRatio).toFixed(4)}%, ` +
+        `${(this.minEdgeRatio * 100).toFixed(0)}% of ${originalPct.toFixed(4)}%)`;
+    }
+
+    return this.report(opportunity, result);
+  }
+
+  /**
+   * Log the outcome and edge decay of a check
+   */
+  report(opportunity, result) {
+    if (result.freshPct === undefined) {
+      console.warn(`⛔ Revalidation of ${opportunity.triangle} failed: ${result.reason}`);
+      return result;
+    }
+
+    const age = result.opportunityAgeMs !== null ? ` over ${result.opportunityAgeMs}ms` : '';
+    const retained = result.retained !== null ? ` (${(result.retained * 100).toFixed(1)}% retained)` : '';
+    console.log(`🔎 Revalidated ${opportunity.triangle}: edge ${result.originalPct.toFixed(4)}% → ${result.freshPct.toFixed(4)}%` +
+      `, decayed ${result.decayPct.toFixed(4)}%${age}${retained} | books ${result.bookAgeMs}ms old`);
+
+    if (!result.ok) {
+      console.warn(`⛔ Aborting ${opportunity.triangle}: ${result.reason}`);
+    }
+    return result;
+  }
+}
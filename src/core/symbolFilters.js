@@ -0,0 +1,95 @@
+// Symbol Filters
+// Parses Binance LOT_SIZE, PRICE_FILTER and MIN_NOTIONAL/NOTIONAL rules from exchangeInfo or ccxt market info
+
+import axios from 'axios';
+import { getBaseUrl } from '../../config/config.js';
+
+/**
+ * Binance reports disabled limits as zero, treat those as absent
+ */
+function positiveOrNull(value) {
+  if (value === undefined || value === null) return null;
+  return parseFloat(value) > 0 ? value.toString() : null;
+}
+
+/**
+ * Parse the raw Binance filter list of one symbol
+ * @param {Array} filters - exchangeInfo symbol.filters (also found at ccxt market.info.filters)
+ * @returns {Object} { stepSize, minQty, maxQty, marketMaxQty, tickSize, minPrice, maxPrice, minNotional, maxNotional } as strings or null
+ */
+export function parseSymbolFilters(filters = []) {
+  const parsed = {
+    stepSize: null,
+    minQty: null,
+    maxQty: null,
+    marketMaxQty: null,
+    tickSize: null,
+    minPrice: null,
+    maxPrice: null,
+    minNotional: null,
+    maxNotional: null
+  };
+
+  filters.forEach(filter => {
+    switch (filter.filterType) {
+      case 'LOT_SIZE':
+        parsed.stepSize = positiveOrNull(filter.stepSize);
+        parsed.minQty = positiveOrNull(filter.minQty);
+        parsed.maxQty = positiveOrNull(filter.maxQty);
+        break;
+      case 'MARKET_LOT_SIZE':
+        parsed.marketMaxQty = positiveOrNull(filter.maxQty);
+        break;
+      case 'PRICE_FILTER':
+        parsed.tickSize = positiveOrNull(filter.tickSize);
+        parsed.minPrice = positiveOrNull(filter.minPrice);
+        parsed.maxPrice = positiveOrNull(filter.maxPrice);
+        break;
+      case 'MIN_NOTIONAL':
+        if (filter.applyToMarket !== false) {
+          parsed.minNotional = positiveOrNull(filter.minNotional);
+        }
+        break;
+      case 'NOTIONAL':
+        if (filter.applyMinToMarket !== false) {
+          parsed.minNotional = positiveOrNull(filter.minNotional);
+        }
+        if (filter.applyMaxToMarket) {
+          parsed.maxNotional = positiveOrNull(filter.maxNotional);
+        }
+        break;
+      default:
+        break;
+    }
+  });
+
+  return parsed;
+}
+
+/**
+ * Build a symbol -> filters index from normalized or ccxt markets
+ * @param {Array} markets - [{ symbol, filters }] (triangle discovery) or ccxt markets ({ id, info: { filters } })
+ * @returns {Map<string, Object>} symbol -> parsed filters
+ */
+export function buildSymbolFilterIndex(markets) {
+  const index = new Map();
+
+  markets.forEach(market => {
+    const symbol = market.id || market.symbol;
+    const filters = market.filters || (market.info && market.info.filters);
+    if (symbol && Array.isArray(filters)) {
+      index.set(symbol, parseSymbolFilters(filters));
+    }
+  });
+
+  return index;
+}
+
+/**
+ * Fetch the filters of every symbol directly from Binance exchangeInfo
+ * @returns {Promise<Map<string, Object>>} symbol -> parsed filters
+ */
+export async function fetchSymbolFilters() {
+  const response = await axios.get(`${getBaseUrl()}/exchangeInfo`, { timeout: 15000 });
+  return buildSymbolFilterIndex(response.data.symbols);
+}
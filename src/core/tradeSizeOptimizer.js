@@ -0,0 +1,99 @@
+// Trade Size Optimizer
+// Searches start amounts for the size that maximises absolute profit against loaded order books
+
+import { config } from '../../config/config.js';
+
+const DEFAULT_GRID_POINTS = 20;
+const DEFAULT_REFINE_POINTS = 6;
+const DEFAULT_REFINE_ITERATIONS = 2;
+
+/**
+ * Geometric spacing between two sizes (profit curves span orders of magnitude)
+ */
+function geometricGrid(minSize, maxSize, points) {
+  if (points < 2 || minSize === maxSize) return [minSize];
+  const ratio = maxSize / minSize;
+  return Array.from({ length: points }, (_, i) => minSize * Math.pow(ratio, i / (points - 1)));
+}
+
+/**
+ * Linear spacing between two sizes, endpoints excluded
+ */
+function linearGrid(low, high, points) {
+  const step = (high - low) / (points + 1);
+  return Array.from({ length: points }, (_, i) => low + step * (i + 1));
+}
+
+/**
+ * Find the start amount that maximises expected USD profit
+ * A coarse geometric grid locates the peak, then the bracket around the best point
+ * is resampled linearly. Book depth makes the curve rise, flatten and then fall,
+ * and step rounding makes it jagged, so sampling is used instead of derivatives.
+ *
+ * @param {Function} evaluate - size -> { profitUsd, profitPct, direction? } or null when the size cannot be traded
+ * @param {Object} options - { minSize, maxSize, gridPoints, refinePoints, refineIterations }
+ * @returns {Object|null} { optimalSize, profitAtOptimal, profitPctAtOptimal, curve } or null if no size is tradable
+ */
+export function optimizeTradeSize(evaluate, options = {}) {
+  const {
+    minSize = config.trading.minTradeAmountUSDT,
+    maxSize = config.trading.maxTradeAmountUSDT,
+    gridPoints = DEFAULT_GRID_POINTS,
+    refinePoints = DEFAULT_REFINE_POINTS,
+    refineIterations = DEFAULT_REFINE_ITERATIONS
+  } = options;
+
+  if (!(minSize > 0) || !(maxSize >= minSize)) {
+    return null;
+  }
+
+  const curve = [];
+  const sampled = new Set();
+
+  const sample = (rawSize) => {
+    const size = Number(rawSize.toPrecision(8));
+    if (sampled.has(size)) return;
+    sampled.add(size);
+
+    const result = evaluate(size);
+    if (!result || !Number.isFinite(result.profitUsd)) return;
+
+    curve.push({
+      size,
+      profitUsd: result.profitUsd,
+      profitPct: result.profitPct,
+      ...(result.direction ? { direction: result.direction } : {})
+    });
+  };
+
+  const bestIndex = () => curve.reduce(
+    (best, point, i) => (point.profitUsd > curve[best].profitUsd ? i : best),
+    0
+  );
+
+  geometricGrid(minSize, maxSize, gridPoints).forEach(sample);
+
+  for (let iteration = 0; iteration < refineIterations && curve.length > 0; iteration++) {
+    curve.sort((a, b) => a.size - b.size);
+    const i = bestIndex();
+    const low = i > 0 ? curve[i - 1].size : curve[i].size;
+    const high = i < curve.length - 1 ? curve[i + 1].size : curve[i].size;
+    if (high > low) {
+      linearGrid(low, high, refinePoints).forEach(sample);
+    }
+  }
+
+  if (curve.length === 0) {
+    return null;
+  }
+
+  curve.sort((a, b) => a.size - b.size);
+  const best = curve[bestIndex()];
+
+  return {
+    optimalSize: best.size,
+    profitAtOptimal: best.profitUsd,
+    profitPctAtOptimal: best.profitPct,
+    curve
+  };
+}
@@ -1,53 +1,21 @@
 // Triangular Arbitrage Core Engine
-// Simulates triangular arbitrage with real order book data
+// Simulates triangular (and longer N-leg) arbitrage cycles with real order book data
 
-import axios from 'axios';
-import { config, getBaseUrl } from '../../config/config.js';
+import { feeService } from './feeService.js';
+import { getMarketDataProvider } from '../marketData/marketDataProvider.js';
+import { config } from '../../config/config.js';
 
-const BASE_URL = getBaseUrl();
-const TAKER_FEE = config.trading.takerFee;
-const MAKER_FEE = 0.00075; // 0.075% maker fee for limit orders
 const ORDER_BOOK_DEPTH = 100; // Reduced from 500 to improve API response time
 
 /**
- * Fetch order book from Binance with enhanced error handling and retries
+ * Fetch an order book through the default market data provider
  * @param {string} symbol - Trading pair symbol (e.g., 'BTCUSDT')
- * @param {number} limit - Order book depth (default 500 for better accuracy)
- * @param {number} retries - Number of retry attempts (default 3)
+ * @param {number} limit - Order book depth
+ * @param {number} retries - Number of retry attempts (REST provider only)
  * @returns {Promise<Object>} Order book with bids and asks
  */
 export async function getOrderBook(symbol, limit = ORDER_BOOK_DEPTH, retries = 3) {
-  for (let attempt = 1; attempt <= retries; attempt++) {
-    try {
-      const response = await axios.get(`${BASE_URL}/depth`, {
-        params: { symbol, limit },
-        timeout: 15000 // Increased to 15 second timeout for testnet reliability
-      });
-
-      // Validate response structure
-      if (!response.data || !response.data.bids || !response.data.asks) {
-        throw new Error('Invalid order book response structure');
-      }
-
-      return response.data;
-    } catch (error) {
-      const isLastAttempt = attempt === retries;
-      
-      // Only log warnings on retry attempts, not the final failure
-      if (!isLastAttempt) {
-        console.warn(`⚠️  Order book fetch attempt ${attempt}/${retries} failed for ${symbol}: ${error.message}`);
-      }
-
-      if (isLastAttempt) {
-        console.error(`❌ Failed to fetch order book for ${symbol} after ${retries} attempts`);
-        throw error;
-      }
-
-      // Exponential backoff with jitter
-      const backoffMs = 1000 * attempt + Math.random() * 1000;
-      await new Promise(resolve => setTimeout(resolve, backoffMs));
-    }
-  }
+  return getMarketDataProvider().getOrderBook(symbol, limit, { retries });
 }
 
 /**
@@ -126,149 +94,134 @@ export function simulateSellBaseForQuote(baseAmount, bids) {
 /**
  * Apply trading fee to an amount
  * @param {number} amount - Amount before fee
+ * @param {string} symbol - Trading pair whose rate applies (account default if omitted)
+ * @param {string} type - 'taker' or 'maker'
  * @returns {number} Amount after fee deduction
  */
-export function applyFee(amount) {
-  return amount * (1 - TAKER_FEE);
+export function applyFee(amount, symbol = null, type = 'taker') {
+  return amount * feeService.getFeeMultiplier(symbol, type);
+}
+
+/**
+ * Determine whether a leg buys or sells on its pair
+ * BUY when the pair is TO/FROM (spend quote for base), SELL when it is FROM/TO.
+ * @param {string} pair - Trading pair symbol (e.g., 'ETHBTC')
+ * @param {string} from - Currency held before the leg
+ * @param {string} to - Currency held after the leg
+ * @returns {string} 'BUY' or 'SELL'
+ */
+export function resolveLegAction(pair, from, to) {
+  if (pair === `${to}${from}`) return 'BUY';
+  if (pair === `${from}${to}`) return 'SELL';
+
+  // Fall back to suffix matching for symbols with separators or odd casing
+  return pair.endsWith(from) ? 'BUY' : 'SELL';
 }
 
 /**
- * Simulate a complete triangular arbitrage cycle
- * @param {Object} triangle - Triangle configuration { path, pairs }
+ * Validate a cycle definition { path, pairs } of any length
+ * @param {Object} cycle - Cycle configuration
+ * @throws {Error} If the path and pairs do not describe a closed cycle
+ */
+export function validateCycle(cycle) {
+  const { path, pairs } = cycle;
+
+  if (!Array.isArray(path) || !Array.isArray(pairs) || pairs.length < 2) {
+    throw new Error('Cycle needs a path and at least two pairs');
+  }
+  if (path.length !== pairs.length + 1) {
+    throw new Error(`Cycle path has ${path.length} currencies for ${pairs.length} pairs`);
+  }
+  if (path[0] !== path[path.length - 1]) {
+    throw new Error(`Cycle must end in its start currency (${path[0]})`);
+  }
+}
+
+/**
+ * Simulate a cycle of any length against order books that are already loaded
+ * @param {Object} cycle - Cycle configuration { path, pairs }
+ * @param {Array} books - Order books in the same order as cycle.pairs
  * @param {number} startAmount - Starting amount in first currency
- * @returns {Promise<Object>} Simulation results with profit calculation
+ * @returns {Object} Simulation results with profit calculation
  */
-export async function simulateTriangularCycle(triangle, startAmount = null) {
-  const { path, pairs } = triangle;
-  const initialAmount = startAmount || config.trading.tradeAmountUSDT;
+export function simulateCycleFromBooks(cycle, books, startAmount = null) {
+  validateCycle(cycle);
 
-  try {
-    // Fetch all order books in parallel
-    const [bookA, bookB, bookC] = await Promise.all([
-      getOrderBook(pairs[0]),
-      getOrderBook(pairs[1]),
-      getOrderBook(pairs[2])
-    ]);
-
-    const steps = [];
-    let currentAmount = initialAmount;
-    const startCurrency = path[0];
-
-    // Step 1: First trade
-    let result;
-    if (pairs[0].endsWith(startCurrency)) {
+  const { path, pairs } = cycle;
+  const initialAmount = startAmount || config.trading.tradeAmountUSDT;
+  const steps = [];
+  let currentAmount = initialAmount;
+
+  pairs.forEach((pair, i) => {
+    const from = path[i];
+    const to = path[i + 1];
+    const book = books[i];
+    const action = resolveLegAction(pair, from, to);
+    const input = currentAmount;
+
+    let gross;
+    let price;
+    if (action === 'BUY') {
       // Buying base with quote (e.g., USDT -> BTC in BTCUSDT)
-      result = simulateBuyWithQuote(currentAmount, bookA.asks);
-      currentAmount = applyFee(result.baseAcquired);
-      steps.push({
-        step: 1,
-        pair: pairs[0],
-        action: 'BUY',
-        from: startCurrency,
-        to: path[1],
-        input: initialAmount,
-        output: currentAmount,
-        price: result.averagePrice,
-        fee: result.baseAcquired - currentAmount
-      });
+      const result = simulateBuyWithQuote(currentAmount, book.asks);
+      gross = result.baseAcquired;
+      price = result.averagePrice;
     } else {
-      // Selling base for quote
-      result = simulateSellBaseForQuote(currentAmount, bookA.bids);
-      currentAmount = applyFee(result.quoteAcquired);
-      steps.push({
-        step: 1,
-        pair: pairs[0],
-        action: 'SELL',
-        from: startCurrency,
-        to: path[1],
-        input: initialAmount,
-        output: currentAmount,
-        price: result.averagePrice,
-        fee: result.quoteAcquired - currentAmount
-      });
+      // Selling base for quote (e.g., ETH -> USDT in ETHUSDT)
+      const result = simulateSellBaseForQuote(currentAmount, book.bids);
+      gross = result.quoteAcquired;
+      price = result.averagePrice;
     }
 
-    // Step 2: Second trade
-    const inputStep2 = currentAmount;
-    if (pairs[1].endsWith(path[1])) {
-      // Buying (e.g., BTC -> ETH in ETHBTC means buying ETH with BTC)
-      result = simulateBuyWithQuote(currentAmount, bookB.asks);
-      currentAmount = applyFee(result.baseAcquired);
-      steps.push({
-        step: 2,
-        pair: pairs[1],
-        action: 'BUY',
-        from: path[1],
-        to: path[2],
-        input: inputStep2,
-        output: currentAmount,
-        price: result.averagePrice,
-        fee: result.baseAcquired - currentAmount
-      });
-    } else {
-      result = simulateSellBaseForQuote(currentAmount, bookB.bids);
-      currentAmount = applyFee(result.quoteAcquired);
-      steps.push({
-        step: 2,
-        pair: pairs[1],
-        action: 'SELL',
-        from: path[1],
-        to: path[2],
-        input: inputStep2,
-        output: currentAmount,
-        price: result.averagePrice,
-        fee: result.quoteAcquired - currentAmount
-      });
-    }
+    currentAmount = applyFee(gross, pair);
+    steps.push({
+      step: i + 1,
+      pair,
+      action,
+      from,
+      to,
+      input,
+      output: currentAmount,
+      price,
+      fee: gross - currentAmount,
+      feeRate: feeService.getFee(pair)
+    });
+  });
 
-    // Step 3: Final trade back to start currency
-    const inputStep3 = currentAmount;
-    if (pairs[2].endsWith(startCurrency)) {
-      result = simulateSellBaseForQuote(currentAmount, bookC.bids);
-      currentAmount = applyFee(result.quoteAcquired);
-      steps.push({
-        step: 3,
-        pair: pairs[2],
-        action: 'SELL',
-        from: path[2],
-        to: startCurrency,
-        input: inputStep3,
-        output: currentAmount,
-        price: result.averagePrice,
-        fee: result.quoteAcquired - currentAmount
-      });
-    } else {
-      result = simulateBuyWithQuote(currentAmount, bookC.bids);
-      currentAmount = applyFee(result.baseAcquired);
-      steps.push({
-        step: 3,
-        pair: pairs[2],
-        action: 'BUY',
-        from: path[2],
-        to: startCurrency,
-        input: inputStep3,
-        output: currentAmount,
-        price: result.averagePrice,
-        fee: result.baseAcquired - currentAmount
-      });
-    }
+  const finalAmount = currentAmount;
+  const profit = finalAmount - initialAmount;
+  const profitPct = (profit / initialAmount) * 100;
+  const isProfitable = profitPct > config.trading.minProfitThreshold;
+
+  return {
+    triangle: path.join(' → '),
+    pairs,
+    startAmount: initialAmount,
+    endAmount: finalAmount,
+    profit,
+    profitPct,
+    isProfitable,
+    steps,
+    timestamp: new Date()
+  };
+}
+
+/**
+ * Simulate a complete arbitrage cycle (3 legs for a triangle, or longer paths)
+ * @param {Object} triangle - Cycle configuration { path, pairs }
+ * @param {number} startAmount - Starting amount in first currency
+ * @param {MarketDataProvider} marketData - Order book source (default provider if omitted)
+ * @returns {Promise<Object>} Simulation results with profit calculation
+ */
+export async function simulateTriangularCycle(triangle, startAmount = null, marketData = null) {
+  const { path, pairs } = triangle;
+  const provider = marketData || getMarketDataProvider();
 
-    const finalAmount = currentAmount;
-    const profit = finalAmount - initialAmount;
-    const profitPct = (profit / initialAmount) * 100;
-    const isProfitable = profitPct > config.trading.minProfitThreshold;
-
-    return {
-      triangle: path.join(' → '),
-      pairs,
-      startAmount: initialAmount,
-      endAmount: finalAmount,
-      profit,
-      profitPct,
-      isProfitable,
-      steps,
-      timestamp: new Date()
-    };
+  try {
+    // Fetch all order books in parallel
+    const books = await provider.getOrderBooks(pairs, ORDER_BOOK_DEPTH);
+
+    return simulateCycleFromBooks(triangle, books, startAmount);
 
   } catch (error) {
     console.error(`❌ Error simulating cycle ${path.join(' → ')}:`, error.message);
@@ -276,6 +229,9 @@ export async function simulateTriangularCycle(triangle, startAmount = null) {
   }
 }
 
+// Alias for callers working with quadrangular and longer paths
+export const simulateCycle = simulateTriangularCycle;
+
 /**
  * Print simulation results in a formatted way
  * @param {Object} result - Simulation result
@@ -63,10 +63,19 @@ export class MongoLogger {
       await tradesCol.createIndex({ startTime: -1 });
       await tradesCol.createIndex({ success: 1 });
       await tradesCol.createIndex({ actualProfitPct: -1 });
+      await tradesCol.createIndex({ paper: 1 });
+      await tradesCol.createIndex({ cycleId: 1 }); // Same id as the cycle journal and the Telegram alert
+      await tradesCol.createIndex({ 'reconciliation.status': 1 });
 
       // Performance indexes
       await performanceCol.createIndex({ date: -1 });
 
+      // Rebalance plan indexes
+      const rebalanceCol = this.db.collection(config.mongodb.collections.rebalancePlans);
+      await rebalanceCol.createIndex({ id: 1 }, { unique: true });
+      await rebalanceCol.createIndex({ createdAt: -1 });
+      await rebalanceCol.createIndex({ status: 1 });
+
       console.log('✅ Database indexes created');
     } catch (error) {
       console.error('⚠️  Error creating indexes:', error.message);
@@ -146,7 +155,8 @@ export class MongoLogger {
       const result = await collection.insertOne(document);
       
       const status = tradeResult.success ? '✅' : '❌';
-      console.log(`📝 ${status} Logged trade execution: ${tradeResult.opportunity.triangle}`);
+      const flagged = tradeResult.reconciliation && tradeResult.reconciliation.status === 'flagged' ? ' (reconciliation flagged)' : '';
+      console.log(`📝 ${status} Logged ${tradeResult.paper ? 'paper ' : ''}trade execution: ${tradeResult.opportunity.triangle}${flagged}`);
       
       return result.insertedId;
     } catch (error) {
@@ -155,6 +165,33 @@ export class MongoLogger {
     }
   }
 
+  /**
+   * Log an inventory rebalance plan
+   * Plans are upserted by id, so proposal and execution end up in one document.
+   */
+  async logRebalancePlan(plan) {
+    if (!this.isConnected) {
+      console.log('⚠️  MongoDB not connected, skipping log');
+      return null;
+    }
+
+    try {
+      const collection = this.db.collection(config.mongodb.collections.rebalancePlans);
+
+      await collection.updateOne(
+        { id: plan.id },
+        { $set: { ...plan, loggedAt: new Date() } },
+        { upsert: true }
+      );
+
+      console.log(`📝 Logged rebalance plan ${plan.id} (${plan.status})`);
+      return plan.id;
+    } catch (error) {
+      console.error('❌ Error logging rebalance plan:', error.message);
+      return null;
+    }
+  }
+
   /**
    * Get recent profitable opportunities
    */
@@ -268,7 +305,8 @@ export class MongoLogger {
       const tradesCol = this.db.collection(config.mongodb.collections.trades);
       const trades = await tradesCol
         .find({
-          startTime: { $gte: today, $lt: tomorrow }
+          startTime: { $gte: today, $lt: tomorrow },
+          paper: { $ne: true } // Paper trades are accounted separately
         })
         .toArray();
 
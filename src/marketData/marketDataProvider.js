@@ -0,0 +1,349 @@
+// Market Data Providers
+// One interface for order books and best bid/ask quotes: live REST, WebSocket cache, recorded file or in-memory
+
+import fs from 'fs';
+import axios from 'axios';
+import { config, getBaseUrl } from '../../config/config.js';
+
+const DEFAULT_DEPTH = 100;
+
+/**
+ * Market Data Provider interface
+ * Order books use the Binance REST shape: { bids: [[price, qty]], asks: [[price, qty]], lastUpdateId }
+ * with prices and quantities as strings (REST, file) or numbers (WebSocket cache). Quotes are keyed by symbol: { bid, ask, bidQty, askQty, timestamp }.
+ */
+export class MarketDataProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Get the order book for a symbol
+   * @param {string} symbol - Trading pair symbol (e.g., 'BTCUSDT')
+   * @param {number} limit - Number of levels per side
+   * @returns {Promise<Object>} Order book
+   */
+  async getOrderBook(symbol, limit = DEFAULT_DEPTH) {
+    throw new Error(`${this.name} provider does not implement getOrderBook`);
+  }
+
+  /**
+   * Get best bid/ask quotes
+   * @param {Array<string>} symbols - Symbols to return (all available if omitted)
+   * @returns {Promise<Map>} symbol -> { bid, ask, bidQty, askQty, timestamp }
+   */
+  async getBookTickers(symbols = null) {
+    throw new Error(`${this.name} provider does not implement getBookTickers`);
+  }
+
+  /**
+   * Get order books for several symbols, aligned with the input order
+   */
+  async getOrderBooks(symbols, limit = DEFAULT_DEPTH) {
+    return Promise.all(symbols.map(symbol => this.getOrderBook(symbol, limit)));
+  }
+}
+
+/**
+ * Convert raw bookTicker rows into the quote map
+ */
+function quotesFromBookTickers(rows, symbols = null) {
+  const wanted = symbols ? new Set(symbols) : null;
+  const now = Date.now();
+  const quotes = new Map();
+
+  rows.forEach(row => {
+    if (wanted && !wanted.has(row.symbol)) return;
+    quotes.set(row.symbol, {
+      bid: parseFloat(row.bidPrice),
+      ask: parseFloat(row.askPrice),
+      bidQty: parseFloat(row.bidQty),
+      askQty: parseFloat(row.askQty),
+      timestamp: now
+    });
+  });
+
+  return quotes;
+}
+
+/**
+ * Derive a quote from the top level of an order book
+ */
+function quoteFromOrderBook(book) {
+  if (!book || !book.bids || !book.asks || book.bids.length === 0 || book.asks.length === 0) return null;
+  return {
+    bid: parseFloat(book.bids[0][0]),
+    ask: parseFloat(book.asks[0][0]),
+    bidQty: parseFloat(book.bids[0][1]),
+    askQty: parseFloat(book.asks[0][1]),
+    timestamp: book.timestamp || Date.now()
+  };
+}
+
+/**
+ * Live Binance REST provider
+ */
+export class RestMarketDataProvider extends MarketDataProvider {
+  constructor(options = {}) {
+    super('rest');
+    this.baseUrl = options.baseUrl || null; // Resolved per request so config overrides apply
+    this.timeout = options.timeout || 15000; // Testnet can be slow
+    this.retries = options.retries || 3;
+  }
+
+  getUrl(path) {
+    return `${this.baseUrl || getBaseUrl()}${path}`;
+  }
+
+  /**
+   * Fetch order book with retries and exponential backoff
+   */
+  async getOrderBook(symbol, limit = DEFAULT_DEPTH, options = {}) {
+    const retries = options.retries || this.retries;
+
+    for (let attempt = 1; attempt <= retries; attempt++) {
+      try {
+        const response = await axios.get(this.getUrl('/depth'), {
+          params: { symbol, limit },
+          timeout: this.timeout
+        });
+
+        // Validate response structure
+        if (!response.data || !response.data.bids || !response.data.asks) {
+          throw new Error('Invalid order book response structure');
+        }
+
+        return response.data;
+      } catch (error) {
+        const isLastAttempt = attempt === retries;
+
+        // Only log warnings on retry attempts, not the final failure
+        if (!isLastAttempt) {
+          console.warn(`⚠️  Order book fetch attempt ${attempt}/${retries} failed for ${symbol}: ${error.message}`);
+        }
+
+        if (isLastAttempt) {
+          console.error(`❌ Failed to fetch order book for ${symbol} after ${retries} attempts`);
+          throw error;
+        }
+
+        // Exponential backoff with jitter
+        const backoffMs = 1000 * attempt + Math.random() * 1000;
+        await new Promise(resolve => setTimeout(resolve, backoffMs));
+      }
+    }
+  }
+
+  async getBookTickers(symbols = null) {
+    const response = await axios.get(this.getUrl('/ticker/bookTicker'), { timeout: 2000 });
+    return quotesFromBookTickers(response.data, symbols);
+  }
+}
+
+/**
+ * Provider backed by a WebSocketFeedManager's local order books
+ * Only books the feed reports in sync are served; symbols it does not track, or whose
+ * book is still syncing, go to the fallback provider.
+ */
+export class WebSocketMarketDataProvider extends MarketDataProvider {
+  constructor(feed, options = {}) {
+    super('websocket');
+    this.feed = feed;
+    this.fallback = options.fallback || null;
+  }
+
+  /**
+   * Local book for a symbol with numeric levels, or null if it is missing, out of sync or stale
+   */
+  getLocalBook(symbol, limit) {
+    if (!this.feed || !this.feed.isUsable(symbol)) return null;
+    return this.feed.getDepth(symbol, limit);
+  }
+
+  async getOrderBook(symbol, limit = DEFAULT_DEPTH) {
+    const book = this.getLocalBook(symbol, limit);
+    if (book && book.bids.length > 0 && book.asks.length > 0) return book;
+
+    if (this.fallback) return this.fallback.getOrderBook(symbol, limit);
+    throw new Error(`No WebSocket order book for ${symbol}`);
+  }
+
+  /**
+   * Quotes from synced local books, then from the feed's bookTicker cache
+   */
+  async getBookTickers(symbols = null) {
+    const cached = this.feed && this.feed.getBookTickers ? this.feed.getBookTickers() : new Map();
+    const tracked = this.feed ? [...new Set([...this.feed.symbols, ...cached.keys()])] : [];
+    const wanted = symbols || tracked;
+    const quotes = new Map();
+    const missing = [];
+
+    wanted.forEach(symbol => {
+      const quote = quoteFromOrderBook(this.getLocalBook(symbol, 1)) || cached.get(symbol);
+      if (quote) quotes.set(symbol, quote);
+      else missing.push(symbol);
+    });
+
+    // A full-market request is complete once the feed streams every book ticker
+    const coversMarket = this.feed && this.feed.tickerStreams && this.feed.tickerStreams.has('!bookTicker') && cached.size > 0;
+
+    // Untracked symbols (or a full-market request) come from the fallback
+    if (this.fallback && (missing.length > 0 || (!symbols && !coversMarket))) {
+      const fallbackQuotes = await this.fallback.getBookTickers(symbols ? missing : null);
+      fallbackQuotes.forEach((quote, symbol) => {
+        if (!quotes.has(symbol)) quotes.set(symbol, quote);
+      });
+    }
+
+    return quotes;
+  }
+}
+
+/**
+ * In-memory provider for tests and offline runs
+ */
+export class InMemoryMarketDataProvider extends MarketDataProvider {
+  constructor(data = {}) {
+    super('memory');
+    this.orderBooks = new Map(Object.entries(data.orderBooks || {}));
+    this.quotes = quotesFromBookTickers(data.bookTickers || []);
+  }
+
+  setOrderBook(symbol, book) {
+    this.orderBooks.set(symbol, book);
+  }
+
+  setBookTicker(symbol, quote) {
+    this.quotes.set(symbol, { timestamp: Date.now(), ...quote });
+  }
+
+  async getOrderBook(symbol, limit = DEFAULT_DEPTH) {
+    const book = this.orderBooks.get(symbol);
+    if (!book) throw new Error(`No order book for ${symbol}`);
+    return {
+      ...book,
+      bids: book.bids.slice(0, limit),
+      asks: book.asks.slice(0, limit)
+    };
+  }
+
+  async getBookTickers(symbols = null) {
+    const quotes = new Map();
+    const symbolsToRead = symbols || new Set([...this.quotes.keys(), ...this.orderBooks.keys()]);
+
+    symbolsToRead.forEach(symbol => {
+      const quote = this.quotes.get(symbol) || quoteFromOrderBook(this.orderBooks.get(symbol));
+      if (quote) quotes.set(symbol, quote);
+    });
+
+    return quotes;
+  }
+}
+
+/**
+ * Provider replaying a recorded JSON file
+ * The file holds one snapshot { orderBooks, bookTickers } or { frames: [snapshot, ...] };
+ * advance() moves to the next frame.
+ */
+export class RecordedMarketDataProvider extends InMemoryMarketDataProvider {
+  constructor(filePath) {
+    const recording = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const frames = recording.frames || [recording];
+
+    super(frames[0]);
+    this.name = 'file';
+    this.filePath = filePath;
+    this.frames = frames;
+    this.frameIndex = 0;
+  }
+
+  /**
+   * Load the next recorded frame
+   * @returns {boolean} False when the recording is exhausted
+   */
+  advance() {
+    if (this.frameIndex >= this.frames.length - 1) return false;
+
+    this.frameIndex++;
+    const frame = this.frames[this.frameIndex];
+    this.orderBooks = new Map(Object.entries(frame.orderBooks || {}));
+    this.quotes = quotesFromBookTickers(frame.bookTickers || []);
+    return true;
+  }
+
+  /**
+   * Record a snapshot from any provider into a file the recorded provider can replay
+   * @param {MarketDataProvider} source - Provider to read from
+   * @param {Array<string>} symbols - Symbols whose order books are captured
+   * @param {string} filePath - Destination file
+   * @param {number} limit - Order book depth
+   */
+  static async record(source, symbols, filePath, limit = DEFAULT_DEPTH) {
+    const books = await source.getOrderBooks(symbols, limit);
+    const quotes = await source.getBookTickers();
+
+    const snapshot = {
+      recordedAt: new Date().toISOString(),
+      source: source.name,
+      orderBooks: Object.fromEntries(symbols.map((symbol, i) => [symbol, books[i]])),
+      bookTickers: Array.from(quotes.entries()).map(([symbol, q]) => ({
+        symbol,
+        bidPrice: q.bid.toString(),
+        askPrice: q.ask.toString(),
+        bidQty: q.bidQty.toString(),
+        askQty: q.askQty.toString()
+      }))
+    };
+
+    fs.writeFileSync(filePath, JSON.stringify(snapshot, null, 2));
+    return snapshot;
+  }
+}
+
+/**
+ * Create a provider from a type name
+ * @param {string} type - rest | file | memory (WebSocket providers need a running feed, see WebSocketMarketDataProvider)
+ * @param {Object} options - { filePath, data, ...rest options }
+ */
+export function createMarketDataProvider(type = config.marketData.provider, options = {}) {
+  switch (type) {
+    case 'file':
+      return new RecordedMarketDataProvider(options.filePath || config.marketData.recordingFile);
+    case 'memory':
+      return new InMemoryMarketDataProvider(options.data);
+    case 'rest':
+      return new RestMarketDataProvider(options);
+    default:
+      throw new Error(`Unknown market data provider: ${type}`);
+  }
+}
+
+// Process-wide default, used by engines that are not given a provider explicitly
+let defaultProvider = null;
+
+/**
+ * Get the default provider (created from config on first use)
+ */
+export function getMarketDataProvider() {
+  if (!defaultProvider) {
+    defaultProvider = createMarketDataProvider();
+  }
+  return defaultProvider;
+}
+
+/**
+ * Replace the default provider (e.g. with the WebSocket cache once the feed is running)
+ */
+export function setMarketDataProvider(provider) {
+  defaultProvider = provider;
+}
+
+// If run directly, record a fixture from the live REST API
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const filePath = process.argv[2] || './market-data.json';
+  const symbols = [...new Set(config.pairs.triangles.flatMap(t => t.pairs))];
+
+  console.log(`🎥 Recording ${symbols.length} order books to ${filePath}...`);
+  await RecordedMarketDataProvider.record(new RestMarketDataProvider(), symbols, filePath);
+  console.log('✅ Recording complete');
+}
@@ -0,0 +1,1027 @@
+// Mock Binance Exchange
+// In-process spot exchange state: order books, balances and order matching driven by scripted or recorded scenarios
+
+import fs from 'fs';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import Decimal from 'decimal.js';
+import { config } from '../../config/config.js';
+
+const KNOWN_QUOTES = ['USDT', 'BUSD', 'USDC', 'FDUSD', 'TUSD', 'BTC', 'ETH', 'BNB', 'EUR', 'TRY', 'BRL', 'DAI'];
+const DEFAULT_BALANCES = { USDT: 10000, BTC: 0, ETH: 0, BNB: 0 };
+const DEFAULT_QUOTE_VOLUME = 1e9; // Reported 24h volume, high enough for triangle discovery filters
+
+/**
+ * Binance-style API error ({ code, msg } body)
+ */
+export class MockExchangeError extends Error {
+  constructor(code, msg, status = 400) {
+    super(msg);
+    this.name = 'MockExchangeError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * Deterministic PRNG (mulberry32) so synthetic scenarios replay identically
+ */
+function createRandom(seed = 1) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Split a symbol into base and quote assets by its quote suffix
+ */
+function splitSymbol(symbol) {
+  const quote = KNOWN_QUOTES.find(q => symbol.endsWith(q) && symbol.length > q.length);
+  if (!quote) return null;
+  return { baseAsset: symbol.slice(0, -quote.length), quoteAsset: quote };
+}
+
+/**
+ * Smallest power-of-ten increment that represents every price or quantity string given
+ */
+function inferIncrement(values) {
+  const decimals = values.reduce(
+    (max, value) => Math.max(max, (String(value).split('.')[1] || '').replace(/0+$/, '').length),
+    0
+  );
+  return new Decimal(10).pow(-decimals).toString();
+}
+
+/**
+ * Format a number to the decimals of a step size
+ */
+function formatToStep(value, step) {
+  const decimals = Math.max(0, new Decimal(step).decimalPlaces());
+  return new Decimal(value).toFixed(decimals, Decimal.ROUND_DOWN);
+}
+
+function isMultipleOf(value, step) {
+  return new Decimal(value).mod(step).isZero();
+}
+
+function format8(value) {
+  return new Decimal(value).toFixed(8, Decimal.ROUND_DOWN);
+}
+
+/**
+ * Mock Binance Exchange
+ * Order books come from scenario frames (explicit or recorded by RecordedMarketDataProvider)
+ * or from a seeded synthetic random walk. Market orders walk and consume the book; LIMIT and
+ * LIMIT_MAKER orders rest off-book and fill in full once the opposite touch reaches their price.
+ * Emits 'depth' { symbol, U, u, bids, asks } with changed levels whenever a book changes.
+ */
+export class MockBinanceExchange extends EventEmitter {
+  constructor(scenario = {}) {
+    super();
+    this.scenario = scenario;
+    this.reset();
+  }
+
+  /**
+   * Load a scenario from a JSON file
+   * Format: { name, balances, fees: { maker, taker }, symbols: { BTCUSDT: { baseAsset, quoteAsset, stepSize, tickSize, minQty, minNotional } },
+   *           frames: [{ orderBooks, bookTickers }] | orderBooks/bookTickers (single frame) | synthetic: { ... },
+   *           frameIntervalMs, loop }
+   */
+  static fromFile(filePath) {
+    const scenario = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return new MockBinanceExchange({ name: filePath, ...scenario });
+  }
+
+  /**
+   * Restore the scenario's initial books, balances and empty order history
+   */
+  reset() {
+    const scenario = this.scenario;
+
+    this.stop();
+    this.fees = { maker: 0.001, taker: 0.001, ...(scenario.fees || {}) };
+    this.balances = new Map();
+    Object.entries({ ...DEFAULT_BALANCES, ...(scenario.balances || {}) }).forEach(([asset, free]) => {
+      this.balances.set(asset, { free: new Decimal(free), locked: new Decimal(0) });
+    });
+
+    this.markets = new Map();
+    this.books = new Map(); // symbol -> { bids: [[price, qty]], asks: [[price, qty]], lastUpdateId } as numbers
+    this.tickers = new Map(); // Quote-only symbols (recorded bookTickers without a book)
+    this.orders = new Map();
+    this.trades = [];
+    this.nextOrderId = 1;
+    this.nextTradeId = 1;
+    this.frameIndex = 0;
+    this.synthetic = null;
+
+    this.frames = scenario.frames || (scenario.orderBooks || scenario.bookTickers
+      ? [{ orderBooks: scenario.orderBooks, bookTickers: scenario.bookTickers }]
+      : null);
+
+    if (scenario.synthetic) {
+      this.initSynthetic(scenario.synthetic);
+    }
+
+    this.registerMarkets();
+    this.applyFrame(this.frames ? this.frames[0] : this.generateSyntheticFrame(), false);
+  }
+
+  /**
+   * Register market metadata from the scenario or the symbols found in the books
+   */
+  registerMarkets() {
+    const definitions = this.scenario.symbols || {};
+    const symbols = new Set(Object.keys(definitions));
+
+    if (this.frames) {
+      this.frames.forEach(frame => {
+        Object.keys(frame.orderBooks || {}).forEach(s => symbols.add(s));
+        (frame.bookTickers || []).forEach(t => symbols.add(t.symbol));
+      });
+    } else {
+      this.syntheticSymbols.forEach(s => symbols.add(s));
+    }
+
+    symbols.forEach(symbol => {
+      const definition = definitions[symbol] || {};
+      const assets = definition.baseAsset ? definition : splitSymbol(symbol);
+      if (!assets) return;
+
+      const sample = this.sampleLevels(symbol);
+      const synthetic = this.synthetic ? this.syntheticFilters(symbol, assets) : {};
+
+      this.markets.set(symbol, {
+        symbol,
+        baseAsset: assets.baseAsset,
+        quoteAsset: assets.quoteAsset,
+        tickSize: definition.tickSize || synthetic.tickSize || (sample ? inferIncrement(sample.map(l => l[0])) : '0.00000001'),
+        stepSize: definition.stepSize || synthetic.stepSize || (sample ? inferIncrement(sample.map(l => l[1])) : '0.00000001'),
+        minQty: definition.minQty || null,
+        maxQty: definition.maxQty || '9000000',
+        minNotional: definition.minNotional || synthetic.minNotional || null
+      });
+    });
+  }
+
+  /**
+   * Every recorded price level of a symbol (used to infer tick and step sizes)
+   */
+  sampleLevels(symbol) {
+    if (!this.frames) return null;
+    const levels = this.frames.flatMap(frame => {
+      const book = frame.orderBooks && frame.orderBooks[symbol];
+      return book ? [...(book.bids || []), ...(book.asks || [])] : [];
+    });
+    return levels.length > 0 ? levels : null;
+  }
+
+  /**
+   * Set up the synthetic random-walk generator
+   * Options: { seed, prices: { BTC: 60000, ... } in USD, spreadBps, levels, levelNotionalUsd, volatilityBps, mispricingBps: { ETHBTC: 30 } }
+   */
+  initSynthetic(options) {
+    this.synthetic = {
+      spreadBps: 2,
+      levels: 20,
+      levelNotionalUsd: 5000,
+      volatilityBps: 3,
+      mispricingBps: {},
+      ...options,
+      prices: { USDT: 1, ...(options.prices || {}) }
+    };
+    this.random = createRandom(this.synthetic.seed || 1);
+    this.syntheticSymbols = this.scenario.symbols
+      ? Object.keys(this.scenario.symbols)
+      : [...new Set(config.pairs.triangles.flatMap(t => t.pairs))];
+  }
+
+  /**
+   * Tick and step sizes scaled to the synthetic price, min notional worth 5 USD
+   */
+  syntheticFilters(symbol, assets) {
+    const prices = this.synthetic.prices;
+    const mid = prices[assets.baseAsset] / prices[assets.quoteAsset];
+    const levelQty = this.synthetic.levelNotionalUsd / prices[assets.baseAsset];
+    if (!Number.isFinite(mid) || !Number.isFinite(levelQty)) return {};
+
+    return {
+      tickSize: new Decimal(10).pow(Math.floor(Math.log10(mid)) - 5).toString(),
+      stepSize: new Decimal(10).pow(Math.max(-8, Math.floor(Math.log10(levelQty)) - 3)).toString(),
+      minNotional: formatToStep(5 / prices[assets.quoteAsset], '0.00000001')
+    };
+  }
+
+  /**
+   * Generate one frame of synthetic order books from the current USD prices
+   */
+  generateSyntheticFrame() {
+    const { prices, spreadBps, levels, levelNotionalUsd, mispricingBps } = this.synthetic;
+    const orderBooks = {};
+
+    this.syntheticSymbols.forEach(symbol => {
+      const market = this.markets.get(symbol);
+      if (!market || !prices[market.baseAsset] || !prices[market.quoteAsset]) return;
+
+      const mid = prices[market.baseAsset] / prices[market.quoteAsset] * (1 + (mispricingBps[symbol] || 0) / 10000);
+      const tick = new Decimal(market.tickSize);
+      const levelGap = Decimal.max(tick, tick.times(Math.round(mid / 10000 / tick.toNumber()))); // ~1 bp per level
+      const bestBid = new Decimal(mid * (1 - spreadBps / 20000)).dividedBy(tick).floor().times(tick);
+      const bestAsk = Decimal.max(bestBid.plus(tick), new Decimal(mid * (1 + spreadBps / 20000)).dividedBy(tick).ceil().times(tick));
+      const baseQty = levelNotionalUsd / prices[market.baseAsset];
+
+      const side = (best, direction) => Array.from({ length: levels }, (_, i) => [
+        best.plus(levelGap.times(i * direction)).toString(),
+        formatToStep(baseQty * (0.5 + this.random()), market.stepSize)
+      ]).filter(([price, qty]) => parseFloat(price) > 0 && parseFloat(qty) > 0);
+
+      orderBooks[symbol] = { bids: side(bestBid, -1), asks: side(bestAsk, 1) };
+    });
+
+    return { orderBooks };
+  }
+
+  /**
+   * Move every synthetic USD price by one random-walk step
+   */
+  stepSyntheticPrices() {
+    const { prices, volatilityBps } = this.synthetic;
+    Object.keys(prices).forEach(asset => {
+      if (asset === 'USDT') return;
+      // Box-Muller normal sample
+      const gaussian = Math.sqrt(-2 * Math.log(1 - this.random())) * Math.cos(2 * Math.PI * this.random());
+      prices[asset] *= Math.exp(gaussian * volatilityBps / 10000);
+    });
+  }
+
+  /**
+   * Replace books with a frame, emitting level diffs and matching resting orders
+   */
+  applyFrame(frame, emit = true) {
+    Object.entries(frame.orderBooks || {}).forEach(([symbol, book]) => {
+      this.setOrderBook(symbol, book, emit);
+    });
+
+    // Recorded quotes only stand in for symbols without a book
+    (frame.bookTickers || []).forEach(ticker => {
+      if (this.books.has(ticker.symbol)) return;
+      this.tickers.set(ticker.symbol, {
+        bid: parseFloat(ticker.bidPrice),
+        ask: parseFloat(ticker.askPrice),
+        bidQty: parseFloat(ticker.bidQty),
+        askQty: parseFloat(ticker.askQty)
+      });
+    });
+  }
+
+  /**
+   * Replace one order book
+   * @param {string} symbol - Symbol
+   * @param {Object} book - { bids: [[price, qty]], asks: [[price, qty]] } (strings or numbers)
+   */
+  setOrderBook(symbol, book, emit = true) {
+    const toLevels = levels => (levels || [])
+      .map(([price, qty]) => [parseFloat(price), parseFloat(qty)])
+      .filter(([, qty]) => qty > 0);
+
+    const previous = this.books.get(symbol);
+    const next = {
+      bids: toLevels(book.bids).sort((a, b) => b[0] - a[0]),
+      asks: toLevels(book.asks).sort((a, b) => a[0] - b[0]),
+      lastUpdateId: previous ? previous.lastUpdateId : 1000
+    };
+
+    this.tickers.delete(symbol);
+    this.commitBook(symbol, previous, next, emit);
+    this.matchRestingOrders(symbol);
+  }
+
+  /**
+   * Store a new book version and emit the changed levels as a depth update
+   */
+  commitBook(symbol, previous, next, emit = true) {
+    const diff = (before = [], after = []) => {
+      const old = new Map(before);
+      const now = new Map(after);
+      const changes = [];
+      now.forEach((qty, price) => {
+        if (old.get(price) !== qty) changes.push([price, qty]);
+      });
+      old.forEach((qty, price) => {
+        if (!now.has(price)) changes.push([price, 0]);
+      });
+      return changes;
+    };
+
+    const bids = diff(previous && previous.bids, next.bids);
+    const asks = diff(previous && previous.asks, next.asks);
+    if (previous && bids.length === 0 && asks.length === 0) {
+      this.books.set(symbol, next);
+      return;
+    }
+
+    const firstUpdateId = next.lastUpdateId + 1;
+    next.lastUpdateId = firstUpdateId;
+    this.books.set(symbol, next);
+
+    if (emit) {
+      const market = this.markets.get(symbol);
+      const formatLevel = ([price, qty]) => [
+        market ? formatToStep(price, market.tickSize) : String(price),
+        market ? formatToStep(qty, market.stepSize) : String(qty)
+      ];
+      this.emit('depth', {
+        symbol,
+        U: firstUpdateId,
+        u: next.lastUpdateId,
+        bids: bids.map(formatLevel),
+        asks: asks.map(formatLevel)
+      });
+    }
+  }
+
+  /**
+   * Advance to the next frame (recorded/scripted) or random-walk step (synthetic)
+   * @returns {boolean} False when a non-looping recording is exhausted
+   */
+  advance() {
+    if (this.frames) {
+      if (this.frameIndex >= this.frames.length - 1) {
+        if (!this.scenario.loop) return false;
+        this.frameIndex = -1;
+      }
+      this.frameIndex++;
+      this.applyFrame(this.frames[this.frameIndex]);
+      return true;
+    }
+
+    this.stepSyntheticPrices();
+    this.frameIndex++;
+    this.applyFrame(this.generateSyntheticFrame());
+    return true;
+  }
+
+  /**
+   * Advance automatically every frameIntervalMs
+   */
+  start(intervalMs = this.scenario.frameIntervalMs) {
+    this.stop();
+    if (!intervalMs) return;
+    this.timer = setInterval(() => {
+      if (!this.advance()) this.stop();
+    }, intervalMs);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // ==================== Market data ====================
+
+  getMarket(symbol) {
+    const market = this.markets.get(symbol);
+    if (!market) throw new MockExchangeError(-1121, 'Invalid symbol.');
+    return market;
+  }
+
+  /**
+   * Order book in the REST /depth shape
+   */
+  getDepth(symbol, limit = 100) {
+    const market = this.getMarket(symbol);
+    const book = this.books.get(symbol);
+    const format = levels => levels.slice(0, limit).map(([price, qty]) => [
+      formatToStep(price, market.tickSize),
+      formatToStep(qty, market.stepSize)
+    ]);
+
+    if (!book) {
+      // Quote-only symbol: serve the touch as a one-level book
+      const ticker = this.tickers.get(symbol);
+      return {
+        lastUpdateId: 1,
+        bids: ticker ? format([[ticker.bid, ticker.bidQty]]) : [],
+        asks: ticker ? format([[ticker.ask, ticker.askQty]]) : []
+      };
+    }
+
+    return { lastUpdateId: book.lastUpdateId, bids: format(book.bids), asks: format(book.asks) };
+  }
+
+  /**
+   * Best bid/ask for a symbol (null if it has no two-sided quote)
+   */
+  getQuote(symbol) {
+    const book = this.books.get(symbol);
+    if (book) {
+      if (book.bids.length === 0 || book.asks.length === 0) return null;
+      return { bid: book.bids[0][0], bidQty: book.bids[0][1], ask: book.asks[0][0], askQty: book.asks[0][1] };
+    }
+    return this.tickers.get(symbol) || null;
+  }
+
+  /**
+   * Rows in the REST /ticker/bookTicker shape
+   */
+  getBookTickers(symbol = null) {
+    const symbols = symbol ? [this.getMarket(symbol).symbol] : [...this.markets.keys()];
+    return symbols
+      .map(s => ({ symbol: s, quote: this.getQuote(s), market: this.markets.get(s) }))
+      .filter(({ quote }) => quote)
+      .map(({ symbol: s, quote, market }) => ({
+        symbol: s,
+        bidPrice: formatToStep(quote.bid, market.tickSize),
+        bidQty: formatToStep(quote.bidQty, market.stepSize),
+        askPrice: formatToStep(quote.ask, market.tickSize),
+        askQty: formatToStep(quote.askQty, market.stepSize)
+      }));
+  }
+
+  /**
+   * Rows in the REST /ticker/24hr shape (flat prices, constant volume)
+   */
+  get24hrTickers(symbol = null) {
+    const now = Date.now();
+    return this.getBookTickers(symbol).map(row => {
+      const mid = formatToStep((parseFloat(row.bidPrice) + parseFloat(row.askPrice)) / 2, this.markets.get(row.symbol).tickSize);
+      return {
+        symbol: row.symbol,
+        priceChange: '0',
+        priceChangePercent: '0',
+        weightedAvgPrice: mid,
+        prevClosePrice: mid,
+        lastPrice: mid,
+        lastQty: '0',
+        bidPrice: row.bidPrice,
+        bidQty: row.bidQty,
+        askPrice: row.askPrice,
+        askQty: row.askQty,
+        openPrice: mid,
+        highPrice: mid,
+        lowPrice: mid,
+        volume: (DEFAULT_QUOTE_VOLUME / parseFloat(mid)).toFixed(8),
+        quoteVolume: DEFAULT_QUOTE_VOLUME.toFixed(8),
+        openTime: now - 86400000,
+        closeTime: now,
+        firstId: 0,
+        lastId: 0,
+        count: 0
+      };
+    });
+  }
+
+  /**
+   * Market metadata in the REST /exchangeInfo shape
+   */
+  getExchangeInfo() {
+    return {
+      timezone: 'UTC',
+      serverTime: Date.now(),
+      rateLimits: [],
+      exchangeFilters: [],
+      symbols: [...this.markets.values()].map(market => ({
+        symbol: market.symbol,
+        status: 'TRADING',
+        baseAsset: market.baseAsset,
+        baseAssetPrecision: 8,
+        quoteAsset: market.quoteAsset,
+        quotePrecision: 8,
+        quoteAssetPrecision: 8,
+        baseCommissionPrecision: 8,
+        quoteCommissionPrecision: 8,
+        orderTypes: ['LIMIT', 'LIMIT_MAKER', 'MARKET'],
+        icebergAllowed: false,
+        ocoAllowed: false,
+        quoteOrderQtyMarketAllowed: true,
+        allowTrailingStop: false,
+        cancelReplaceAllowed: false,
+        isSpotTradingAllowed: true,
+        isMarginTradingAllowed: false,
+        filters: [
+          { filterType: 'PRICE_FILTER', minPrice: market.tickSize, maxPrice: '1000000.00000000', tickSize: market.tickSize },
+          { filterType: 'LOT_SIZE', minQty: market.minQty || market.stepSize, maxQty: market.maxQty, stepSize: market.stepSize },
+          { filterType: 'MARKET_LOT_SIZE', minQty: '0.00000000', maxQty: market.maxQty, stepSize: '0.00000000' },
+          {
+            filterType: 'NOTIONAL',
+            minNotional: market.minNotional || '0.00000000',
+            applyMinToMarket: true,
+            maxNotional: '9000000.00000000',
+            applyMaxToMarket: false,
+            avgPriceMins: 5
+          }
+        ],
+        permissions: ['SPOT'],
+        permissionSets: [['SPOT']],
+        defaultSelfTradePreventionMode: 'NONE',
+        allowedSelfTradePreventionModes: ['NONE']
+      }))
+    };
+  }
+
+  /**
+   * Public trades in the REST /trades shape (fills made on this mock)
+   */
+  getRecentTrades(symbol, limit = 500) {
+    this.getMarket(symbol);
+    return this.trades
+      .filter(t => t.symbol === symbol)
+      .slice(-limit)
+      .map(t => ({
+        id: t.id,
+        price: t.price,
+        qty: t.qty,
+        quoteQty: t.quoteQty,
+        time: t.time,
+        isBuyerMaker: t.isBuyer ? t.isMaker : !t.isMaker,
+        isBestMatch: true
+      }));
+  }
+
+  // ==================== Account ====================
+
+  getBalance(asset) {
+    if (!this.balances.has(asset)) {
+      this.balances.set(asset, { free: new Decimal(0), locked: new Decimal(0) });
+    }
+    return this.balances.get(asset);
+  }
+
+  /**
+   * Replace balances ({ asset: free })
+   */
+  setBalances(balances) {
+    Object.entries(balances).forEach(([asset, free]) => {
+      this.getBalance(asset).free = new Decimal(free);
+    });
+  }
+
+  /**
+   * Account in the REST /account shape
+   */
+  getAccount() {
+    const commission = rate => Math.round(rate * 10000);
+    return {
+      makerCommission: commission(this.fees.maker),
+      takerCommission: commission(this.fees.taker),
+      buyerCommission: 0,
+      sellerCommission: 0,
+      commissionRates: {
+        maker: format8(this.fees.maker),
+        taker: format8(this.fees.taker),
+        buyer: format8(0),
+        seller: format8(0)
+      },
+      canTrade: true,
+      canWithdraw: false,
+      canDeposit: false,
+      brokered: false,
+      requireSelfTradePrevention: false,
+      preventSor: false,
+      updateTime: Date.now(),
+      accountType: 'SPOT',
+      balances: [...this.balances.entries()].map(([asset, balance]) => ({
+        asset,
+        free: format8(balance.free),
+        locked: format8(balance.locked)
+      })),
+      permissions: ['SPOT'],
+      uid: 0
+    };
+  }
+
+  /**
+   * Per-symbol fees in the /sapi/v1/asset/tradeFee shape
+   */
+  getTradeFees(symbol = null) {
+    const symbols = symbol ? [symbol] : [...this.markets.keys()];
+    return symbols.map(s => ({
+      symbol: s,
+      makerCommission: this.fees.maker.toString(),
+      takerCommission: this.fees.taker.toString()
+    }));
+  }
+
+  // ==================== Orders ====================
+
+  /**
+   * Place an order (POST /api/v3/order)
+   * @param {Object} params - Binance request parameters (strings)
+   * @returns {Object} Order in the FULL response shape
+   */
+  placeOrder(params) {
+    const market = this.getMarket(params.symbol);
+    const side = (params.side || '').toUpperCase();
+    const type = (params.type || '').toUpperCase();
+
+    if (!['BUY', 'SELL'].includes(side)) {
+      throw new MockExchangeError(-1102, "Mandatory parameter 'side' was not sent, was empty/null, or malformed.");
+    }
+    if (!['MARKET', 'LIMIT', 'LIMIT_MAKER'].includes(type)) {
+      throw new MockExchangeError(-1116, 'Invalid orderType.');
+    }
+
+    const clientOrderId = params.newClientOrderId || `mock_${crypto.randomBytes(8).toString('hex')}`;
+    const duplicate = [...this.orders.values()].find(o =>
+      o.clientOrderId === clientOrderId && ['NEW', 'PARTIALLY_FILLED'].includes(o.status)
+    );
+    if (duplicate) {
+      throw new MockExchangeError(-2010, 'Duplicate order sent.');
+    }
+
+    const order = {
+      symbol: market.symbol,
+      orderId: this.nextOrderId++,
+      orderListId: -1,
+      clientOrderId,
+      side,
+      type,
+      timeInForce: type === 'LIMIT' ? (params.timeInForce || 'GTC').toUpperCase() : 'GTC',
+      price: new Decimal(0),
+      origQty: new Decimal(0),
+      origQuoteOrderQty: new Decimal(0),
+      executedQty: new Decimal(0),
+      cummulativeQuoteQty: new Decimal(0),
+      status: 'NEW',
+      fills: [],
+      time: Date.now(),
+      updateTime: Date.now()
+    };
+
+    if (type === 'MARKET') {
+      this.fillMarketOrder(order, market, params);
+    } else {
+      this.placeLimitOrder(order, market, params);
+    }
+
+    this.orders.set(order.orderId, order);
+    return this.formatOrder(order, true);
+  }
+
+  /**
+   * Validate quantity against LOT_SIZE
+   */
+  checkQuantity(market, quantity) {
+    if (!quantity.isPositive() || !isMultipleOf(quantity, market.stepSize) ||
+        (market.minQty && quantity.lt(market.minQty)) || quantity.gt(market.maxQty)) {
+      throw new MockExchangeError(-1013, 'Filter failure: LOT_SIZE');
+    }
+  }
+
+  checkNotional(market, notional) {
+    if (market.minNotional && notional.lt(market.minNotional)) {
+      throw new MockExchangeError(-1013, 'Filter failure: NOTIONAL');
+    }
+  }
+
+  /**
+   * Walk a book side for a base quantity (or a quote budget) without changing it
+   * @returns {Object} { qty, quote, levels: [[price, qty]] }
+   */
+  planFill(levels, { qty = null, quote = null, limitPrice = null, side, stepSize }) {
+    let remainingQty = qty;
+    let remainingQuote = quote;
+    let filledQty = new Decimal(0);
+    let filledQuote = new Decimal(0);
+    const used = [];
+
+    for (const [priceNum, levelQtyNum] of levels) {
+      const price = new Decimal(priceNum);
+      if (limitPrice && (side === 'BUY' ? price.gt(limitPrice) : price.lt(limitPrice))) break;
+
+      let take = new Decimal(levelQtyNum);
+      if (remainingQty) take = Decimal.min(take, remainingQty);
+      if (remainingQuote) {
+        take = Decimal.min(take, remainingQuote.dividedBy(price).dividedBy(stepSize).floor().times(stepSize));
+      }
+      if (take.lte(0)) break;
+
+      used.push([priceNum, take.toNumber()]);
+      filledQty = filledQty.plus(take);
+      filledQuote = filledQuote.plus(take.times(price));
+      if (remainingQty) remainingQty = remainingQty.minus(take);
+      if (remainingQuote) remainingQuote = remainingQuote.minus(take.times(price));
+      if ((remainingQty && remainingQty.lte(0)) || (remainingQuote && remainingQuote.lt(price.times(stepSize)))) break;
+    }
+
+    return { qty: filledQty, quote: filledQuote, levels: used };
+  }
+
+  /**
+   * Remove filled quantity from the book and emit the change
+   */
+  consumeBook(symbol, side, usedLevels) {
+    const previous = this.books.get(symbol);
+    const key = side === 'BUY' ? 'asks' : 'bids';
+    const taken = new Map(usedLevels);
+    const next = {
+      ...previous,
+      [key]: previous[key]
+        .map(([price, qty]) => [price, new Decimal(qty).minus(taken.get(price) || 0).toNumber()])
+        .filter(([, qty]) => qty > 0)
+    };
+    this.commitBook(symbol, previous, next);
+  }
+
+  /**
+   * Check the account can pay for a fill
+   */
+  checkFunds(asset, amount) {
+    if (this.getBalance(asset).free.lt(amount)) {
+      throw new MockExchangeError(-2010, 'Account has insufficient balance for requested action.');
+    }
+  }
+
+  /**
+   * Settle a fill: move balances, charge the fee on the received asset, record the trade
+   * @param {boolean} fromLocked - Take the paid asset from locked funds (resting orders)
+   */
+  settle(order, market, price, qty, isMaker, fromLocked = false) {
+    const quote = qty.times(price);
+    const feeRate = isMaker ? this.fees.maker : this.fees.taker;
+    const [paidAsset, paidAmount, receivedAsset, receivedAmount] = order.side === 'BUY'
+      ? [market.quoteAsset, quote, market.baseAsset, qty]
+      : [market.baseAsset, qty, market.quoteAsset, quote];
+    const commission = receivedAmount.times(feeRate);
+
+    const paid = this.getBalance(paidAsset);
+    if (fromLocked) paid.locked = paid.locked.minus(paidAmount);
+    else paid.free = paid.free.minus(paidAmount);
+    const received = this.getBalance(receivedAsset);
+    received.free = received.free.plus(receivedAmount.minus(commission));
+
+    const trade = {
+      id: this.nextTradeId++,
+      symbol: market.symbol,
+      orderId: order.orderId,
+      price: formatToStep(price, market.tickSize),
+      qty: formatToStep(qty, market.stepSize),
+      quoteQty: format8(quote),
+      commission: format8(commission),
+      commissionAsset: receivedAsset,
+      time: Date.now(),
+      isBuyer: order.side === 'BUY',
+      isMaker
+    };
+    this.trades.push(trade);
+
+    order.executedQty = order.executedQty.plus(qty);
+    order.cummulativeQuoteQty = order.cummulativeQuoteQty.plus(quote);
+    order.fills.push({
+      price: trade.price,
+      qty: trade.qty,
+      commission: trade.commission,
+      commissionAsset: trade.commissionAsset,
+      tradeId: trade.id
+    });
+    order.updateTime = trade.time;
+  }
+
+  /**
+   * Fill a MARKET order against the book (quantity or quoteOrderQty)
+   */
+  fillMarketOrder(order, market, params) {
+    const book = this.books.get(market.symbol);
+    const levels = book ? (order.side === 'BUY' ? book.asks : book.bids) : [];
+
+    let plan;
+    if (params.quoteOrderQty !== undefined) {
+      order.origQuoteOrderQty = new Decimal(params.quoteOrderQty);
+      plan = this.planFill(levels, { quote: order.origQuoteOrderQty, side: order.side, stepSize: market.stepSize });
+      order.origQty = plan.qty;
+    } else if (params.quantity !== undefined) {
+      order.origQty = new Decimal(params.quantity);
+      this.checkQuantity(market, order.origQty);
+      plan = this.planFill(levels, { qty: order.origQty, side: order.side, stepSize: market.stepSize });
+    } else {
+      throw new MockExchangeError(-1102, "Mandatory parameter 'quantity' was not sent, was empty/null, or malformed.");
+    }
+
+    if (plan.qty.isZero()) {
+      order.status = 'EXPIRED';
+      return;
+    }
+
+    this.checkNotional(market, plan.quote);
+    this.checkFunds(order.side === 'BUY' ? market.quoteAsset : market.baseAsset, order.side === 'BUY' ? plan.quote : plan.qty);
+
+    plan.levels.forEach(([price, qty]) => this.settle(order, market, new Decimal(price), new Decimal(qty), false));
+    this.consumeBook(market.symbol, order.side, plan.levels);
+    order.status = params.quoteOrderQty !== undefined || order.executedQty.gte(order.origQty) ? 'FILLED' : 'EXPIRED';
+  }
+
+  /**
+   * Place a LIMIT or LIMIT_MAKER order; crossing LIMIT orders fill immediately up to their price
+   */
+  placeLimitOrder(order, market, params) {
+    if (params.price === undefined || params.quantity === undefined) {
+      throw new MockExchangeError(-1102, "Mandatory parameter 'price' was not sent, was empty/null, or malformed.");
+    }
+
+    order.price = new Decimal(params.price);
+    order.origQty = new Decimal(params.quantity);
+    if (!order.price.isPositive() || !isMultipleOf(order.price, market.tickSize)) {
+      throw new MockExchangeError(-1013, 'Filter failure: PRICE_FILTER');
+    }
+    this.checkQuantity(market, order.origQty);
+    this.checkNotional(market, order.price.times(order.origQty));
+
+    const quote = this.getQuote(market.symbol);
+    const crosses = quote && (order.side === 'BUY' ? order.price.gte(quote.ask) : order.price.lte(quote.bid));
+
+    if (order.type === 'LIMIT_MAKER' && crosses) {
+      throw new MockExchangeError(-2010, 'Order would immediately match and take.');
+    }
+
+    const book = this.books.get(market.symbol);
+    if (crosses && book) {
+      const levels = order.side === 'BUY' ? book.asks : book.bids;
+      const plan = this.planFill(levels, { qty: order.origQty, limitPrice: order.price, side: order.side, stepSize: market.stepSize });
+
+      if (order.timeInForce === 'FOK' && plan.qty.lt(order.origQty)) {
+        order.status = 'EXPIRED';
+        return;
+      }
+
+      this.checkFunds(order.side === 'BUY' ? market.quoteAsset : market.baseAsset, order.side === 'BUY' ? plan.quote : plan.qty);
+      plan.levels.forEach(([price, qty]) => this.settle(order, market, new Decimal(price), new Decimal(qty), false));
+      this.consumeBook(market.symbol, order.side, plan.levels);
+    }
+
+    const remaining = order.origQty.minus(order.executedQty);
+    if (remaining.isZero()) {
+      order.status = 'FILLED';
+      return;
+    }
+    if (order.timeInForce === 'IOC') {
+      order.status = 'EXPIRED';
+      return;
+    }
+
+    // Rest the remainder off-book with its funds locked
+    const [lockAsset, lockAmount] = order.side === 'BUY'
+      ? [market.quoteAsset, remaining.times(order.price)]
+      : [market.baseAsset, remaining];
+    this.checkFunds(lockAsset, lockAmount);
+    const balance = this.getBalance(lockAsset);
+    balance.free = balance.free.minus(lockAmount);
+    balance.locked = balance.locked.plus(lockAmount);
+
+    order.status = order.executedQty.isZero() ? 'NEW' : 'PARTIALLY_FILLED';
+  }
+
+  /**
+   * Fill resting orders whose price the opposite touch has reached (at their limit price, as maker)
+   */
+  matchRestingOrders(symbol) {
+    const quote = this.getQuote(symbol);
+    if (!quote) return;
+
+    this.orders.forEach(order => {
+      if (order.symbol !== symbol || !['NEW', 'PARTIALLY_FILLED'].includes(order.status)) return;
+
+      const reached = order.side === 'BUY' ? order.price.gte(quote.ask) : order.price.lte(quote.bid);
+      if (!reached) return;
+
+      this.settle(order, this.markets.get(symbol), order.price, order.origQty.minus(order.executedQty), true, true);
+      order.status = 'FILLED';
+    });
+  }
+
+  /**
+   * Find an order by orderId or origClientOrderId
+   */
+  findOrder(params) {
+    const market = this.getMarket(params.symbol);
+    const order = params.orderId !== undefined
+      ? this.orders.get(parseInt(params.orderId))
+      : [...this.orders.values()].reverse().find(o => o.clientOrderId === params.origClientOrderId);
+
+    return order && order.symbol === market.symbol ? order : null;
+  }
+
+  /**
+   * Query an order (GET /api/v3/order)
+   */
+  getOrder(params) {
+    const order = this.findOrder(params);
+    if (!order) throw new MockExchangeError(-2013, 'Order does not exist.');
+    return this.formatOrder(order);
+  }
+
+  /**
+   * Cancel a resting order (DELETE /api/v3/order) and unlock its funds
+   */
+  cancelOrder(params) {
+    const order = this.findOrder(params);
+    if (!order || !['NEW', 'PARTIALLY_FILLED'].includes(order.status)) {
+      throw new MockExchangeError(-2011, 'Unknown order sent.');
+    }
+
+    const market = this.markets.get(order.symbol);
+    const remaining = order.origQty.minus(order.executedQty);
+    const [asset, amount] = order.side === 'BUY'
+      ? [market.quoteAsset, remaining.times(order.price)]
+      : [market.baseAsset, remaining];
+    const balance = this.getBalance(asset);
+    balance.locked = balance.locked.minus(amount);
+    balance.free = balance.free.plus(amount);
+
+    order.status = 'CANCELED';
+    order.updateTime = Date.now();
+    return this.formatOrder(order);
+  }
+
+  /**
+   * Open orders (GET /api/v3/openOrders)
+   */
+  getOpenOrders(symbol = null) {
+    return [...this.orders.values()]
+      .filter(o => ['NEW', 'PARTIALLY_FILLED'].includes(o.status) && (!symbol || o.symbol === symbol))
+      .map(o => this.formatOrder(o));
+  }
+
+  /**
+   * Account trades (GET /api/v3/myTrades)
+   */
+  getMyTrades(symbol, limit = 500) {
+    this.getMarket(symbol);
+    return this.trades
+      .filter(t => t.symbol === symbol)
+      .slice(-limit)
+      .map(t => ({
+        symbol: t.symbol,
+        id: t.id,
+        orderId: t.orderId,
+        orderListId: -1,
+        price: t.price,
+        qty: t.qty,
+        quoteQty: t.quoteQty,
+        commission: t.commission,
+        commissionAsset: t.commissionAsset,
+        time: t.time,
+        isBuyer: t.isBuyer,
+        isMaker: t.isMaker,
+        isBestMatch: true
+      }));
+  }
+
+  /**
+   * Order in the REST response shape (with fills for placement responses)
+   */
+  formatOrder(order, withFills = false) {
+    const market = this.markets.get(order.symbol);
+    const formatted = {
+      symbol: order.symbol,
+      orderId: order.orderId,
+      orderListId: order.orderListId,
+      clientOrderId: order.clientOrderId,
+      price: formatToStep(order.price, market.tickSize),
+      origQty: formatToStep(order.origQty, market.stepSize),
+      executedQty: formatToStep(order.executedQty, market.stepSize),
+      origQuoteOrderQty: format8(order.origQuoteOrderQty),
+      cummulativeQuoteQty: format8(order.cummulativeQuoteQty),
+      status: order.status,
+      timeInForce: order.timeInForce,
+      type: order.type,
+      side: order.side,
+      workingTime: order.time,
+      selfTradePreventionMode: 'NONE'
+    };
+
+    if (withFills) {
+      return { ...formatted, transactTime: order.time, fills: order.fills };
+    }
+
+    return {
+      ...formatted,
+      stopPrice: '0.00000000',
+      icebergQty: '0.00000000',
+      time: order.time,
+      updateTime: order.updateTime,
+      isWorking: true
+    };
+  }
+
+  /**
+   * Summary for the control endpoint and logs
+   */
+  getState() {
+    return {
+      scenario: this.scenario.name || 'inline',
+      frame: this.frameIndex,
+      symbols: this.markets.size,
+      balances: Object.fromEntries([...this.balances.entries()].map(([asset, b]) => [asset, { free: b.free.toNumber(), locked: b.locked.toNumber() }])),
+      openOrders: this.getOpenOrders().length,
+      trades: this.trades.length
+    };
+  }
+}
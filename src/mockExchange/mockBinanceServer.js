@@ -0,0 +1,295 @@
+// Mock Binance Server
+// Serves a MockBinanceExchange over Binance-compatible REST and WebSocket endpoints for offline end-to-end runs
+
+import http from 'http';
+import crypto from 'crypto';
+import express from 'express';
+import { WebSocketServer } from 'ws';
+import { MockBinanceExchange, MockExchangeError } from './mockBinanceExchange.js';
+import { config } from '../../config/config.js';
+
+/**
+ * Parse a stream name (e.g. 'btcusdt@depth@100ms', 'ethbtc@bookTicker', '!bookTicker')
+ * @returns {Object|null} { symbol, type } (symbol is null for all-market streams)
+ */
+function parseStream(stream) {
+  if (stream === '!bookTicker') return { symbol: null, type: 'bookTicker' };
+  const [symbol, type] = stream.split('@');
+  if (!symbol || !['depth', 'bookTicker'].includes(type)) return null;
+  return { symbol: symbol.toUpperCase(), type };
+}
+
+/**
+ * Mock Binance Server
+ * REST: /api/v3 public and signed spot endpoints, /sapi/v1 fee and account endpoints.
+ * WebSocket: raw streams at /ws/<stream>/<stream>, combined streams at /stream?streams=,
+ * SUBSCRIBE / UNSUBSCRIBE / LIST_SUBSCRIPTIONS on either. Control: /mock/state, /mock/advance,
+ * /mock/reset, /mock/balances, /mock/orderBook/:symbol.
+ */
+export class MockBinanceServer {
+  constructor(options = {}) {
+    this.exchange = options.exchange || MockBinanceExchange.fromFile(options.scenarioFile || config.mockExchange.scenarioFile);
+    this.port = options.port !== undefined ? options.port : config.mockExchange.port;
+    this.apiSecret = options.apiSecret !== undefined ? options.apiSecret : config.mockExchange.apiSecret;
+    this.clients = new Set();
+    this.app = this.createApp();
+    this.server = null;
+    this.wss = null;
+  }
+
+  /**
+   * Build the express app with every REST route
+   */
+  createApp() {
+    const app = express();
+    const exchange = this.exchange;
+    const route = handler => (req, res, next) => {
+      try {
+        res.json(handler({ ...req.query, ...req.body }, req));
+      } catch (error) {
+        next(error);
+      }
+    };
+    const signed = (req, res, next) => this.verifySignature(req, res, next);
+
+    // Keep the raw body for signature checks (ccxt sends signed POST parameters form-encoded)
+    app.use(express.urlencoded({ extended: false, verify: (req, res, buf) => { req.rawBody = buf.toString(); } }));
+
+    // Public market data
+    app.get('/api/v3/ping', route(() => ({})));
+    app.get('/api/v3/time', route(() => ({ serverTime: Date.now() })));
+    app.get('/api/v3/exchangeInfo', route(() => exchange.getExchangeInfo()));
+    app.get('/api/v3/depth', route(p => exchange.getDepth(p.symbol, parseInt(p.limit) || 100)));
+    app.get('/api/v3/trades', route(p => exchange.getRecentTrades(p.symbol, parseInt(p.limit) || 500)));
+    app.get('/api/v3/ticker/bookTicker', route(p => {
+      const rows = exchange.getBookTickers(p.symbol || null);
+      return p.symbol ? rows[0] : rows;
+    }));
+    app.get('/api/v3/ticker/24hr', route(p => {
+      const rows = exchange.get24hrTickers(p.symbol || null);
+      return p.symbol ? rows[0] : rows;
+    }));
+    app.get('/api/v3/ticker/price', route(p => {
+      const rows = exchange.get24hrTickers(p.symbol || null).map(t => ({ symbol: t.symbol, price: t.lastPrice }));
+      return p.symbol ? rows[0] : rows;
+    }));
+
+    // Signed account and order endpoints
+    app.get('/api/v3/account', signed, route(() => exchange.getAccount()));
+    app.post('/api/v3/order', signed, route(p => exchange.placeOrder(p)));
+    app.post('/api/v3/order/test', signed, route(() => ({})));
+    app.get('/api/v3/order', signed, route(p => exchange.getOrder(p)));
+    app.delete('/api/v3/order', signed, route(p => exchange.cancelOrder(p)));
+    app.get('/api/v3/openOrders', signed, route(p => exchange.getOpenOrders(p.symbol || null)));
+    app.get('/api/v3/myTrades', signed, route(p => exchange.getMyTrades(p.symbol, parseInt(p.limit) || 500)));
+
+    // Fee service endpoints
+    app.get('/sapi/v1/asset/tradeFee', signed, route(p => exchange.getTradeFees(p.symbol || null)));
+    app.get('/sapi/v1/account/info', signed, route(() => ({ vipLevel: 0, isMarginEnabled: false, isFutureEnabled: false })));
+    app.get('/sapi/v1/bnbBurn', signed, route(() => ({ spotBNBBurn: false, interestBNBBurn: false })));
+    app.get('/sapi/v1/capital/config/getall', signed, route(() => []));
+
+    // Scenario control
+    app.use('/mock', express.json());
+    app.get('/mock/state', route(() => exchange.getState()));
+    app.post('/mock/advance', route(() => ({ advanced: exchange.advance(), ...exchange.getState() })));
+    app.post('/mock/reset', route(() => {
+      exchange.reset();
+      return exchange.getState();
+    }));
+    app.post('/mock/balances', route(p => {
+      exchange.setBalances(p);
+      return exchange.getState();
+    }));
+    app.put('/mock/orderBook/:symbol', route((p, req) => {
+      exchange.setOrderBook(req.params.symbol.toUpperCase(), p);
+      return exchange.getDepth(req.params.symbol.toUpperCase());
+    }));
+
+    app.use((req, res) => {
+      res.status(404).json({ code: -1000, msg: `Unknown endpoint ${req.method} ${req.path}` });
+    });
+
+    app.use((error, req, res, next) => {
+      if (error instanceof MockExchangeError) {
+        res.status(error.status).json({ code: error.code, msg: error.message });
+      } else {
+        console.error('❌ Mock exchange error:', error.message);
+        res.status(500).json({ code: -1000, msg: error.message });
+      }
+    });
+
+    return app;
+  }
+
+  /**
+   * Require an API key and signature; verify the HMAC-SHA256 when a secret is configured
+   */
+  verifySignature(req, res, next) {
+    const params = { ...req.query, ...req.body };
+
+    if (!req.get('X-MBX-APIKEY')) {
+      return next(new MockExchangeError(-2014, 'API-key format invalid.', 401));
+    }
+    if (!params.signature) {
+      return next(new MockExchangeError(-1102, "Mandatory parameter 'signature' was not sent, was empty/null, or malformed."));
+    }
+
+    if (this.apiSecret) {
+      const query = req.originalUrl.includes('?') ? req.originalUrl.split('?')[1] : '';
+      const payload = `${query}${req.rawBody || ''}`.replace(/&?signature=[0-9a-fA-F]+/, '');
+      const expected = crypto.createHmac('sha256', this.apiSecret).update(payload).digest('hex');
+      if (expected !== params.signature) {
+        return next(new MockExchangeError(-1022, 'Signature for this request is not valid.'));
+      }
+    }
+
+    next();
+  }
+
+  /**
+   * Accept WebSocket connections on /ws and /stream
+   */
+  attachWebSocket() {
+    this.wss = new WebSocketServer({ server: this.server });
+
+    this.wss.on('connection', (socket, req) => {
+      const url = new URL(req.url, 'http://localhost');
+      const combined = url.pathname.startsWith('/stream');
+      const initial = combined
+        ? (url.searchParams.get('streams') || '').split('/')
+        : url.pathname.replace(/^\/ws\/?/, '').split('/');
+
+      const client = { socket, combined, streams: new Set(initial.filter(s => parseStream(s))) };
+      this.clients.add(client);
+
+      socket.on('message', data => this.handleClientMessage(client, data));
+      socket.on('close', () => this.clients.delete(client));
+    });
+
+    this.exchange.on('depth', update => this.broadcastDepth(update));
+  }
+
+  /**
+   * Handle SUBSCRIBE / UNSUBSCRIBE / LIST_SUBSCRIPTIONS requests
+   */
+  handleClientMessage(client, data) {
+    let request;
+    try {
+      request = JSON.parse(data);
+    } catch (error) {
+      client.socket.send(JSON.stringify({ error: { code: 2, msg: 'Invalid JSON' } }));
+      return;
+    }
+
+    const params = Array.isArray(request.params) ? request.params : [];
+    switch (request.method) {
+      case 'SUBSCRIBE':
+        params.filter(s => parseStream(s)).forEach(s => client.streams.add(s));
+        client.socket.send(JSON.stringify({ result: null, id: request.id }));
+        break;
+      case 'UNSUBSCRIBE':
+        params.forEach(s => client.streams.delete(s));
+        client.socket.send(JSON.stringify({ result: null, id: request.id }));
+        break;
+      case 'LIST_SUBSCRIPTIONS':
+        client.socket.send(JSON.stringify({ result: [...client.streams], id: request.id }));
+        break;
+      default:
+        client.socket.send(JSON.stringify({ error: { code: 1, msg: `Unknown method ${request.method}` }, id: request.id }));
+    }
+  }
+
+  /**
+   * Send a book change to every client subscribed to its depth or bookTicker stream
+   */
+  broadcastDepth(update) {
+    const lower = update.symbol.toLowerCase();
+    const now = Date.now();
+    const depthEvent = {
+      e: 'depthUpdate',
+      E: now,
+      s: update.symbol,
+      U: update.U,
+      u: update.u,
+      b: update.bids,
+      a: update.asks
+    };
+    const ticker = this.exchange.getBookTickers(update.symbol)[0];
+    const tickerEvent = ticker && {
+      u: update.u,
+      s: update.symbol,
+      b: ticker.bidPrice,
+      B: ticker.bidQty,
+      a: ticker.askPrice,
+      A: ticker.askQty
+    };
+
+    this.clients.forEach(client => {
+      if (client.socket.readyState !== client.socket.OPEN) return;
+
+      client.streams.forEach(stream => {
+        const parsed = parseStream(stream);
+        if (!parsed || (parsed.symbol !== null && parsed.symbol.toLowerCase() !== lower)) return;
+
+        const data = parsed.type === 'depth' ? depthEvent : tickerEvent;
+        if (!data) return;
+        client.socket.send(JSON.stringify(client.combined ? { stream, data } : data));
+      });
+    });
+  }
+
+  /**
+   * Start listening and advancing the scenario
+   * @returns {Promise<number>} Bound port
+   */
+  async start() {
+    this.server = http.createServer(this.app);
+    this.attachWebSocket();
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, resolve);
+    });
+
+    this.port = this.server.address().port;
+    this.exchange.start();
+    return this.port;
+  }
+
+  /**
+   * Stop the scenario clock, close client sockets and the HTTP server
+   */
+  async stop() {
+    this.exchange.stop();
+    this.clients.forEach(client => client.socket.terminate());
+    this.clients.clear();
+    if (this.wss) this.wss.close();
+    if (this.server) {
+      await new Promise(resolve => this.server.close(resolve));
+      this.server = null;
+    }
+  }
+}
+
+// If run directly, start the mock exchange
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const scenarioFile = process.argv[2] || config.mockExchange.scenarioFile;
+  const server = new MockBinanceServer({ scenarioFile });
+  const port = await server.start();
+  const state = server.exchange.getState();
+
+  console.log(`🧪 Mock Binance exchange running (${scenarioFile})`);
+  console.log(`📊 ${state.symbols} symbols | balances: ${Object.entries(state.balances).map(([a, b]) => `${a} ${b.free}`).join(', ')}`);
+  console.log('\nPoint the bot at it with:');
+  console.log(`   BINANCE_API_URL=http://localhost:${port}/api/v3`);
+  console.log(`   BINANCE_WS_URL=ws://localhost:${port}/ws`);
+  console.log('   BINANCE_API_KEY=mock BINANCE_API_SECRET=mock USE_TESTNET=false\n');
+
+  const shutdown = async () => {
+    await server.stop();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
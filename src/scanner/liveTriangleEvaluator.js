@@ -0,0 +1,207 @@
+// Live Triangle Evaluator
+// Re-evaluates only the cycles touched by each WebSocket depth update, directly against the local order books
+
+import { EventEmitter } from 'events';
+import { simulateCycleFromBooks } from '../core/triangularArbitrage.js';
+import { config } from '../../config/config.js';
+
+const LATENCY_WINDOW = 1000; // Samples kept for percentile metrics
+
+/**
+ * Percentile of a numeric sample (nearest rank)
+ */
+function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+/**
+ * Live Triangle Evaluator
+ * Keeps a symbol → triangles index over a WebSocketFeedManager. Each applied depth update
+ * marks the triangles using that symbol dirty; dirty triangles are evaluated together once
+ * the debounce window closes, so bursts of updates cost one evaluation per triangle.
+ *
+ * Events:
+ * - 'evaluation' (result, metrics) after every evaluation
+ * - 'opportunity' (result) when a triangle turns profitable (edge-triggered)
+ * - 'closed' (triangle) when a previously profitable triangle stops being profitable
+ */
+export class LiveTriangleEvaluator extends EventEmitter {
+  /**
+   * @param {WebSocketFeedManager} feed - Feed whose books are evaluated
+   * @param {Array} triangles - Cycles to watch ({ path, pairs })
+   * @param {Object} options - { debounceMs, startAmount, depth }
+   */
+  constructor(feed, triangles = config.pairs.triangles, options = {}) {
+    super();
+    this.feed = feed;
+    this.debounceMs = options.debounceMs !== undefined ? options.debounceMs : config.websocket.evaluationDebounceMs;
+    this.startAmount = options.startAmount || config.trading.tradeAmountUSDT;
+    this.depth = options.depth || config.trading.orderBookDepth;
+    this.active = false;
+    this.dirty = new Map(); // triangle key -> time first marked dirty
+    this.flushTimer = null;
+    this.latencies = []; // Update-to-result latency samples (ms)
+    this.setTriangles(triangles);
+
+    // Feed callbacks cannot be removed, so the handler checks `active`
+    this.feed.onUpdate(symbol => this.handleUpdate(symbol));
+  }
+
+  /**
+   * Replace the watched triangles and rebuild the symbol index
+   * Metrics of triangles that stay watched are kept.
+   */
+  setTriangles(triangles) {
+    const previous = this.metrics || new Map();
+    this.triangles = new Map(triangles.map(t => [t.path.join(' → '), t]));
+    this.symbolIndex = new Map();
+    this.metrics = new Map();
+
+    if (this.dirty) {
+      Array.from(this.dirty.keys()).forEach(key => {
+        if (!this.triangles.has(key)) this.dirty.delete(key);
+      });
+    }
+
+    this.triangles.forEach((triangle, key) => {
+      triangle.pairs.forEach(pair => {
+        if (!this.symbolIndex.has(pair)) this.symbolIndex.set(pair, []);
+        this.symbolIndex.get(pair).push(key);
+      });
+      this.metrics.set(key, previous.get(key) || {
+        evaluations: 0,
+        skippedUnusable: 0,
+        lastEvalMs: null,
+        avgEvalMs: 0,
+        maxEvalMs: 0,
+        lastLatencyMs: null,
+        avgLatencyMs: 0,
+        maxLatencyMs: 0,
+        lastProfitPct: null,
+        isProfitable: false,
+        lastEvaluatedAt: null
+      });
+    });
+  }
+
+  start() {
+    this.active = true;
+  }
+
+  stop() {
+    this.active = false;
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    this.dirty.clear();
+  }
+
+  /**
+   * Mark the triangles that use a symbol dirty and schedule a flush
+   */
+  handleUpdate(symbol) {
+    if (!this.active) return;
+
+    const keys = this.symbolIndex.get(symbol);
+    if (!keys) return;
+
+    const now = Date.now();
+    keys.forEach(key => {
+      if (!this.dirty.has(key)) this.dirty.set(key, now);
+    });
+
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), this.debounceMs);
+    }
+  }
+
+  /**
+   * Evaluate every dirty triangle
+   * @returns {Array} Evaluation results
+   */
+  flush() {
+    this.flushTimer = null;
+    const batch = Array.from(this.dirty.entries());
+    this.dirty.clear();
+
+    return batch
+      .map(([key, markedAt]) => this.evaluate(key, markedAt))
+      .filter(result => result !== null);
+  }
+
+  /**
+   * Evaluate one triangle against the local books
+   * @param {string} key - Triangle key ('USDT → BTC → ETH → USDT')
+   * @param {number} markedAt - When the triggering update arrived
+   * @returns {Object|null} Simulation result, or null if a book is missing, out of sync or stale
+   */
+  evaluate(key, markedAt = Date.now()) {
+    const triangle = this.triangles.get(key);
+    const metrics = this.metrics.get(key);
+    if (!triangle) return null;
+
+    if (!triangle.pairs.every(pair => this.feed.isUsable(pair))) {
+      metrics.skippedUnusable++;
+      return null;
+    }
+
+    const started = process.hrtime.bigint();
+    const books = triangle.pairs.map(pair => this.feed.getDepth(pair, this.depth));
+    if (books.some(book => !book || book.bids.length === 0 || book.asks.length === 0)) {
+      metrics.skippedUnusable++;
+      return null;
+    }
+
+    const result = simulateCycleFromBooks(triangle, books, this.startAmount);
+    const evalMs = Number(process.hrtime.bigint() - started) / 1e6;
+    const latencyMs = Date.now() - markedAt;
+
+    metrics.evaluations++;
+    metrics.lastEvalMs = evalMs;
+    metrics.avgEvalMs += (evalMs - metrics.avgEvalMs) / metrics.evaluations;
+    metrics.maxEvalMs = Math.max(metrics.maxEvalMs, evalMs);
+    metrics.lastLatencyMs = latencyMs;
+    metrics.avgLatencyMs += (latencyMs - metrics.avgLatencyMs) / metrics.evaluations;
+    metrics.maxLatencyMs = Math.max(metrics.maxLatencyMs, latencyMs);
+    metrics.lastEvaluatedAt = Date.now();
+    metrics.lastProfitPct = result.profitPct;
+
+    this.latencies.push(latencyMs);
+    if (this.latencies.length > LATENCY_WINDOW) this.latencies.shift();
+
+    result.source = 'websocket';
+    result.evaluationLatencyMs = latencyMs;
+    this.emit('evaluation', result, metrics);
+
+    if (result.isProfitable && !metrics.isProfitable) {
+      this.emit('opportunity', result);
+    } else if (!result.isProfitable && metrics.isProfitable) {
+      this.emit('closed', triangle);
+    }
+    metrics.isProfitable = result.isProfitable;
+
+    return result;
+  }
+
+  /**
+   * Latency summary and per-triangle metrics
+   */
+  getMetrics() {
+    const perTriangle = Object.fromEntries(this.metrics);
+    const evaluations = Array.from(this.metrics.values()).reduce((sum, m) => sum + m.evaluations, 0);
+
+    return {
+      triangles: this.triangles.size,
+      symbols: this.symbolIndex.size,
+      evaluations,
+      pendingTriangles: this.dirty.size,
+      latencyP50Ms: percentile(this.latencies, 50),
+      latencyP95Ms: percentile(this.latencies, 95),
+      latencyMaxMs: this.latencies.length > 0 ? Math.max(...this.latencies) : null,
+      perTriangle
+    };
+  }
+}
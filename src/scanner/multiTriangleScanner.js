@@ -3,6 +3,10 @@
 
 import { simulateTriangularCycle } from '../core/triangularArbitrage.js';
 import { AdvancedTriangularArbitrage } from '../core/advancedTriangularArbitrage.js';
+import { resolveTriangles } from './triangleDiscovery.js';
+import { negativeCycleDetector, fetchBookTickerSnapshot } from '../core/negativeCycleDetector.js';
+import { simulateMakerCycle } from '../core/makerExecution.js';
+import { crossExchangeArbitrage } from '../core/crossExchangeArbitrage.js';
 import { config } from '../../config/config.js';
 
 // Initialize advanced arbitrage engine
@@ -106,11 +110,14 @@ async function getAdvancedArbitrage() {
  * Scan all triangular arbitrage opportunities with advanced precision engine
  * @param {number} startAmount - Starting amount for simulation
  * @param {boolean} useAdvanced - Use advanced precision engine (default: true)
+ * @param {Object} options - { triangles } to scan a specific set instead of the resolved one,
+ *   { marketData } to read books from a specific provider (REST, WebSocket cache, file, in-memory)
  * @returns {Promise<Array>} Array of results sorted by profit percentage
  */
-export async function scanAllTriangles(startAmount = null, useAdvanced = true) {
+export async function scanAllTriangles(startAmount = null, useAdvanced = true, options = {}) {
   const amount = startAmount || config.trading.tradeAmountUSDT;
-  console.log(`🔍 Scanning ${config.pairs.triangles.length} triangular arbitrage opportunities...\n`);
+  const triangles = options.triangles || await resolveTriangles();
+  console.log(`🔍 Scanning ${triangles.length} triangular arbitrage opportunities...\n`);
   console.log(`⚙️  Engine: ${useAdvanced ? 'ADVANCED (Precision)' : 'BASIC (Legacy)'}\n`);
 
   const results = [];
@@ -122,7 +129,7 @@ export async function scanAllTriangles(startAmount = null, useAdvanced = true) {
       const arbitrage = await getAdvancedArbitrage();
       
       // Use evaluateAllTriangles method
-      const opportunities = await arbitrage.evaluateAllTriangles(config.pairs.triangles);
+      const opportunities = await arbitrage.evaluateAllTriangles(triangles, options.marketData);
       
       // Convert advanced format to legacy format for compatibility
       opportunities.forEach(opp => {
@@ -145,16 +152,24 @@ export async function scanAllTriangles(startAmount = null, useAdvanced = true) {
             pair: step.pair,
             from: step.from,
             to: step.to,
-            input: startAmt, // Simplified
-            output: endAmt,  // Simplified
+            input: parseFloat(step.input),
+            output: parseFloat(step.output),
             price: parseFloat(step.price),
-            fee: 0 // Fee already included in calculations
+            fee: parseFloat(step.fee),
+            feeRate: step.feeRate,
+            limitPrice: parseFloat(step.limitPrice),
+            quantity: parseFloat(step.quantity),
+            unfilled: parseFloat(step.unfilled)
           })),
           // Add advanced metrics
           direction: opp.direction,
           prices: opp.prices,
           liquidity: opp.liquidity,
           profitUsd: opp.profitUsd,
+          // Size that maximises USD profit on the current books
+          optimalSize: opp.optimalSize,
+          profitAtOptimal: opp.profitAtOptimal,
+          sizeCurve: opp.sizeCurve,
           // Add score-based metrics for consistency
           slippage: 0.1, // Estimated
           liquidityScore: 7, // Good liquidity
@@ -178,9 +193,9 @@ export async function scanAllTriangles(startAmount = null, useAdvanced = true) {
     const batchSize = 3; // Process 3 triangles at a time
     const delayBetweenBatches = 500; // 500ms delay between batches
 
-    for (let i = 0; i < config.pairs.triangles.length; i += batchSize) {
-      const batch = config.pairs.triangles.slice(i, i + batchSize);
-      const promises = batch.map(triangle => simulateTriangularCycle(triangle, amount));
+    for (let i = 0; i < triangles.length; i += batchSize) {
+      const batch = triangles.slice(i, i + batchSize);
+      const promises = batch.map(triangle => simulateTriangularCycle(triangle, amount, options.marketData));
       
       const batchResults = await Promise.allSettled(promises);
       
@@ -189,24 +204,42 @@ export async function scanAllTriangles(startAmount = null, useAdvanced = true) {
         if (result.status === 'fulfilled' && result.value) {
           results.push(result.value);
         } else {
-          console.error(`❌ Failed to scan: ${config.pairs.triangles[triangleIndex].path.join(' → ')}`);
+          console.error(`❌ Failed to scan: ${triangles[triangleIndex].path.join(' → ')}`);
         }
       });
 
       // Add delay between batches to prevent rate limiting
-      if (i + batchSize < config.pairs.triangles.length) {
+      if (i + batchSize < triangles.length) {
         await new Promise(resolve => setTimeout(resolve, delayBetweenBatches));
       }
     }
   }
 
+  // Graph and cross-exchange results are appended below; failures are counted over the triangles only
+  const failedCount = triangles.length - results.length;
+
+  if (config.graphScan.enabled && !options.triangles) {
+    const graphResults = await scanMarketGraph(amount, { marketData: options.marketData });
+    const seen = new Set(results.map(r => r.triangle));
+    graphResults
+      .filter(r => !seen.has(r.triangle))
+      .forEach(r => results.push(r));
+  }
+
+  if (config.execution.mode === 'maker') {
+    await applyMakerExecution(results, amount, options.marketData);
+  }
+
+  if (config.crossExchange.enabled && !options.triangles) {
+    results.push(...await scanCrossExchange(amount));
+  }
+
   const duration = Date.now() - startTime;
 
   // Sort by profit percentage (highest first)
   results.sort((a, b) => b.profitPct - a.profitPct);
 
   const profitableCount = results.filter(r => r.isProfitable).length;
-  const failedCount = config.pairs.triangles.length - results.length;
 
   console.log(`\n✅ Scan completed in ${duration}ms`);
   console.log(`📊 Results: ${profitableCount} profitable, ${results.length - profitableCount} unprofitable, ${failedCount} failed\n`);
@@ -226,6 +259,89 @@ export async function scanAllTriangles(startAmount = null, useAdvanced = true) {
   return results;
 }
 
+/**
+ * Re-evaluate near-miss taker results with one leg resting as a maker order
+ * Results whose expected maker profit clears the threshold are upgraded in place
+ * and carry an `execution` block that AutoTrader uses to place the limit order.
+ * @param {Array} results - Scan results (mutated)
+ * @param {number} amount - Starting amount
+ * @param {MarketDataProvider} marketData - Order book source (default provider if omitted)
+ * @returns {Promise<number>} Number of results upgraded to maker execution
+ */
+export async function applyMakerExecution(results, amount, marketData = null) {
+  const floor = config.trading.minProfitThreshold - config.execution.makerScanMargin;
+  let upgraded = 0;
+
+  for (let i = 0; i < results.length; i++) {
+    const result = results[i];
+    if (result.isProfitable || result.profitPct < floor || result.type === 'cross-exchange') continue;
+
+    const maker = await simulateMakerCycle(
+      { path: result.triangle.split(' → '), pairs: result.pairs },
+      result.optimalSize || amount,
+      marketData ? { marketData } : {}
+    );
+
+    if (maker && maker.isProfitable) {
+      results[i] = {
+        ...result,
+        startAmount: maker.startAmount,
+        endAmount: maker.endAmount,
+        profit: maker.profit,
+        profitPct: maker.profitPct,
+        isProfitable: true,
+        steps: maker.steps,
+        execution: maker.execution
+      };
+      upgraded++;
+      console.log(`\x1b[36m>>> [MAKER] ${result.triangle}: ${maker.execution.expectedProfitPct.toFixed(4)}% expected (fill ${(maker.execution.fillProbability * 100).toFixed(0)}%)\x1b[0m`);
+    }
+  }
+
+  return upgraded;
+}
+
+/**
+ * Scan the whole market graph for profitable cycles of any configured length
+ * Uses a single bookTicker snapshot instead of per-triangle order books.
+ * @param {number} startAmount - Starting amount in USD
+ * @param {Object} options - { snapshot, markets } to reuse data already fetched, { marketData } quote source
+ * @returns {Promise<Array>} Opportunities in scanner format, sorted by profit percentage
+ */
+export async function scanMarketGraph(startAmount = null, options = {}) {
+  const amount = startAmount || config.trading.tradeAmountUSDT;
+
+  try {
+    const snapshot = options.snapshot || await fetchBookTickerSnapshot(options.marketData);
+    const opportunities = negativeCycleDetector.detect(snapshot, { markets: options.markets, startAmount: amount });
+    console.log(`\x1b[36m>>> [GRAPH-SCAN] ${opportunities.length} profitable cycles (≤${negativeCycleDetector.maxCycleLength} legs)\x1b[0m`);
+    return opportunities;
+  } catch (error) {
+    console.error(`❌ Market graph scan failed: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Scan buy-here/sell-there spreads of the configured symbols across ccxt venues
+ * @param {number} startAmount - Quote currency to spend per opportunity
+ * @param {Object} options - { engine } a CrossExchangeArbitrage with its own venues (e.g. mock exchanges)
+ * @returns {Promise<Array>} Opportunities with type 'cross-exchange', sorted by profit percentage
+ */
+export async function scanCrossExchange(startAmount = null, options = {}) {
+  const engine = options.engine || crossExchangeArbitrage;
+
+  try {
+    const opportunities = await engine.scan(startAmount || config.trading.tradeAmountUSDT);
+    const profitable = opportunities.filter(o => o.isProfitable).length;
+    console.log(`\x1b[36m>>> [CROSS-EXCHANGE] ${opportunities.length} venue pairs, ${profitable} profitable after fees and withdrawals\x1b[0m`);
+    return opportunities;
+  } catch (error) {
+    console.error(`❌ Cross-exchange scan failed: ${error.message}`);
+    return [];
+  }
+}
+
 /**
  * Get only profitable opportunities above threshold
  * @param {Array} results - Scan results
@@ -406,7 +522,8 @@ export async function continuousScan(intervalMs = 60000, onResults = null) {
  * @returns {Promise<Object>} Best opportunity for that currency
  */
 export async function findBestTriangle(startCurrency, amount = null, useAdvanced = true) {
-  const relevantTriangles = config.pairs.triangles.filter(
+  const triangles = await resolveTriangles();
+  const relevantTriangles = triangles.filter(
     t => t.path[0] === startCurrency
   );
 
@@ -0,0 +1,278 @@
+// Triangle Discovery
+// Builds a currency graph from exchange market metadata and enumerates every valid 3-leg cycle
+
+import axios from 'axios';
+import { config, getBaseUrl } from '../../config/config.js';
+
+const STABLE_USD_ASSETS = ['USDT', 'BUSD', 'USDC', 'FDUSD', 'TUSD'];
+
+// Cache of the last discovery run
+let cachedTriangles = null;
+let cachedAt = 0;
+
+/**
+ * Load spot market metadata directly from Binance exchangeInfo and 24h tickers
+ * @returns {Promise<Array>} Normalized markets [{ symbol, base, quote, status, quoteVolume, lastPrice, filters }]
+ */
+export async function fetchBinanceMarkets() {
+  const baseUrl = getBaseUrl();
+
+  const [infoResponse, tickerResponse] = await Promise.all([
+    axios.get(`${baseUrl}/exchangeInfo`, { timeout: 15000 }),
+    axios.get(`${baseUrl}/ticker/24hr`, { timeout: 15000 })
+  ]);
+
+  const tickers = new Map();
+  tickerResponse.data.forEach(ticker => tickers.set(ticker.symbol, ticker));
+
+  return infoResponse.data.symbols
+    .filter(s => s.isSpotTradingAllowed !== false)
+    .map(s => {
+      const ticker = tickers.get(s.symbol);
+      return {
+        symbol: s.symbol,
+        base: s.baseAsset,
+        quote: s.quoteAsset,
+        status: s.status,
+        quoteVolume: ticker ? parseFloat(ticker.quoteVolume) : 0,
+        lastPrice: ticker ? parseFloat(ticker.lastPrice) : 0,
+        filters: s.filters || []
+      };
+    });
+}
+
+/**
+ * Load spot market metadata through a ccxt exchange instance
+ * @param {Object} exchange - ccxt exchange instance
+ * @returns {Promise<Array>} Normalized markets (same shape as fetchBinanceMarkets)
+ */
+export async function fetchCcxtMarkets(exchange) {
+  const markets = await exchange.loadMarkets();
+
+  let tickers = {};
+  try {
+    tickers = await exchange.fetchTickers();
+  } catch (error) {
+    console.warn(`⚠️  Could not fetch tickers from ${exchange.id}, volume filter disabled: ${error.message}`);
+  }
+
+  return Object.values(markets)
+    .filter(m => m.spot !== false)
+    .map(m => {
+      const ticker = tickers[m.symbol];
+      return {
+        symbol: m.id,
+        base: m.base,
+        quote: m.quote,
+        status: m.active === false ? 'BREAK' : 'TRADING',
+        quoteVolume: ticker && ticker.quoteVolume ? ticker.quoteVolume : 0,
+        lastPrice: ticker && ticker.last ? ticker.last : 0,
+        filters: (m.info && m.info.filters) || []
+      };
+    });
+}
+
+/**
+ * Estimate the USDT value of one unit of each asset from market last prices
+ * @param {Array} markets - Normalized markets
+ * @returns {Map<string, number>} asset -> USDT price
+ */
+export function buildUsdPriceIndex(markets) {
+  const prices = new Map();
+  STABLE_USD_ASSETS.forEach(asset => prices.set(asset, 1));
+
+  // Direct USD quotes first, then one hop through BTC/ETH/BNB for the rest
+  markets.forEach(m => {
+    if (STABLE_USD_ASSETS.includes(m.quote) && m.lastPrice > 0 && !prices.has(m.base)) {
+      prices.set(m.base, m.lastPrice);
+    }
+  });
+
+  markets.forEach(m => {
+    if (!prices.has(m.base) && prices.has(m.quote) && m.lastPrice > 0) {
+      prices.set(m.base, m.lastPrice * prices.get(m.quote));
+    }
+  });
+
+  return prices;
+}
+
+/**
+ * Apply status, quote asset and 24h volume filters to a market list
+ * @param {Array} markets - Normalized markets
+ * @param {Object} filters - { quoteAssets, minVolumeUSDT, status }
+ * @returns {Array} Markets eligible for triangle building
+ */
+export function filterMarkets(markets, filters = {}) {
+  const {
+    quoteAssets = config.discovery.quoteAssets,
+    minVolumeUSDT = config.discovery.minVolumeUSDT,
+    status = 'TRADING'
+  } = filters;
+
+  const usdPrices = buildUsdPriceIndex(markets);
+
+  return markets.filter(m => {
+    if (status && m.status !== status) return false;
+    if (quoteAssets && quoteAssets.length > 0 && !quoteAssets.includes(m.quote)) return false;
+
+    if (minVolumeUSDT > 0) {
+      const quotePrice = usdPrices.get(m.quote);
+      // Unknown quote valuation means we cannot prove the volume, so skip it
+      if (!quotePrice) return false;
+      if (m.quoteVolume * quotePrice < minVolumeUSDT) return false;
+    }
+
+    return true;
+  });
+}
+
+/**
+ * Build an undirected currency graph where each edge is a tradable symbol
+ * @param {Array} markets - Normalized markets
+ * @returns {Map<string, Map<string, Object>>} currency -> (neighbor -> market)
+ */
+export function buildCurrencyGraph(markets) {
+  const graph = new Map();
+
+  const link = (from, to, market) => {
+    if (!graph.has(from)) graph.set(from, new Map());
+    graph.get(from).set(to, market);
+  };
+
+  markets.forEach(m => {
+    link(m.base, m.quote, m);
+    link(m.quote, m.base, m);
+  });
+
+  return graph;
+}
+
+/**
+ * Enumerate every 3-leg cycle starting and ending at the given currencies
+ * Both traversal directions are returned as separate triangles.
+ * @param {Map} graph - Currency graph from buildCurrencyGraph
+ * @param {Array<string>} startCurrencies - Currencies to start (and end) in
+ * @returns {Array} Triangles in config format { path, pairs }
+ */
+export function enumerateTriangles(graph, startCurrencies = config.discovery.startCurrencies) {
+  const triangles = [];
+  const seen = new Set();
+
+  for (const start of startCurrencies) {
+    const startEdges = graph.get(start);
+    if (!startEdges) continue;
+
+    for (const [first, firstMarket] of startEdges) {
+      const firstEdges = graph.get(first);
+
+      for (const [second, secondMarket] of firstEdges) {
+        if (second === start) continue;
+
+        const closingMarket = startEdges.get(second);
+        if (!closingMarket) continue;
+
+        const key = `${start}-${first}-${second}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        triangles.push({
+          path: [start, first, second, start],
+          pairs: [firstMarket.symbol, secondMarket.symbol, closingMarket.symbol]
+        });
+      }
+    }
+  }
+
+  return triangles;
+}
+
+/**
+ * Discover triangles from live market metadata
+ * @param {Object} options - { exchange, startCurrencies, quoteAssets, minVolumeUSDT, maxTriangles, markets }
+ * @returns {Promise<Array>} Triangles in config format { path, pairs }
+ */
+export async function discoverTriangles(options = {}) {
+  const {
+    exchange = null,
+    markets = null,
+    startCurrencies = config.discovery.startCurrencies,
+    quoteAssets = config.discovery.quoteAssets,
+    minVolumeUSDT = config.discovery.minVolumeUSDT,
+    maxTriangles = config.discovery.maxTriangles
+  } = options;
+
+  const allMarkets = markets || (exchange ? await fetchCcxtMarkets(exchange) : await fetchBinanceMarkets());
+  const eligible = filterMarkets(allMarkets, { quoteAssets, minVolumeUSDT });
+  const graph = buildCurrencyGraph(eligible);
+  let triangles = enumerateTriangles(graph, startCurrencies);
+
+  // Prefer triangles whose thinnest leg still trades the most
+  const marketBySymbol = new Map(eligible.map(m => [m.symbol, m]));
+  const usdPrices = buildUsdPriceIndex(allMarkets);
+  const legVolume = (symbol) => {
+    const market = marketBySymbol.get(symbol);
+    return market ? market.quoteVolume * (usdPrices.get(market.quote) || 0) : 0;
+  };
+
+  triangles = triangles
+    .map(t => ({ triangle: t, minVolume: Math.min(...t.pairs.map(legVolume)) }))
+    .sort((a, b) => b.minVolume - a.minVolume)
+    .slice(0, maxTriangles)
+    .map(entry => entry.triangle);
+
+  console.log(`🧭 Discovered ${triangles.length} triangles from ${eligible.length}/${allMarkets.length} eligible markets`);
+
+  return triangles;
+}
+
+/**
+ * Resolve the triangle set the scanners should use.
+ * Returns discovered triangles when discovery is enabled (cached for refreshMinutes),
+ * otherwise the static config list. Falls back to the static list on discovery failure.
+ * @param {Object} options - Passed through to discoverTriangles, plus { forceRefresh }
+ * @returns {Promise<Array>} Triangles in config format { path, pairs }
+ */
+export async function resolveTriangles(options = {}) {
+  if (!config.discovery.enabled && !options.forceDiscovery) {
+    return config.pairs.triangles;
+  }
+
+  const maxAgeMs = config.discovery.refreshMinutes * 60 * 1000;
+  if (cachedTriangles && !options.forceRefresh && Date.now() - cachedAt < maxAgeMs) {
+    return cachedTriangles;
+  }
+
+  try {
+    const triangles = await discoverTriangles(options);
+    if (triangles.length === 0) {
+      console.warn('⚠️  Triangle discovery returned no cycles, using configured triangles');
+      return config.pairs.triangles;
+    }
+
+    cachedTriangles = triangles;
+    cachedAt = Date.now();
+    return triangles;
+  } catch (error) {
+    console.error(`❌ Triangle discovery failed: ${error.message}`);
+    return cachedTriangles || config.pairs.triangles;
+  }
+}
+
+/**
+ * The triangle set resolveTriangles() last returned, without running discovery
+ * @returns {Array} Cached discovered triangles, or the static config list
+ */
+export function getResolvedTriangles() {
+  return config.discovery.enabled && cachedTriangles ? cachedTriangles : config.pairs.triangles;
+}
+
+// If run directly (for testing)
+if (import.meta.url === `file://${process.argv[1]}`) {
+  console.log('🚀 Testing Triangle Discovery...\n');
+
+  const triangles = await resolveTriangles({ forceDiscovery: true, forceRefresh: true });
+  triangles.slice(0, 20).forEach((t, i) => {
+    console.log(`${i + 1}. ${t.path.join(' → ')} (${t.pairs.join(', ')})`);
+  });
+}
@@ -1,6 +1,7 @@
 // Advanced Opportunity Selection Strategy
 // Evaluates and ranks arbitrage opportunities using multiple criteria
 
+import { feeService } from '../core/feeService.js';
 import { config } from '../../config/config.js';
 
 /**
@@ -46,16 +47,44 @@ export class OpportunitySelector {
     return {
       totalScore: Math.min(100, totalScore),
       breakdown: scores,
+      netProfitPct: this.getFeeAdjustedProfitPct(opportunity),
       opportunity
     };
   }
 
   /**
-   * Score based on profitability (profit % and absolute amount)
+   * Re-price an opportunity's profit with the fee service's per-symbol rates
+   * Steps carrying `feeRate` were simulated with that rate; steps without it are
+   * assumed to have used the flat default taker fee. LIMIT_MAKER steps are re-priced at
+   * the maker rate. Transfers (`feeRate: null`) and other venues' legs of cross-exchange
+   * routes keep the fees they were priced with.
+   * @param {Object} opportunity - Arbitrage opportunity
+   * @returns {number} Profit percentage net of the current fee schedule
+   */
+  getFeeAdjustedProfitPct(opportunity) {
+    if (!opportunity.steps || opportunity.steps.length === 0) return opportunity.profitPct;
+
+    let multiplier = 1 + opportunity.profitPct / 100;
+    opportunity.steps.forEach(step => {
+      if (step.feeRate === null || (step.exchange && step.exchange !== 'binance')) return;
+
+      const assumed = step.feeRate !== undefined ? step.feeRate : config.trading.takerFee;
+      const symbol = step.pair ? step.pair.replace('/', '') : null; // Cross-exchange legs use ccxt symbols
+      const actual = feeService.getFee(symbol, step.orderType === 'LIMIT_MAKER' ? 'maker' : 'taker');
+      multiplier *= (1 - actual) / (1 - assumed);
+    });
+
+    return (multiplier - 1) * 100;
+  }
+
+  /**
+   * Score based on profitability (profit % and absolute amount), net of fees
    */
   scoreProfitability(opportunity) {
-    const profitPct = opportunity.profitPct;
-    const profitAmount = opportunity.profit;
+    const profitPct = this.getFeeAdjustedProfitPct(opportunity);
+    const profitAmount = opportunity.startAmount
+      ? opportunity.startAmount * profitPct / 100
+      : opportunity.profit;
     
     // Score profit percentage (exponential scale)
     let pctScore = 0;
@@ -289,7 +318,7 @@ export class OpportunitySelector {
    */
   getRecommendation(scored, riskLevel) {
     const score = scored.totalScore;
-    const profit = scored.opportunity.profitPct;
+    const profit = scored.netProfitPct !== undefined ? scored.netProfitPct : scored.opportunity.profitPct;
 
     if (score >= 85 && profit >= 0.5 && riskLevel === 'LOW') {
       return 'STRONG_BUY';
@@ -315,6 +344,9 @@ export class OpportunitySelector {
     console.log('='.repeat(80));
     console.log(`Triangle: ${opportunity.triangle}`);
     console.log(`Profit: ${opportunity.profitPct.toFixed(4)}% (${opportunity.profit.toFixed(4)} ${opportunity.triangle.split(' → ')[0]})`);
+    if (scoredOpportunity.netProfitPct !== undefined) {
+      console.log(`Net of current fees: ${scoredOpportunity.netProfitPct.toFixed(4)}%`);
+    }
     console.log('\n📊 SCORE BREAKDOWN:');
     console.log(`   Total Score: ${totalScore.toFixed(2)}/100`);
     console.log(`   Profitability: ${breakdown.profit.toFixed(2)}/100`);
@@ -2,7 +2,29 @@
 // Executes triangular arbitrage trades automatically on Binance (testnet or production)
 
 import ccxt from 'ccxt';
-import { config } from '../../config/config.js';
+import { feeService } from '../core/feeService.js';
+import { cycleJournal } from './cycleJournal.js';
+import { recoverIncompleteCycles } from './cycleRecovery.js';
+import { CycleUnwinder } from './cycleUnwinder.js';
+import { LegSizer } from '../core/legSizer.js';
+import { PreTradeRevalidator } from '../core/preTradeRevalidation.js';
+import { simulateMakerCycleFromBooks, summarizeTradeFlow } from '../core/makerExecution.js';
+import { PaperExchange } from './paperExchange.js';
+import { BalanceReconciler } from './balanceReconciler.js';
+import { riskControl, RiskLimitError } from './riskControl.js';
+import { config, getCcxtOverrides } from '../../config/config.js';
+
+/**
+ * Order whose fate is unknown: its submission was uncertain and the lookup by client id failed too
+ * The cycle is left in its submitted state for recovery; unwinding now could double the position.
+ */
+export class OrderStateUnknownError extends Error {
+  constructor(message, clientOrderId) {
+    super(message);
+    this.name = 'OrderStateUnknownError';
+    this.clientOrderId = clientOrderId;
+  }
+}
 
 /**
  * Auto-Trader Class
@@ -11,6 +33,10 @@ import { config } from '../../config/config.js';
 export class AutoTrader {
   constructor() {
     this.exchange = null;
+    this.paper = config.paper.enabled;
+    this.legSizer = null;
+    this.revalidator = null;
+    this.reconciler = null;
     this.isInitialized = false;
     this.tradeHistory = [];
     this.activePositions = new Map();
@@ -31,8 +57,15 @@ export class AutoTrader {
         }
       };
 
-      // Set testnet URLs if configured
-      if (config.binance.useTestnet) {
+      // Set custom (e.g. mock exchange) or testnet URLs if configured
+      const overrides = getCcxtOverrides();
+      if (overrides) {
+        Object.assign(exchangeConfig, {
+          urls: overrides.urls,
+          options: { ...exchangeConfig.options, ...overrides.options }
+        });
+        console.log(`🧪 Using custom exchange endpoint ${config.binance.apiUrl}`);
+      } else if (config.binance.useTestnet) {
         exchangeConfig.urls = {
           api: {
             public: 'https://testnet.binance.vision/api',
@@ -40,15 +73,27 @@ export class AutoTrader {
           }
         };
         console.log('⚠️  Using TESTNET for trading');
-      } else {
+      } else if (!this.paper) {
         console.log('🚨 Using PRODUCTION for trading - BE CAREFUL!');
       }
 
-      this.exchange = new ccxt.binance(exchangeConfig);
+      // Paper mode: same market metadata and books, virtual balances and simulated fills
+      this.exchange = this.paper
+        ? new PaperExchange({ source: new ccxt.binance(exchangeConfig) })
+        : new ccxt.binance(exchangeConfig);
+      if (this.paper) {
+        console.log(`📄 PAPER TRADING - orders fill against live books with virtual balances (${config.paper.stateFile})`);
+      }
       
       // Test connection
       await this.exchange.loadMarkets();
+      this.legSizer = new LegSizer(this.exchange);
+      this.revalidator = new PreTradeRevalidator(this.exchange);
+      this.reconciler = new BalanceReconciler(this.exchange);
       const balance = await this.exchange.fetchBalance();
+
+      // Refresh fee schedule with this account's rates (the paper account uses the fee file / keys' rates)
+      await feeService.load(this.paper ? {} : { exchange: this.exchange });
       
       console.log('✅ Auto-trader initialized successfully');
       console.log(`💰 Account balances:`, {
@@ -59,6 +104,12 @@ export class AutoTrader {
       });
 
       this.isInitialized = true;
+
+      // Finish or unwind cycles a crash or restart left mid-flight; the lock keeps a manual
+      // recovery run off the journal while this process drives it
+      cycleJournal.lock();
+      await recoverIncompleteCycles(this);
+
       return true;
 
     } catch (error) {
@@ -82,7 +133,7 @@ export class AutoTrader {
       return false;
     }
 
-    if (!config.binance.apiKey || !config.binance.apiSecret) {
+    if (!this.paper && (!config.binance.apiKey || !config.binance.apiSecret)) {
       console.log('⚠️  API keys not configured');
       return false;
     }
@@ -121,6 +172,161 @@ export class AutoTrader {
     }
   }
 
+  /**
+   * Place a leg sized by the LegSizer as a market order
+   * Risk control approves the order first (RiskLimitError when it is refused). With a client
+   * order id the submission is idempotent: after a timeout or a duplicate rejection the order is
+   * looked up by that id, and only resubmitted (up to config.execution.submitRetries times) once
+   * the exchange confirms it does not exist.
+   * @param {Object} sized - LegSizer.size() result (quote cost for buys, base quantity for sells)
+   * @param {Object} context - { leg, unwind, source, clientOrderId, approved } - 0-based leg of its
+   *   cycle, true for unwind orders, deterministic client order id (TradeCycle.clientOrderId),
+   *   true when checkRisk() already approved this order
+   * @returns {Promise<Object>} Order result
+   */
+  async executeSizedLeg(sized, context = {}) {
+    if (!context.approved) {
+      this.checkRisk(sized, context);
+    }
+
+    try {
+      console.log(sized.cost !== null
+        ? `🔄 Executing BUY order: ${sized.cost} ${sized.quote} of ${sized.symbol}`
+        : `🔄 Executing ${sized.side.toUpperCase()} order: ${sized.quantity} ${sized.symbol}`);
+
+      const order = await this.placeIdempotent(sized, context.clientOrderId);
+
+      console.log(`✅ Order executed:`, {
+        id: order.id,
+        symbol: order.symbol,
+        side: order.side,
+        amount: order.amount,
+        filled: order.filled,
+        cost: order.cost,
+        price: order.average
+      });
+
+      return order;
+
+    } catch (error) {
+      console.error(`❌ Order execution failed:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Ask risk control to approve a sized order
+   * @throws {RiskLimitError} When a limit refuses it
+   */
+  checkRisk(sized, context = {}) {
+    riskControl.checkOrder({
+      source: context.source || 'autotrader',
+      symbol: sized.symbol,
+      side: sized.side,
+      asset: sized.from,
+      amount: sized.input,
+      leg: context.leg,
+      unwind: context.unwind
+    });
+  }
+
+  /**
+   * Place a sized order under a client order id, never twice
+   * Network errors leave the order's fate unknown; it is then looked up by client id, adopted if
+   * it exists, and resubmitted only if the exchange confirms it does not. The lookup waits
+   * config.execution.submitLookupDelayMs first: an order still in flight would look absent, and
+   * Binance accepts a reused client order id once the first order has filled.
+   */
+  async placeIdempotent(sized, clientOrderId) {
+    if (!clientOrderId) {
+      return await this.legSizer.place(sized);
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.legSizer.place(sized, { newClientOrderId: clientOrderId });
+      } catch (error) {
+        const uncertain = error instanceof ccxt.NetworkError || error instanceof ccxt.DuplicateOrderId;
+        if (!uncertain) throw error;
+
+        console.warn(`⚠️  ${clientOrderId} submission uncertain (${error.constructor.name}: ${error.message}), looking it up`);
+        await this.sleep(config.execution.submitLookupDelayMs);
+        let existing;
+        try {
+          existing = await this.findOrderByClientId(sized.symbol, clientOrderId);
+        } catch (lookupError) {
+          throw new OrderStateUnknownError(
+            `${clientOrderId} may be on the exchange (${error.message}; lookup failed: ${lookupError.message})`,
+            clientOrderId
+          );
+        }
+        if (existing) {
+          console.log(`🔎 ${clientOrderId} reached the exchange as order ${existing.id} (${existing.status}), not resubmitting`);
+          return existing;
+        }
+        if (attempt >= config.execution.submitRetries) throw error;
+        console.warn(`🔁 ${clientOrderId} not on the exchange, resubmitting (${attempt + 1}/${config.execution.submitRetries})`);
+      }
+    }
+  }
+
+  /**
+   * Look up an order by its client order id
+   * @returns {Promise<Object|null>} Order, or null if the exchange has no such order (other errors are thrown:
+   *   an order whose existence cannot be confirmed must not be resubmitted)
+   */
+  async findOrderByClientId(symbol, clientOrderId) {
+    try {
+      return await this.exchange.fetchOrder(undefined, symbol, { origClientOrderId: clientOrderId });
+    } catch (error) {
+      if (error instanceof ccxt.OrderNotFound) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel an order that is still resting and return its final state
+   * @param {Object} order - ccxt order
+   * @returns {Promise<Object>} The order as the exchange reports it after the cancel
+   */
+  async cancelIfOpen(order) {
+    if (order.status !== 'open') return order;
+
+    try {
+      await this.exchange.cancelOrder(order.id, order.symbol);
+    } catch (error) {
+      console.warn(`⚠️  Cancel failed for ${order.id}: ${error.message}`);
+    }
+    return await this.exchange.fetchOrder(order.id, order.symbol);
+  }
+
+  /**
+   * Journal a cycle leg as submitted and place it under the leg's client order id
+   * A leg that was already submitted is refused: its order may be on the exchange. Risk control
+   * approves the leg before it is journaled, so a refused leg is never recorded as submitted.
+   * @param {TradeCycle} cycle - Cycle being executed
+   * @param {number} index - 0-based leg
+   * @param {Object} sized - LegSizer.size() result
+   * @param {Object} options - { source, fields } - executor name, extra journal fields
+   * @returns {Promise<Object>} Order result
+   */
+  async submitLeg(cycle, index, sized, options = {}) {
+    const clientOrderId = cycle.clientOrderId(index);
+    if (cycle.record.legs[index].submittedAt) {
+      throw new Error(`Leg ${index + 1} of cycle ${cycle.id} was already submitted as ${clientOrderId}`);
+    }
+
+    const context = { leg: index, source: options.source, clientOrderId };
+    this.checkRisk(sized, context);
+
+    // Journaled before and after, so a crash in between is recoverable by client order id
+    cycle.transition(`leg${index + 1}_submitted`, {
+      leg: index,
+      order: { ...this.describeSizedLeg(sized), ...options.fields, clientOrderId }
+    });
+    return await this.executeSizedLeg(sized, { ...context, approved: true });
+  }
+
   /**
    * Execute a complete triangular arbitrage trade cycle
    * @param {Object} opportunity - Arbitrage opportunity from scanner
@@ -138,8 +344,26 @@ export class AutoTrader {
       return null;
     }
 
+    // Kill switch and cycles-per-hour throttle
+    const entry = riskControl.canEnter();
+    if (!entry.allowed) {
+      console.log(`🛑 Risk control: ${entry.reason}, skipping trade`);
+      return null;
+    }
+
+    // Cross-exchange opportunities need transfers between venues; they are reported, not traded
+    if (opportunity.type === 'cross-exchange') {
+      console.log('⚠️  Cross-exchange opportunities are alert-only, skipping trade');
+      return null;
+    }
+
+    // One leg rests as a limit order, the rest fire as takers once it fills
+    if (opportunity.execution && opportunity.execution.mode === 'maker') {
+      return await this.executeMakerFirstArbitrage(opportunity);
+    }
+
     console.log('\n' + '='.repeat(80));
-    console.log('🤖 EXECUTING TRIANGULAR ARBITRAGE TRADE');
+    console.log(`🤖 EXECUTING TRIANGULAR ARBITRAGE TRADE${this.paper ? ' (PAPER)' : ''}`);
     console.log('='.repeat(80));
     console.log(`Triangle: ${opportunity.triangle}`);
     console.log(`Expected Profit: ${opportunity.profit.toFixed(4)} (${opportunity.profitPct.toFixed(4)}%)`);
@@ -147,6 +371,8 @@ export class AutoTrader {
 
     const tradeResult = {
       opportunity,
+      cycleId: null,
+      paper: this.paper,
       steps: [],
       startTime: new Date(),
       endTime: null,
@@ -154,12 +380,30 @@ export class AutoTrader {
       actualProfit: 0,
       error: null
     };
+    let cycle = null;
+    let before = null;
 
     try {
-      // Get initial balance
-      const initialBalance = await this.getBalance(opportunity.steps[0].from);
+      // Snapshot every balance: the cycle's P&L is reconciled against it afterwards
+      before = await this.reconciler.snapshot();
+      const initialBalance = before.free[opportunity.steps[0].from] || 0;
       console.log(`💰 Initial ${opportunity.steps[0].from} balance: ${initialBalance}`);
 
+      const startAmount = Math.min(
+        opportunity.optimalSize || config.trading.tradeAmountUSDT,
+        initialBalance * 0.95 // Use 95% of balance for safety
+      );
+
+      // The books the opportunity was priced on may be seconds old by now
+      const revalidation = await this.revalidate(opportunity, startAmount);
+      if (!revalidation.ok) {
+        return null;
+      }
+      tradeResult.revalidation = revalidation.summary;
+
+      cycle = this.beginCycle(opportunity, startAmount);
+      tradeResult.cycleId = cycle.id;
+
       // Execute each step of the triangle
       for (let i = 0; i < opportunity.steps.length; i++) {
         const step = opportunity.steps[i];
@@ -170,24 +414,17 @@ export class AutoTrader {
         // Determine if we're buying or selling
         const side = step.action.toLowerCase();
         
-        // Calculate amount to trade
-        let amount;
-        if (i === 0) {
-          // First trade - use configured amount or balance
-          amount = Math.min(
-            config.trading.tradeAmountUSDT,
-            initialBalance * 0.95 // Use 95% of balance for safety
-          );
-        } else {
-          // Subsequent trades - use output from previous trade
-          const prevOutput = tradeResult.steps[i - 1].actualOutput;
-          amount = prevOutput * 0.99; // 99% for slippage/fee buffer
-        }
+        // Spend the cycle's start amount, then exactly what the previous leg delivered net of fees
+        const amount = i === 0 ? cycle.record.startAmount : tradeResult.steps[i - 1].actualOutput;
 
         console.log(`\n🔄 Step ${i + 1}/${opportunity.steps.length}: ${step.action} ${ccxtSymbol}`);
-        
-        // Execute the order
-        const order = await this.executeMarketOrder(ccxtSymbol, side, amount);
+
+        // Quote-denominated buys spend `amount` quote; sells sell `amount` base, rounded to the step size
+        const sized = await this.legSizer.size(ccxtSymbol, side, amount);
+
+        // Execute the order (journaled before and after, so a crash in between is recoverable)
+        const order = await this.submitLeg(cycle, i, sized);
+        const fill = this.recordLegFill(cycle, i, order);
 
         // Record step result
         const stepResult = {
@@ -195,9 +432,9 @@ export class AutoTrader {
           symbol: ccxtSymbol,
           side,
           expectedInput: step.input,
-          actualInput: order.amount,
+          actualInput: fill.spent,
           expectedOutput: step.output,
-          actualOutput: order.filled,
+          actualOutput: fill.output,
           expectedPrice: step.price,
           actualPrice: order.average,
           fee: order.fee,
@@ -207,40 +444,441 @@ export class AutoTrader {
 
         tradeResult.steps.push(stepResult);
 
+        if (fill.partial) {
+          throw new Error(`Leg ${i + 1} partially filled (spent ${fill.spent}/${sized.input} ${sized.from})`);
+        }
+
         // Small delay between trades to avoid rate limits
         if (i < opportunity.steps.length - 1) {
           await this.sleep(100);
         }
       }
 
-      // Get final balance
-      const finalBalance = await this.getBalance(opportunity.steps[0].from);
-      tradeResult.actualProfit = finalBalance - initialBalance;
-      tradeResult.actualProfitPct = (tradeResult.actualProfit / initialBalance) * 100;
       tradeResult.success = true;
       tradeResult.endTime = new Date();
+      await this.reconcileCycle(tradeResult, cycle, before);
+      cycle.transition('settled', { result: { actualProfit: tradeResult.actualProfit } });
 
       console.log('\n' + '='.repeat(80));
       console.log('✅ TRADE EXECUTION COMPLETED');
       console.log('='.repeat(80));
-      console.log(`💰 Final ${opportunity.steps[0].from} balance: ${finalBalance}`);
       console.log(`📊 Actual Profit: ${tradeResult.actualProfit.toFixed(4)} (${tradeResult.actualProfitPct.toFixed(4)}%)`);
       console.log(`⏱️  Execution Time: ${tradeResult.endTime - tradeResult.startTime}ms`);
       console.log('='.repeat(80) + '\n');
 
+      await this.recordRiskOutcome(tradeResult);
       this.tradeHistory.push(tradeResult);
       return tradeResult;
 
     } catch (error) {
       tradeResult.error = error.message;
+      tradeResult.refused = error instanceof RiskLimitError;
+      tradeResult.unwind = await this.closeOutCycle(cycle, error, tradeResult);
       tradeResult.endTime = new Date();
+      await this.reconcileCycle(tradeResult, cycle, before);
       
       console.error('\n❌ TRADE EXECUTION FAILED');
       console.error('Error:', error.message);
       console.error('Completed steps:', tradeResult.steps.length);
       
+      await this.recordRiskOutcome(tradeResult);
+      this.tradeHistory.push(tradeResult);
+      return tradeResult;
+    }
+  }
+
+  /**
+   * Re-price an opportunity from fresh books right before leg 1
+   * @param {Object} opportunity - Opportunity about to be executed
+   * Maker opportunities are re-priced with the maker model: the edge if the maker leg fills at
+   * a limit price chosen from the fresh book (its fill odds are not re-estimated).
+   * @param {number} startAmount - Start currency about to be committed
+   * @returns {Promise<Object>} { ok, summary, fresh } - summary of the edge decay, null when the check
+   *   is disabled; fresh: the re-priced opportunity
+   */
+  async revalidate(opportunity, startAmount) {
+    const execution = opportunity.execution;
+    const simulate = execution && execution.mode === 'maker'
+      ? (cycle, books, amount) => simulateMakerCycleFromBooks(cycle, books, amount, {
+        makerLeg: execution.makerLeg,
+        priceMode: execution.priceMode,
+        horizonMs: execution.horizonMs,
+        flow: summarizeTradeFlow([])
+      })
+      : undefined;
+
+    const { ok, skipped, fresh, ...summary } = await this.revalidator.revalidate(opportunity, startAmount, simulate);
+    return { ok, fresh, summary: skipped ? null : summary };
+  }
+
+  /**
+   * Place a post-only limit order and wait for it to fill
+   * Cancels the remainder after timeoutMs and returns the final order state.
+   * @param {string} symbol - Trading pair (e.g., 'BTC/USDT')
+   * @param {string} side - 'buy' or 'sell'
+   * @param {number} amount - Base quantity
+   * @param {number} price - Limit price
+   * @param {number} timeoutMs - Maximum time in the queue
+   * @param {string} clientOrderId - Deterministic client order id of the cycle leg (optional)
+   * @returns {Promise<Object>} Order after fill, cancel or rejection
+   */
+  async executeMakerOrder(symbol, side, amount, price, timeoutMs = config.execution.makerTimeoutMs, clientOrderId = undefined) {
+    const quantity = parseFloat(this.exchange.amountToPrecision(symbol, amount));
+    const limitPrice = parseFloat(this.exchange.priceToPrecision(symbol, price));
+
+    console.log(`📌 Posting ${side.toUpperCase()} LIMIT_MAKER: ${quantity} ${symbol} @ ${limitPrice}`);
+
+    // postOnly maps to Binance LIMIT_MAKER, which is rejected instead of crossing the spread
+    const params = clientOrderId ? { postOnly: true, newClientOrderId: clientOrderId } : { postOnly: true };
+    let order;
+    try {
+      order = await this.exchange.createOrder(symbol, 'limit', side, quantity, limitPrice, params);
+      const deadline = Date.now() + timeoutMs;
+
+      while (order.status === 'open' && Date.now() < deadline) {
+        await this.sleep(250);
+        order = await this.exchange.fetchOrder(order.id, symbol);
+      }
+    } catch (error) {
+      // Posted or possibly posted, then lost track of: recovery finds it by client id and cancels it
+      if (clientOrderId && error instanceof ccxt.NetworkError) {
+        throw new OrderStateUnknownError(`${clientOrderId} may be resting on the book (${error.message})`, clientOrderId);
+      }
+      throw error;
+    }
+
+    if (order.status === 'open') {
+      order = await this.cancelIfOpen(order);
+      console.log(`⏱️  Maker order timed out after ${timeoutMs}ms (filled ${order.filled}/${quantity})`);
+    } else {
+      console.log(`✅ Maker order ${order.status}: filled ${order.filled}/${quantity}`);
+    }
+
+    return order;
+  }
+
+  /**
+   * Execute a cycle with one maker leg
+   * Legs before the maker leg run as market orders, the maker leg rests at the
+   * simulated limit price, and the remaining legs run as market orders on whatever filled.
+   * @param {Object} opportunity - Opportunity with an `execution` block from the maker simulator
+   * @returns {Promise<Object>} Trade execution result
+   */
+  async executeMakerFirstArbitrage(opportunity) {
+    const { makerLeg, horizonMs } = opportunity.execution;
+    let limitPrice = opportunity.execution.limitPrice;
+    const startCurrency = opportunity.steps[0].from;
+
+    console.log('\n' + '='.repeat(80));
+    console.log(`🤖 EXECUTING MAKER-LEG ARBITRAGE TRADE${this.paper ? ' (PAPER)' : ''}`);
+    console.log('='.repeat(80));
+    console.log(`Triangle: ${opportunity.triangle}`);
+    console.log(`Maker leg: ${makerLeg + 1} (${opportunity.steps[makerLeg].pair} @ ${limitPrice})`);
+    console.log(`Fill probability: ${(opportunity.execution.fillProbability * 100).toFixed(1)}% | Expected: ${opportunity.execution.expectedProfitPct.toFixed(4)}%`);
+    console.log('-'.repeat(80));
+
+    const tradeResult = {
+      opportunity,
+      executionMode: 'maker',
+      paper: this.paper,
+      steps: [],
+      startTime: new Date(),
+      endTime: null,
+      success: false,
+      cancelled: false,
+      cycleId: null,
+      actualProfit: 0,
+      error: null
+    };
+    let cycle = null;
+    let before = null;
+
+    try {
+      before = await this.reconciler.snapshot();
+      const initialBalance = before.free[startCurrency] || 0;
+      let amount = Math.min(
+        opportunity.optimalSize || config.trading.tradeAmountUSDT,
+        initialBalance * 0.95 // Use 95% of balance for safety
+      );
+
+      // Re-price from fresh books before leg 1, and post the maker leg at the fresh limit price
+      const revalidation = await this.revalidate(opportunity, amount);
+      if (!revalidation.ok) {
+        return null;
+      }
+      tradeResult.revalidation = revalidation.summary;
+      if (revalidation.fresh) {
+        limitPrice = revalidation.fresh.execution.limitPrice;
+      }
+
+      cycle = this.beginCycle(opportunity, amount);
+      tradeResult.cycleId = cycle.id;
+
+      for (let i = 0; i < opportunity.steps.length; i++) {
+        const step = opportunity.steps[i];
+        const ccxtSymbol = this.formatSymbolForCCXT(step.pair);
+        const side = step.action.toLowerCase();
+
+        console.log(`\n🔄 Step ${i + 1}/${opportunity.steps.length}: ${step.action} ${ccxtSymbol}${i === makerLeg ? ' (maker)' : ''}`);
+
+        let order;
+        if (i === makerLeg) {
+          // Limit orders are sized in base units: a BUY spends `amount` quote at the limit price
+          const quantity = side === 'buy' ? amount / limitPrice : amount;
+          const clientOrderId = cycle.clientOrderId(i);
+          riskControl.checkOrder({ source: 'autotrader', symbol: ccxtSymbol, side, asset: step.from, amount, leg: i });
+          cycle.transition(`leg${i + 1}_submitted`, { leg: i, order: { amount, orderType: 'LIMIT_MAKER', clientOrderId } });
+          order = await this.executeMakerOrder(ccxtSymbol, side, quantity, limitPrice, horizonMs, clientOrderId);
+
+          if (!order.filled) {
+            tradeResult.cancelled = true;
+            if (i > 0) {
+              tradeResult.error = `Maker leg not filled, holding ${step.from} from earlier legs`;
+              console.warn(`⚠️  ${tradeResult.error}`);
+              tradeResult.unwind = await this.unwindCycle(cycle, tradeResult.error);
+            } else {
+              cycle.transition('cancelled', { error: 'Maker leg not filled' });
+            }
+            break;
+          }
+        } else {
+          const sized = await this.legSizer.size(ccxtSymbol, side, amount);
+          order = await this.submitLeg(cycle, i, sized, { fields: { orderType: 'MARKET' } });
+        }
+        const fill = this.recordLegFill(cycle, i, order);
+
+        tradeResult.steps.push({
+          step: i + 1,
+          symbol: ccxtSymbol,
+          side,
+          orderType: i === makerLeg ? 'LIMIT_MAKER' : 'MARKET',
+          expectedInput: step.input,
+          actualInput: fill.spent,
+          expectedOutput: step.output,
+          actualOutput: fill.output,
+          expectedPrice: step.price,
+          actualPrice: order.average,
+          fee: order.fee,
+          orderId: order.id,
+          timestamp: order.timestamp
+        });
+
+        // A resting maker leg may fill partially by design; a market leg may not
+        if (fill.partial && i !== makerLeg) {
+          throw new Error(`Leg ${i + 1} partially filled (spent ${fill.spent}/${amount} ${step.from})`);
+        }
+
+        // The next leg spends exactly what arrived, net of fees
+        amount = fill.output;
+      }
+
+      tradeResult.success = !tradeResult.cancelled;
+      tradeResult.endTime = new Date();
+      await this.reconcileCycle(tradeResult, cycle, before);
+      if (tradeResult.success) {
+        cycle.transition('settled', { result: { actualProfit: tradeResult.actualProfit } });
+      }
+
+      console.log('\n' + '='.repeat(80));
+      console.log(tradeResult.cancelled ? '⏭️  MAKER LEG NOT FILLED - CYCLE CANCELLED' : '✅ TRADE EXECUTION COMPLETED');
+      console.log('='.repeat(80));
+      console.log(`📊 Actual Profit: ${tradeResult.actualProfit.toFixed(4)} (${tradeResult.actualProfitPct.toFixed(4)}%)`);
+      console.log(`⏱️  Execution Time: ${tradeResult.endTime - tradeResult.startTime}ms`);
+      console.log('='.repeat(80) + '\n');
+
+      await this.recordRiskOutcome(tradeResult);
       this.tradeHistory.push(tradeResult);
       return tradeResult;
+
+    } catch (error) {
+      tradeResult.error = error.message;
+      tradeResult.refused = error instanceof RiskLimitError;
+      tradeResult.unwind = await this.closeOutCycle(cycle, error, tradeResult);
+      tradeResult.endTime = new Date();
+      await this.reconcileCycle(tradeResult, cycle, before);
+
+      console.error('\n❌ MAKER-LEG TRADE EXECUTION FAILED');
+      console.error('Error:', error.message);
+      console.error('Completed steps:', tradeResult.steps.length);
+
+      await this.recordRiskOutcome(tradeResult);
+      this.tradeHistory.push(tradeResult);
+      return tradeResult;
+    }
+  }
+
+  /**
+   * Journal a new cycle for an opportunity
+   * @param {Object} opportunity - Opportunity being executed
+   * @param {number} startAmount - Start currency committed to leg 1
+   * @param {string} source - Executor name recorded in the journal
+   * @returns {TradeCycle}
+   */
+  beginCycle(opportunity, startAmount, source = 'autotrader') {
+    return cycleJournal.begin({
+      source,
+      triangle: opportunity.triangle,
+      startCurrency: opportunity.steps[0].from,
+      startAmount,
+      legs: opportunity.steps.map(step => ({
+        pair: step.pair,
+        symbol: this.formatSymbolForCCXT(step.pair),
+        side: step.action.toLowerCase(),
+        from: step.from,
+        to: step.to
+      }))
+    });
+  }
+
+  /**
+   * Journal fields of a sized leg: the from-asset committed and how the order is denominated
+   */
+  describeSizedLeg(sized) {
+    return sized.cost !== null
+      ? { amount: sized.input, cost: sized.cost }
+      : { amount: sized.input, quantity: sized.quantity };
+  }
+
+  /**
+   * Journal a leg fill and what the cycle now holds
+   * The output is what arrived net of fees charged in the received asset. Spending less than
+   * config.execution.minFillRatio of the leg's committed amount also journals the unspent
+   * from-asset as a residual.
+   * @param {Object} fields - Extra journal fields for the leg (e.g. { reconciled: true })
+   * @returns {Object} { output, spent, partial }
+   */
+  recordLegFill(cycle, index, order, fields = {}) {
+    const leg = cycle.record.legs[index];
+    const output = this.legSizer.received(order, leg);
+    const spent = this.legSizer.spent(order, leg);
+    const committed = leg.amount !== undefined ? leg.amount : spent;
+    const partial = spent < committed * config.execution.minFillRatio;
+
+    const data = {
+      leg: index,
+      order: { orderId: order.id, filled: order.filled, cost: order.cost, average: order.average, spent, output, ...fields },
+      holding: { asset: leg.to, amount: output }
+    };
+    if (partial) {
+      // BUY leaves quote unspent, SELL leaves base unsold
+      data.residuals = [...(cycle.record.residuals || []), { asset: leg.from, amount: committed - spent }];
+      console.warn(`⚠️  Partial fill on ${leg.symbol}: spent ${spent}/${committed} ${leg.from}`);
+    }
+
+    cycle.transition(`leg${index + 1}_filled`, data);
+    return { output, spent, partial };
+  }
+
+  /**
+   * Report a finished cycle to risk control (daily loss, loss streak and error-rate breakers)
+   * Cycles that never traded - leg 1 refused by risk control, or a maker leg 1 that did not
+   * fill - are not outcomes.
+   * @param {Object} tradeResult - Result of executeTriangularArbitrage / executeMakerFirstArbitrage
+   */
+  async recordRiskOutcome(tradeResult) {
+    if (tradeResult.steps.length === 0 && (tradeResult.refused || tradeResult.cancelled)) return;
+
+    riskControl.recordCycle({
+      source: 'autotrader',
+      pnlUsd: tradeResult.actualProfitUsd,
+      error: Boolean(tradeResult.error)
+    });
+  }
+
+  /**
+   * Set a finished cycle's P&L from its own fills, reconciled against the balance snapshots
+   * Without reconciliation (disabled, or trade history unavailable) it falls back to the
+   * unwinder's realised loss, else the start-currency balance change.
+   * @param {Object} tradeResult - Trade result to complete (actualProfit, actualProfitPct, actualProfitUsd, reconciliation)
+   * @param {TradeCycle} cycle - The cycle's journal entry (null if it never started)
+   * @param {Object} before - BalanceReconciler.snapshot() taken before the cycle
+   */
+  async reconcileCycle(tradeResult, cycle, before) {
+    const currency = tradeResult.opportunity.steps[0].from;
+    tradeResult.actualProfit = tradeResult.unwind ? -tradeResult.unwind.realisedLoss : 0;
+
+    // A cycle left for recovery still holds an open position; its P&L is settled by recovery
+    const orders = cycle && !tradeResult.pendingRecovery ? this.getCycleOrders(cycle.record) : [];
+    if (orders.length > 0 && before) {
+      try {
+        const after = await this.reconciler.snapshot();
+        if (!tradeResult.unwind) {
+          tradeResult.actualProfit = (after.balances[currency] || 0) - (before.balances[currency] || 0);
+        }
+        if (this.reconciler.enabled) {
+          tradeResult.reconciliation = await this.reconciler.reconcile({
+            id: cycle.id,
+            before,
+            after,
+            orders,
+            startCurrency: currency,
+            startAmount: cycle.record.startAmount,
+            since: tradeResult.startTime.getTime()
+          });
+          tradeResult.actualProfit = tradeResult.reconciliation.pnl;
+        }
+      } catch (error) {
+        console.warn(`⚠️  Could not reconcile cycle ${cycle.id}: ${error.message}`);
+      }
+    }
+
+    const startAmount = cycle ? cycle.record.startAmount : 0;
+    tradeResult.actualProfitPct = startAmount > 0 ? (tradeResult.actualProfit / startAmount) * 100 : 0;
+    tradeResult.actualProfitUsd = await riskControl.toUsd(tradeResult.actualProfit, currency, this.exchange);
+  }
+
+  /**
+   * Orders that filled for a cycle: its legs, then any unwind orders
+   * @returns {Array} [{ symbol, orderId }]
+   */
+  getCycleOrders(record) {
+    const filled = [
+      ...record.legs.filter(leg => leg.orderId && leg.filled > 0),
+      ...(record.unwindOrders || []).filter(order => order.status === 'filled' && order.orderId && order.filled > 0)
+    ];
+    return filled.map(order => ({ symbol: order.symbol, orderId: order.orderId }));
+  }
+
+  /**
+   * Close out a cycle after an execution error
+   * A leg whose order may or may not be on the exchange cannot be unwound safely: the cycle stays
+   * in its submitted state, and recovery (next start or cycleRecovery.js) resolves it by client id.
+   * @returns {Promise<Object|null>} Unwind report, or null if nothing was unwound
+   */
+  async closeOutCycle(cycle, error, tradeResult = {}) {
+    if (cycle && !cycle.isTerminal && error instanceof OrderStateUnknownError) {
+      tradeResult.pendingRecovery = true;
+      cycleJournal.release(cycle.id);
+      console.warn(`⚠️  Cycle ${cycle.id} left at ${cycle.state} for recovery: ${error.message}`);
+      return null;
+    }
+    return await this.unwindCycle(cycle, error.message);
+  }
+
+  /**
+   * Get a cycle that stopped early back to its start currency
+   * Nothing filled means it simply failed. Otherwise the unwinder completes or reverts it;
+   * if that fails too, the cycle stays 'unwinding' in the journal for startup recovery.
+   * @param {TradeCycle} cycle - Cycle to close out
+   * @param {string} reason - Why it stopped
+   * @param {Object} options - Unwinder options ({ prefer })
+   * @returns {Promise<Object|null>} Unwind report, or null if nothing was unwound
+   */
+  async unwindCycle(cycle, reason, options = {}) {
+    if (!cycle || cycle.isTerminal) return null;
+
+    if (cycle.filledLegs.length === 0) {
+      cycle.transition('failed', { error: reason });
+      return null;
+    }
+
+    try {
+      return await new CycleUnwinder(this).unwind(cycle, reason, options);
+    } catch (error) {
+      cycleJournal.release(cycle.id);
+      console.error(`❌ Unwind of cycle ${cycle.id} failed: ${error.message}`);
+      console.warn(`⚠️  Cycle ${cycle.id} holds ${cycle.record.holding.amount} ${cycle.record.holding.asset}; journaled for recovery`);
+      return null;
     }
   }
 
@@ -303,11 +941,11 @@ export class AutoTrader {
 
   /**
    * Get total profit from all trades
+   * Failed trades count too: their actualProfit carries the unwind loss.
    */
   getTotalProfit() {
     return this.tradeHistory
-      .filter(t => t.success)
-      .reduce((sum, t) => sum + t.actualProfit, 0);
+      .reduce((sum, t) => sum + (t.actualProfit || 0), 0);
   }
 
   /**
@@ -318,7 +956,7 @@ export class AutoTrader {
     const successful = this.getSuccessfulTrades().length;
     const failed = total - successful;
     const totalProfit = this.getTotalProfit();
-    const avgProfit = successful > 0 ? totalProfit / successful : 0;
+    const avgProfit = total > 0 ? totalProfit / total : 0;
 
     console.log('\n' + '='.repeat(80));
     console.log('📊 AUTO-TRADER STATISTICS');
@@ -0,0 +1,233 @@
+// Balance Reconciler
+// Attributes the account's balance changes around a cycle to the cycle's own fills
+
+import { config } from '../../config/config.js';
+
+const TRADE_LOOKBACK_MS = 5000; // Clock slack when fetching the cycle's trades
+const EPSILON = 1e-9; // Float noise in balance arithmetic
+
+/**
+ * Balance Reconciler
+ * A start-currency balance diff is wrong whenever anything else touches the account, and it
+ * ignores what a cycle leaves behind in intermediate assets. The reconciler instead:
+ *   1. snapshots every balance before and after the cycle
+ *   2. rebuilds the cycle's expected per-asset deltas from its own fills (fetchMyTrades, fees
+ *      included, legs and unwind orders alike)
+ *   3. values those deltas in the start currency at the cycle's fill prices: that is the
+ *      reconciled P&L, leftovers in intermediate assets included
+ *   4. flags leftovers (dust when below tolerancePct of the start amount) and any asset whose
+ *      observed change differs from the fills by more than the tolerance (unexplained)
+ */
+export class BalanceReconciler {
+  /**
+   * @param {Object} exchange - ccxt exchange (or PaperExchange) the cycle trades on
+   * @param {Object} options - { enabled, tolerancePct }
+   */
+  constructor(exchange, options = {}) {
+    const settings = config.reconciliation;
+    this.exchange = exchange;
+    this.enabled = options.enabled !== undefined ? options.enabled : settings.enabled;
+    this.tolerancePct = options.tolerancePct !== undefined ? options.tolerancePct : settings.tolerancePct;
+  }
+
+  /**
+   * Total (free + in orders) of every non-zero balance
+   * @returns {Promise<Object>} { balances, free, timestamp }
+   */
+  async snapshot() {
+    const balance = await this.exchange.fetchBalance();
+    const balances = {};
+    Object.entries(balance.total || {}).forEach(([asset, amount]) => {
+      if (amount) balances[asset] = amount;
+    });
+    return { balances, free: balance.free || {}, timestamp: Date.now() };
+  }
+
+  /**
+   * Fills of the given orders from the account's trade history
+   * @param {Array} orders - [{ symbol, orderId }]
+   * @returns {Promise<Object>} { fills, missing } - missing: orders with no trades found
+   */
+  async fetchFills(orders, since) {
+    const bySymbol = new Map();
+    orders.forEach(order => {
+      if (!bySymbol.has(order.symbol)) bySymbol.set(order.symbol, new Set());
+      bySymbol.get(order.symbol).add(String(order.orderId));
+    });
+
+    const fills = [];
+    for (const [symbol, ids] of bySymbol) {
+      const trades = await this.exchange.fetchMyTrades(symbol, since - TRADE_LOOKBACK_MS);
+      fills.push(...trades.filter(trade => ids.has(String(trade.order))));
+    }
+
+    const found = new Set(fills.map(fill => String(fill.order)));
+    const missing = orders.filter(order => !found.has(String(order.orderId)));
+    return { fills, missing };
+  }
+
+  /**
+   * Per-asset balance change the fills account for (fees included)
+   */
+  attribute(fills) {
+    const deltas = {};
+    const add = (asset, amount) => { deltas[asset] = (deltas[asset] || 0) + amount; };
+
+    fills.forEach(fill => {
+      const { base, quote } = this.exchange.market(fill.symbol);
+      const sign = fill.side === 'buy' ? 1 : -1;
+      add(base, sign * fill.amount);
+      add(quote, -sign * fill.cost);
+      (fill.fees && fill.fees.length > 0 ? fill.fees : [fill.fee]).forEach(fee => {
+        if (fee && fee.cost) add(fee.currency, -fee.cost);
+      });
+    });
+    return deltas;
+  }
+
+  /**
+   * Start-currency value of each asset the fills traded, from the fill prices themselves
+   */
+  fillRates(fills, startCurrency) {
+    const rates = { [startCurrency]: 1 };
+    let changed = true;
+    while (changed) {
+      changed = false;
+      fills.forEach(fill => {
+        const { base, quote } = this.exchange.market(fill.symbol);
+        const price = fill.amount > 0 ? fill.cost / fill.amount : 0;
+        if (!price) return;
+        if (rates[quote] !== undefined && rates[base] === undefined) {
+          rates[base] = price * rates[quote];
+          changed = true;
+        } else if (rates[base] !== undefined && rates[quote] === undefined) {
+          rates[quote] = rates[base] / price;
+          changed = true;
+        }
+      });
+    }
+    return rates;
+  }
+
+  /**
+   * Start-currency value of an asset the fills did not price (e.g. a BNB fee): direct ticker
+   * @returns {Promise<number|null>}
+   */
+  async tickerRate(asset, startCurrency) {
+    const markets = this.exchange.markets || {};
+    try {
+      if (markets[`${asset}/${startCurrency}`]) {
+        const ticker = await this.exchange.fetchTicker(`${asset}/${startCurrency}`);
+        return ticker.last || ticker.bid;
+      }
+      if (markets[`${startCurrency}/${asset}`]) {
+        const ticker = await this.exchange.fetchTicker(`${startCurrency}/${asset}`);
+        return 1 / (ticker.last || ticker.ask);
+      }
+    } catch (error) {
+      console.warn(`⚠️  No ${asset}/${startCurrency} price for reconciliation: ${error.message}`);
+    }
+    return null;
+  }
+
+  /**
+   * Reconcile a finished cycle
+   * @param {Object} cycle - { id, before, after, orders: [{ symbol, orderId }], startCurrency, startAmount, since }
+   * @returns {Promise<Object>} Report { status, currency, pnl, realisedPnl, balanceDelta, leftovers, unexplained, fees, missingOrders, unvalued }
+   */
+  async reconcile(cycle) {
+    const { before, after, orders, startCurrency, startAmount } = cycle;
+    const { fills, missing } = await this.fetchFills(orders, cycle.since);
+    const expected = this.attribute(fills);
+    const rates = this.fillRates(fills, startCurrency);
+    const tolerance = startAmount * this.tolerancePct / 100;
+
+    const observed = {};
+    new Set([...Object.keys(before.balances), ...Object.keys(after.balances)]).forEach(asset => {
+      const delta = (after.balances[asset] || 0) - (before.balances[asset] || 0);
+      if (Math.abs(delta) > EPSILON) observed[asset] = delta;
+    });
+
+    const traded = new Set(fills.flatMap(fill => {
+      const { base, quote } = this.exchange.market(fill.symbol);
+      return [base, quote];
+    }));
+
+    const report = {
+      status: 'ok',
+      currency: startCurrency,
+      pnl: 0,
+      realisedPnl: expected[startCurrency] || 0,
+      balanceDelta: observed[startCurrency] || 0,
+      leftovers: [],
+      unexplained: [],
+      fees: [],
+      missingOrders: missing.map(order => order.orderId),
+      unvalued: [],
+      fills: fills.length
+    };
+
+    for (const asset of new Set([...Object.keys(expected), ...Object.keys(observed)])) {
+      const exp = expected[asset] || 0;
+      const obs = observed[asset] || 0;
+      const rate = rates[asset] !== undefined ? rates[asset] : await this.tickerRate(asset, startCurrency);
+      const value = amount => (rate !== null ? amount * rate : null);
+
+      if (Math.abs(exp) > EPSILON) {
+        if (rate === null) {
+          report.unvalued.push(asset);
+        } else {
+          report.pnl += exp * rate;
+        }
+
+        if (!traded.has(asset)) {
+          // Charged in an asset the cycle did not trade (BNB fee discount)
+          report.fees.push({ asset, amount: -exp, value: value(-exp) });
+        } else if (asset !== startCurrency) {
+          const leftoverValue = value(exp);
+          report.leftovers.push({
+            asset,
+            amount: exp,
+            value: leftoverValue,
+            dust: leftoverValue !== null && Math.abs(leftoverValue) <= tolerance
+          });
+        }
+      }
+
+      const difference = obs - exp;
+      const differenceValue = value(difference);
+      if (Math.abs(difference) > EPSILON && (differenceValue === null || Math.abs(differenceValue) > tolerance)) {
+        report.unexplained.push({ asset, observed: obs, expected: exp, difference, value: differenceValue });
+      }
+    }
+
+    if (report.unexplained.length > 0 || report.missingOrders.length > 0 || report.leftovers.length > 0) {
+      report.status = 'flagged';
+    }
+    return this.log(cycle, report);
+  }
+
+  /**
+   * Log the reconciled P&L and everything flagged
+   */
+  log(cycle, report) {
+    const ccy = report.currency;
+    console.log(`🧮 Reconciled ${cycle.id}: P&L ${report.pnl.toFixed(8)} ${ccy} from ${report.fills} fills` +
+      ` (realised ${report.realisedPnl.toFixed(8)}, balance diff ${report.balanceDelta.toFixed(8)} ${ccy})`);
+
+    report.leftovers.forEach(left => {
+      const worth = left.value !== null ? ` ≈ ${left.value.toFixed(8)} ${ccy}` : '';
+      console.warn(`⚠️  ${left.dust ? 'Dust' : 'Leftover'}: ${left.amount} ${left.asset}${worth}`);
+    });
+    report.unexplained.forEach(diff => {
+      console.warn(`⚠️  Unexplained ${diff.asset} change: ${diff.observed} observed vs ${diff.expected} from fills (${diff.difference})`);
+    });
+    if (report.missingOrders.length > 0) {
+      console.warn(`⚠️  No trades found for order(s) ${report.missingOrders.join(', ')}`);
+    }
+    if (report.unvalued.length > 0) {
+      console.warn(`⚠️  P&L excludes unpriced ${report.unvalued.join(', ')}`);
+    }
+    return report;
+  }
+}
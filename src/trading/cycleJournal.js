@@ -0,0 +1,341 @@
+// Trade Cycle Journal
+// Models each arbitrage cycle as an explicit state machine and journals every transition to disk
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { config } from '../../config/config.js';
+
+export const TERMINAL_STATES = ['settled', 'failed', 'cancelled', 'unwound'];
+
+/**
+ * Leg number (1-based) and phase of a leg state ('leg2_filled' -> { leg: 2, phase: 'filled' })
+ */
+function parseLegState(state) {
+  const match = /^leg(\d+)_(submitted|filled)$/.exec(state);
+  return match ? { leg: parseInt(match[1]), phase: match[2] } : null;
+}
+
+/**
+ * States reachable from a state in a cycle of legCount legs
+ *   planned → leg1_submitted → leg1_filled → … → legN_filled → settled
+ * Nothing filled yet ends in failed/cancelled; anything later ends in unwinding → unwound.
+ */
+export function allowedTransitions(state, legCount) {
+  if (state === 'planned') return ['leg1_submitted', 'failed', 'cancelled'];
+  if (state === 'unwinding') return ['unwinding', 'unwound'];
+  if (TERMINAL_STATES.includes(state)) return [];
+
+  const { leg, phase } = parseLegState(state);
+  if (phase === 'submitted') {
+    return leg === 1
+      ? [`leg${leg}_filled`, 'failed', 'cancelled']
+      : [`leg${leg}_filled`, 'unwinding'];
+  }
+  return leg < legCount
+    ? [`leg${leg + 1}_submitted`, 'unwinding']
+    : ['settled'];
+}
+
+/**
+ * Apply a journal event to a cycle record
+ * Event data may carry { leg (0-based), order, holding, residuals, unwindOrder, error, result }.
+ */
+function applyEvent(record, event) {
+  const { state, at, data = {} } = event;
+  record.state = state;
+  record.updatedAt = at;
+  record.history.push({ state, at });
+
+  const legState = parseLegState(state);
+  if (legState && data.leg !== undefined) {
+    // Stamps submittedAt / filledAt on the leg
+    record.legs[data.leg] = { ...record.legs[data.leg], ...data.order, [`${legState.phase}At`]: at };
+  }
+  if (data.holding !== undefined) record.holding = data.holding;
+  if (data.residuals !== undefined) record.residuals = data.residuals;
+  if (data.unwindOrder !== undefined) record.unwindOrders = [...(record.unwindOrders || []), data.unwindOrder];
+  if (data.error !== undefined) record.error = data.error;
+  if (data.result !== undefined) record.result = { ...record.result, ...data.result };
+}
+
+/**
+ * Trade Cycle
+ * Live handle on one journaled cycle. transition() validates the move, writes it to the
+ * journal (fsync'd) and only then updates the in-memory record, so a crash can never leave
+ * an action on the exchange without the state that preceded it on disk.
+ */
+export class TradeCycle {
+  constructor(journal, record) {
+    this.journal = journal;
+    this.record = record;
+  }
+
+  get id() {
+    return this.record.id;
+  }
+
+  get state() {
+    return this.record.state;
+  }
+
+  get isTerminal() {
+    return TERMINAL_STATES.includes(this.record.state);
+  }
+
+  /**
+   * Legs that reached the filled state
+   */
+  get filledLegs() {
+    return this.record.legs.filter(leg => leg.filledAt);
+  }
+
+  /**
+   * Deterministic client order id of a leg (0-based): the same cycle and leg always map to the
+   * same exchange order, so a retried or recovered submission can be looked up instead of duplicated
+   * (Binance allows [a-zA-Z0-9-_]{1,36}; cycle ids are 21 characters)
+   */
+  clientOrderId(leg) {
+    return `${this.record.id}-L${leg + 1}`;
+  }
+
+  /**
+   * Client order id of the cycle's next unwind order
+   */
+  nextUnwindClientOrderId() {
+    const submitted = (this.record.unwindOrders || []).filter(order => order.status === 'submitted').length;
+    return `${this.record.id}-U${submitted + 1}`;
+  }
+
+  /**
+   * Move to a new state
+   * @param {string} state - Target state
+   * @param {Object} data - { leg, order, holding, residuals, unwindOrder, error, result }
+   */
+  transition(state, data = {}) {
+    const allowed = allowedTransitions(this.record.state, this.record.legs.length);
+    if (!allowed.includes(state)) {
+      throw new Error(`Invalid cycle transition ${this.record.state} → ${state} (${this.record.id})`);
+    }
+
+    const event = { id: this.record.id, state, at: Date.now(), data };
+    this.journal.append(event);
+    applyEvent(this.record, event);
+
+    if (this.isTerminal) {
+      this.journal.release(this.record.id);
+    }
+    return this;
+  }
+}
+
+/**
+ * Cycle Journal
+ * Append-only JSON-lines file of cycle events. The first event of a cycle carries the whole
+ * plan; later events carry only what changed. Loading folds events back into records, and
+ * compaction drops cycles that reached a terminal state.
+ */
+export class CycleJournal {
+  constructor(options = {}) {
+    this.file = options.file || config.execution.journalFile;
+    this.cycles = new Map(); // id -> record
+    this.active = new Set(); // Ids of cycles driven by this process
+    this.fd = null;
+    this.loaded = false;
+    this.locked = false;
+  }
+
+  /**
+   * Read the journal file and rebuild cycle records
+   * A torn last line (crash mid-write) is ignored.
+   */
+  load() {
+    this.cycles.clear();
+    this.loaded = true;
+    if (!fs.existsSync(this.file)) return this.cycles;
+
+    const lines = fs.readFileSync(this.file, 'utf8').split('\n').filter(Boolean);
+    lines.forEach((line, i) => {
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch (error) {
+        console.warn(`⚠️  Skipping unreadable journal line ${i + 1} in ${this.file}`);
+        return;
+      }
+
+      if (event.plan) {
+        this.cycles.set(event.id, { ...event.plan, history: [{ state: event.state, at: event.at }] });
+      } else if (this.cycles.has(event.id)) {
+        applyEvent(this.cycles.get(event.id), event);
+      }
+    });
+
+    return this.cycles;
+  }
+
+  /**
+   * Write one event and flush it to disk
+   */
+  append(event) {
+    if (!this.fd) {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      this.fd = fs.openSync(this.file, 'a');
+
+      // Terminate a torn last line so the next event starts on its own line
+      const size = fs.fstatSync(this.fd).size;
+      if (size > 0) {
+        const last = Buffer.alloc(1);
+        const readFd = fs.openSync(this.file, 'r');
+        fs.readSync(readFd, last, 0, 1, size - 1);
+        fs.closeSync(readFd);
+        if (last[0] !== 0x0a) fs.writeSync(this.fd, '\n');
+      }
+    }
+    fs.writeSync(this.fd, JSON.stringify(event) + '\n');
+    fs.fsyncSync(this.fd);
+  }
+
+  /**
+   * Start a new cycle in the planned state
+   * @param {Object} plan - { source, triangle, startCurrency, startAmount, legs: [{ pair, symbol, side, from, to }] }
+   * @returns {TradeCycle}
+   */
+  begin(plan) {
+    if (!this.loaded) this.load();
+
+    const now = Date.now();
+    const record = {
+      id: plan.id || `cyc_${now.toString(36)}_${crypto.randomBytes(4).toString('hex')}`,
+      source: plan.source || 'autotrader',
+      triangle: plan.triangle,
+      startCurrency: plan.startCurrency,
+      startAmount: plan.startAmount,
+      legs: plan.legs.map(leg => ({ ...leg })),
+      state: 'planned',
+      holding: { asset: plan.startCurrency, amount: plan.startAmount },
+      residuals: [], // Other assets left behind by partial fills
+      unwindOrders: [],
+      error: null,
+      result: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.append({ id: record.id, state: 'planned', at: now, plan: record });
+
+    record.history = [{ state: 'planned', at: now }];
+    this.cycles.set(record.id, record);
+    this.active.add(record.id);
+    return new TradeCycle(this, record);
+  }
+
+  /**
+   * Handle on an existing cycle (e.g. one loaded for recovery)
+   */
+  get(id) {
+    const record = this.cycles.get(id);
+    return record ? new TradeCycle(this, record) : null;
+  }
+
+  release(id) {
+    this.active.delete(id);
+  }
+
+  /**
+   * Cycles left in a non-terminal state that no code in this process is driving
+   */
+  getIncomplete() {
+    if (!this.loaded) this.load();
+    return Array.from(this.cycles.values())
+      .filter(record => !TERMINAL_STATES.includes(record.state) && !this.active.has(record.id))
+      .map(record => new TradeCycle(this, record));
+  }
+
+  get lockFile() {
+    return `${this.file}.lock`;
+  }
+
+  /**
+   * Mark the journal as driven by this process, so a manual recovery run does not race it
+   * The lock file is removed when the process exits. A lock held by another live process is
+   * left alone (a forced manual run must not release a running trader's lock).
+   */
+  lock() {
+    if (this.locked) return;
+
+    const holder = this.lockHolder();
+    if (holder) {
+      console.warn(`⚠️  ${this.lockFile} is held by process ${holder.pid}, which may be driving the same cycles`);
+      return;
+    }
+
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(this.lockFile, JSON.stringify({ pid: process.pid, startedAt: new Date().toISOString() }));
+    this.locked = true;
+
+    process.once('exit', () => {
+      try {
+        const holder = JSON.parse(fs.readFileSync(this.lockFile, 'utf8'));
+        if (holder.pid === process.pid) fs.unlinkSync(this.lockFile);
+      } catch (error) {
+        // Already gone
+      }
+    });
+  }
+
+  /**
+   * Another live process holding the journal lock
+   * @returns {Object|null} { pid, startedAt }, null if there is no lock or its process is gone
+   */
+  lockHolder() {
+    let holder;
+    try {
+      holder = JSON.parse(fs.readFileSync(this.lockFile, 'utf8'));
+    } catch (error) {
+      return null;
+    }
+    if (!holder.pid || holder.pid === process.pid) return null;
+
+    try {
+      process.kill(holder.pid, 0);
+      return holder;
+    } catch (error) {
+      // EPERM: alive, owned by another user
+      return error.code === 'EPERM' ? holder : null;
+    }
+  }
+
+  /**
+   * Rewrite the journal with only non-terminal cycles
+   * Written to a temp file and renamed, so a crash mid-compaction keeps the old journal.
+   */
+  compact() {
+    if (!this.loaded) this.load();
+
+    const keep = Array.from(this.cycles.values()).filter(record => !TERMINAL_STATES.includes(record.state));
+    const lines = keep.map(({ history, ...record }) => JSON.stringify({
+      id: record.id,
+      state: record.state,
+      at: record.updatedAt,
+      plan: record
+    }));
+
+    if (this.fd) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, lines.length > 0 ? lines.join('\n') + '\n' : '');
+    fs.renameSync(tmp, this.file);
+
+    const removed = this.cycles.size - keep.length;
+    this.cycles = new Map(keep.map(record => [record.id, record]));
+    return removed;
+  }
+}
+
+// Create singleton instance (shared by every executor in the process)
+export const cycleJournal = new CycleJournal();
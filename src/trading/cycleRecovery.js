@@ -0,0 +1,250 @@
+// Cycle Recovery
+// Reconciles journaled cycles left incomplete by a crash or restart against the exchange, then finishes or unwinds them
+
+import fs from 'fs';
+import { cycleJournal } from './cycleJournal.js';
+import { CycleUnwinder } from './cycleUnwinder.js';
+import { telegramAlerts } from '../alerts/telegramBot.js';
+import { config } from '../../config/config.js';
+
+const SUBMIT_LOOKBACK_MS = 5000; // Clock slack when matching exchange trades to a submitted leg
+const RECENT_JOURNAL_MS = 60 * 1000; // The CLI assumes a trader is running if the journal changed this recently
+
+/**
+ * Cycle Recovery
+ * For every cycle the journal holds in a non-terminal state:
+ *   1. a leg left 'submitted' is looked up by its client order id (older journals: in the
+ *      account's trades since it was journaled); an order still resting (a maker leg) is
+ *      cancelled, a fill is recorded as filled, no order or no fill means the leg never traded
+ *   2. 'planned' (nothing placed) becomes failed, a fully filled cycle becomes settled
+ *   3. a cycle holding an intermediate asset goes to the CycleUnwinder, preferring to run its
+ *      remaining legs within the loss cap ('finish') or to convert straight back ('unwind')
+ * Every step goes through the cycle's state machine, so a crash during recovery is recovered
+ * the same way on the next start.
+ */
+export class CycleRecovery {
+  /**
+   * @param {AutoTrader} trader - Initialized trader whose exchange holds the positions
+   * @param {Object} options - { journal, mode, unwinder }
+   */
+  constructor(trader, options = {}) {
+    this.trader = trader;
+    this.journal = options.journal || cycleJournal;
+    this.mode = options.mode || config.execution.recoveryMode;
+    this.unwinder = options.unwinder || new CycleUnwinder(trader);
+  }
+
+  get exchange() {
+    return this.trader.exchange;
+  }
+
+  /**
+   * Recover every incomplete cycle, then compact the journal
+   * @param {Object} options - { changedOnly } - only report cycles whose state moved (periodic retries)
+   * @returns {Promise<Array>} Recovered cycle records
+   */
+  async recoverAll(options = {}) {
+    const cycles = this.journal.getIncomplete();
+    if (cycles.length === 0) {
+      this.journal.compact();
+      return [];
+    }
+
+    console.log(`🧾 Found ${cycles.length} incomplete trade cycle(s) in the journal, recovering (${this.mode})...`);
+
+    const recovered = [];
+    for (const cycle of cycles) {
+      const before = cycle.state;
+      try {
+        await this.recoverCycle(cycle);
+      } catch (error) {
+        console.error(`❌ Recovery of cycle ${cycle.id} failed: ${error.message}`);
+        if (cycle.state === 'unwinding' && cycle.record.error !== error.message) {
+          cycle.transition('unwinding', { error: error.message });
+        }
+      }
+
+      recovered.push(cycle.record);
+      if (!options.changedOnly || cycle.state !== before) {
+        await this.report(cycle, before);
+      }
+    }
+
+    this.journal.compact();
+    return recovered;
+  }
+
+  /**
+   * Drive one cycle to a terminal state (or leave it 'unwinding' when conversion is impossible)
+   */
+  async recoverCycle(cycle) {
+    const record = cycle.record;
+    console.log(`🔁 Recovering ${record.id} (${record.triangle}) from '${record.state}'`);
+
+    if (record.state === 'planned') {
+      cycle.transition('failed', { error: 'Interrupted before any order was placed' });
+      return;
+    }
+
+    // 1. Reconcile a leg whose order may or may not have reached the exchange
+    const submitted = /^leg(\d+)_submitted$/.exec(record.state);
+    if (submitted) {
+      const index = parseInt(submitted[1]) - 1;
+      const order = await this.findLegOrder(record.legs[index]);
+      const outcome = order
+        ? `Leg ${index + 1} order ${order.id} ${order.status} without a fill`
+        : `Leg ${index + 1} never reached the exchange`;
+
+      if (order && order.filled > 0) {
+        const fill = this.trader.recordLegFill(cycle, index, order, { reconciled: true });
+        console.log(`   Leg ${index + 1} found on the exchange (order ${order.id}, output ${fill.output})`);
+      } else if (index === 0) {
+        cycle.transition('failed', { error: outcome });
+        return;
+      } else {
+        console.log(`   ${outcome}`);
+        cycle.transition('unwinding', { error: outcome });
+      }
+    }
+
+    // 2. Fully filled: only the settlement was lost
+    const filled = /^leg(\d+)_filled$/.exec(record.state);
+    if (filled && parseInt(filled[1]) === record.legs.length) {
+      cycle.transition('settled', { result: { recovered: true } });
+      return;
+    }
+
+    // 3. Holding an intermediate asset
+    await this.unwinder.unwind(cycle, record.error || 'Interrupted mid-cycle', {
+      prefer: this.mode === 'finish' ? 'complete' : 'revert'
+    });
+  }
+
+  /**
+   * Look up the order of a submitted leg: by its client order id (cancelling it if it still
+   * rests on the book), or else (legs journaled without one) as the first order in the
+   * account's trades since it was journaled
+   * @returns {Promise<Object|null>} Final order { id, status, filled, cost, average, fees }, null if none
+   */
+  async findLegOrder(leg) {
+    if (leg.clientOrderId) {
+      const order = await this.trader.findOrderByClientId(leg.symbol, leg.clientOrderId);
+      if (!order) return null;
+      if (order.status === 'open') {
+        console.log(`   Leg order ${order.id} is still open (filled ${order.filled}), cancelling it`);
+      }
+      return await this.trader.cancelIfOpen(order);
+    }
+
+    const since = (leg.submittedAt || 0) - SUBMIT_LOOKBACK_MS;
+    const trades = await this.exchange.fetchMyTrades(leg.symbol, since);
+    const matching = trades.filter(t => t.timestamp >= since && t.side === leg.side);
+    if (matching.length === 0) return null;
+
+    // The first order placed after the journal entry is the leg's
+    const orderId = matching.sort((a, b) => a.timestamp - b.timestamp)[0].order;
+    const fills = matching.filter(t => String(t.order) === String(orderId));
+    const filled = fills.reduce((sum, t) => sum + t.amount, 0);
+    const cost = fills.reduce((sum, t) => sum + t.cost, 0);
+
+    return {
+      id: orderId,
+      status: 'closed',
+      filled,
+      cost,
+      average: filled > 0 ? cost / filled : null,
+      fees: fills.map(t => t.fee).filter(Boolean)
+    };
+  }
+
+  /**
+   * Log and alert the outcome of one recovered cycle
+   */
+  async report(cycle, previousState) {
+    const record = cycle.record;
+    const outcome = cycle.isTerminal ? record.state : `${record.state} (manual intervention required)`;
+    console.log(`🧾 Cycle ${record.id}: ${previousState} → ${outcome}`);
+
+    await telegramAlerts.sendCustomAlert('Trade Cycle Recovered', {
+      Cycle: record.id,
+      Triangle: record.triangle,
+      'Interrupted at': previousState,
+      Outcome: outcome,
+      Holding: `${record.holding.amount} ${record.holding.asset}`,
+      ...(record.error ? { Note: record.error } : {})
+    });
+  }
+}
+
+// Recovery runs once per process at startup, whichever trader initializes first, then retries on a timer
+let recoveryRun = null;
+let retryTimer = null;
+let retrying = false;
+
+/**
+ * Recover incomplete cycles with a trader's exchange (once per process), then keep retrying
+ * the ones still open every config.execution.recoveryIntervalMs
+ */
+export function recoverIncompleteCycles(trader) {
+  if (!recoveryRun) {
+    recoveryRun = new CycleRecovery(trader).recoverAll().catch(error => {
+      console.error('❌ Cycle recovery failed:', error.message);
+      return [];
+    });
+
+    const interval = config.execution.recoveryIntervalMs;
+    if (interval > 0) {
+      retryTimer = setInterval(() => retryIncompleteCycles(trader), interval);
+      retryTimer.unref();
+    }
+  }
+  return recoveryRun;
+}
+
+/**
+ * One retry pass over cycles left to recovery while the trader runs: legs whose order state
+ * was unknown, and unwinds that failed. Cycles this process is driving are not touched.
+ * @returns {Promise<Array>} Recovered cycle records (empty if there were none, or a pass is still running)
+ */
+export async function retryIncompleteCycles(trader) {
+  if (retrying) return [];
+  retrying = true;
+  try {
+    await recoveryRun;
+    if (cycleJournal.getIncomplete().length === 0) return [];
+    return await new CycleRecovery(trader).recoverAll({ changedOnly: true });
+  } catch (error) {
+    console.error('❌ Cycle recovery retry failed:', error.message);
+    return [];
+  } finally {
+    retrying = false;
+  }
+}
+
+// If run directly: list incomplete cycles and recover them
+// Refused while a trader may be driving the same journal (--force overrides)
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const holder = cycleJournal.lockHolder();
+  const age = fs.existsSync(cycleJournal.file) ? Date.now() - fs.statSync(cycleJournal.file).mtimeMs : Infinity;
+  if (!process.argv.includes('--force') && (holder || age < RECENT_JOURNAL_MS)) {
+    console.error(holder
+      ? `🛑 Process ${holder.pid} (started ${holder.startedAt}) holds ${cycleJournal.lockFile}`
+      : `🛑 ${cycleJournal.file} was written ${Math.round(age / 1000)}s ago, a trader may be running`);
+    console.error('   Recovering now could unwind its open cycles a second time. Stop the trader first, or pass --force.');
+    process.exit(1);
+  }
+
+  const incomplete = cycleJournal.getIncomplete();
+  console.log(`🧾 ${incomplete.length} incomplete cycle(s) in ${cycleJournal.file}`);
+  incomplete.forEach(cycle => {
+    console.log(`   ${cycle.id}: ${cycle.record.triangle} @ ${cycle.state} holding ${cycle.record.holding.amount} ${cycle.record.holding.asset}`);
+  });
+
+  // Not awaited at the top level: autoTrader.js imports this module, which has to finish evaluating first
+  import('./autoTrader.js').then(async ({ AutoTrader }) => {
+    // initialize() runs the recovery
+    const trader = new AutoTrader();
+    if (!await trader.initialize()) process.exit(1);
+    await recoverIncompleteCycles(trader);
+  });
+}
@@ -0,0 +1,346 @@
+// Cycle Unwinder
+// Gets a broken cycle back to its start currency: completes the remaining legs within a loss cap, or converts back
+
+import { simulateBuyWithQuote, simulateSellBaseForQuote, applyFee } from '../core/triangularArbitrage.js';
+import { telegramAlerts } from '../alerts/telegramBot.js';
+import { config } from '../../config/config.js';
+
+/**
+ * Cycle Unwinder
+ * Looks at which legs of a journaled cycle filled and what it now holds, then prices two
+ * exits from fresh order books:
+ *   - complete: run the remaining legs (a worse price than planned, but one route)
+ *   - revert: convert the holding straight back to the start currency (direct market, or
+ *     the filled legs reversed when there is none)
+ * Completion is only taken when its expected loss stays within unwindMaxLossPct and it beats
+ * reverting. Leftovers from partial fills (residuals), including what an unwind order left
+ * unspent, are always reverted; whatever cannot be is reported. Every order is
+ * journaled under the 'unwinding' state; the cycle ends 'unwound' with the realised loss.
+ * Unwind orders journaled 'submitted' without an outcome (a crash, or a submission that timed
+ * out) are looked up by client order id before anything new is placed, so an unwind that
+ * reached the exchange is adopted rather than repeated.
+ */
+export class CycleUnwinder {
+  /**
+   * @param {AutoTrader} trader - Initialized trader whose exchange holds the positions
+   * @param {Object} options - { maxLossPct }
+   */
+  constructor(trader, options = {}) {
+    this.trader = trader;
+    this.maxLossPct = options.maxLossPct !== undefined ? options.maxLossPct : config.execution.unwindMaxLossPct;
+  }
+
+  get exchange() {
+    return this.trader.exchange;
+  }
+
+  /**
+   * Unwind a cycle
+   * @param {TradeCycle} cycle - Cycle holding something other than (only) its start currency
+   * @param {string} reason - Why the cycle broke
+   * @param {Object} options - { prefer: 'best' | 'complete' | 'revert' }
+   * @returns {Promise<Object>} Report { method, startAmount, endAmount, realisedLoss, realisedLossPct, orders, leftovers, shortfalls }
+   */
+  async unwind(cycle, reason, options = {}) {
+    const prefer = options.prefer || 'best';
+    const record = cycle.record;
+    const start = record.startCurrency;
+
+    if (cycle.state !== 'unwinding') {
+      cycle.transition('unwinding', { error: reason });
+    }
+    console.log(`🔄 Unwinding cycle ${record.id} (${record.triangle}): ${reason}`);
+    await this.resolvePendingOrders(cycle);
+
+    // Never trade more than the account holds (fees may have been charged in the asset)
+    let balance = await this.exchange.fetchBalance();
+    const available = asset => balance.free[asset] || 0;
+
+    // The journal says the cycle holds more than the account has free: unwind what is there, report the rest
+    const shortfalls = [];
+    const capped = (asset, expected) => {
+      const amount = Math.min(expected, available(asset));
+      if (amount < expected) {
+        console.warn(`⚠️  Cycle ${record.id} should hold ${expected} ${asset} but only ${amount} is free, ${expected - amount} short`);
+        shortfalls.push({ asset, expected, available: amount, missing: expected - amount });
+      }
+      return amount;
+    };
+
+    let endAmount = 0;
+    let method = 'revert';
+
+    // Main holding: complete or revert
+    const { asset } = record.holding;
+    const amount = asset === start ? record.holding.amount : capped(asset, record.holding.amount);
+
+    if (asset === start) {
+      endAmount += amount;
+    } else if (amount > 0) {
+      const revertRoute = this.getRevertRoute(record, asset);
+      const completeRoute = prefer === 'revert' ? null : this.getCompletionRoute(record, asset);
+
+      const revertQuote = revertRoute ? await this.quoteRoute(revertRoute, amount) : null;
+      const completeQuote = completeRoute ? await this.quoteRoute(completeRoute, amount) : null;
+      const completeLossPct = completeQuote !== null
+        ? ((record.startAmount - completeQuote) / record.startAmount) * 100
+        : null;
+
+      let route = revertRoute;
+      if (completeQuote !== null && completeLossPct <= this.maxLossPct &&
+          (prefer === 'complete' || revertQuote === null || completeQuote >= revertQuote)) {
+        route = completeRoute;
+        method = 'complete';
+      }
+
+      if (!route) {
+        const error = `No route from ${asset} back to ${start} - manual intervention required`;
+        cycle.transition('unwinding', { error });
+        throw new Error(error);
+      }
+
+      console.log(`   ${method === 'complete' ? 'Completing' : 'Reverting'} ${amount} ${asset} via ${route.map(c => c.symbol).join(' → ')}` +
+        ` (complete ≈ ${completeQuote !== null ? completeQuote.toFixed(6) : 'n/a'}, revert ≈ ${revertQuote !== null ? revertQuote.toFixed(6) : 'n/a'} ${start})`);
+      endAmount += await this.executeRoute(cycle, route, amount, 'holding');
+    }
+
+    // Leftovers from partial fills go straight back. Each asset is tried once: what an under-filled
+    // residual order leaves is reported rather than retried.
+    const residuals = record.residuals || [];
+    endAmount += residuals.filter(residual => residual.asset === start).reduce((sum, residual) => sum + residual.amount, 0);
+    if (residuals.some(residual => residual.asset !== start)) {
+      balance = await this.exchange.fetchBalance();
+    }
+
+    const tried = new Set();
+    const leftovers = [];
+    for (;;) {
+      const residual = (record.residuals || []).find(r => r.asset !== start && !tried.has(r.asset));
+      if (!residual) break;
+      tried.add(residual.asset);
+
+      const residualAmount = capped(residual.asset, residual.amount);
+      const route = this.getRevertRoute(record, residual.asset);
+      if (residualAmount <= 0 || !route) {
+        console.warn(`⚠️  Leaving ${residual.amount} ${residual.asset} residual in the account`);
+        leftovers.push({ asset: residual.asset, amount: residual.amount });
+        continue;
+      }
+      endAmount += await this.executeRoute(cycle, route, residualAmount, 'residual');
+    }
+    for (const residual of record.residuals || []) {
+      if (residual.asset !== start && tried.has(residual.asset) && !leftovers.some(leftover => leftover.asset === residual.asset)) {
+        console.warn(`⚠️  Leaving ${residual.amount} ${residual.asset} an unwind order did not spend`);
+        leftovers.push({ asset: residual.asset, amount: residual.amount });
+      }
+    }
+
+    const realisedLoss = record.startAmount - endAmount;
+    const report = {
+      cycleId: record.id,
+      triangle: record.triangle,
+      reason,
+      method,
+      startCurrency: start,
+      startAmount: record.startAmount,
+      endAmount,
+      realisedLoss,
+      realisedLossPct: (realisedLoss / record.startAmount) * 100,
+      orders: (record.unwindOrders || []).filter(o => o.status === 'filled'),
+      leftovers, // Not converted back: not part of endAmount
+      shortfalls // Journaled holdings the account did not have free
+    };
+
+    cycle.transition('unwound', {
+      holding: { asset: start, amount: endAmount },
+      residuals: [],
+      result: { unwind: report }
+    });
+
+    console.log(`✅ Cycle ${record.id} unwound (${method}): ${record.startAmount} → ${endAmount.toFixed(6)} ${start}` +
+      ` | realised loss ${realisedLoss.toFixed(6)} (${report.realisedLossPct.toFixed(4)}%)`);
+    await this.alert(report);
+
+    return report;
+  }
+
+  /**
+   * Remaining legs after the last filled one, if they start from the held asset
+   */
+  getCompletionRoute(record, asset) {
+    const lastFilled = record.legs.reduce((last, leg, i) => (leg.filledAt ? i : last), -1);
+    const remaining = record.legs.slice(lastFilled + 1);
+    if (remaining.length === 0 || remaining[0].from !== asset) return null;
+    return remaining.map(leg => ({ symbol: leg.symbol, side: leg.side, from: leg.from, to: leg.to }));
+  }
+
+  /**
+   * Direct market back to the start currency, else the filled legs reversed
+   */
+  getRevertRoute(record, asset) {
+    const start = record.startCurrency;
+    const markets = this.exchange.markets || {};
+
+    if (markets[`${asset}/${start}`]) {
+      return [{ symbol: `${asset}/${start}`, side: 'sell', from: asset, to: start }];
+    }
+    if (markets[`${start}/${asset}`]) {
+      return [{ symbol: `${start}/${asset}`, side: 'buy', from: asset, to: start }];
+    }
+
+    const route = [];
+    let current = asset;
+    for (const leg of [...record.legs].reverse()) {
+      if (!leg.filledAt || leg.to !== current) continue;
+      route.push({ symbol: leg.symbol, side: leg.side === 'buy' ? 'sell' : 'buy', from: leg.to, to: leg.from });
+      current = leg.from;
+      if (current === start) return route;
+    }
+    return null;
+  }
+
+  /**
+   * Expected proceeds of a route from fresh order books, net of taker fees
+   * @returns {Promise<number|null>} Amount of the route's final asset, or null if a book is unusable
+   */
+  async quoteRoute(route, amount) {
+    let current = amount;
+    for (const conversion of route) {
+      let book;
+      try {
+        book = await this.exchange.fetchOrderBook(conversion.symbol, config.trading.orderBookDepth);
+      } catch (error) {
+        console.warn(`⚠️  No book for ${conversion.symbol}: ${error.message}`);
+        return null;
+      }
+
+      const pair = conversion.symbol.replace('/', '');
+      if (conversion.side === 'sell') {
+        if (book.bids.length === 0) return null;
+        current = applyFee(simulateSellBaseForQuote(current, book.bids).quoteAcquired, pair);
+      } else {
+        if (book.asks.length === 0) return null;
+        current = applyFee(simulateBuyWithQuote(current, book.asks).baseAcquired, pair);
+      }
+    }
+    return current;
+  }
+
+  /**
+   * Unwind orders journaled 'submitted' with no later outcome
+   */
+  getPendingOrders(record) {
+    const orders = record.unwindOrders || [];
+    return orders.filter(order => order.status === 'submitted' && order.clientOrderId &&
+      !orders.some(other => other.clientOrderId === order.clientOrderId && other.status !== 'submitted'));
+  }
+
+  /**
+   * Settle pending unwind orders against the exchange: a fill is journaled as if the order had
+   * returned normally (open remainders cancelled first), an order that never traded as 'missing'
+   */
+  async resolvePendingOrders(cycle) {
+    for (const pending of this.getPendingOrders(cycle.record)) {
+      const { symbol, side, from, to, kind, clientOrderId } = pending;
+      const conversion = { symbol, side, from, to };
+
+      let order = await this.trader.findOrderByClientId(symbol, clientOrderId);
+      if (order) order = await this.trader.cancelIfOpen(order);
+
+      if (!order || !order.filled) {
+        console.log(`   Unwind order ${clientOrderId} never traded`);
+        cycle.transition('unwinding', { unwindOrder: { ...conversion, kind, clientOrderId, orderId: order ? order.id : null, status: 'missing' } });
+        continue;
+      }
+
+      console.log(`   Unwind order ${clientOrderId} reached the exchange (order ${order.id}, filled ${order.filled}), adopting it`);
+      this.recordFill(cycle, conversion, kind, clientOrderId, order, { reconciled: true });
+    }
+  }
+
+  /**
+   * Journal a filled unwind order and move what the cycle holds to the order's output
+   * @returns {Object} { spent, output }
+   */
+  recordFill(cycle, conversion, kind, clientOrderId, order, fields = {}) {
+    // Net of a fee charged in the received asset
+    const spent = this.trader.legSizer.spent(order, conversion);
+    const output = this.trader.legSizer.received(order, conversion);
+
+    const data = {
+      unwindOrder: { ...conversion, kind, clientOrderId, orderId: order.id, filled: order.filled, cost: order.cost, average: order.average, spent, output, status: 'filled', ...fields }
+    };
+    if (kind === 'holding') {
+      data.holding = { asset: conversion.to, amount: output };
+    } else {
+      // The residual was committed to this order: it now sits in the order's output
+      const residuals = [...(cycle.record.residuals || [])];
+      const index = residuals.findIndex(residual => residual.asset === conversion.from);
+      if (index !== -1) residuals.splice(index, 1);
+      data.residuals = [...residuals, { asset: conversion.to, amount: output }];
+    }
+
+    cycle.transition('unwinding', data);
+    return { spent, output };
+  }
+
+  /**
+   * Place a route's orders, journaling each before and after
+   * @returns {Promise<number>} Amount of the start currency received
+   */
+  async executeRoute(cycle, route, amount, kind) {
+    let current = amount;
+
+    for (const conversion of route) {
+      // Buys spend the held quote (quoteOrderQty), sells sell the held base rounded to the step size
+      const sized = await this.trader.legSizer.size(conversion.symbol, conversion.side, current);
+
+      const clientOrderId = cycle.nextUnwindClientOrderId();
+      cycle.transition('unwinding', { unwindOrder: { ...conversion, kind, ...this.trader.describeSizedLeg(sized), clientOrderId, status: 'submitted' } });
+      // Unwind orders reduce exposure, so risk control lets them through even when tripped
+      const order = await this.trader.executeSizedLeg(sized, { unwind: true, clientOrderId });
+
+      const { spent, output } = this.recordFill(cycle, conversion, kind, clientOrderId, order);
+      current = output;
+
+      // What the order did not spend is still held: revert it with the residuals
+      if (spent < sized.input * config.execution.minFillRatio) {
+        console.warn(`⚠️  Unwind order on ${conversion.symbol} spent ${spent}/${sized.input} ${sized.from}, reverting the rest`);
+        this.addResidual(cycle, sized.from, sized.input - spent);
+      }
+    }
+
+    return current;
+  }
+
+  /**
+   * Journal an amount of an asset the cycle holds outside its main holding
+   */
+  addResidual(cycle, asset, amount) {
+    const residuals = [...(cycle.record.residuals || [])];
+    const index = residuals.findIndex(residual => residual.asset === asset);
+    if (index !== -1) {
+      residuals[index] = { asset, amount: residuals[index].amount + amount };
+    } else {
+      residuals.push({ asset, amount });
+    }
+    cycle.transition('unwinding', { residuals });
+  }
+
+  /**
+   * Alert the realised loss of an unwound cycle
+   */
+  async alert(report) {
+    await telegramAlerts.sendCustomAlert('Cycle Unwound', {
+      Cycle: report.cycleId,
+      Triangle: report.triangle,
+      Reason: report.reason,
+      Method: report.method,
+      'Start': `${report.startAmount} ${report.startCurrency}`,
+      'End': `${report.endAmount.toFixed(6)} ${report.startCurrency}`,
+      'Realised loss': `${report.realisedLoss.toFixed(6)} ${report.startCurrency} (${report.realisedLossPct.toFixed(4)}%)`,
+      ...(report.leftovers.length > 0 ? { 'Left in account': report.leftovers.map(l => `${l.amount} ${l.asset}`).join(', ') } : {}),
+      ...(report.shortfalls.length > 0 ? { 'Missing from account': report.shortfalls.map(s => `${s.missing} ${s.asset} (of ${s.expected})`).join(', ') } : {})
+    });
+  }
+}
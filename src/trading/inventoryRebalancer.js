@@ -0,0 +1,564 @@
+// Inventory Rebalancer
+// Tracks per-venue balances for cross-exchange arbitrage and proposes transfer or trade-back plans
+
+import fs from 'fs';
+import path from 'path';
+import { crossExchangeArbitrage } from '../core/crossExchangeArbitrage.js';
+import { simulateBuyWithQuote, simulateSellBaseForQuote } from '../core/triangularArbitrage.js';
+import { autoTrader } from './autoTrader.js';
+import { riskControl } from './riskControl.js';
+import { logger } from '../logger/mongoLogger.js';
+import { telegramAlerts } from '../alerts/telegramBot.js';
+import { config } from '../../config/config.js';
+
+const USD_STABLES = ['USDT', 'USDC', 'BUSD', 'FDUSD', 'TUSD', 'DAI', 'USD'];
+
+/**
+ * Inventory Rebalancer
+ * Spatial arbitrage buys with quote on one venue and sells base on another, so each trade
+ * drains quote from the buy venue and base from the sell venue. The rebalancer:
+ *   - reads free balances per venue (Binance through AutoTrader.getAllBalances)
+ *   - flags venues whose share of an asset drifted past the skew threshold, and
+ *     cross-exchange opportunities a venue cannot fund
+ *   - proposes, per shortfall, the cheapest of a withdrawal from a venue with surplus
+ *     ('transfer') or a market trade on the short venue itself ('trade-back')
+ * Plans are saved to disk, logged to MongoDB and sent to Telegram; nothing moves until
+ * `npm run rebalance -- --execute <planId>` is run. With PAPER_TRADING the Binance balances are
+ * the paper account's, so plans can be proposed but not executed.
+ */
+export class InventoryRebalancer {
+  constructor(options = {}) {
+    this.engine = options.engine || crossExchangeArbitrage;
+    this.autoTrader = options.autoTrader || autoTrader;
+    this.tradeAmount = options.tradeAmount || config.trading.tradeAmountUSDT; // Quote needed per opportunity
+    this.skewThreshold = options.skewThreshold || config.rebalancer.skewThreshold;
+    this.planFile = options.planFile || config.rebalancer.planFile;
+    this.networks = options.networks || config.rebalancer.networks;
+    this.balances = new Map(); // venue id -> { asset: free amount }
+  }
+
+  /**
+   * Free balances of one venue, or null if they cannot be read
+   */
+  async fetchVenueBalances(venue) {
+    if (venue.id === 'binance' && this.autoTrader.isInitialized) {
+      return this.autoTrader.getAllBalances();
+    }
+
+    try {
+      const balance = await venue.exchange.fetchBalance();
+      return balance.free;
+    } catch (error) {
+      console.warn(`⚠️  ${venue.id}: balances unavailable (${error.message})`);
+      return null;
+    }
+  }
+
+  /**
+   * Refresh balances of every available venue; venues without readable balances are left out
+   * @returns {Promise<Map>} venue id -> free balances
+   */
+  async fetchBalances() {
+    const venues = this.engine.venues.filter(v => v.available);
+    const results = await Promise.all(venues.map(venue => this.fetchVenueBalances(venue)));
+
+    this.balances = new Map();
+    venues.forEach((venue, i) => {
+      if (results[i]) this.balances.set(venue.id, results[i]);
+    });
+    return this.balances;
+  }
+
+  /**
+   * USD value per asset from the mid price of the first venue quoting each symbol
+   * Quote assets that are not USD stablecoins are left unpriced.
+   */
+  getPrices(books) {
+    const prices = {};
+
+    this.engine.symbols.forEach(symbol => {
+      const [base, quote] = symbol.split('/');
+      if (USD_STABLES.includes(quote)) prices[quote] = 1;
+      if (prices[base] !== undefined || prices[quote] === undefined) return;
+
+      for (const venueBooks of books.values()) {
+        const book = venueBooks.get(symbol);
+        if (book && book.bids.length > 0 && book.asks.length > 0) {
+          prices[base] = ((book.bids[0][0] + book.asks[0][0]) / 2) * prices[quote];
+          return;
+        }
+      }
+    });
+
+    return prices;
+  }
+
+  /**
+   * Amount of an asset a venue should hold to take one opportunity on either side
+   */
+  getMinimumHolding(asset, prices) {
+    return prices[asset] ? this.tradeAmount / prices[asset] : 0;
+  }
+
+  /**
+   * Per-asset inventory across venues
+   * @returns {Object} asset -> { total, totalUsd, venues: { id: { amount, share } } }
+   */
+  getInventory(prices) {
+    const assets = new Set(this.engine.symbols.flatMap(symbol => symbol.split('/')));
+    const inventory = {};
+
+    assets.forEach(asset => {
+      const venues = {};
+      let total = 0;
+      this.balances.forEach((balances, venueId) => {
+        const amount = balances[asset] || 0;
+        venues[venueId] = { amount };
+        total += amount;
+      });
+      Object.values(venues).forEach(v => { v.share = total > 0 ? v.amount / total : 0; });
+
+      inventory[asset] = {
+        total,
+        totalUsd: prices[asset] ? total * prices[asset] : null,
+        venues
+      };
+    });
+
+    return inventory;
+  }
+
+  /**
+   * Profitable cross-exchange opportunities a venue cannot fund
+   * The buy leg needs quote on the buy venue and the sell leg needs base on the sell venue.
+   * @returns {Array} { opportunity, venue, asset, required, available }
+   */
+  findBlocked(opportunities) {
+    const blocked = [];
+
+    opportunities
+      .filter(opp => opp.type === 'cross-exchange' && opp.isProfitable)
+      .forEach(opp => {
+        const [base, quote] = opp.symbol.split('/');
+        const needs = [
+          { venue: opp.buyExchange, asset: quote, required: opp.startAmount },
+          { venue: opp.sellExchange, asset: base, required: opp.steps[0].output }
+        ];
+
+        needs.forEach(need => {
+          const balances = this.balances.get(need.venue);
+          if (!balances) return;
+          const available = balances[need.asset] || 0;
+          if (available < need.required) {
+            blocked.push({ opportunity: opp, ...need, available });
+          }
+        });
+      });
+
+    return blocked;
+  }
+
+  /**
+   * Shortfalls from skew and blocked opportunities, one per venue and asset
+   * @returns {Array} { venue, asset, amount, reason }
+   */
+  findShortfalls(inventory, blocked, prices) {
+    const shortfalls = new Map();
+    const venueCount = this.balances.size;
+    const evenShare = venueCount > 0 ? 1 / venueCount : 0;
+
+    const add = (venue, asset, amount, reason) => {
+      const key = `${venue}:${asset}`;
+      const current = shortfalls.get(key);
+      if (!current || amount > current.amount) {
+        shortfalls.set(key, { venue, asset, amount, reason });
+      }
+    };
+
+    Object.entries(inventory).forEach(([asset, info]) => {
+      if (info.total <= 0) return;
+      Object.entries(info.venues).forEach(([venue, holding]) => {
+        if (holding.share < evenShare - this.skewThreshold) {
+          const target = Math.max(info.total * evenShare, this.getMinimumHolding(asset, prices));
+          add(venue, asset, target - holding.amount,
+            `${asset} share ${(holding.share * 100).toFixed(1)}% vs ${(evenShare * 100).toFixed(1)}% even split`);
+        }
+      });
+    });
+
+    blocked.forEach(b => {
+      add(b.venue, b.asset, b.required - b.available, `blocks ${b.opportunity.triangle}`);
+    });
+
+    return Array.from(shortfalls.values()).filter(s => s.amount > 0);
+  }
+
+  /**
+   * Amount of an asset a venue can give up without dropping below its own minimum or even share
+   */
+  getSurplus(venueId, asset, inventory, prices) {
+    const balances = this.balances.get(venueId);
+    const amount = (balances && balances[asset]) || 0;
+    const info = inventory[asset];
+    const keep = Math.max(
+      info ? info.total / this.balances.size : 0,
+      this.getMinimumHolding(asset, prices)
+    );
+    return Math.max(0, amount - keep);
+  }
+
+  /**
+   * Withdrawal from a venue with surplus; the fee is added so the short venue receives the full amount
+   */
+  transferOptions(shortfall, inventory, prices) {
+    const options = [];
+    const target = this.engine.venues.find(v => v.id === shortfall.venue);
+
+    this.engine.venues
+      .filter(v => v.available && v.id !== shortfall.venue && this.balances.has(v.id))
+      .forEach(source => {
+        const fee = this.engine.getWithdrawalFee(source, shortfall.asset);
+        if (fee === null || !prices[shortfall.asset]) return; // Unknown cost, cannot compare
+
+        const surplus = this.getSurplus(source.id, shortfall.asset, inventory, prices);
+        const amount = Math.min(shortfall.amount, surplus - fee);
+        if (amount <= 0) return;
+
+        const costUsd = fee * prices[shortfall.asset];
+        options.push({
+          type: 'transfer',
+          asset: shortfall.asset,
+          from: source.id,
+          to: target.id,
+          amount,
+          sendAmount: amount + fee,
+          network: this.networks[shortfall.asset] || null,
+          costEstimate: {
+            asset: shortfall.asset,
+            amount: fee,
+            usd: costUsd,
+            pct: (costUsd / (amount * prices[shortfall.asset])) * 100
+          }
+        });
+      });
+
+    return options;
+  }
+
+  /**
+   * Market trade on the short venue, paid for with its surplus of the other asset of a symbol
+   * Cost is the taker fee plus slippage against the venue's mid price.
+   */
+  tradeBackOptions(shortfall, inventory, prices, books) {
+    const options = [];
+    const venue = this.engine.venues.find(v => v.id === shortfall.venue);
+    const venueBooks = books.get(venue.id);
+    if (!venueBooks) return options;
+
+    this.engine.symbols.forEach(symbol => {
+      const [base, quote] = symbol.split('/');
+      if (shortfall.asset !== base && shortfall.asset !== quote) return;
+
+      const book = venueBooks.get(symbol);
+      if (!book || book.bids.length === 0 || book.asks.length === 0) return;
+
+      const feeRate = this.engine.getTakerFee(venue, symbol);
+      const mid = (book.bids[0][0] + book.asks[0][0]) / 2;
+
+      let side, orderAmount, spent, spentAsset, received;
+      if (shortfall.asset === base) {
+        // Buy base with quote
+        side = 'buy';
+        spentAsset = quote;
+        const quoteNeeded = (shortfall.amount * book.asks[0][0]) / (1 - feeRate);
+        const bought = simulateBuyWithQuote(quoteNeeded, book.asks);
+        orderAmount = bought.baseAcquired;
+        spent = bought.spent;
+        received = bought.baseAcquired * (1 - feeRate);
+      } else {
+        // Sell base for quote
+        side = 'sell';
+        spentAsset = base;
+        const baseNeeded = shortfall.amount / (book.bids[0][0] * (1 - feeRate));
+        const sold = simulateSellBaseForQuote(baseNeeded, book.bids);
+        orderAmount = sold.sold;
+        spent = sold.sold;
+        received = sold.quoteAcquired * (1 - feeRate);
+      }
+
+      if (spent > this.getSurplus(venue.id, spentAsset, inventory, prices) || received <= 0) return;
+
+      // Value both sides at mid, in quote terms, then in USD
+      const spentQuote = side === 'buy' ? spent : spent * mid;
+      const receivedQuote = side === 'buy' ? received * mid : received;
+      const costQuote = spentQuote - receivedQuote;
+      const quotePrice = prices[quote] || null;
+      if (!quotePrice) return;
+
+      options.push({
+        type: 'trade-back',
+        asset: shortfall.asset,
+        venue: venue.id,
+        symbol,
+        side,
+        amount: received,
+        orderAmount,
+        spentAsset,
+        spent,
+        costEstimate: {
+          asset: quote,
+          amount: costQuote,
+          usd: costQuote * quotePrice,
+          pct: (costQuote / receivedQuote) * 100
+        }
+      });
+    });
+
+    return options;
+  }
+
+  /**
+   * Propose one plan per shortfall, picking the cheapest option
+   * @returns {Array} Plans with status 'proposed'
+   */
+  proposePlans(shortfalls, inventory, prices, books) {
+    const createdAt = new Date();
+    const stamp = createdAt.getTime().toString(36);
+
+    return shortfalls
+      .map(shortfall => {
+        const options = [
+          ...this.transferOptions(shortfall, inventory, prices),
+          ...this.tradeBackOptions(shortfall, inventory, prices, books)
+        ].sort((a, b) => a.costEstimate.usd - b.costEstimate.usd);
+
+        if (options.length === 0) {
+          console.warn(`⚠️  No funded option for ${shortfall.amount.toFixed(6)} ${shortfall.asset} on ${shortfall.venue}`);
+          return null;
+        }
+
+        const [best, ...alternatives] = options;
+        return {
+          ...best,
+          reason: shortfall.reason,
+          shortfall: shortfall.amount,
+          alternatives: alternatives.map(alt => ({
+            type: alt.type,
+            route: alt.type === 'transfer' ? `${alt.from} → ${alt.to}` : `${alt.side} ${alt.symbol} on ${alt.venue}`,
+            costUsd: alt.costEstimate.usd
+          }))
+        };
+      })
+      .filter(plan => plan !== null)
+      .map((plan, i) => {
+        const id = `rb-${stamp}-${i + 1}`;
+        return {
+          id,
+          ...plan,
+          status: 'proposed',
+          createdAt,
+          command: `npm run rebalance -- --execute ${id}`
+        };
+      });
+  }
+
+  /**
+   * Read balances and books, find skew and blocked opportunities, and propose plans
+   * @param {Array} opportunities - Cross-exchange opportunities (scanned if omitted)
+   * @returns {Promise<Object>} { inventory, blocked, plans, prices }
+   */
+  async plan(opportunities = null) {
+    if (!this.engine.initialized) {
+      await this.engine.initialize();
+    }
+
+    const books = await this.engine.fetchOrderBooks();
+    const scanned = opportunities || await this.engine.scan(this.tradeAmount, books);
+    await this.fetchBalances();
+
+    const prices = this.getPrices(books);
+    const inventory = this.getInventory(prices);
+    const blocked = this.findBlocked(scanned);
+    const shortfalls = this.findShortfalls(inventory, blocked, prices);
+    const plans = this.proposePlans(shortfalls, inventory, prices, books);
+
+    return { inventory, blocked, plans, prices };
+  }
+
+  /**
+   * Save plans for a later --execute, log them to MongoDB and send them to Telegram
+   */
+  async publish(plans, blocked = []) {
+    if (plans.length > 0) this.savePlans(plans);
+    for (const plan of plans) {
+      await logger.logRebalancePlan(plan);
+    }
+    await telegramAlerts.alertRebalancePlans(plans, { blocked });
+  }
+
+  loadPlans() {
+    if (!fs.existsSync(this.planFile)) return [];
+    return JSON.parse(fs.readFileSync(this.planFile, 'utf8'));
+  }
+
+  /**
+   * Merge plans into the plan file, replacing entries with the same id
+   */
+  savePlans(plans) {
+    const byId = new Map(this.loadPlans().map(p => [p.id, p]));
+    plans.forEach(p => byId.set(p.id, p));
+
+    fs.mkdirSync(path.dirname(this.planFile), { recursive: true });
+    fs.writeFileSync(this.planFile, JSON.stringify(Array.from(byId.values()), null, 2));
+  }
+
+  /**
+   * Execute a proposed plan: withdraw to the target venue's deposit address, or place the market order
+   * The plan is saved as 'executing' before anything is sent, so a crash or a second --execute
+   * cannot send it twice; a plan left 'executing' must be checked on the venue by hand.
+   * @param {string} planId - Plan id from the plan file
+   * @returns {Promise<Object>} Plan with status 'executed' or 'failed'
+   */
+  async execute(planId) {
+    const plan = this.loadPlans().find(p => p.id === planId);
+    if (!plan) throw new Error(`Unknown rebalance plan ${planId}`);
+    if (plan.status !== 'proposed') throw new Error(`Plan ${planId} is already ${plan.status}`);
+    if (this.autoTrader.paper) {
+      // Withdrawals and venue orders are real: they must not act on paper balances
+      throw new Error(`Plan ${planId} was planned on paper balances; rebalance plans cannot be executed with PAPER_TRADING=true`);
+    }
+
+    if (!this.engine.initialized) {
+      await this.engine.initialize();
+    }
+
+    try {
+      if (plan.type === 'transfer') {
+        const from = this.getVenue(plan.from);
+        const to = this.getVenue(plan.to);
+        const balances = await this.fetchVenueBalances(from);
+        if (!balances || (balances[plan.asset] || 0) < plan.sendAmount) {
+          throw new Error(`${plan.from} no longer holds ${plan.sendAmount} ${plan.asset}`);
+        }
+
+        const params = plan.network ? { network: plan.network } : {};
+        const deposit = await to.exchange.fetchDepositAddress(plan.asset, params);
+        this.markExecuting(plan);
+        console.log(`🏦 Withdrawing ${plan.sendAmount} ${plan.asset} ${plan.from} → ${plan.to} (${deposit.address})`);
+        const withdrawal = await from.exchange.withdraw(plan.asset, plan.sendAmount, deposit.address, deposit.tag, params);
+        plan.withdrawalId = withdrawal.id;
+      } else {
+        const venue = this.getVenue(plan.venue);
+        const balances = await this.fetchVenueBalances(venue);
+        if (!balances || (balances[plan.spentAsset] || 0) < plan.spent) {
+          throw new Error(`${plan.venue} no longer holds ${plan.spent} ${plan.spentAsset}`);
+        }
+
+        // Trade-backs are orders like any other: refused while the kill switch is tripped
+        riskControl.checkOrder({ source: 'rebalancer', symbol: plan.symbol, side: plan.side, asset: plan.spentAsset, amount: plan.spent });
+
+        const amount = parseFloat(venue.exchange.amountToPrecision(plan.symbol, plan.orderAmount));
+        this.markExecuting(plan);
+        console.log(`🔁 ${plan.side.toUpperCase()} ${amount} ${plan.symbol} on ${plan.venue}`);
+        const order = await venue.exchange.createOrder(plan.symbol, 'market', plan.side, amount);
+        plan.orderId = order.id;
+        plan.filled = order.filled;
+      }
+
+      plan.status = 'executed';
+      console.log(`✅ Rebalance plan ${plan.id} executed`);
+    } catch (error) {
+      plan.status = 'failed';
+      plan.error = error.message;
+      console.error(`❌ Rebalance plan ${plan.id} failed: ${error.message}`);
+    }
+
+    plan.executedAt = new Date();
+    await this.publish([plan]);
+    return plan;
+  }
+
+  /**
+   * Persist a plan as 'executing' right before its withdrawal or order is sent
+   */
+  markExecuting(plan) {
+    plan.status = 'executing';
+    plan.executingAt = new Date();
+    this.savePlans([plan]);
+  }
+
+  getVenue(id) {
+    const venue = this.engine.venues.find(v => v.id === id && v.available);
+    if (!venue) throw new Error(`Venue ${id} is not available`);
+    return venue;
+  }
+
+  /**
+   * Print inventory, blocked opportunities and plans
+   */
+  printReport({ inventory, blocked, plans }) {
+    console.log('\n' + '='.repeat(80));
+    console.log('⚖️  INVENTORY BY VENUE');
+    console.log('='.repeat(80));
+    Object.entries(inventory).forEach(([asset, info]) => {
+      const split = Object.entries(info.venues)
+        .map(([venue, h]) => `${venue} ${h.amount.toFixed(6)} (${(h.share * 100).toFixed(1)}%)`)
+        .join(' | ');
+      console.log(`${asset.padEnd(6)} ${split}`);
+    });
+
+    if (blocked.length > 0) {
+      console.log(`\n🚧 ${blocked.length} opportunity legs blocked by inventory:`);
+      blocked.forEach(b => {
+        console.log(`   ${b.opportunity.triangle}: ${b.venue} needs ${b.required.toFixed(6)} ${b.asset}, has ${b.available.toFixed(6)}`);
+      });
+    }
+
+    console.log(`\n📝 ${plans.length} rebalance plans:`);
+    plans.forEach(plan => {
+      const route = plan.type === 'transfer'
+        ? `${plan.from} → ${plan.to}`
+        : `${plan.side} ${plan.symbol} on ${plan.venue}`;
+      console.log(`   ${plan.id}: ${plan.type} ${plan.amount.toFixed(6)} ${plan.asset} (${route}) ~$${plan.costEstimate.usd.toFixed(2)} | ${plan.reason}`);
+      console.log(`      ${plan.command}`);
+    });
+    console.log('='.repeat(80) + '\n');
+  }
+}
+
+// Create singleton instance
+export const inventoryRebalancer = new InventoryRebalancer();
+
+// If run directly: propose plans, or execute one with --execute <planId>
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+  const executeArg = args.find(a => a.startsWith('--execute'));
+  const planId = executeArg && (executeArg.includes('=') ? executeArg.split('=')[1] : args[args.indexOf(executeArg) + 1]);
+
+  await logger.connect();
+  if (config.telegram.enabled) telegramAlerts.initialize({ polling: false, announce: false });
+  if (config.crossExchange.exchanges.includes('binance')) {
+    await autoTrader.initialize();
+  }
+
+  if (executeArg) {
+    if (!planId) {
+      console.error('❌ Usage: npm run rebalance -- --execute <planId>');
+      process.exitCode = 1;
+    } else {
+      try {
+        await inventoryRebalancer.execute(planId);
+      } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+      }
+    }
+  } else {
+    console.log('🚀 Planning inventory rebalance...\n');
+    const result = await inventoryRebalancer.plan();
+    inventoryRebalancer.printReport(result);
+    await inventoryRebalancer.publish(result.plans, result.blocked);
+  }
+
+  await logger.disconnect();
+}
@@ -0,0 +1,609 @@
+// Paper Exchange
+// ccxt-compatible exchange with virtual balances that fills orders against live or recorded order books
+
+import fs from 'fs';
+import path from 'path';
+import ccxt from 'ccxt';
+import { feeService } from '../core/feeService.js';
+import { getMarketDataProvider } from '../marketData/marketDataProvider.js';
+import { config, getCcxtOverrides } from '../../config/config.js';
+
+/**
+ * Paper Exchange
+ * Implements the part of the ccxt interface the executors use (loadMarkets, market metadata and
+ * precision, fetchOrderBook, fetchBalance, createOrder / createMarketOrder /
+ * createMarketBuyOrderWithCost, fetchOrder, cancelOrder, fetchOpenOrders, fetchMyTrades), so
+ * AutoTrader, the unwinder and the advanced engine run unchanged on it.
+ *
+ * - Market metadata and precision come from a public ccxt instance; books come from the market
+ *   data provider (live REST, WebSocket cache or a recorded file).
+ * - A market order waits `latencyMs`, then walks the book. Consumed levels stay consumed until
+ *   the book is refetched (after `bookRefreshMs`), so back-to-back legs see each other's impact.
+ * - Fees are the fee service's per-symbol rates, charged in the received asset.
+ * - Balances live in `stateFile` and every fill is appended to `tradesFile` with `paper: true`,
+ *   so a run can go on for weeks across restarts with real P&L accounting.
+ * - Post-only limit orders rest until the book trades through their price (checked on
+ *   fetchOrder), and reserve their funds meanwhile. Open orders are saved with the balances, so
+ *   they can still be fetched, filled or cancelled after a restart.
+ */
+export class PaperExchange {
+  /**
+   * @param {Object} options - { source, marketData, balances, stateFile, tradesFile, latencyMs, bookRefreshMs, depth }
+   */
+  constructor(options = {}) {
+    const settings = config.paper;
+    this.id = 'paper';
+    this.source = options.source || new ccxt.binance({ enableRateLimit: true, ...getCcxtOverrides() });
+    this.marketData = options.marketData || null;
+    this.initialBalances = options.balances || settings.balances;
+    this.stateFile = options.stateFile || settings.stateFile;
+    this.tradesFile = options.tradesFile || settings.tradesFile;
+    this.latencyMs = options.latencyMs !== undefined ? options.latencyMs : settings.latencyMs;
+    this.bookRefreshMs = options.bookRefreshMs !== undefined ? options.bookRefreshMs : settings.bookRefreshMs;
+    this.depth = options.depth || 100;
+
+    this.has = { createMarketBuyOrderWithCost: true, fetchMyTrades: true, fetchOpenOrders: true };
+    this.books = new Map(); // symbol -> { bids, asks, fetchedAt } with consumption applied
+    this.orders = new Map(); // id -> order
+    this.trades = [];
+    this.balances = {}; // asset -> { free, used }
+    this.nextId = 1;
+    this.loadState();
+  }
+
+  get markets() {
+    return this.source.markets;
+  }
+
+  get markets_by_id() {
+    return this.source.markets_by_id;
+  }
+
+  async loadMarkets(reload = false) {
+    return await this.source.loadMarkets(reload);
+  }
+
+  market(symbol) {
+    return this.source.market(symbol);
+  }
+
+  amountToPrecision(symbol, amount) {
+    return this.source.amountToPrecision(symbol, amount);
+  }
+
+  costToPrecision(symbol, cost) {
+    return this.source.costToPrecision(symbol, cost);
+  }
+
+  priceToPrecision(symbol, price) {
+    return this.source.priceToPrecision(symbol, price);
+  }
+
+  async fetchTicker(symbol) {
+    return await this.source.fetchTicker(symbol);
+  }
+
+  // ==================== State ====================
+
+  /**
+   * Restore balances, open orders and counters from the state file, and past fills from the
+   * trades file. An unreadable state file is set aside and the account starts over.
+   */
+  loadState() {
+    let state = null;
+    if (fs.existsSync(this.stateFile)) {
+      try {
+        state = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+      } catch (error) {
+        const corrupt = `${this.stateFile}.corrupt`;
+        fs.renameSync(this.stateFile, corrupt);
+        console.error(`❌ Unreadable paper state ${this.stateFile} (${error.message}), moved to ${corrupt}; starting a new account`);
+      }
+    }
+
+    if (state) {
+      this.balances = state.balances;
+      this.initialBalances = state.initialBalances || this.initialBalances;
+      this.nextId = state.nextId || 1;
+      this.startedAt = state.startedAt;
+      (state.openOrders || []).forEach(order => this.orders.set(order.id, order));
+    } else {
+      this.reset();
+    }
+
+    if (fs.existsSync(this.tradesFile)) {
+      this.trades = fs.readFileSync(this.tradesFile, 'utf8')
+        .split('\n')
+        .filter(Boolean)
+        .map(line => {
+          try {
+            return JSON.parse(line);
+          } catch (error) {
+            return null;
+          }
+        })
+        .filter(Boolean);
+    }
+  }
+
+  saveState() {
+    fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+    const tmp = `${this.stateFile}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({
+      balances: this.balances,
+      initialBalances: this.initialBalances,
+      nextId: this.nextId,
+      startedAt: this.startedAt,
+      openOrders: Array.from(this.orders.values()).filter(order => order.status === 'open'),
+      updatedAt: new Date().toISOString()
+    }, null, 2));
+    fs.renameSync(tmp, this.stateFile);
+  }
+
+  /**
+   * Start a new paper account from the initial balances (the trade log is kept)
+   */
+  reset(balances = this.initialBalances) {
+    this.initialBalances = { ...balances };
+    this.balances = {};
+    Object.entries(balances).forEach(([asset, amount]) => {
+      this.balances[asset] = { free: amount, used: 0 };
+    });
+    this.orders.clear();
+    this.startedAt = new Date().toISOString();
+    this.saveState();
+  }
+
+  // ==================== Balances ====================
+
+  getBalanceEntry(asset) {
+    if (!this.balances[asset]) {
+      this.balances[asset] = { free: 0, used: 0 };
+    }
+    return this.balances[asset];
+  }
+
+  async fetchBalance() {
+    const balance = { info: { paper: true }, free: {}, used: {}, total: {} };
+    Object.entries(this.balances).forEach(([asset, { free, used }]) => {
+      balance[asset] = { free, used, total: free + used };
+      balance.free[asset] = free;
+      balance.used[asset] = used;
+      balance.total[asset] = free + used;
+    });
+    return balance;
+  }
+
+  /**
+   * Take funds out of an asset's free balance (into `used` when reserving for a resting order)
+   */
+  debit(asset, amount, reserve = false) {
+    const entry = this.getBalanceEntry(asset);
+    if (amount > entry.free + 1e-12) {
+      throw new ccxt.InsufficientFunds(`paper: insufficient ${asset} balance (${entry.free} < ${amount})`);
+    }
+    entry.free = Math.max(0, entry.free - amount);
+    if (reserve) entry.used += amount;
+  }
+
+  credit(asset, amount) {
+    this.getBalanceEntry(asset).free += amount;
+  }
+
+  // ==================== Books ====================
+
+  /**
+   * Order book with this account's earlier fills still consumed
+   */
+  async getBook(symbol) {
+    const cached = this.books.get(symbol);
+    if (cached && Date.now() - cached.fetchedAt < this.bookRefreshMs) {
+      return cached;
+    }
+
+    const provider = this.marketData || getMarketDataProvider();
+    const raw = await provider.getOrderBook(this.market(symbol).id, this.depth);
+    const levels = side => (raw[side] || []).map(([price, qty]) => [parseFloat(price), parseFloat(qty)]);
+
+    const book = { bids: levels('bids'), asks: levels('asks'), fetchedAt: Date.now() };
+    this.books.set(symbol, book);
+    return book;
+  }
+
+  async fetchOrderBook(symbol, limit = this.depth) {
+    const book = await this.getBook(symbol);
+    return {
+      symbol,
+      bids: book.bids.slice(0, limit),
+      asks: book.asks.slice(0, limit),
+      timestamp: book.fetchedAt,
+      datetime: new Date(book.fetchedAt).toISOString(),
+      nonce: undefined
+    };
+  }
+
+  /**
+   * Base quantity a quote spend buys from the asks, floored to the step size
+   */
+  quantityForCost(symbol, asks, cost) {
+    let remaining = cost;
+    let qty = 0;
+    for (const [price, available] of asks) {
+      if (remaining <= 0) break;
+      const take = Math.min(available, remaining / price);
+      qty += take;
+      remaining -= take * price;
+    }
+    return this.floorAmount(symbol, qty);
+  }
+
+  floorAmount(symbol, amount) {
+    try {
+      return parseFloat(this.amountToPrecision(symbol, amount));
+    } catch (error) {
+      return 0; // Below one step
+    }
+  }
+
+  /**
+   * Take up to `qty` base from one side of the book, best price first, limited to `limitPrice`
+   * @returns {Array} Fills [[price, qty]] (the book levels are reduced in place)
+   */
+  consume(levels, qty, isBuy, limitPrice = null) {
+    const fills = [];
+    let remaining = qty;
+    while (remaining > 1e-12 && levels.length > 0) {
+      const [price, available] = levels[0];
+      if (limitPrice !== null && (isBuy ? price > limitPrice : price < limitPrice)) break;
+
+      const take = Math.min(available, remaining);
+      fills.push([price, take]);
+      remaining -= take;
+      if (take >= available - 1e-12) {
+        levels.shift();
+      } else {
+        levels[0] = [price, available - take];
+      }
+    }
+    return fills;
+  }
+
+  // ==================== Orders ====================
+
+  async createOrder(symbol, type, side, amount, price = undefined, params = {}) {
+    const market = this.market(symbol);
+    const clientOrderId = params.clientOrderId || params.newClientOrderId || undefined;
+
+    // Like Binance, a client order id cannot be reused while its order is open
+    const duplicate = clientOrderId && this.findByClientOrderId(clientOrderId);
+    if (duplicate && duplicate.status === 'open') {
+      throw new ccxt.DuplicateOrderId(`paper: duplicate order ${clientOrderId}`);
+    }
+
+    const order = {
+      id: `paper-${this.nextId++}`,
+      clientOrderId,
+      timestamp: Date.now(),
+      datetime: new Date().toISOString(),
+      symbol: market.symbol,
+      type,
+      side,
+      price: price !== undefined ? price : null,
+      amount: amount !== undefined ? this.floorAmount(symbol, amount) : undefined,
+      filled: 0,
+      remaining: 0,
+      cost: 0,
+      average: null,
+      status: 'open',
+      fee: null,
+      fees: [],
+      trades: [],
+      info: { paper: true }
+    };
+
+    if (type === 'market') {
+      await this.fillMarketOrder(order, market, params);
+    } else if (type === 'limit') {
+      await this.placeLimitOrder(order, market, params);
+    } else {
+      throw new ccxt.NotSupported(`paper: ${type} orders are not supported`);
+    }
+
+    this.orders.set(order.id, order);
+    this.saveState();
+    return { ...order };
+  }
+
+  async createMarketOrder(symbol, side, amount, price = undefined, params = {}) {
+    return await this.createOrder(symbol, 'market', side, amount, price, params);
+  }
+
+  async createMarketBuyOrderWithCost(symbol, cost, params = {}) {
+    return await this.createOrder(symbol, 'market', 'buy', undefined, undefined, { ...params, cost });
+  }
+
+  /**
+   * Fill a market order against the book after the simulated latency
+   * A book that runs out fills partially and expires the rest, as Binance does.
+   */
+  async fillMarketOrder(order, market, params) {
+    if (this.latencyMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, this.latencyMs));
+    }
+
+    const isBuy = order.side === 'buy';
+    const book = await this.getBook(market.symbol);
+    const levels = isBuy ? book.asks : book.bids;
+
+    const cost = params.cost !== undefined ? params.cost : params.quoteOrderQty;
+    if (isBuy && cost !== undefined) {
+      order.amount = this.quantityForCost(market.symbol, levels, parseFloat(cost));
+    }
+    if (!(order.amount > 0)) {
+      throw new ccxt.InvalidOrder(`paper: ${market.symbol} order quantity rounds to zero`);
+    }
+
+    const minQty = market.limits && market.limits.amount && market.limits.amount.min;
+    if (minQty && order.amount < minQty) {
+      throw new ccxt.InvalidOrder(`paper: quantity ${order.amount} below ${market.symbol} minimum ${minQty}`);
+    }
+
+    // Check funds against the whole sweep before touching the book
+    const preview = this.consume(levels.map(level => [...level]), order.amount, isBuy);
+    const previewQty = preview.reduce((sum, [, qty]) => sum + qty, 0);
+    const previewCost = preview.reduce((sum, [price, qty]) => sum + price * qty, 0);
+    const minNotional = market.limits && market.limits.cost && market.limits.cost.min;
+    if (minNotional && previewQty > 0 && previewCost < minNotional) {
+      throw new ccxt.InvalidOrder(`paper: notional ${previewCost} below ${market.symbol} minimum ${minNotional}`);
+    }
+    this.debit(isBuy ? market.quote : market.base, isBuy ? previewCost : previewQty);
+
+    const fills = this.consume(levels, order.amount, isBuy);
+    fills.forEach(([price, qty]) => this.settle(order, market, price, qty, 'taker', false));
+
+    order.remaining = order.amount - order.filled;
+    order.status = order.remaining > 1e-12 ? 'expired' : 'closed';
+    if (order.filled === 0) {
+      order.status = 'expired';
+    }
+  }
+
+  /**
+   * Place a limit order: post-only orders that would cross are rejected, others rest with funds reserved
+   */
+  async placeLimitOrder(order, market, params) {
+    if (order.price === null || !(order.amount > 0)) {
+      throw new ccxt.InvalidOrder('paper: limit orders need a price and a quantity');
+    }
+
+    const isBuy = order.side === 'buy';
+    const book = await this.getBook(market.symbol);
+    const opposite = isBuy ? book.asks : book.bids;
+    const crosses = opposite.length > 0 && (isBuy ? opposite[0][0] <= order.price : opposite[0][0] >= order.price);
+
+    if (crosses && params.postOnly) {
+      throw new ccxt.OrderImmediatelyFillable(`paper: post-only ${order.side} at ${order.price} would cross the spread`);
+    }
+
+    this.debit(isBuy ? market.quote : market.base, isBuy ? order.amount * order.price : order.amount, true);
+    order.remaining = order.amount;
+    if (crosses) {
+      this.matchRestingOrder(order, market, book, 'taker');
+    }
+  }
+
+  /**
+   * Fill a resting limit order from whatever the book now offers at or through its price
+   */
+  matchRestingOrder(order, market, book, takerOrMaker = 'maker') {
+    const isBuy = order.side === 'buy';
+    const levels = isBuy ? book.asks : book.bids;
+    const fills = this.consume(levels, order.remaining, isBuy, order.price);
+
+    // A resting order fills at its own price; a crossing one at the book's
+    fills.forEach(([price, qty]) => this.settle(order, market, takerOrMaker === 'maker' ? order.price : price, qty, takerOrMaker, true));
+    order.remaining = order.amount - order.filled;
+    if (order.remaining <= 1e-12) {
+      order.status = 'closed';
+      this.releaseReserve(order, market);
+    }
+  }
+
+  /**
+   * Return the unfilled part of a resting order's reserve to the free balance
+   */
+  releaseReserve(order, market) {
+    const isBuy = order.side === 'buy';
+    const asset = isBuy ? market.quote : market.base;
+    const reserved = isBuy ? order.amount * order.price - order.cost : order.amount - order.filled;
+    const entry = this.getBalanceEntry(asset);
+    const amount = Math.min(Math.max(0, reserved), entry.used);
+    entry.used -= amount;
+    entry.free += amount;
+  }
+
+  /**
+   * Book one fill: move balances, charge the fee in the received asset and log the trade
+   */
+  settle(order, market, price, qty, takerOrMaker, fromReserve) {
+    const isBuy = order.side === 'buy';
+    const cost = price * qty;
+    const received = isBuy ? qty : cost;
+    const receivedAsset = isBuy ? market.base : market.quote;
+    const feeRate = feeService.getFee(market.id, takerOrMaker);
+    const fee = received * feeRate;
+
+    if (fromReserve) {
+      const entry = this.getBalanceEntry(isBuy ? market.quote : market.base);
+      entry.used = Math.max(0, entry.used - (isBuy ? cost : qty));
+    }
+    this.credit(receivedAsset, received - fee);
+
+    order.filled += qty;
+    order.cost += cost;
+    order.average = order.cost / order.filled;
+    order.fees = this.mergeFee(order.fees, receivedAsset, fee);
+    order.fee = order.fees[0];
+
+    const trade = {
+      id: `${order.id}-${order.trades.length + 1}`,
+      order: order.id,
+      clientOrderId: order.clientOrderId,
+      timestamp: Date.now(),
+      datetime: new Date().toISOString(),
+      symbol: market.symbol,
+      type: order.type,
+      side: order.side,
+      takerOrMaker,
+      price,
+      amount: qty,
+      cost,
+      fee: { cost: fee, currency: receivedAsset, rate: feeRate },
+      paper: true
+    };
+    order.trades.push(trade);
+    this.trades.push(trade);
+
+    fs.mkdirSync(path.dirname(this.tradesFile), { recursive: true });
+    fs.appendFileSync(this.tradesFile, JSON.stringify(trade) + '\n');
+  }
+
+  mergeFee(fees, currency, cost) {
+    const existing = fees.find(fee => fee.currency === currency);
+    if (existing) {
+      return fees.map(fee => (fee === existing ? { ...fee, cost: fee.cost + cost } : fee));
+    }
+    return [...fees, { cost, currency }];
+  }
+
+  /**
+   * Latest order placed with a client order id
+   * Orders of earlier runs survive only in the trades file, so they are rebuilt from their fills.
+   */
+  findByClientOrderId(clientOrderId) {
+    const order = Array.from(this.orders.values()).reverse().find(o => o.clientOrderId === clientOrderId);
+    if (order) return order;
+
+    const fills = this.trades.filter(trade => trade.clientOrderId === clientOrderId);
+    if (fills.length === 0) return null;
+
+    const filled = fills.reduce((sum, trade) => sum + trade.amount, 0);
+    const cost = fills.reduce((sum, trade) => sum + trade.cost, 0);
+    const fees = fills.reduce((merged, trade) => this.mergeFee(merged, trade.fee.currency, trade.fee.cost), []);
+    return {
+      id: fills[0].order,
+      clientOrderId,
+      timestamp: fills[0].timestamp,
+      datetime: fills[0].datetime,
+      symbol: fills[0].symbol,
+      type: fills[0].type,
+      side: fills[0].side,
+      price: null,
+      amount: filled,
+      filled,
+      remaining: 0,
+      cost,
+      average: filled > 0 ? cost / filled : null,
+      status: 'closed',
+      fee: fees[0] || null,
+      fees,
+      trades: fills,
+      info: { paper: true }
+    };
+  }
+
+  /**
+   * Current state of an order (by id, or by params.origClientOrderId / clientOrderId);
+   * resting limit orders are matched against the latest book first
+   */
+  async fetchOrder(id, symbol = undefined, params = {}) {
+    const clientOrderId = params.origClientOrderId || params.clientOrderId;
+    const order = clientOrderId ? this.findByClientOrderId(clientOrderId) : this.orders.get(id);
+    if (!order) {
+      throw new ccxt.OrderNotFound(`paper: order ${clientOrderId || id} not found`);
+    }
+
+    if (order.status === 'open') {
+      const market = this.market(order.symbol);
+      this.matchRestingOrder(order, market, await this.getBook(order.symbol));
+      this.saveState();
+    }
+    return { ...order };
+  }
+
+  async cancelOrder(id, symbol = undefined) {
+    const order = this.orders.get(id);
+    if (!order) {
+      throw new ccxt.OrderNotFound(`paper: order ${id} not found`);
+    }
+    if (order.status !== 'open') {
+      throw new ccxt.OrderNotFound(`paper: order ${id} is ${order.status}`);
+    }
+
+    this.releaseReserve(order, this.market(order.symbol));
+    order.status = 'canceled';
+    this.saveState();
+    return { ...order };
+  }
+
+  async fetchOpenOrders(symbol = undefined) {
+    return Array.from(this.orders.values())
+      .filter(order => order.status === 'open' && (!symbol || order.symbol === symbol))
+      .map(order => ({ ...order }));
+  }
+
+  async fetchMyTrades(symbol = undefined, since = undefined, limit = undefined) {
+    const trades = this.trades.filter(trade =>
+      (!symbol || trade.symbol === symbol) && (since === undefined || trade.timestamp >= since));
+    return limit ? trades.slice(-limit) : trades;
+  }
+
+  // ==================== Reporting ====================
+
+  /**
+   * Balance changes since the account started, and fees paid per asset
+   */
+  getSummary() {
+    const assets = new Set([...Object.keys(this.balances), ...Object.keys(this.initialBalances)]);
+    const changes = {};
+    assets.forEach(asset => {
+      const now = this.balances[asset] ? this.balances[asset].free + this.balances[asset].used : 0;
+      const start = this.initialBalances[asset] || 0;
+      if (now !== 0 || start !== 0) changes[asset] = { start, now, change: now - start };
+    });
+
+    const since = this.startedAt ? new Date(this.startedAt).getTime() : 0;
+    const fees = {};
+    const trades = this.trades.filter(trade => trade.timestamp >= since);
+    trades.forEach(trade => {
+      fees[trade.fee.currency] = (fees[trade.fee.currency] || 0) + trade.fee.cost;
+    });
+
+    return { startedAt: this.startedAt, trades: trades.length, balances: changes, fees };
+  }
+
+  printSummary() {
+    const summary = this.getSummary();
+    console.log('\n' + '='.repeat(60));
+    console.log('📄 PAPER ACCOUNT');
+    console.log('='.repeat(60));
+    console.log(`Since: ${summary.startedAt} | Fills: ${summary.trades}`);
+    Object.entries(summary.balances).forEach(([asset, { start, now, change }]) => {
+      console.log(`   ${asset.padEnd(6)} ${start.toFixed(8)} → ${now.toFixed(8)} (${change >= 0 ? '+' : ''}${change.toFixed(8)})`);
+    });
+    Object.entries(summary.fees).forEach(([asset, cost]) => {
+      console.log(`   Fees paid: ${cost.toFixed(8)} ${asset}`);
+    });
+    console.log('='.repeat(60) + '\n');
+  }
+}
+
+// If run directly: print the paper account (--reset starts a new one)
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const paper = new PaperExchange();
+  if (process.argv.includes('--reset')) {
+    paper.reset(config.paper.balances);
+    console.log(`📄 Paper account reset to ${JSON.stringify(config.paper.balances)}`);
+  }
+  paper.printSummary();
+}
@@ -0,0 +1,319 @@
+// Risk Control
+// Global kill switch and circuit breakers every executor consults before placing an order
+
+import fs from 'fs';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { telegramAlerts } from '../alerts/telegramBot.js';
+import { config } from '../../config/config.js';
+
+const HOUR_MS = 3600000;
+const STABLECOINS = ['USDT', 'BUSD', 'USDC', 'FDUSD', 'TUSD', 'DAI'];
+
+/**
+ * Order refused by risk control
+ * `limit` names the rule: tripped | trades_per_hour | max_notional
+ */
+export class RiskLimitError extends Error {
+  constructor(message, limit) {
+    super(message);
+    this.name = 'RiskLimitError';
+    this.limit = limit;
+  }
+}
+
+/**
+ * UTC day key of a timestamp (daily loss resets at 00:00 UTC)
+ */
+function dayKey(timestamp = Date.now()) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+/**
+ * Time of the last trip or reset in a risk state (0 if none)
+ */
+function lastEventAt(state) {
+  const last = state.trips[state.trips.length - 1];
+  return last ? Date.parse(last.at) : 0;
+}
+
+/**
+ * Risk Control
+ * One gate in front of every order, whichever executor places it (AutoTrader, the autonomous
+ * agent, the advanced engine, the inventory rebalancer):
+ *   - trips (kill switch): daily realised loss, consecutive losing cycles, error rate over the
+ *     last cycles, or an emergency stop. A trip blocks every new cycle and every further leg
+ *     until an operator resets it; it is persisted, so restarts stay halted. The state file is
+ *     re-read before every decision, so `npm run risk -- --trip/--reset` run from another
+ *     process takes effect in a running bot.
+ *   - throttles: cycles started per hour and the amount of an asset one order may commit.
+ * Unwind orders are always allowed: getting a broken cycle back to its start currency is how
+ * exposure is reduced after a trip.
+ */
+export class RiskControl extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    const settings = config.risk;
+    this.stateFile = options.stateFile || settings.stateFile;
+    this.limits = {
+      maxDailyLossUsd: settings.maxDailyLossUsd,
+      maxConsecutiveLosses: settings.maxConsecutiveLosses,
+      errorWindow: settings.errorWindow,
+      maxErrorRate: settings.maxErrorRate,
+      maxTradesPerHour: settings.maxTradesPerHour,
+      maxNotional: settings.maxNotional,
+      ...options.limits
+    };
+    this.state = this.loadState();
+  }
+
+  // ==================== State ====================
+
+  loadState() {
+    const empty = {
+      trip: null, // { reason, limit, details, at }
+      day: dayKey(),
+      dailyPnlUsd: 0,
+      consecutiveLosses: 0,
+      outcomes: [], // Last errorWindow cycle outcomes: true = error
+      entries: [], // Start times of cycles in the last hour
+      trips: [] // Past trips and resets
+    };
+
+    if (!fs.existsSync(this.stateFile)) return empty;
+    try {
+      return { ...empty, ...JSON.parse(fs.readFileSync(this.stateFile, 'utf8')) };
+    } catch (error) {
+      // An unreadable state file must not silently clear a trip
+      console.error(`❌ Unreadable risk state ${this.stateFile}: ${error.message}`);
+      return { ...empty, trip: { reason: 'Risk state file unreadable', limit: 'state', details: {}, at: new Date().toISOString() } };
+    }
+  }
+
+  /**
+   * Persist the state. A trip or reset another process wrote since the file was last read wins
+   * over this process's copy, so an operator's decision is never overwritten by a stale state.
+   */
+  saveState() {
+    if (fs.existsSync(this.stateFile)) {
+      const disk = this.loadState();
+      if (lastEventAt(disk) > lastEventAt(this.state)) {
+        this.state = {
+          ...this.state,
+          trip: disk.trip,
+          trips: disk.trips,
+          consecutiveLosses: disk.consecutiveLosses,
+          outcomes: disk.outcomes
+        };
+      }
+    }
+
+    fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+    const tmp = `${this.stateFile}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(this.state, null, 2));
+    fs.renameSync(tmp, this.stateFile);
+  }
+
+  /**
+   * Re-read the state file (trips and resets from other processes), roll the daily P&L over at
+   * midnight UTC and drop entries older than an hour
+   */
+  refresh(now = Date.now()) {
+    this.state = this.loadState();
+    if (this.state.day !== dayKey(now)) {
+      this.state.day = dayKey(now);
+      this.state.dailyPnlUsd = 0;
+    }
+    this.state.entries = this.state.entries.filter(at => now - at < HOUR_MS);
+  }
+
+  get isTripped() {
+    return this.state.trip !== null;
+  }
+
+  // ==================== Gate ====================
+
+  /**
+   * Whether a new cycle may start now
+   * @returns {Object} { allowed, reason }
+   */
+  canEnter() {
+    this.refresh();
+    if (this.isTripped) {
+      return { allowed: false, reason: `Kill switch tripped: ${this.state.trip.reason}` };
+    }
+    if (this.state.entries.length >= this.limits.maxTradesPerHour) {
+      return { allowed: false, reason: `${this.state.entries.length} cycles in the last hour (max ${this.limits.maxTradesPerHour})` };
+    }
+    return { allowed: true, reason: null };
+  }
+
+  /**
+   * Approve an order or throw RiskLimitError
+   * @param {Object} order - { source, symbol, side, asset, amount, leg, unwind }
+   *   asset/amount: what the order commits; leg: 0-based leg of its cycle (0 starts a cycle and
+   *   counts toward the hourly limit, undefined for orders outside a cycle);
+   *   unwind: true for orders that reduce exposure (never refused)
+   */
+  checkOrder(order) {
+    if (order.unwind) return true;
+
+    this.refresh();
+    if (this.isTripped) {
+      throw new RiskLimitError(`Order refused, kill switch tripped: ${this.state.trip.reason}`, 'tripped');
+    }
+
+    const cap = this.limits.maxNotional[order.asset];
+    if (cap !== undefined && order.amount > cap) {
+      throw new RiskLimitError(`${order.symbol} ${order.side} commits ${order.amount} ${order.asset} (max ${cap})`, 'max_notional');
+    }
+
+    if (order.leg === 0) {
+      const entry = this.canEnter();
+      if (!entry.allowed) {
+        throw new RiskLimitError(`Cycle refused: ${entry.reason}`, 'trades_per_hour');
+      }
+      this.state.entries.push(Date.now());
+      this.saveState();
+    }
+    return true;
+  }
+
+  // ==================== Outcomes ====================
+
+  /**
+   * Record how a cycle ended and trip the breakers it crosses
+   * A cycle that could not be valued counts as a loss of everything it committed (exposureUsd),
+   * or of nothing if that is unknown too; either way it extends the losing streak.
+   * @param {Object} outcome - { source, pnlUsd, exposureUsd, error } - realised P&L in USD (null
+   *   if it could not be valued), USD value of the start amount, error true when the cycle
+   *   failed rather than completed
+   */
+  recordCycle(outcome) {
+    this.refresh();
+    const unvalued = outcome.pnlUsd === null || outcome.pnlUsd === undefined;
+    const pnl = unvalued ? -Math.abs(outcome.exposureUsd || 0) : outcome.pnlUsd;
+    const losing = unvalued || pnl < 0;
+
+    if (unvalued) {
+      console.warn(`⚠️  Unvalued ${outcome.source || 'cycle'} outcome counted as a loss of $${(-pnl).toFixed(2)}`);
+    }
+    this.state.dailyPnlUsd += pnl;
+    this.state.consecutiveLosses = losing ? this.state.consecutiveLosses + 1 : 0;
+    this.state.outcomes = [...this.state.outcomes, Boolean(outcome.error)].slice(-this.limits.errorWindow);
+    this.saveState();
+
+    if (this.isTripped) return;
+
+    // Only a losing cycle trips the daily limit: after an operator reset the day's loss still
+    // stands, but winning cycles may trade it back
+    const errors = this.state.outcomes.filter(Boolean).length;
+    if (losing && -this.state.dailyPnlUsd >= this.limits.maxDailyLossUsd) {
+      this.trip(`Daily realised loss $${(-this.state.dailyPnlUsd).toFixed(2)} reached the $${this.limits.maxDailyLossUsd} limit`, 'daily_loss');
+    } else if (this.state.consecutiveLosses >= this.limits.maxConsecutiveLosses) {
+      this.trip(`${this.state.consecutiveLosses} consecutive losing cycles`, 'consecutive_losses');
+    } else if (this.state.outcomes.length >= this.limits.errorWindow && errors / this.state.outcomes.length >= this.limits.maxErrorRate) {
+      this.trip(`${errors} of the last ${this.state.outcomes.length} cycles failed`, 'error_rate');
+    }
+  }
+
+  /**
+   * Value a realised P&L in USD (stablecoins at par, other assets through an exchange ticker)
+   * @returns {Promise<number|null>}
+   */
+  async toUsd(amount, currency, exchange = null) {
+    if (STABLECOINS.includes(currency)) return amount;
+    if (!exchange) return null;
+    try {
+      const ticker = await exchange.fetchTicker(`${currency}/USDT`);
+      return amount * (ticker.last || ticker.bid);
+    } catch (error) {
+      console.warn(`⚠️  Could not value ${currency} in USD for risk control: ${error.message}`);
+      return null;
+    }
+  }
+
+  // ==================== Kill switch ====================
+
+  /**
+   * Halt all trading until an operator reset
+   */
+  trip(reason, limit = 'manual', details = {}) {
+    this.refresh();
+    if (this.isTripped) return this.state.trip;
+
+    const trip = { reason, limit, details, at: new Date().toISOString() };
+    this.state.trip = trip;
+    this.state.trips = [...this.state.trips, { ...trip, event: 'trip' }].slice(-50);
+    this.saveState();
+
+    console.error(`🛑 KILL SWITCH TRIPPED (${limit}): ${reason}`);
+    console.error('   All trading is halted until an operator runs `npm run risk -- --reset`');
+    this.emit('trip', trip);
+    telegramAlerts.sendCustomAlert('🛑 Kill Switch Tripped', {
+      Limit: limit,
+      Reason: reason,
+      'Daily P&L': `$${this.state.dailyPnlUsd.toFixed(2)}`,
+      Reset: '`npm run risk -- --reset`'
+    }).catch(() => {});
+    return trip;
+  }
+
+  /**
+   * Clear a trip (operator action) and the loss/error streaks that led to it
+   */
+  reset(operator = 'operator') {
+    this.refresh();
+    const cleared = this.state.trip;
+    this.state.trip = null;
+    this.state.consecutiveLosses = 0;
+    this.state.outcomes = [];
+    this.state.trips = [...this.state.trips, { event: 'reset', by: operator, cleared: cleared && cleared.limit, at: new Date().toISOString() }].slice(-50);
+    this.saveState();
+
+    console.log(`✅ Risk control reset by ${operator}${cleared ? ` (cleared: ${cleared.reason})` : ''}`);
+    this.emit('reset', { operator, cleared });
+    return cleared;
+  }
+
+  getStatus() {
+    this.refresh();
+    const errors = this.state.outcomes.filter(Boolean).length;
+    return {
+      tripped: this.isTripped,
+      trip: this.state.trip,
+      dailyPnlUsd: this.state.dailyPnlUsd,
+      consecutiveLosses: this.state.consecutiveLosses,
+      errorRate: this.state.outcomes.length > 0 ? errors / this.state.outcomes.length : 0,
+      cyclesLastHour: this.state.entries.length,
+      limits: this.limits
+    };
+  }
+
+  printStatus() {
+    const status = this.getStatus();
+    console.log('\n' + '='.repeat(60));
+    console.log('🛡️  RISK CONTROL');
+    console.log('='.repeat(60));
+    console.log(`Status: ${status.tripped ? `🛑 TRIPPED (${status.trip.limit}) since ${status.trip.at}\n   ${status.trip.reason}` : '✅ Trading allowed'}`);
+    console.log(`Daily P&L: $${status.dailyPnlUsd.toFixed(2)} (limit -$${status.limits.maxDailyLossUsd})`);
+    console.log(`Consecutive losses: ${status.consecutiveLosses}/${status.limits.maxConsecutiveLosses}`);
+    console.log(`Error rate: ${(status.errorRate * 100).toFixed(0)}% over ${this.state.outcomes.length} cycles (max ${(status.limits.maxErrorRate * 100).toFixed(0)}% of ${status.limits.errorWindow})`);
+    console.log(`Cycles last hour: ${status.cyclesLastHour}/${status.limits.maxTradesPerHour}`);
+    console.log(`Max notional per order: ${JSON.stringify(status.limits.maxNotional)}`);
+    console.log('='.repeat(60) + '\n');
+  }
+}
+
+// Create singleton instance (shared by every executor in the process)
+export const riskControl = new RiskControl();
+
+// If run directly: show the risk state, --reset clears a trip, --trip halts trading
+if (import.meta.url === `file://${process.argv[1]}`) {
+  if (process.argv.includes('--reset')) {
+    riskControl.reset(process.env.USER || 'operator');
+  } else if (process.argv.includes('--trip')) {
+    riskControl.trip('Manual stop by operator', 'manual');
+  }
+  riskControl.printStatus();
+}
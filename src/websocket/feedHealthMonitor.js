@@ -0,0 +1,196 @@
+// Feed Health Monitor
+// Tracks per-symbol update age, message rate and event-time lag for a WebSocketFeedManager
+
+import { EventEmitter } from 'events';
+import { config } from '../../config/config.js';
+
+const LAG_SMOOTHING = 0.2; // EWMA weight of the newest lag sample
+
+/**
+ * Feed Health Monitor
+ * A symbol whose last message is older than staleAfterMs is marked stale and should not be
+ * traded on, even while its socket stays open. A periodic check rolls the per-symbol state up
+ * into a 0-100 score and a status ('healthy' | 'degraded' | 'down').
+ *
+ * Events:
+ * - 'stale' (symbol, ageMs) / 'recovered' (symbol) when a symbol crosses the threshold
+ * - 'change' (summary, previousStatus) when the overall status changes
+ */
+export class FeedHealthMonitor extends EventEmitter {
+  /**
+   * @param {WebSocketFeedManager} feed - Feed whose connections and books are checked
+   * @param {Object} options - { staleAfterMs, checkIntervalMs }
+   */
+  constructor(feed, options = {}) {
+    super();
+    this.feed = feed;
+    this.staleAfterMs = options.staleAfterMs || config.websocket.staleBookMs;
+    this.checkIntervalMs = options.checkIntervalMs || config.websocket.healthCheckIntervalMs;
+    this.symbols = new Map(); // symbol -> { lastUpdateAt, lastEventTime, lagMs, messages, windowCount, rate, stale }
+    this.status = null;
+    this.lastSummary = null;
+    this.lastCheckAt = Date.now();
+    this.timer = null;
+  }
+
+  /**
+   * Start tracking a symbol; its age counts from now so new subscriptions get a grace period
+   */
+  track(symbol) {
+    if (this.symbols.has(symbol)) return;
+    this.symbols.set(symbol, {
+      lastUpdateAt: Date.now(),
+      lastEventTime: null,
+      lagMs: null,
+      messages: 0,
+      windowCount: 0,
+      rate: 0,
+      stale: false
+    });
+  }
+
+  untrack(symbol) {
+    this.symbols.delete(symbol);
+  }
+
+  /**
+   * Record a stream message
+   * @param {string} symbol - Symbol the event belongs to
+   * @param {number} eventTime - Exchange event time (E) in ms, if present
+   */
+  recordMessage(symbol, eventTime = null) {
+    const entry = this.symbols.get(symbol);
+    if (!entry) return;
+
+    const now = Date.now();
+    entry.lastUpdateAt = now;
+    entry.messages++;
+    entry.windowCount++;
+
+    if (eventTime) {
+      // Includes any clock offset between this host and the exchange
+      const lag = now - eventTime;
+      entry.lastEventTime = eventTime;
+      entry.lagMs = entry.lagMs === null ? lag : entry.lagMs + LAG_SMOOTHING * (lag - entry.lagMs);
+    }
+
+    if (entry.stale) {
+      entry.stale = false;
+      this.emit('recovered', symbol);
+    }
+  }
+
+  /**
+   * Whether a symbol has gone quiet for longer than the stale threshold
+   */
+  isStale(symbol) {
+    const entry = this.symbols.get(symbol);
+    return !!(entry && entry.stale);
+  }
+
+  start() {
+    if (this.timer) return;
+    this.lastCheckAt = Date.now();
+    this.timer = setInterval(() => this.check(), this.checkIntervalMs);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Update stale flags and message rates, then recompute the overall status
+   * @returns {Object} Health summary
+   */
+  check() {
+    const now = Date.now();
+    const elapsedSec = Math.max((now - this.lastCheckAt) / 1000, 0.001);
+    this.lastCheckAt = now;
+
+    this.symbols.forEach((entry, symbol) => {
+      entry.rate = entry.windowCount / elapsedSec;
+      entry.windowCount = 0;
+
+      const ageMs = now - entry.lastUpdateAt;
+      if (!entry.stale && ageMs > this.staleAfterMs) {
+        entry.stale = true;
+        console.warn(`⚠️  ${symbol} order book stale (no update for ${(ageMs / 1000).toFixed(1)}s)`);
+        this.emit('stale', symbol, ageMs);
+      }
+    });
+
+    const summary = this.getSummary();
+    const previousStatus = this.status;
+    this.status = summary.status;
+    this.lastSummary = summary;
+
+    if (previousStatus !== summary.status) {
+      this.emit('change', summary, previousStatus);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Overall health from connection state, sync state and staleness
+   */
+  getSummary() {
+    const now = Date.now();
+    const connections = this.feed.getConnectionStatus();
+    const openConnections = connections.filter(c => c.open).length;
+    const entries = Array.from(this.symbols.entries());
+
+    const stale = entries.filter(([, entry]) => entry.stale).map(([symbol]) => symbol);
+    const outOfSync = entries.filter(([symbol]) => !this.feed.isInSync(symbol)).map(([symbol]) => symbol);
+    const usable = entries.filter(([symbol, entry]) => !entry.stale && this.feed.isInSync(symbol)).length;
+    const lags = entries.map(([, entry]) => entry.lagMs).filter(lag => lag !== null);
+
+    // Without depth books (top-of-book only) health is the share of open connections
+    const bookShare = entries.length > 0 ? usable / entries.length : 1;
+    const score = connections.length === 0
+      ? 0
+      : Math.round(bookShare * (openConnections / connections.length) * 100);
+
+    let status = 'degraded';
+    if (score === 0) status = 'down';
+    else if (score >= 90 && openConnections === connections.length) status = 'healthy';
+
+    return {
+      status,
+      score,
+      symbols: entries.length,
+      usable,
+      stale,
+      outOfSync,
+      connections: connections.length,
+      openConnections,
+      reconnectAttempts: connections.reduce((sum, c) => sum + c.reconnectAttempts, 0),
+      messagesPerSec: entries.reduce((sum, [, entry]) => sum + entry.rate, 0),
+      avgLagMs: lags.length > 0 ? lags.reduce((a, b) => a + b, 0) / lags.length : null,
+      maxLagMs: lags.length > 0 ? Math.max(...lags) : null,
+      oldestUpdateMs: entries.length > 0 ? Math.max(...entries.map(([, entry]) => now - entry.lastUpdateAt)) : null,
+      checkedAt: now
+    };
+  }
+
+  /**
+   * Per-symbol detail for diagnostics
+   */
+  getSymbolHealth(symbol) {
+    const entry = this.symbols.get(symbol);
+    if (!entry) return null;
+
+    return {
+      symbol,
+      ageMs: Date.now() - entry.lastUpdateAt,
+      lagMs: entry.lagMs,
+      messagesPerSec: entry.rate,
+      messages: entry.messages,
+      stale: entry.stale,
+      inSync: this.feed.isInSync(symbol)
+    };
+  }
+}
@@ -0,0 +1,159 @@
+// Price Levels
+// One side of an order book kept sorted best-first, with O(1) best level, depth and VWAP queries
+
+/**
+ * Sorted price levels for one book side
+ * Prices are kept in a best-first array (bids descending, asks ascending) located by
+ * binary search, with quantities in a Map, so updates never re-sort and the best level
+ * is always at index 0.
+ */
+export class PriceLevels {
+  /**
+   * @param {string} side - 'bids' or 'asks'
+   */
+  constructor(side) {
+    this.side = side;
+    this.prices = [];
+    this.quantities = new Map();
+    this.isBetter = side === 'bids' ? (a, b) => a > b : (a, b) => a < b;
+  }
+
+  get size() {
+    return this.prices.length;
+  }
+
+  /**
+   * Index of a price, or of the position it would be inserted at
+   */
+  indexOf(price) {
+    let low = 0;
+    let high = this.prices.length;
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (this.isBetter(this.prices[mid], price)) low = mid + 1;
+      else high = mid;
+    }
+    return low;
+  }
+
+  /**
+   * Set the quantity at a price; zero removes the level
+   */
+  set(price, quantity) {
+    if (quantity === 0) {
+      this.delete(price);
+      return;
+    }
+
+    if (!this.quantities.has(price)) {
+      this.prices.splice(this.indexOf(price), 0, price);
+    }
+    this.quantities.set(price, quantity);
+  }
+
+  delete(price) {
+    if (!this.quantities.has(price)) return;
+    this.quantities.delete(price);
+    this.prices.splice(this.indexOf(price), 1);
+  }
+
+  /**
+   * Replace all levels
+   * @param {Array} levels - [[price, qty]] as strings or numbers, any order
+   */
+  load(levels) {
+    this.quantities = new Map();
+    levels.forEach(([price, qty]) => {
+      const quantity = parseFloat(qty);
+      if (quantity > 0) this.quantities.set(parseFloat(price), quantity);
+    });
+    this.prices = Array.from(this.quantities.keys()).sort((a, b) => (this.isBetter(a, b) ? -1 : 1));
+  }
+
+  /**
+   * Best level as [price, qty], or null if the side is empty
+   */
+  best() {
+    if (this.prices.length === 0) return null;
+    return [this.prices[0], this.quantities.get(this.prices[0])];
+  }
+
+  bestPrice() {
+    return this.prices.length > 0 ? this.prices[0] : null;
+  }
+
+  /**
+   * Top levels best-first as numeric [[price, qty]]
+   */
+  top(count = this.prices.length) {
+    const end = Math.min(count, this.prices.length);
+    const levels = new Array(end);
+    for (let i = 0; i < end; i++) {
+      levels[i] = [this.prices[i], this.quantities.get(this.prices[i])];
+    }
+    return levels;
+  }
+
+  /**
+   * Cumulative depth within a distance of the best price
+   * @param {number} bps - Distance from the best price in basis points
+   * @returns {Object} { quantity, notional, levels, limitPrice }
+   */
+  depthWithinBps(bps) {
+    const best = this.bestPrice();
+    if (best === null) return { quantity: 0, notional: 0, levels: 0, limitPrice: null };
+
+    const limitPrice = this.side === 'bids' ? best * (1 - bps / 10000) : best * (1 + bps / 10000);
+    let quantity = 0;
+    let notional = 0;
+    let levels = 0;
+
+    for (const price of this.prices) {
+      if (this.isBetter(limitPrice, price)) break;
+      const qty = this.quantities.get(price);
+      quantity += qty;
+      notional += qty * price;
+      levels++;
+    }
+
+    return { quantity, notional, levels, limitPrice };
+  }
+
+  /**
+   * Volume-weighted average price to trade a size against this side
+   * @param {number} size - Base quantity, or quote amount when options.quote is set
+   * @param {Object} options - { quote } size is in quote currency
+   * @returns {Object} { vwap, quantity, notional, worstPrice, levels, complete }
+   */
+  vwapForSize(size, options = {}) {
+    let remaining = size;
+    let quantity = 0;
+    let notional = 0;
+    let worstPrice = null;
+    let levels = 0;
+
+    for (const price of this.prices) {
+      if (remaining <= 0) break;
+
+      const available = this.quantities.get(price);
+      const take = options.quote
+        ? Math.min(available, remaining / price)
+        : Math.min(available, remaining);
+
+      quantity += take;
+      notional += take * price;
+      remaining -= options.quote ? take * price : take;
+      worstPrice = price;
+      levels++;
+    }
+
+    return {
+      vwap: quantity > 0 ? notional / quantity : null,
+      quantity,
+      notional,
+      worstPrice,
+      levels,
+      complete: remaining <= size * 1e-12
+    };
+  }
+}
@@ -2,86 +2,289 @@
 // Connects to Binance WebSocket streams for live order book updates
 
 import WebSocket from 'ws';
+import { PriceLevels } from './priceLevels.js';
+import { FeedHealthMonitor } from './feedHealthMonitor.js';
+import { RestMarketDataProvider } from '../marketData/marketDataProvider.js';
 import { config, getWebSocketUrl } from '../../config/config.js';
 
 /**
  * Order Book Manager - Maintains local order book from WebSocket updates
+ * Follows the Binance sync procedure: diffs are buffered while a REST snapshot is fetched,
+ * events older than the snapshot are discarded, and any gap in the U/u sequence marks the
+ * symbol out of sync and triggers a fresh snapshot. Consumers should check isInSync()
+ * before trusting a book.
  */
 export class OrderBookManager {
-  constructor() {
+  /**
+   * @param {Object} options - { snapshotProvider } REST source for snapshots, { snapshotDepth } levels per snapshot
+   */
+  constructor(options = {}) {
     this.orderBooks = new Map();
     this.lastUpdateId = new Map();
+    this.syncState = new Map(); // symbol -> { inSync, syncing, buffer, resyncs, lastSyncAt, retryAt }
+    this.snapshotProvider = options.snapshotProvider || new RestMarketDataProvider();
+    this.snapshotDepth = options.snapshotDepth || config.websocket.snapshotDepth;
+    this.onResync = options.onResync || null;
   }
 
   /**
-   * Update local order book with diff update
+   * Get (or create) the sync state of a symbol
    */
-  updateOrderBook(symbol, data) {
-    if (!this.orderBooks.has(symbol)) {
-      this.orderBooks.set(symbol, {
-        bids: new Map(),
-        asks: new Map(),
-        lastUpdate: data.u
+  getSyncState(symbol) {
+    if (!this.syncState.has(symbol)) {
+      this.syncState.set(symbol, {
+        inSync: false,
+        syncing: false,
+        buffer: [],
+        resyncs: 0,
+        lastSyncAt: null,
+        retryAt: 0
       });
     }
+    return this.syncState.get(symbol);
+  }
+
+  /**
+   * Whether the local book of a symbol matches the exchange
+   */
+  isInSync(symbol) {
+    const state = this.syncState.get(symbol);
+    return !!(state && state.inSync);
+  }
+
+  /**
+   * Handle a depth diff event
+   * While the symbol is out of sync the event is buffered and a snapshot is requested.
+   * @returns {boolean} True if the event was applied to an in-sync book
+   */
+  updateOrderBook(symbol, data) {
+    const state = this.getSyncState(symbol);
+
+    if (!state.inSync) {
+      state.buffer.push(data);
+      if (!state.syncing && Date.now() >= state.retryAt) {
+        this.resync(symbol);
+      }
+      return false;
+    }
+
+    const lastUpdateId = this.lastUpdateId.get(symbol);
 
+    // Already contained in the book
+    if (data.u <= lastUpdateId) {
+      return false;
+    }
+
+    // Sequence gap: an event was dropped, the book can no longer be trusted
+    if (data.U > lastUpdateId + 1) {
+      console.warn(`⚠️  ${symbol} order book gap (expected ${lastUpdateId + 1}, got ${data.U}), resyncing`);
+      this.invalidate(symbol);
+      state.buffer.push(data);
+      this.resync(symbol);
+      return false;
+    }
+
+    this.applyDiff(symbol, data);
+    return true;
+  }
+
+  /**
+   * Apply the bid/ask changes of a diff event
+   */
+  applyDiff(symbol, data) {
     const book = this.orderBooks.get(symbol);
 
-    // Update bids
     for (const [price, quantity] of data.b) {
-      const priceFloat = parseFloat(price);
-      const qtyFloat = parseFloat(quantity);
-      
-      if (qtyFloat === 0) {
-        book.bids.delete(priceFloat);
-      } else {
-        book.bids.set(priceFloat, qtyFloat);
-      }
+      book.bids.set(parseFloat(price), parseFloat(quantity));
     }
 
-    // Update asks
     for (const [price, quantity] of data.a) {
-      const priceFloat = parseFloat(price);
-      const qtyFloat = parseFloat(quantity);
-      
-      if (qtyFloat === 0) {
-        book.asks.delete(priceFloat);
-      } else {
-        book.asks.set(priceFloat, qtyFloat);
-      }
+      book.asks.set(parseFloat(price), parseFloat(quantity));
     }
 
     book.lastUpdate = data.u;
+    this.lastUpdateId.set(symbol, data.u);
   }
 
   /**
-   * Get formatted order book (top N levels)
+   * Replace the local book with a REST snapshot
    */
-  getOrderBook(symbol, depth = 50) {
-    if (!this.orderBooks.has(symbol)) {
-      return null;
+  loadSnapshot(symbol, snapshot) {
+    const bids = new PriceLevels('bids');
+    const asks = new PriceLevels('asks');
+    bids.load(snapshot.bids);
+    asks.load(snapshot.asks);
+
+    this.orderBooks.set(symbol, { bids, asks, lastUpdate: snapshot.lastUpdateId });
+    this.lastUpdateId.set(symbol, snapshot.lastUpdateId);
+  }
+
+  /**
+   * Fetch a snapshot and replay buffered diffs on top of it
+   * Retries while the snapshot is older than the first buffered event or the
+   * buffered events do not continue from it.
+   * @returns {Promise<boolean>} True if the symbol is in sync afterwards
+   */
+  async resync(symbol, maxAttempts = 3) {
+    const state = this.getSyncState(symbol);
+    if (state.syncing) return false;
+
+    state.syncing = true;
+    state.inSync = false;
+
+    try {
+      for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        const snapshot = await this.snapshotProvider.getOrderBook(symbol, this.snapshotDepth, { retries: 1 });
+
+        // Symbol was removed while the snapshot was in flight
+        if (this.syncState.get(symbol) !== state) return false;
+
+        // Snapshot predates the buffered stream: fetch again
+        if (state.buffer.length > 0 && snapshot.lastUpdateId < state.buffer[0].U) {
+          continue;
+        }
+
+        const pending = state.buffer.filter(event => event.u > snapshot.lastUpdateId);
+
+        // The first event must straddle the snapshot (U <= lastUpdateId + 1 <= u)
+        if (pending.length > 0 && pending[0].U > snapshot.lastUpdateId + 1) {
+          continue;
+        }
+
+        this.loadSnapshot(symbol, snapshot);
+
+        let expected = snapshot.lastUpdateId + 1;
+        let contiguous = true;
+        for (const event of pending) {
+          if (event.U > expected) {
+            contiguous = false;
+            break;
+          }
+          this.applyDiff(symbol, event);
+          expected = event.u + 1;
+        }
+        if (!contiguous) {
+          continue;
+        }
+
+        state.buffer = [];
+        state.inSync = true;
+        state.resyncs++;
+        state.lastSyncAt = Date.now();
+        if (this.onResync) this.onResync(symbol);
+        return true;
+      }
+
+      console.warn(`⚠️  ${symbol} order book could not be synced after ${maxAttempts} snapshots`);
+    } catch (error) {
+      console.error(`❌ ${symbol} snapshot failed: ${error.message}`);
+    } finally {
+      state.syncing = false;
     }
 
+    // Keep buffering and try again on a later event
+    state.retryAt = Date.now() + config.websocket.resyncDelayMs;
+    return false;
+  }
+
+  /**
+   * Mark a symbol out of sync (e.g. after a gap or disconnect); the next event starts a resync
+   */
+  invalidate(symbol) {
+    const state = this.getSyncState(symbol);
+    state.inSync = false;
+    state.buffer = [];
+  }
+
+  /**
+   * Forget a symbol's book and sync state (after unsubscribing)
+   */
+  remove(symbol) {
+    this.orderBooks.delete(symbol);
+    this.lastUpdateId.delete(symbol);
+    this.syncState.delete(symbol);
+  }
+
+  /**
+   * Mark every symbol out of sync
+   */
+  invalidateAll() {
+    this.syncState.forEach((state, symbol) => this.invalidate(symbol));
+  }
+
+  /**
+   * Per-symbol sync status for health checks
+   */
+  getSyncStatus() {
+    return Array.from(this.syncState.entries()).map(([symbol, state]) => ({
+      symbol,
+      inSync: state.inSync,
+      syncing: state.syncing,
+      buffered: state.buffer.length,
+      resyncs: state.resyncs,
+      lastSyncAt: state.lastSyncAt,
+      lastUpdateId: this.lastUpdateId.get(symbol) || null
+    }));
+  }
+
+  /**
+   * Get formatted order book (top N levels) in the REST shape with string levels
+   */
+  getOrderBook(symbol, depth = 50) {
+    const book = this.getDepth(symbol, depth);
+    if (!book) return null;
+
+    const toStrings = levels => levels.map(([price, qty]) => [price.toString(), qty.toString()]);
+    return { ...book, bids: toStrings(book.bids), asks: toStrings(book.asks) };
+  }
+
+  /**
+   * Get the top N levels as numeric [[price, qty]] arrays, best first
+   */
+  getDepth(symbol, depth = 50) {
     const book = this.orderBooks.get(symbol);
-    
-    // Convert Maps to arrays and sort
-    const bids = Array.from(book.bids.entries())
-      .sort((a, b) => b[0] - a[0]) // Highest to lowest
-      .slice(0, depth)
-      .map(([price, qty]) => [price.toString(), qty.toString()]);
-
-    const asks = Array.from(book.asks.entries())
-      .sort((a, b) => a[0] - b[0]) // Lowest to highest
-      .slice(0, depth)
-      .map(([price, qty]) => [price.toString(), qty.toString()]);
+    if (!book) return null;
 
     return {
-      bids,
-      asks,
-      lastUpdateId: book.lastUpdate
+      bids: book.bids.top(depth),
+      asks: book.asks.top(depth),
+      lastUpdateId: book.lastUpdate,
+      inSync: this.isInSync(symbol)
     };
   }
 
+  /**
+   * Get the live price levels of a symbol without copying ({ bids, asks } PriceLevels)
+   * Callers must not modify them.
+   */
+  getLevels(symbol) {
+    const book = this.orderBooks.get(symbol);
+    return book ? { bids: book.bids, asks: book.asks } : null;
+  }
+
+  /**
+   * Cumulative quantity and notional within a distance of the best price
+   * @param {string} symbol - Symbol
+   * @param {string} side - 'bids' or 'asks'
+   * @param {number} bps - Distance from the best price in basis points
+   */
+  getDepthWithinBps(symbol, side, bps) {
+    const book = this.orderBooks.get(symbol);
+    return book ? book[side].depthWithinBps(bps) : null;
+  }
+
+  /**
+   * Volume-weighted price for trading a size against one side
+   * @param {string} symbol - Symbol
+   * @param {string} side - 'asks' to buy, 'bids' to sell
+   * @param {number} size - Base quantity (or quote amount with options.quote)
+   * @param {Object} options - { quote }
+   */
+  getVwap(symbol, side, size, options = {}) {
+    const book = this.orderBooks.get(symbol);
+    return book ? book[side].vwapForSize(size, options) : null;
+  }
+
   /**
    * Get best bid and ask prices
    */
@@ -89,13 +292,8 @@ export class OrderBookManager {
     const book = this.orderBooks.get(symbol);
     if (!book) return null;
 
-    const bestBid = book.bids.size > 0 
-      ? Math.max(...book.bids.keys())
-      : null;
-    
-    const bestAsk = book.asks.size > 0
-      ? Math.min(...book.asks.keys())
-      : null;
+    const bestBid = book.bids.bestPrice();
+    const bestAsk = book.asks.bestPrice();
 
     const spread = bestBid && bestAsk ? bestAsk - bestBid : null;
     const spreadPct = spread && bestBid ? (spread / bestBid) * 100 : null;
@@ -106,31 +304,79 @@ export class OrderBookManager {
       bestAsk,
       spread,
       spreadPct,
+      inSync: this.isInSync(symbol),
       timestamp: new Date()
     };
   }
 }
 
+/**
+ * Diff depth stream name for a symbol
+ */
+function depthStream(symbol) {
+  return `${symbol.toLowerCase()}@depth@100ms`;
+}
+
+/**
+ * Top-of-book stream name for a symbol ('all' for every symbol)
+ */
+function bookTickerStream(symbol) {
+  return symbol === 'all' ? '!bookTicker' : `${symbol.toLowerCase()}@bookTicker`;
+}
+
+/**
+ * Combined-stream endpoint derived from the raw-stream URL (.../ws -> .../stream)
+ */
+function getCombinedStreamUrl() {
+  return getWebSocketUrl().replace(/\/ws\/?$/, '/stream');
+}
+
 /**
  * WebSocket Feed Manager
+ * Uses the combined-stream endpoint ({ stream, data } envelopes) and changes the stream list
+ * with SUBSCRIBE / UNSUBSCRIBE requests, so symbols can be added and dropped without
+ * reconnecting. Streams are spread over several connections once the per-connection limit
+ * is reached.
+ *
+ * Besides diff depth (full local books for `symbols`), `@bookTicker` / `!bookTicker` streams
+ * can keep a lightweight top-of-book cache, so depth is only needed where it matters.
  */
 export class WebSocketFeedManager {
   constructor(symbols = []) {
-    this.symbols = symbols;
-    this.ws = null;
-    this.orderBookManager = new OrderBookManager();
-    this.reconnectAttempts = 0;
-    this.maxReconnectAttempts = config.websocket.maxReconnectAttempts;
+    this.symbols = [...new Set(symbols)];
+    this.tickerStreams = new Set(); // '<symbol>@bookTicker' or '!bookTicker'
+    this.bookTickers = new Map(); // symbol -> { bid, ask, bidQty, askQty, updateId, timestamp }
+    this.connections = []; // { id, ws, streams, closing, reconnectAttempts, reconnectTimer }
+    this.nextConnectionId = 1;
+    this.nextRequestId = 1;
+    this.pendingRequests = new Map(); // request id -> { method, params }
+    this.active = false;
+    this.orderBookManager = new OrderBookManager({
+      // A freshly synced book is a full update for listeners
+      onResync: symbol => this.callbacks.onUpdate.forEach(cb => cb(symbol, null))
+    });
+    this.maxStreamsPerConnection = config.websocket.maxStreamsPerConnection;
     this.reconnectDelay = config.websocket.reconnectDelay;
+    this.reconnectMaxDelay = config.websocket.reconnectMaxDelayMs;
     this.callbacks = {
       onUpdate: [],
       onError: [],
-      onConnect: []
+      onConnect: [],
+      onBookTicker: [],
+      onHealthChange: []
     };
+
+    this.health = new FeedHealthMonitor(this);
+    this.symbols.forEach(symbol => this.health.track(symbol));
+    this.health.on('stale', symbol => this.recycleIfSilent(symbol));
+    this.health.on('change', (summary, previousStatus) => {
+      this.callbacks.onHealthChange.forEach(cb => cb(summary, previousStatus));
+    });
   }
 
   /**
    * Register callback for order book updates
+   * Called with (symbol, diff) for applied diffs and (symbol, null) after a snapshot resync
    */
   onUpdate(callback) {
     this.callbacks.onUpdate.push(callback);
@@ -151,7 +397,22 @@ export class WebSocketFeedManager {
   }
 
   /**
-   * Connect to WebSocket streams
+   * Register callback for top-of-book updates, called with (symbol, quote)
+   */
+  onBookTicker(callback) {
+    this.callbacks.onBookTicker.push(callback);
+  }
+
+  /**
+   * Register callback for feed health status changes ('healthy' | 'degraded' | 'down')
+   * Called with (summary, previousStatus)
+   */
+  onHealthChange(callback) {
+    this.callbacks.onHealthChange.push(callback);
+  }
+
+  /**
+   * Connect to WebSocket streams, opening as many connections as the stream limit requires
    */
   connect() {
     if (!config.websocket.enabled) {
@@ -159,90 +420,315 @@ export class WebSocketFeedManager {
       return;
     }
 
-    // Build stream URL for multiple symbols
-    const streams = this.symbols.map(s => `${s.toLowerCase()}@depth@100ms`).join('/');
-    const wsUrl = `${getWebSocketUrl()}/${streams}`;
+    this.active = true;
+    this.health.start();
+    const tickers = this.tickerStreams.size > 0 ? ` + ${this.tickerStreams.has('!bookTicker') ? 'all' : this.tickerStreams.size} book tickers` : '';
+    console.log(`🔌 Connecting to WebSocket: ${this.symbols.length} pairs${tickers}`);
 
-    console.log(`🔌 Connecting to WebSocket: ${this.symbols.length} pairs`);
+    const streams = [...this.symbols.map(depthStream), ...this.tickerStreams];
+    for (let i = 0; i < streams.length; i += this.maxStreamsPerConnection) {
+      this.openConnection(streams.slice(i, i + this.maxStreamsPerConnection));
+    }
+  }
 
-    this.ws = new WebSocket(wsUrl);
+  /**
+   * Open a combined-stream connection for a set of streams
+   */
+  openConnection(streams) {
+    const connection = {
+      id: this.nextConnectionId++,
+      ws: null,
+      streams: new Set(streams),
+      closing: false,
+      reconnectAttempts: 0,
+      reconnectTimer: null
+    };
+    this.connections.push(connection);
+    this.establish(connection);
+    return connection;
+  }
 
-    this.ws.on('open', () => {
-      console.log('✅ WebSocket connected successfully');
-      this.reconnectAttempts = 0;
-      this.callbacks.onConnect.forEach(cb => cb());
+  /**
+   * (Re)open the socket of a connection with its current stream list
+   */
+  establish(connection) {
+    const wsUrl = `${getCombinedStreamUrl()}?streams=${[...connection.streams].join('/')}`;
+    const ws = new WebSocket(wsUrl);
+    connection.ws = ws;
+
+    ws.on('open', () => {
+      console.log(`✅ WebSocket connected successfully${this.connections.length > 1 ? ` (connection ${connection.id}, ${connection.streams.size} streams)` : ''}`);
+      connection.reconnectAttempts = 0;
+      this.callbacks.onConnect.forEach(cb => cb(connection.id));
     });
 
-    this.ws.on('message', (data) => {
+    ws.on('message', (data) => {
       try {
-        const message = JSON.parse(data);
-        
-        // Handle stream data
-        if (message.stream) {
-          const symbol = message.stream.split('@')[0].toUpperCase();
-          this.orderBookManager.updateOrderBook(symbol, message.data);
-          
-          // Trigger callbacks
-          this.callbacks.onUpdate.forEach(cb => cb(symbol, message.data));
-        }
-        // Handle single stream data
-        else if (message.e === 'depthUpdate') {
-          const symbol = message.s;
-          this.orderBookManager.updateOrderBook(symbol, message);
-          
-          this.callbacks.onUpdate.forEach(cb => cb(symbol, message));
-        }
+        this.handleMessage(connection, JSON.parse(data));
       } catch (error) {
         console.error('❌ Error parsing WebSocket message:', error.message);
       }
     });
 
-    this.ws.on('error', (error) => {
+    ws.on('error', (error) => {
       console.error('❌ WebSocket error:', error.message);
       this.callbacks.onError.forEach(cb => cb(error));
     });
 
-    this.ws.on('close', () => {
+    ws.on('close', () => {
+      // A replaced socket closing late must not touch the current one
+      if (connection.ws !== ws) return;
+      connection.ws = null;
+
+      if (connection.closing) return;
+
       console.log('🔌 WebSocket connection closed');
-      this.attemptReconnect();
+      // Diffs may be lost while disconnected, so the books on this connection need a fresh snapshot
+      this.symbolsOf(connection).forEach(symbol => this.orderBookManager.invalidate(symbol));
+      this.attemptReconnect(connection);
     });
   }
 
   /**
-   * Attempt to reconnect with exponential backoff
+   * Route a combined-stream event or a SUBSCRIBE / UNSUBSCRIBE response
    */
-  attemptReconnect() {
-    if (this.reconnectAttempts >= this.maxReconnectAttempts) {
-      console.error('❌ Max reconnection attempts reached. Giving up.');
+  handleMessage(connection, message) {
+    if (message.stream) {
+      // Events still in flight after an UNSUBSCRIBE
+      if (!connection.streams.has(message.stream)) return;
+
+      if (message.stream.endsWith('bookTicker')) {
+        this.updateBookTicker(message.data);
+        return;
+      }
+
+      const symbol = message.stream.split('@')[0].toUpperCase();
+      this.health.recordMessage(symbol, message.data.E);
+
+      // Trigger callbacks only for diffs applied to an in-sync book
+      if (this.orderBookManager.updateOrderBook(symbol, message.data)) {
+        this.callbacks.onUpdate.forEach(cb => cb(symbol, message.data));
+      }
       return;
     }
 
-    this.reconnectAttempts++;
-    const delay = this.reconnectDelay * this.reconnectAttempts;
-    
-    console.log(`🔄 Reconnecting in ${delay/1000}s (attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts})`);
-    
-    setTimeout(() => {
-      this.connect();
+    if (message.id !== undefined) {
+      const request = this.pendingRequests.get(message.id);
+      this.pendingRequests.delete(message.id);
+
+      if (message.error) {
+        const error = new Error(`${request ? request.method : 'Request'} failed: ${message.error.msg}`);
+        console.error(`❌ ${error.message}`);
+        this.callbacks.onError.forEach(cb => cb(error));
+      }
+    }
+  }
+
+  /**
+   * Update the top-of-book cache from a bookTicker event ({ u, s, b, B, a, A })
+   */
+  updateBookTicker(data) {
+    const previous = this.bookTickers.get(data.s);
+    if (previous && data.u < previous.updateId) return;
+
+    const quote = {
+      bid: parseFloat(data.b),
+      ask: parseFloat(data.a),
+      bidQty: parseFloat(data.B),
+      askQty: parseFloat(data.A),
+      updateId: data.u,
+      timestamp: Date.now()
+    };
+    this.bookTickers.set(data.s, quote);
+    this.callbacks.onBookTicker.forEach(cb => cb(data.s, quote));
+  }
+
+  /**
+   * Send a SUBSCRIBE / UNSUBSCRIBE request on an open connection
+   * While the socket is still connecting the stream set alone is enough, since it is
+   * used to build the URL on (re)connect.
+   */
+  sendRequest(connection, method, params) {
+    if (!connection.ws || connection.ws.readyState !== WebSocket.OPEN || params.length === 0) return;
+
+    const id = this.nextRequestId++;
+    this.pendingRequests.set(id, { method, params });
+    connection.ws.send(JSON.stringify({ method, params, id }));
+  }
+
+  /**
+   * Symbols streamed on a connection
+   */
+  symbolsOf(connection) {
+    return [...connection.streams]
+      .filter(stream => stream.includes('@depth'))
+      .map(stream => stream.split('@')[0].toUpperCase());
+  }
+
+  /**
+   * Reconnect with capped exponential backoff and jitter; never gives up while the feed is active
+   */
+  attemptReconnect(connection) {
+    connection.reconnectAttempts++;
+    const backoff = Math.min(this.reconnectMaxDelay, this.reconnectDelay * 2 ** (connection.reconnectAttempts - 1));
+    // Equal jitter: half fixed, half random, so many connections do not retry in lockstep
+    const delay = Math.round(backoff / 2 + Math.random() * backoff / 2);
+
+    console.log(`🔄 Reconnecting in ${(delay/1000).toFixed(1)}s (attempt ${connection.reconnectAttempts})`);
+
+    connection.reconnectTimer = setTimeout(() => {
+      connection.reconnectTimer = null;
+      if (!connection.closing) this.establish(connection);
     }, delay);
   }
 
   /**
-   * Add new symbols to watch
+   * Subscribe streams on the running feed
+   * Fills existing connections up to the stream limit, then opens new ones.
    */
-  addSymbols(newSymbols) {
-    const uniqueSymbols = [...new Set([...this.symbols, ...newSymbols])];
-    
-    if (uniqueSymbols.length > this.symbols.length) {
-      this.symbols = uniqueSymbols;
-      
-      if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-        // Need to reconnect with new symbol list
-        console.log('🔄 Adding new symbols, reconnecting...');
-        this.disconnect();
-        this.connect();
+  addStreams(streams) {
+    if (!this.active || streams.length === 0) return;
+
+    let remaining = streams;
+    for (const connection of this.connections) {
+      const capacity = this.maxStreamsPerConnection - connection.streams.size;
+      if (capacity <= 0 || remaining.length === 0) continue;
+
+      const batch = remaining.slice(0, capacity);
+      remaining = remaining.slice(capacity);
+      batch.forEach(stream => connection.streams.add(stream));
+      this.sendRequest(connection, 'SUBSCRIBE', batch);
+    }
+
+    for (let i = 0; i < remaining.length; i += this.maxStreamsPerConnection) {
+      this.openConnection(remaining.slice(i, i + this.maxStreamsPerConnection));
+    }
+  }
+
+  /**
+   * Unsubscribe streams on the running feed; connections left without streams are closed
+   */
+  removeStreams(streams) {
+    this.connections.forEach(connection => {
+      const owned = streams.filter(stream => connection.streams.has(stream));
+      if (owned.length === 0) return;
+
+      owned.forEach(stream => connection.streams.delete(stream));
+      if (connection.streams.size === 0) {
+        this.closeConnection(connection);
+      } else {
+        this.sendRequest(connection, 'UNSUBSCRIBE', owned);
       }
+    });
+    this.connections = this.connections.filter(connection => !connection.closing);
+  }
+
+  /**
+   * Add new symbols to watch with full depth
+   * @returns {Array} Symbols that were not already watched
+   */
+  addSymbols(newSymbols) {
+    const added = [...new Set(newSymbols)].filter(symbol => !this.symbols.includes(symbol));
+    if (added.length === 0) return [];
+
+    this.symbols.push(...added);
+    added.forEach(symbol => this.health.track(symbol));
+    if (!this.active) return added;
+
+    this.addStreams(added.map(depthStream));
+    console.log(`➕ Subscribed ${added.length} symbols (${this.symbols.length} total)`);
+    return added;
+  }
+
+  /**
+   * Stop watching symbols and drop their local books
+   * @returns {Array} Symbols that were removed
+   */
+  removeSymbols(symbols) {
+    const removed = [...new Set(symbols)].filter(symbol => this.symbols.includes(symbol));
+    if (removed.length === 0) return [];
+
+    this.symbols = this.symbols.filter(symbol => !removed.includes(symbol));
+    this.removeStreams(removed.map(depthStream));
+
+    removed.forEach(symbol => {
+      this.orderBookManager.remove(symbol);
+      this.health.untrack(symbol);
+    });
+
+    console.log(`➖ Unsubscribed ${removed.length} symbols (${this.symbols.length} total)`);
+    return removed;
+  }
+
+  /**
+   * Keep a live top-of-book cache for symbols
+   * @param {Array|string} symbols - Symbols for `@bookTicker`, or 'all' for the `!bookTicker` stream
+   */
+  subscribeBookTickers(symbols = 'all') {
+    const streams = (symbols === 'all' ? ['all'] : [...new Set(symbols)])
+      .map(bookTickerStream)
+      .filter(stream => !this.tickerStreams.has(stream));
+
+    streams.forEach(stream => this.tickerStreams.add(stream));
+    this.addStreams(streams);
+    return streams;
+  }
+
+  /**
+   * Drop top-of-book streams and their cached quotes
+   * @param {Array|string} symbols - Symbols, or 'all' for the `!bookTicker` stream
+   */
+  unsubscribeBookTickers(symbols = 'all') {
+    const streams = (symbols === 'all' ? ['all'] : [...new Set(symbols)])
+      .map(bookTickerStream)
+      .filter(stream => this.tickerStreams.has(stream));
+
+    streams.forEach(stream => this.tickerStreams.delete(stream));
+    this.removeStreams(streams);
+
+    if (symbols === 'all') {
+      // Keep quotes that still have their own stream
+      Array.from(this.bookTickers.keys()).forEach(symbol => {
+        if (!this.tickerStreams.has(bookTickerStream(symbol))) this.bookTickers.delete(symbol);
+      });
+    } else if (!this.tickerStreams.has('!bookTicker')) {
+      symbols.forEach(symbol => this.bookTickers.delete(symbol));
     }
+    return streams;
+  }
+
+  /**
+   * Cached top-of-book quote for a symbol, or null
+   */
+  getBookTicker(symbol) {
+    return this.bookTickers.get(symbol) || null;
+  }
+
+  /**
+   * Cached top-of-book quotes
+   * @param {Array} symbols - Symbols to return (all cached if omitted)
+   * @returns {Map} symbol -> { bid, ask, bidQty, askQty, updateId, timestamp }
+   */
+  getBookTickers(symbols = null) {
+    if (!symbols) return new Map(this.bookTickers);
+
+    const quotes = new Map();
+    symbols.forEach(symbol => {
+      const quote = this.bookTickers.get(symbol);
+      if (quote) quotes.set(symbol, quote);
+    });
+    return quotes;
+  }
+
+  /**
+   * Watch exactly the given symbols (e.g. after triangle discovery refreshes)
+   */
+  setSymbols(symbols) {
+    const wanted = new Set(symbols);
+    return {
+      added: this.addSymbols([...wanted]),
+      removed: this.removeSymbols(this.symbols.filter(symbol => !wanted.has(symbol)))
+    };
   }
 
   /**
@@ -252,6 +738,69 @@ export class WebSocketFeedManager {
     return this.orderBookManager.getOrderBook(symbol, depth);
   }
 
+  /**
+   * Get the top N levels as numeric arrays (no string conversion)
+   */
+  getDepth(symbol, depth = 50) {
+    return this.orderBookManager.getDepth(symbol, depth);
+  }
+
+  /**
+   * Cumulative depth within bps of the best price ('bids' or 'asks')
+   */
+  getDepthWithinBps(symbol, side, bps) {
+    return this.orderBookManager.getDepthWithinBps(symbol, side, bps);
+  }
+
+  /**
+   * VWAP for trading a size against one side ('asks' to buy, 'bids' to sell)
+   */
+  getVwap(symbol, side, size, options = {}) {
+    return this.orderBookManager.getVwap(symbol, side, size, options);
+  }
+
+  /**
+   * Whether the local book of a symbol is synced with the exchange
+   */
+  isInSync(symbol) {
+    return this.orderBookManager.isInSync(symbol);
+  }
+
+  /**
+   * Whether the book of a symbol is stale (no message for longer than the threshold)
+   */
+  isStale(symbol) {
+    return this.health.isStale(symbol);
+  }
+
+  /**
+   * Whether a book can be traded on: in sync and not stale
+   */
+  isUsable(symbol) {
+    return this.isInSync(symbol) && !this.isStale(symbol);
+  }
+
+  /**
+   * Current health summary (score, stale and out-of-sync symbols, lag, message rate)
+   */
+  getHealth() {
+    return this.health.getSummary();
+  }
+
+  /**
+   * Force a reconnect of a connection whose symbols have all gone silent while the socket
+   * still looks open; the close handler resubscribes and resyncs its books
+   */
+  recycleIfSilent(symbol) {
+    const connection = this.connections.find(c => c.streams.has(depthStream(symbol)));
+    if (!connection || !connection.ws || connection.ws.readyState !== WebSocket.OPEN) return;
+
+    if (this.symbolsOf(connection).every(s => this.health.isStale(s))) {
+      console.warn(`⚠️  Connection ${connection.id} silent on all ${connection.streams.size} streams, reconnecting`);
+      connection.ws.terminate();
+    }
+  }
+
   /**
    * Get best prices for a symbol
    */
@@ -266,32 +815,64 @@ export class WebSocketFeedManager {
     return this.symbols.map(symbol => this.getBestPrices(symbol)).filter(p => p !== null);
   }
 
+  /**
+   * Close one connection without reconnecting
+   */
+  closeConnection(connection) {
+    connection.closing = true;
+    if (connection.reconnectTimer) {
+      clearTimeout(connection.reconnectTimer);
+      connection.reconnectTimer = null;
+    }
+    if (connection.ws) {
+      connection.ws.close();
+    }
+  }
+
   /**
    * Disconnect WebSocket
    */
   disconnect() {
-    if (this.ws) {
+    if (this.connections.length > 0) {
       console.log('🔌 Disconnecting WebSocket...');
-      this.ws.close();
-      this.ws = null;
+      this.connections.forEach(connection => this.closeConnection(connection));
+      this.connections = [];
     }
+    this.active = false;
+    this.health.stop();
+    this.pendingRequests.clear();
+    this.orderBookManager.invalidateAll();
   }
 
   /**
-   * Check if connected
+   * Check if connected (every connection open)
    */
   isConnected() {
-    return this.ws && this.ws.readyState === WebSocket.OPEN;
+    return this.connections.length > 0 &&
+      this.connections.every(connection => connection.ws && connection.ws.readyState === WebSocket.OPEN);
+  }
+
+  /**
+   * Per-connection stream counts for health checks
+   */
+  getConnectionStatus() {
+    return this.connections.map(connection => ({
+      id: connection.id,
+      open: !!(connection.ws && connection.ws.readyState === WebSocket.OPEN),
+      streams: connection.streams.size,
+      reconnectAttempts: connection.reconnectAttempts
+    }));
   }
 }
 
 /**
- * Create a WebSocket feed for all configured triangular pairs
+ * Create a WebSocket feed for all triangular pairs
+ * @param {Array} triangles - Triangles to watch (defaults to the configured list)
  */
-export function createTriangularFeed() {
+export function createTriangularFeed(triangles = config.pairs.triangles) {
   const allPairs = new Set();
   
-  config.pairs.triangles.forEach(triangle => {
+  triangles.forEach(triangle => {
     triangle.pairs.forEach(pair => allPairs.add(pair));
   });
 
@@ -314,7 +895,7 @@ export function createTriangularFeed() {
   });
 
   feed.onConnect(() => {
-    console.log(`🎯 Monitoring ${allPairs.size} trading pairs for arbitrage`);
+    console.log(`🎯 Monitoring ${feed.symbols.length} trading pairs for arbitrage`);
   });
 
   return feed;
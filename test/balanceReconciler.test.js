@@ -0,0 +1,139 @@
+// Post-trade reconciliation: cycle P&L from the cycle's own fills, leftovers and outside activity flagged
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { useOfflineEnv, startMockExchange, makeOpportunity, BTC_ETH_LEGS } from './helpers.js';
+
+useOfflineEnv({ PAPER_TRADING: 'true', PAPER_BALANCES: '{"USDT":10000}' });
+
+const { AutoTrader } = await import('../src/trading/autoTrader.js');
+const { BalanceReconciler } = await import('../src/trading/balanceReconciler.js');
+const { AutonomousArbitrageAgent } = await import('../src/agents/autonomousArbitrageAgent.js');
+const { riskControl } = await import('../src/trading/riskControl.js');
+const { InMemoryMarketDataProvider, setMarketDataProvider } = await import('../src/marketData/marketDataProvider.js');
+
+const close = (actual, expected, epsilon = 1e-6) =>
+  assert.ok(Math.abs(actual - expected) < epsilon, `${actual} is not within ${epsilon} of ${expected}`);
+
+describe('BalanceReconciler', () => {
+  let server;
+  let trader;
+  let clean;
+  const opportunity = makeOpportunity(BTC_ETH_LEGS, 1000);
+
+  before(async () => {
+    server = await startMockExchange();
+    setMarketDataProvider(new InMemoryMarketDataProvider({
+      orderBooks: {
+        BTCUSDT: { bids: [['60000', '10']], asks: [['60010', '10']] },
+        ETHBTC: { bids: [['0.0505', '1000']], asks: [['0.0506', '1000']] },
+        ETHUSDT: { bids: [['3050', '1000']], asks: [['3051', '1000']] },
+        BNBUSDT: { bids: [['600', '1000']], asks: [['601', '1000']] }
+      }
+    }));
+    trader = new AutoTrader();
+    assert.equal(await trader.initialize(), true);
+    clean = await trader.executeTriangularArbitrage(opportunity);
+  });
+
+  after(async () => {
+    if (server) await server.stop();
+  });
+
+  it('counts what lot-size rounding leaves in intermediate assets on top of the start-currency change', () => {
+    const report = clean.reconciliation;
+    const leftoverValue = report.leftovers.reduce((sum, leftover) => sum + leftover.value, 0);
+
+    assert.equal(clean.success, true);
+    assert.equal(report.currency, 'USDT');
+    assert.equal(report.fills, 3);
+    assert.deepEqual(report.unexplained, []);
+    assert.deepEqual(report.leftovers.map(leftover => leftover.asset).sort(), ['BTC', 'ETH']);
+    close(report.balanceDelta, report.realisedPnl);
+    close(report.pnl, report.balanceDelta + leftoverValue);
+    assert.equal(clean.actualProfit, report.pnl);
+  });
+
+  it('flags outside activity during a cycle instead of counting it as P&L', async () => {
+    const executeSizedLeg = trader.executeSizedLeg.bind(trader);
+    trader.executeSizedLeg = async (sized, context = {}) => {
+      const order = await executeSizedLeg(sized, context);
+      if (context.leg === 1) await trader.exchange.createOrder('BNB/USDT', 'market', 'buy', 0.5);
+      return order;
+    };
+
+    const result = await trader.executeTriangularArbitrage(opportunity);
+    trader.executeSizedLeg = executeSizedLeg;
+
+    const report = result.reconciliation;
+    assert.equal(report.status, 'flagged');
+    close(report.pnl, clean.reconciliation.pnl);
+    assert.ok(report.balanceDelta < report.pnl - 250, 'the BNB purchase shows in the raw USDT change');
+    assert.deepEqual(report.unexplained.map(entry => entry.asset).sort(), ['BNB', 'USDT']);
+  });
+
+  it('reconciles the autonomous agent\'s cycles and reports that P&L to risk control', async () => {
+    const agent = new AutonomousArbitrageAgent();
+    agent.autoTrader = trader;
+    const dailyPnl = riskControl.getStatus().dailyPnlUsd;
+
+    const result = await agent.executeTrade({
+      triangle: opportunity.triangle,
+      tradeSize: 1000,
+      profitPct: opportunity.profitPct,
+      steps: opportunity.steps.map(({ pair, action, from, to }) => ({ pair, action, from, to }))
+    });
+
+    assert.equal(result.success, true);
+    assert.equal(result.reconciliation.fills, 3);
+    assert.equal(result.actualProfit, result.reconciliation.pnl);
+    assert.notEqual(result.actualProfit, result.finalAmount - 1000, 'leftovers count, not just the simulated chain');
+    close(riskControl.getStatus().dailyPnlUsd - dailyPnl, result.actualProfitUsd);
+  });
+
+  it('values what a partial cycle leaves behind and flags it as a leftover', async () => {
+    const exchange = trader.exchange;
+    const reconciler = new BalanceReconciler(exchange);
+    const before = await reconciler.snapshot();
+    const since = Date.now();
+
+    const buyBtc = await exchange.createMarketBuyOrderWithCost('BTC/USDT', 500);
+    const buyEth = await exchange.createOrder('ETH/BTC', 'market', 'buy', parseFloat(exchange.amountToPrecision('ETH/BTC', buyBtc.filled / 0.0506 * 0.99)));
+
+    const report = await reconciler.reconcile({
+      id: 'partial',
+      before,
+      after: await reconciler.snapshot(),
+      orders: [{ symbol: 'BTC/USDT', orderId: buyBtc.id }, { symbol: 'ETH/BTC', orderId: buyEth.id }],
+      startCurrency: 'USDT',
+      startAmount: 500,
+      since
+    });
+
+    assert.equal(report.status, 'flagged');
+    const leftovers = Object.fromEntries(report.leftovers.map(leftover => [leftover.asset, leftover]));
+    assert.ok(leftovers.ETH.amount > 0);
+    assert.equal(leftovers.ETH.dust, false);
+    assert.ok(leftovers.ETH.value > 450 && leftovers.ETH.value < 500, `ETH worth ${leftovers.ETH.value} USDT`);
+    close(report.pnl, report.realisedPnl + report.leftovers.reduce((sum, leftover) => sum + leftover.value, 0));
+    assert.deepEqual(report.unexplained, []);
+  });
+
+  it('flags orders without trades in the account history', async () => {
+    const reconciler = new BalanceReconciler(trader.exchange);
+    const snapshot = await reconciler.snapshot();
+    const report = await reconciler.reconcile({
+      id: 'missing',
+      before: snapshot,
+      after: snapshot,
+      orders: [{ symbol: 'BTC/USDT', orderId: 'no-such-order' }],
+      startCurrency: 'USDT',
+      startAmount: 500,
+      since: Date.now()
+    });
+
+    assert.equal(report.status, 'flagged');
+    assert.deepEqual(report.missingOrders, ['no-such-order']);
+    assert.equal(report.pnl, 0);
+  });
+});
@@ -0,0 +1,229 @@
+// Cycle journal and crash recovery: journaled state machine, reload after a crash, recovery on startup
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+import ccxt from 'ccxt';
+import { useOfflineEnv, startMockExchange, makeOpportunity, BTC_ETH_LEGS } from './helpers.js';
+
+const dir = useOfflineEnv();
+
+const { config, getCcxtOverrides } = await import('../config/config.js');
+const { CycleJournal, cycleJournal } = await import('../src/trading/cycleJournal.js');
+const { AutoTrader } = await import('../src/trading/autoTrader.js');
+const { recoverIncompleteCycles, retryIncompleteCycles } = await import('../src/trading/cycleRecovery.js');
+
+const RECOVERY_CLI = fileURLToPath(new URL('../src/trading/cycleRecovery.js', import.meta.url));
+
+/**
+ * Run `node src/trading/cycleRecovery.js` against the mock exchange
+ * @returns {Promise<Object>} { code, stdout, stderr }
+ */
+async function runRecoveryCli(args = []) {
+  try {
+    const { stdout, stderr } = await promisify(execFile)(process.execPath, [RECOVERY_CLI, ...args], {
+      env: { ...process.env, BINANCE_API_URL: config.binance.apiUrl },
+      timeout: 60000
+    });
+    return { code: 0, stdout, stderr };
+  } catch (error) {
+    return { code: error.code, stdout: error.stdout, stderr: error.stderr };
+  }
+}
+
+const LEGS = [
+  { pair: 'BTCUSDT', symbol: 'BTC/USDT', side: 'buy', from: 'USDT', to: 'BTC' },
+  { pair: 'ETHBTC', symbol: 'ETH/BTC', side: 'buy', from: 'BTC', to: 'ETH' },
+  { pair: 'ETHUSDT', symbol: 'ETH/USDT', side: 'sell', from: 'ETH', to: 'USDT' }
+];
+const PLAN = { triangle: 'USDT → BTC → ETH → USDT', startCurrency: 'USDT', startAmount: 500, legs: LEGS };
+
+describe('CycleJournal', () => {
+  const file = path.join(dir, 'unit-journal.jsonl');
+
+  it('rebuilds cycle records from the file and skips a torn last line', () => {
+    const journal = new CycleJournal({ file });
+    const cycle = journal.begin(PLAN);
+    cycle.transition('leg1_submitted', { leg: 0, order: { amount: 500, clientOrderId: cycle.clientOrderId(0) } });
+    cycle.transition('leg1_filled', { leg: 0, order: { orderId: '1', output: 0.01 }, holding: { asset: 'BTC', amount: 0.01 } });
+    fs.appendFileSync(file, '{"id":"torn');
+
+    const reloaded = new CycleJournal({ file });
+    const [incomplete] = reloaded.getIncomplete();
+    assert.equal(incomplete.id, cycle.id);
+    assert.equal(incomplete.state, 'leg1_filled');
+    assert.deepEqual(incomplete.record.holding, { asset: 'BTC', amount: 0.01 });
+    assert.equal(incomplete.record.legs[0].clientOrderId, `${cycle.id}-L1`);
+    assert.equal(incomplete.filledLegs.length, 1);
+
+    // The next event starts on its own line
+    incomplete.transition('unwinding', { error: 'test' });
+    assert.equal(new CycleJournal({ file }).load().get(cycle.id).state, 'unwinding');
+  });
+
+  it('refuses transitions the state machine does not allow', () => {
+    const cycle = new CycleJournal({ file }).begin(PLAN);
+    assert.throws(() => cycle.transition('leg2_submitted', { leg: 1 }), /Invalid cycle transition planned → leg2_submitted/);
+
+    cycle.transition('leg1_submitted', { leg: 0 });
+    assert.throws(() => cycle.transition('unwinding'), /Invalid cycle transition/);
+    cycle.transition('failed', { error: 'rejected' });
+    assert.equal(cycle.isTerminal, true);
+    assert.throws(() => cycle.transition('leg1_filled', { leg: 0 }), /Invalid cycle transition/);
+  });
+
+  it('compacts the file to the cycles still open', () => {
+    const journal = new CycleJournal({ file });
+    journal.load();
+    const open = journal.getIncomplete().map(cycle => cycle.id);
+    journal.compact();
+
+    const lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+    assert.equal(lines.length, open.length);
+    assert.deepEqual([...new CycleJournal({ file }).load().keys()], open);
+  });
+});
+
+describe('Crash recovery on startup', () => {
+  let server;
+  let exchange;
+  let trader;
+  let btcBefore;
+  let recovered;
+  const cycles = {};
+  const record = cycle => recovered.get(cycle.id);
+
+  before(async () => {
+    server = await startMockExchange();
+    exchange = new ccxt.binance({ apiKey: 'mock', secret: 'mocksecret', ...getCcxtOverrides() });
+    await exchange.loadMarkets();
+    btcBefore = (await exchange.fetchBalance()).total.BTC || 0;
+
+    // A previous process that died mid-flight, with its own journal handle on the same file
+    const previous = new CycleJournal();
+
+    cycles.planned = previous.begin(PLAN);
+
+    cycles.lost = previous.begin(PLAN);
+    cycles.lost.transition('leg1_submitted', { leg: 0, order: { amount: 500, clientOrderId: cycles.lost.clientOrderId(0) } });
+
+    cycles.filled = previous.begin(PLAN);
+    cycles.filled.transition('leg1_submitted', { leg: 0, order: { amount: 500, clientOrderId: cycles.filled.clientOrderId(0) } });
+    await exchange.createOrder('BTC/USDT', 'market', 'buy', undefined, undefined, {
+      quoteOrderQty: 500,
+      newClientOrderId: cycles.filled.clientOrderId(0)
+    });
+
+    cycles.resting = previous.begin(PLAN);
+    const clientOrderId = cycles.resting.clientOrderId(0);
+    cycles.resting.transition('leg1_submitted', { leg: 0, order: { amount: 500, orderType: 'LIMIT_MAKER', clientOrderId } });
+    const bid = (await exchange.fetchOrderBook('BTC/USDT')).bids[0][0];
+    const price = parseFloat(exchange.priceToPrecision('BTC/USDT', bid * 0.99));
+    await exchange.createOrder('BTC/USDT', 'limit', 'buy', parseFloat(exchange.amountToPrecision('BTC/USDT', 500 / price)), price, {
+      postOnly: true,
+      newClientOrderId: clientOrderId
+    });
+
+    cycles.unsettled = previous.begin(PLAN);
+    LEGS.forEach((leg, i) => {
+      cycles.unsettled.transition(`leg${i + 1}_submitted`, { leg: i });
+      cycles.unsettled.transition(`leg${i + 1}_filled`, { leg: i, order: { orderId: `x${i}`, output: 1 } });
+    });
+
+    fs.appendFileSync(config.execution.journalFile, '{"id":"torn');
+
+    trader = new AutoTrader();
+    assert.equal(await trader.initialize(), true);
+
+    // initialize() ran the recovery; this returns its (compacted-away) records
+    recovered = new Map((await recoverIncompleteCycles(trader)).map(rec => [rec.id, rec]));
+  });
+
+  after(async () => {
+    if (server) await server.stop();
+  });
+
+  it('fails cycles that never traded', () => {
+    assert.equal(record(cycles.planned).state, 'failed');
+
+    const lost = record(cycles.lost);
+    assert.equal(lost.state, 'failed');
+    assert.match(lost.error, /never reached the exchange/);
+  });
+
+  it('cancels a maker leg still resting on the book', async () => {
+    const resting = record(cycles.resting);
+    assert.equal(resting.state, 'failed');
+    assert.match(resting.error, /canceled without a fill/);
+    assert.equal((await exchange.fetchOpenOrders('BTC/USDT')).length, 0);
+  });
+
+  it('adopts a leg found by client order id and unwinds what it bought', async () => {
+    const filled = record(cycles.filled);
+    assert.equal(filled.state, 'unwound');
+    assert.equal(filled.legs[0].reconciled, true);
+    assert.ok(filled.legs[0].filled > 0);
+    assert.equal(filled.holding.asset, 'USDT');
+    assert.ok(filled.unwindOrders.some(order => order.status === 'filled' && order.symbol === 'BTC/USDT' && order.side === 'sell'));
+
+    // The BTC bought by the crashed cycle was sold back
+    const btcAfter = (await exchange.fetchBalance()).total.BTC || 0;
+    assert.ok(Math.abs(btcAfter - btcBefore) < 0.0001, `BTC ${btcBefore} -> ${btcAfter}`);
+  });
+
+  it('settles a fully filled cycle whose settlement was lost', () => {
+    const settled = record(cycles.unsettled);
+    assert.equal(settled.state, 'settled');
+    assert.equal(settled.result.recovered, true);
+  });
+
+  it('leaves nothing incomplete and compacts the journal', () => {
+    assert.equal(recovered.size, 5);
+    assert.equal(cycleJournal.getIncomplete().length, 0);
+    assert.equal(fs.readFileSync(config.execution.journalFile, 'utf8'), '');
+  });
+
+  it('retries cycles released to recovery while the trader runs', async () => {
+    const cycle = trader.beginCycle(makeOpportunity(BTC_ETH_LEGS, 300), 300);
+    const sized = await trader.legSizer.size('BTC/USDT', 'buy', 300);
+    trader.recordLegFill(cycle, 0, await trader.submitLeg(cycle, 0, sized));
+
+    // An unwind that failed leaves the cycle released in 'unwinding'
+    cycle.transition('unwinding', { error: 'Exchange unavailable' });
+    cycleJournal.release(cycle.id);
+
+    const [retried] = await retryIncompleteCycles(trader);
+    assert.equal(retried.id, cycle.id);
+    assert.equal(retried.state, 'unwound');
+    assert.equal(retried.holding.asset, 'USDT');
+    assert.deepEqual(await retryIncompleteCycles(trader), []);
+  });
+
+  it('refuses a manual recovery run while a trader holds the journal, unless forced', async () => {
+    const holder = JSON.parse(fs.readFileSync(`${config.execution.journalFile}.lock`, 'utf8'));
+    assert.equal(holder.pid, process.pid);
+
+    const refused = await runRecoveryCli();
+    assert.equal(refused.code, 1);
+    assert.match(refused.stderr, new RegExp(`Process ${process.pid} .*holds`));
+
+    const forced = await runRecoveryCli(['--force']);
+    assert.equal(forced.code, 0, forced.stderr);
+    assert.match(forced.stdout, /0 incomplete cycle\(s\)/);
+  });
+
+  it('refuses a manual recovery run right after the journal was written', async () => {
+    const lock = `${config.execution.journalFile}.lock`;
+    const held = fs.readFileSync(lock, 'utf8');
+    fs.unlinkSync(lock);
+
+    const refused = await runRecoveryCli();
+    fs.writeFileSync(lock, held);
+    assert.equal(refused.code, 1);
+    assert.match(refused.stderr, /was written \d+s ago/);
+  });
+});
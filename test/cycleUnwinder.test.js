@@ -0,0 +1,86 @@
+// Cycle unwinder: broken cycles are brought back to their start currency and what is left over is reported
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { useOfflineEnv, startMockExchange, makeOpportunity, BTC_ETH_LEGS } from './helpers.js';
+
+useOfflineEnv();
+
+const { AutoTrader } = await import('../src/trading/autoTrader.js');
+const { CycleUnwinder } = await import('../src/trading/cycleUnwinder.js');
+const { telegramAlerts } = await import('../src/alerts/telegramBot.js');
+
+const opportunity = makeOpportunity(BTC_ETH_LEGS, 500);
+
+describe('CycleUnwinder', () => {
+  let server;
+  let trader;
+  let place;
+
+  /**
+   * A cycle whose first leg bought BTC with 500 USDT
+   */
+  const holdingBtc = async () => {
+    const cycle = trader.beginCycle(opportunity, 500);
+    const sized = await trader.legSizer.size('BTC/USDT', 'buy', 500);
+    trader.recordLegFill(cycle, 0, await trader.submitLeg(cycle, 0, sized));
+    return cycle;
+  };
+
+  const btcBalance = async () => (await trader.exchange.fetchBalance()).total.BTC || 0;
+
+  before(async () => {
+    server = await startMockExchange();
+    trader = new AutoTrader();
+    assert.equal(await trader.initialize(), true);
+    place = trader.legSizer.place.bind(trader.legSizer);
+  });
+
+  after(async () => {
+    trader.legSizer.place = place;
+    if (server) await server.stop();
+  });
+
+  it('reverts what an under-filled unwind order did not spend', async () => {
+    const btcBefore = await btcBalance();
+    const cycle = await holdingBtc();
+
+    // The first unwind order only sells half of the BTC
+    trader.legSizer.place = async (sized, params) => {
+      if (params && params.newClientOrderId.endsWith('-U1')) {
+        return await place(await trader.legSizer.size(sized.symbol, sized.side, sized.input / 2), params);
+      }
+      return await place(sized, params);
+    };
+    const report = await new CycleUnwinder(trader).unwind(cycle, 'test', { prefer: 'revert' });
+    trader.legSizer.place = place;
+
+    const orders = cycle.record.unwindOrders.filter(order => order.status === 'filled');
+    assert.equal(cycle.state, 'unwound');
+    assert.deepEqual(orders.map(order => order.kind), ['holding', 'residual']);
+    assert.ok(Math.abs(orders[1].spent - orders[0].spent) < 0.0001, 'the second order sells the unsold half');
+    assert.deepEqual(report.leftovers, []);
+    assert.ok(Math.abs(await btcBalance() - btcBefore) < 0.0001);
+  });
+
+  it('reports a holding the account does not have free in full', async () => {
+    const cycle = await holdingBtc();
+    const free = (await trader.exchange.fetchBalance()).free.BTC;
+    cycle.transition('unwinding', { error: 'test', holding: { asset: 'BTC', amount: free + 0.01 } });
+
+    const alerts = [];
+    const sendCustomAlert = telegramAlerts.sendCustomAlert;
+    telegramAlerts.sendCustomAlert = async (title, details) => alerts.push({ title, details });
+    const report = await new CycleUnwinder(trader).unwind(cycle, 'test', { prefer: 'revert' });
+    telegramAlerts.sendCustomAlert = sendCustomAlert;
+
+    assert.equal(cycle.state, 'unwound');
+    assert.equal(report.shortfalls.length, 1);
+    assert.equal(report.shortfalls[0].asset, 'BTC');
+    assert.equal(report.shortfalls[0].available, free);
+    assert.ok(Math.abs(report.shortfalls[0].missing - 0.01) < 1e-9);
+
+    const unwound = alerts.find(alert => alert.title === 'Cycle Unwound');
+    assert.match(unwound.details['Missing from account'], /^0\.01\d* BTC \(of /);
+  });
+});
@@ -0,0 +1,111 @@
+// Offline test helpers
+// Temp state files and a local mock Binance exchange, so tests never touch the network or ./data
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+export const SCENARIO_FILE = fileURLToPath(new URL('../src/mockExchange/scenarios/default.json', import.meta.url));
+
+/**
+ * Point every state file at a fresh temp directory and use the mock exchange's credentials
+ * Must run before config.js is imported (it reads the environment once), so test files import
+ * the modules under test dynamically after calling it.
+ * @param {Object} overrides - Extra environment variables
+ * @returns {string} The temp directory (removed when the process exits)
+ */
+export function useOfflineEnv(overrides = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'arbitrage-test-'));
+
+  Object.assign(process.env, {
+    BINANCE_API_KEY: 'mock',
+    BINANCE_API_SECRET: 'mocksecret',
+    MOCK_EXCHANGE_SECRET: 'mocksecret',
+    USE_TESTNET: 'false',
+    AUTO_TRADE_ENABLED: 'true',
+    PAPER_TRADING: 'false',
+    PRETRADE_REVALIDATION: 'false',
+    FEES_OFFLINE: 'true',
+    TELEGRAM_ENABLED: 'false',
+    ORDER_LOOKUP_DELAY_MS: '10',
+    CYCLE_JOURNAL_FILE: path.join(dir, 'cycle-journal.jsonl'),
+    RISK_STATE_FILE: path.join(dir, 'risk-state.json'),
+    PAPER_STATE_FILE: path.join(dir, 'paper-account.json'),
+    PAPER_TRADES_FILE: path.join(dir, 'paper-trades.jsonl'),
+    REBALANCE_PLAN_FILE: path.join(dir, 'rebalance-plans.json')
+  }, overrides);
+
+  process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Start the mock Binance server on a free port and point the config's REST and WebSocket URLs at it
+ * The scenario clock is stopped: books only move when a test calls server.exchange.advance().
+ * @returns {Promise<MockBinanceServer>} Running server (stop it in `after`)
+ */
+export async function startMockExchange() {
+  const { MockBinanceServer } = await import('../src/mockExchange/mockBinanceServer.js');
+  const { config } = await import('../config/config.js');
+
+  const server = new MockBinanceServer({ scenarioFile: SCENARIO_FILE, port: 0 });
+  const port = await server.start();
+  server.exchange.stop();
+
+  config.binance.apiUrl = `http://127.0.0.1:${port}/api/v3`;
+  config.binance.websocketUrl = `ws://127.0.0.1:${port}/ws`;
+  return server;
+}
+
+/**
+ * Opportunity in the scanner's shape for a list of [pair, action, from, to] legs
+ */
+export function makeOpportunity(legs, optimalSize) {
+  return {
+    triangle: [...legs.map(leg => leg[2]), legs[legs.length - 1][3]].join(' → '),
+    isProfitable: true,
+    profit: 1,
+    profitPct: 0.1,
+    optimalSize,
+    timestamp: new Date(),
+    steps: legs.map(([pair, action, from, to], i) => ({ step: i + 1, pair, action, from, to }))
+  };
+}
+
+// USDT → BTC → ETH → USDT on the default scenario's books
+export const BTC_ETH_LEGS = [
+  ['BTCUSDT', 'BUY', 'USDT', 'BTC'],
+  ['ETHBTC', 'BUY', 'BTC', 'ETH'],
+  ['ETHUSDT', 'SELL', 'ETH', 'USDT']
+];
+
+// BTC/USDT as ccxt loads it from Binance: 0.00001 BTC steps, at most 100 BTC per market order, 5 USDT minimum.
+// exchange.setMarkets([BTC_USDT_MARKET]) gives a ccxt instance its precision without the network.
+export const BTC_USDT_MARKET = {
+  id: 'BTCUSDT',
+  symbol: 'BTC/USDT',
+  base: 'BTC',
+  quote: 'USDT',
+  baseId: 'BTC',
+  quoteId: 'USDT',
+  type: 'spot',
+  spot: true,
+  active: true,
+  precision: { amount: 0.00001, price: 0.01, cost: 0.01 },
+  limits: { amount: { min: 0.0001, max: 9000 }, cost: { min: 5 } },
+  info: {
+    filters: [
+      { filterType: 'LOT_SIZE', minQty: '0.00010000', maxQty: '9000.00000000', stepSize: '0.00001000' },
+      { filterType: 'MARKET_LOT_SIZE', minQty: '0.00000000', maxQty: '100.00000000', stepSize: '0.00000000' },
+      { filterType: 'NOTIONAL', minNotional: '5.00000000' }
+    ]
+  }
+};
+
+/**
+ * Let pending promise callbacks and I/O run
+ */
+export function settle(ms = 0) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -0,0 +1,189 @@
+// Idempotent order submission: client order ids, lookups after uncertain submissions, no duplicate orders
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import ccxt from 'ccxt';
+import { useOfflineEnv, startMockExchange, makeOpportunity, BTC_ETH_LEGS } from './helpers.js';
+
+const dir = useOfflineEnv({ ORDER_SUBMIT_RETRIES: '1' });
+
+const { AutoTrader, OrderStateUnknownError } = await import('../src/trading/autoTrader.js');
+const { CycleRecovery } = await import('../src/trading/cycleRecovery.js');
+const { cycleJournal } = await import('../src/trading/cycleJournal.js');
+const { PaperExchange } = await import('../src/trading/paperExchange.js');
+const { InMemoryMarketDataProvider } = await import('../src/marketData/marketDataProvider.js');
+
+const opportunity = makeOpportunity(BTC_ETH_LEGS, 500);
+
+describe('Idempotent order submission', () => {
+  let server;
+  let trader;
+  let place;
+
+  /**
+   * Make the n-th order placement throw: after the order reached the exchange, or instead of sending it
+   */
+  const failPlacement = (n, { reached, error = new ccxt.RequestTimeout('simulated timeout') }) => {
+    let calls = 0;
+    trader.legSizer.place = async (sized, params) => {
+      calls++;
+      if (calls === n && !reached) throw error;
+      const order = await place(sized, params);
+      if (calls === n) throw error;
+      return order;
+    };
+    return () => calls;
+  };
+
+  const ordersOn = async (symbol, since) => new Set((await trader.exchange.fetchMyTrades(symbol, since)).map(trade => trade.order)).size;
+
+  before(async () => {
+    server = await startMockExchange();
+    trader = new AutoTrader();
+    assert.equal(await trader.initialize(), true);
+    place = trader.legSizer.place.bind(trader.legSizer);
+  });
+
+  after(async () => {
+    trader.legSizer.place = place;
+    if (server) await server.stop();
+  });
+
+  it('sends every leg under a deterministic client order id that can be looked up', async () => {
+    const result = await trader.executeTriangularArbitrage(opportunity);
+    const record = cycleJournal.cycles.get(result.cycleId);
+
+    assert.equal(result.success, true);
+    assert.deepEqual(record.legs.map(leg => leg.clientOrderId), [1, 2, 3].map(n => `${result.cycleId}-L${n}`));
+
+    const order = await trader.findOrderByClientId('BTC/USDT', record.legs[0].clientOrderId);
+    assert.equal(String(order.id), String(record.legs[0].orderId));
+    assert.equal(await trader.findOrderByClientId('BTC/USDT', `${result.cycleId}-L9`), null);
+  });
+
+  it('adopts an order that reached the exchange before the timeout instead of resubmitting it', async () => {
+    const calls = failPlacement(2, { reached: true });
+    const result = await trader.executeTriangularArbitrage(opportunity);
+
+    assert.equal(result.success, true);
+    assert.equal(calls(), 3);
+    assert.equal(await ordersOn('ETH/BTC', result.startTime.getTime()), 1);
+  });
+
+  it('resubmits an order the exchange confirms it never received', async () => {
+    const calls = failPlacement(2, { reached: false });
+    const result = await trader.executeTriangularArbitrage(opportunity);
+
+    assert.equal(result.success, true);
+    assert.equal(calls(), 4);
+    assert.equal(await ordersOn('ETH/BTC', result.startTime.getTime()), 1);
+  });
+
+  it('stops after ORDER_SUBMIT_RETRIES and unwinds the filled legs', async () => {
+    trader.legSizer.place = async (sized, params) => {
+      if (params && params.newClientOrderId.endsWith('-L2')) throw new ccxt.RequestTimeout('lost request');
+      return await place(sized, params);
+    };
+    const result = await trader.executeTriangularArbitrage(opportunity);
+    trader.legSizer.place = place;
+
+    assert.equal(result.success, false);
+    assert.equal(cycleJournal.cycles.get(result.cycleId).state, 'unwound');
+    assert.equal(cycleJournal.cycles.get(result.cycleId).legs[1].orderId, undefined);
+    assert.ok(result.unwind);
+  });
+
+  it('leaves a leg whose lookup fails to recovery instead of unwinding around it', async () => {
+    const findOrderByClientId = trader.findOrderByClientId;
+    trader.findOrderByClientId = async () => {
+      throw new ccxt.NetworkError('lookup unavailable');
+    };
+    failPlacement(2, { reached: true });
+    const result = await trader.executeTriangularArbitrage(opportunity);
+    trader.findOrderByClientId = findOrderByClientId;
+    trader.legSizer.place = place;
+
+    const cycle = cycleJournal.get(result.cycleId);
+    assert.equal(result.success, false);
+    assert.equal(result.pendingRecovery, true);
+    assert.equal(result.unwind, null);
+    assert.equal(cycle.state, 'leg2_submitted');
+    assert.ok(cycleJournal.getIncomplete().some(incomplete => incomplete.id === cycle.id));
+
+    // Recovery finds the leg by client id and unwinds once
+    await new CycleRecovery(trader).recoverCycle(cycle);
+    assert.equal(cycle.state, 'unwound');
+    assert.equal(cycle.record.legs[1].reconciled, true);
+    assert.equal(await ordersOn('ETH/BTC', result.startTime.getTime()), 1);
+  });
+
+  it('throws OrderStateUnknownError from placeIdempotent when the lookup fails', async () => {
+    const findOrderByClientId = trader.findOrderByClientId;
+    trader.findOrderByClientId = async () => {
+      throw new ccxt.NetworkError('lookup unavailable');
+    };
+    trader.legSizer.place = async () => {
+      throw new ccxt.RequestTimeout('simulated timeout');
+    };
+
+    const sized = await trader.legSizer.size('BTC/USDT', 'buy', 100);
+    await assert.rejects(trader.placeIdempotent(sized, 'cyc_test-L1'), error =>
+      error instanceof OrderStateUnknownError && error.clientOrderId === 'cyc_test-L1');
+
+    trader.findOrderByClientId = findOrderByClientId;
+    trader.legSizer.place = place;
+  });
+
+  it('refuses to submit a leg twice', async () => {
+    const cycle = trader.beginCycle(opportunity, 100);
+    const sized = await trader.legSizer.size('BTC/USDT', 'buy', 100);
+    await trader.submitLeg(cycle, 0, sized);
+    await assert.rejects(trader.submitLeg(cycle, 0, sized), /already submitted/);
+  });
+
+  it('adopts an unwind order that reached the exchange before a crash', async () => {
+    const cycle = trader.beginCycle(opportunity, 300);
+    const since = Date.now();
+    trader.recordLegFill(cycle, 0, await trader.submitLeg(cycle, 0, await trader.legSizer.size('BTC/USDT', 'buy', 300)));
+    cycle.transition('unwinding', { error: 'test' });
+
+    // The unwind order was journaled and sent, then the process died before its fill was journaled
+    const sell = await trader.legSizer.size('BTC/USDT', 'sell', cycle.record.holding.amount);
+    const clientOrderId = cycle.nextUnwindClientOrderId();
+    cycle.transition('unwinding', {
+      unwindOrder: { symbol: 'BTC/USDT', side: 'sell', from: 'BTC', to: 'USDT', kind: 'holding', ...trader.describeSizedLeg(sell), clientOrderId, status: 'submitted' }
+    });
+    await trader.executeSizedLeg(sell, { unwind: true, clientOrderId });
+
+    await new CycleRecovery(trader).recoverCycle(cycle);
+    const sells = (await trader.exchange.fetchMyTrades('BTC/USDT', since)).filter(trade => trade.side === 'sell');
+
+    assert.equal(cycle.state, 'unwound');
+    assert.equal(new Set(sells.map(trade => trade.order)).size, 1);
+    assert.ok(cycle.record.unwindOrders.some(order => order.clientOrderId === clientOrderId && order.status === 'filled' && order.reconciled));
+    assert.equal(cycle.record.holding.asset, 'USDT');
+  });
+
+  it('supports client order id lookups on the paper exchange, across restarts', async () => {
+    const options = {
+      source: trader.exchange,
+      marketData: new InMemoryMarketDataProvider({
+        orderBooks: { BTCUSDT: { bids: [['60000', '10']], asks: [['60010', '10']] } }
+      }),
+      stateFile: path.join(dir, 'lookup-account.json'),
+      tradesFile: path.join(dir, 'lookup-trades.jsonl'),
+      latencyMs: 0
+    };
+    const paper = new PaperExchange(options);
+    const order = await paper.createMarketBuyOrderWithCost('BTC/USDT', 100, { newClientOrderId: 'cyc_paper-L1' });
+
+    const found = await paper.fetchOrder(undefined, 'BTC/USDT', { origClientOrderId: 'cyc_paper-L1' });
+    assert.equal(found.id, order.id);
+    await assert.rejects(paper.fetchOrder(undefined, 'BTC/USDT', { origClientOrderId: 'cyc_paper-L2' }), ccxt.OrderNotFound);
+
+    const restarted = await new PaperExchange(options).fetchOrder(undefined, 'BTC/USDT', { origClientOrderId: 'cyc_paper-L1' });
+    assert.equal(restarted.id, order.id);
+    assert.equal(restarted.filled, order.filled);
+  });
+});
@@ -0,0 +1,90 @@
+// Leg sizing: quote-denominated buys, LOT_SIZE flooring of sells, limits and what a fill delivered
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import ccxt from 'ccxt';
+import { useOfflineEnv, BTC_USDT_MARKET } from './helpers.js';
+
+useOfflineEnv({ BUY_HEADROOM_PCT: '0.2' });
+
+const { LegSizer } = await import('../src/core/legSizer.js');
+
+describe('LegSizer', () => {
+  let exchange;
+  let sizer;
+
+  beforeEach(() => {
+    exchange = new ccxt.binance();
+    exchange.setMarkets([BTC_USDT_MARKET]);
+    sizer = new LegSizer(exchange);
+  });
+
+  it('floors sells to the LOT_SIZE step and spends exactly that quantity', async () => {
+    const sized = await sizer.size('BTC/USDT', 'sell', 0.123456789);
+
+    assert.equal(sized.quantity, 0.12345);
+    assert.equal(sized.input, 0.12345);
+    assert.equal(sized.cost, null);
+    assert.equal(sized.from, 'BTC');
+    assert.equal(sized.to, 'USDT');
+  });
+
+  it('caps sells at the market order maximum', async () => {
+    assert.equal((await sizer.size('BTC/USDT', 'sell', 150.123456)).quantity, 100);
+  });
+
+  it('refuses sells that floor to nothing or below the minimum quantity', async () => {
+    await assert.rejects(sizer.size('BTC/USDT', 'sell', 0.000004), /rounds to zero/);
+    await assert.rejects(sizer.size('BTC/USDT', 'sell', 0.00005), /below BTC\/USDT minimum 0.0001/);
+  });
+
+  it('sizes buys as quote to spend (quoteOrderQty), rounded to the quote precision', async () => {
+    const sized = await sizer.size('BTC/USDT', 'buy', 123.456789);
+
+    assert.equal(sized.cost, 123.45);
+    assert.equal(sized.input, 123.45);
+    assert.equal(sized.quantity, null);
+    assert.equal(sized.from, 'USDT');
+    assert.equal(sized.to, 'BTC');
+    await assert.rejects(sizer.size('BTC/USDT', 'buy', 4), /below BTC\/USDT minimum notional 5/);
+  });
+
+  it('places buys by cost and sells by quantity', async () => {
+    const calls = [];
+    exchange.createMarketBuyOrderWithCost = async (...args) => calls.push(['cost', ...args]);
+    exchange.createOrder = async (...args) => calls.push(['order', ...args]);
+
+    await sizer.place(await sizer.size('BTC/USDT', 'buy', 100), { newClientOrderId: 'c-L1' });
+    await sizer.place(await sizer.size('BTC/USDT', 'sell', 0.0123456));
+
+    assert.deepEqual(calls, [
+      ['cost', 'BTC/USDT', 100, { newClientOrderId: 'c-L1' }],
+      ['order', 'BTC/USDT', 'market', 'sell', 0.01234, undefined, {}]
+    ]);
+  });
+
+  it('buys a floored base quantity priced from the asks where cost buys are unsupported', async () => {
+    exchange.has = { ...exchange.has, createMarketBuyOrderWithCost: false };
+    exchange.fetchOrderBook = async () => ({ bids: [[59990, 1]], asks: [[60000, 0.005], [60100, 1]] });
+
+    const sized = await sizer.size('BTC/USDT', 'buy', 600);
+    const spend = 600 * (1 - 0.002);
+    const expected = 0.005 + (spend - 0.005 * 60000) / 60100;
+
+    assert.equal(sized.cost, null);
+    assert.equal(sized.quantity, Math.floor(expected * 1e5) / 1e5);
+    assert.ok(sized.input <= spend, `${sized.input} spends more than ${spend}`);
+  });
+
+  it('counts fees charged in a leg asset, and not ones paid in BNB', () => {
+    const buy = sizer.orient('BTC/USDT', 'buy');
+    const order = { cost: 100, filled: 0.0016, fee: { currency: 'BTC', cost: 0.0000016 } };
+    assert.equal(sizer.spent(order, buy), 100);
+    assert.equal(sizer.received(order, buy), 0.0016 - 0.0000016);
+
+    const sell = sizer.orient('BTC/USDT', 'sell');
+    const bnbPaid = { cost: 96, filled: 0.0016, fees: [{ currency: 'BNB', cost: 0.0001 }] };
+    assert.equal(sizer.spent(bnbPaid, sell), 0.0016);
+    assert.equal(sizer.received(bnbPaid, sell), 96);
+  });
+});
@@ -0,0 +1,168 @@
+// Mock exchange: order matching against scenario books, balances, filters, scenario frames and signed endpoints
+
+import { describe, it, beforeEach, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { useOfflineEnv } from './helpers.js';
+
+useOfflineEnv();
+
+const { MockBinanceExchange, MockExchangeError } = await import('../src/mockExchange/mockBinanceExchange.js');
+const { MockBinanceServer } = await import('../src/mockExchange/mockBinanceServer.js');
+
+const SCENARIO = {
+  name: 'test',
+  balances: { USDT: 10000 },
+  fees: { maker: 0.001, taker: 0.001 },
+  symbols: {
+    BTCUSDT: { baseAsset: 'BTC', quoteAsset: 'USDT', stepSize: '0.00001', tickSize: '0.01', minQty: '0.0001', minNotional: '5' }
+  },
+  frames: [
+    { orderBooks: { BTCUSDT: { bids: [['59990', '0.5'], ['59900', '1']], asks: [['60000', '0.01'], ['60100', '1']] } } },
+    { orderBooks: { BTCUSDT: { bids: [['60500', '1']], asks: [['60600', '1']] } } }
+  ]
+};
+
+const close = (actual, expected, epsilon = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) < epsilon, `${actual} is not within ${epsilon} of ${expected}`);
+
+const rejectsWith = (fn, code, msg) => assert.throws(fn, error =>
+  error instanceof MockExchangeError && error.code === code && (!msg || msg.test(error.message)));
+
+describe('MockBinanceExchange', () => {
+  let exchange;
+  const free = asset => exchange.getBalance(asset).free.toNumber();
+  const locked = asset => exchange.getBalance(asset).locked.toNumber();
+
+  beforeEach(() => {
+    exchange = new MockBinanceExchange(structuredClone(SCENARIO));
+  });
+
+  it('fills a quoteOrderQty buy across the asks, charges the fee in BTC and consumes the book', () => {
+    const updates = [];
+    exchange.on('depth', update => updates.push(update));
+
+    const order = exchange.placeOrder({ symbol: 'BTCUSDT', side: 'BUY', type: 'MARKET', quoteOrderQty: '1200' });
+
+    // 600 USDT buys the 0.01 at 60000; 599.798 of the rest buys 0.00998 at 60100 (step-floored)
+    assert.equal(order.status, 'FILLED');
+    assert.equal(order.executedQty, '0.01998');
+    assert.equal(order.cummulativeQuoteQty, '1199.79800000');
+    assert.deepEqual(order.fills.map(fill => [fill.price, fill.qty, fill.commissionAsset]), [['60000.00', '0.01000', 'BTC'], ['60100.00', '0.00998', 'BTC']]);
+
+    close(free('USDT'), 10000 - 1199.798);
+    close(free('BTC'), 0.01998 * 0.999);
+    assert.deepEqual(exchange.getDepth('BTCUSDT').asks, [['60100.00', '0.99002']]);
+    assert.deepEqual(updates[0].asks, [['60100.00', '0.99002'], ['60000.00', '0.00000']]);
+    assert.equal(exchange.getMyTrades('BTCUSDT').length, 2);
+  });
+
+  it('sells what the bids hold and expires the rest of a quantity order', () => {
+    exchange.setBalances({ BTC: 2 });
+    const order = exchange.placeOrder({ symbol: 'BTCUSDT', side: 'SELL', type: 'MARKET', quantity: '2' });
+
+    assert.equal(order.status, 'EXPIRED');
+    assert.equal(order.executedQty, '1.50000');
+    close(free('BTC'), 0.5);
+    close(free('USDT'), 10000 + (0.5 * 59990 + 59900) * 0.999, 1e-6);
+    assert.equal(exchange.getQuote('BTCUSDT'), null, 'the bid side is empty');
+  });
+
+  it('rejects orders that break LOT_SIZE, NOTIONAL or the balance, leaving everything untouched', () => {
+    rejectsWith(() => exchange.placeOrder({ symbol: 'BTCUSDT', side: 'BUY', type: 'MARKET', quantity: '0.000015' }), -1013, /LOT_SIZE/);
+    rejectsWith(() => exchange.placeOrder({ symbol: 'BTCUSDT', side: 'BUY', type: 'MARKET', quoteOrderQty: '1' }), -1013, /NOTIONAL/);
+    rejectsWith(() => exchange.placeOrder({ symbol: 'BTCUSDT', side: 'SELL', type: 'MARKET', quantity: '0.001' }), -2010, /insufficient balance/);
+    rejectsWith(() => exchange.placeOrder({ symbol: 'XRPUSDT', side: 'BUY', type: 'MARKET', quantity: '1' }), -1121);
+
+    assert.equal(free('USDT'), 10000);
+    assert.equal(exchange.trades.length, 0);
+    assert.deepEqual(exchange.getDepth('BTCUSDT').asks[0], ['60000.00', '0.01000']);
+  });
+
+  it('rests LIMIT_MAKER orders with funds locked and fills them as maker when a frame reaches their price', () => {
+    exchange.setBalances({ BTC: 0.1 });
+    rejectsWith(() => exchange.placeOrder({ symbol: 'BTCUSDT', side: 'SELL', type: 'LIMIT_MAKER', quantity: '0.1', price: '59990' }), -2010, /immediately match/);
+
+    const order = exchange.placeOrder({ symbol: 'BTCUSDT', side: 'SELL', type: 'LIMIT_MAKER', quantity: '0.1', price: '60400', newClientOrderId: 'maker-1' });
+    assert.equal(order.status, 'NEW');
+    assert.equal(locked('BTC'), 0.1);
+    assert.equal(free('BTC'), 0);
+
+    assert.equal(exchange.advance(), true);
+    const filled = exchange.getOrder({ symbol: 'BTCUSDT', origClientOrderId: 'maker-1' });
+    assert.equal(filled.status, 'FILLED');
+    assert.equal(exchange.getMyTrades('BTCUSDT')[0].isMaker, true);
+    assert.equal(exchange.getMyTrades('BTCUSDT')[0].price, '60400.00');
+    assert.equal(locked('BTC'), 0);
+    close(free('USDT'), 10000 + 6040 * 0.999, 1e-6);
+
+    assert.equal(exchange.advance(), false, 'a non-looping scenario stops at its last frame');
+  });
+
+  it('refuses duplicate client order ids while open and unlocks funds on cancel', () => {
+    const params = { symbol: 'BTCUSDT', side: 'BUY', type: 'LIMIT', timeInForce: 'GTC', quantity: '0.01', price: '59000', newClientOrderId: 'resting-1' };
+    const order = exchange.placeOrder(params);
+    close(locked('USDT'), 590);
+    rejectsWith(() => exchange.placeOrder(params), -2010, /Duplicate/);
+    assert.deepEqual(exchange.getOpenOrders('BTCUSDT').map(open => open.orderId), [order.orderId]);
+
+    assert.equal(exchange.cancelOrder({ symbol: 'BTCUSDT', orderId: String(order.orderId) }).status, 'CANCELED');
+    assert.equal(locked('USDT'), 0);
+    assert.equal(free('USDT'), 10000);
+    rejectsWith(() => exchange.cancelOrder({ symbol: 'BTCUSDT', orderId: String(order.orderId) }), -2011);
+    rejectsWith(() => exchange.getOrder({ symbol: 'BTCUSDT', origClientOrderId: 'missing' }), -2013);
+  });
+
+  it('restores the first frame, balances and an empty history on reset', () => {
+    exchange.placeOrder({ symbol: 'BTCUSDT', side: 'BUY', type: 'MARKET', quoteOrderQty: '1200' });
+    exchange.advance();
+    exchange.reset();
+
+    assert.deepEqual(exchange.getState(), {
+      scenario: 'test',
+      frame: 0,
+      symbols: 1,
+      balances: { USDT: { free: 10000, locked: 0 }, BTC: { free: 0, locked: 0 }, ETH: { free: 0, locked: 0 }, BNB: { free: 0, locked: 0 } },
+      openOrders: 0,
+      trades: 0
+    });
+    assert.deepEqual(exchange.getDepth('BTCUSDT').asks[0], ['60000.00', '0.01000']);
+  });
+});
+
+describe('MockBinanceServer signed endpoints', () => {
+  let server;
+  let baseUrl;
+
+  const signedGet = (path, { key = 'mock', secret = 'mocksecret' } = {}) => {
+    const query = `timestamp=${Date.now()}`;
+    const signature = crypto.createHmac('sha256', secret).update(query).digest('hex');
+    return fetch(`${baseUrl}${path}?${query}&signature=${signature}`, { headers: key ? { 'X-MBX-APIKEY': key } : {} });
+  };
+
+  before(async () => {
+    server = new MockBinanceServer({ exchange: new MockBinanceExchange(structuredClone(SCENARIO)), port: 0, apiSecret: 'mocksecret' });
+    baseUrl = `http://127.0.0.1:${await server.start()}`;
+  });
+
+  after(async () => {
+    if (server) await server.stop();
+  });
+
+  it('serves signed requests and rejects a missing key or a bad signature in the Binance error shape', async () => {
+    const account = await signedGet('/api/v3/account');
+    assert.equal(account.status, 200);
+    assert.ok((await account.json()).balances.some(balance => balance.asset === 'USDT' && balance.free === '10000.00000000'));
+
+    const noKey = await signedGet('/api/v3/account', { key: null });
+    assert.equal(noKey.status, 401);
+    assert.equal((await noKey.json()).code, -2014);
+
+    const badSignature = await signedGet('/api/v3/account', { secret: 'wrong' });
+    assert.equal(badSignature.status, 400);
+    assert.deepEqual(await badSignature.json(), { code: -1022, msg: 'Signature for this request is not valid.' });
+
+    const unsigned = await fetch(`${baseUrl}/api/v3/openOrders`, { headers: { 'X-MBX-APIKEY': 'mock' } });
+    assert.equal((await unsigned.json()).code, -1102);
+  });
+});
@@ -0,0 +1,93 @@
+// Negative-cycle detection: profitable cycles of any length from a best bid/ask snapshot, and none without an edge
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { useOfflineEnv } from './helpers.js';
+
+useOfflineEnv();
+
+const { NegativeCycleDetector, normalizeQuotes } = await import('../src/core/negativeCycleDetector.js');
+
+const FEE = 0.001;
+
+const row = (symbol, bidPrice, askPrice, bidQty = '100', askQty = '100') =>
+  ({ symbol, bidPrice: String(bidPrice), askPrice: String(askPrice), bidQty, askQty });
+
+// USDT → BTC → ETH → USDT returns 3100 / 3000 before fees
+const MISPRICED = [
+  row('BTCUSDT', 59990, 60000, '10', '0.01'),
+  row('ETHBTC', 0.0499, 0.05),
+  row('ETHUSDT', 3100, 3101)
+];
+
+// Every cycle loses at least the spread and the fees
+const FAIR = [
+  row('BTCUSDT', 59990, 60000),
+  row('ETHBTC', 0.0499, 0.05),
+  row('ETHUSDT', 2994, 2995)
+];
+
+const detector = (options = {}) => new NegativeCycleDetector({ feeRate: FEE, startCurrencies: ['USDT'], ...options });
+
+describe('NegativeCycleDetector', () => {
+  it('finds the profitable triangle and prices it from the snapshot', () => {
+    const [opportunity, ...others] = detector().detect(MISPRICED, { startAmount: 1000 });
+    const expected = 1000 / 60000 / 0.05 * 3100 * (1 - FEE) ** 3;
+
+    assert.equal(others.length, 0, 'the reverse direction loses money');
+    assert.equal(opportunity.triangle, 'USDT → BTC → ETH → USDT');
+    assert.deepEqual(opportunity.steps.map(step => `${step.action} ${step.pair}`), ['BUY BTCUSDT', 'BUY ETHBTC', 'SELL ETHUSDT']);
+    assert.ok(Math.abs(opportunity.endAmount - expected) < 1e-9);
+    assert.ok(Math.abs(opportunity.profitPct - (expected / 1000 - 1) * 100) < 1e-9);
+    assert.equal(opportunity.source, 'graph');
+  });
+
+  it('reports what the top of book can absorb in start-currency units', () => {
+    const [opportunity] = detector().detect(MISPRICED, { startAmount: 1000 });
+
+    // Only 0.01 BTC is offered at 60000
+    assert.ok(Math.abs(opportunity.topOfBookCapacity - 600) < 1e-9);
+    assert.ok(Math.abs(opportunity.positionSize - 600) < 1e-9);
+    assert.equal(opportunity.liquidityScore, 5);
+  });
+
+  it('finds nothing when no cycle beats the spread and fees', () => {
+    const fair = detector();
+    const graph = fair.buildGraph(normalizeQuotes(FAIR));
+
+    assert.equal(fair.hasNegativeCycle(graph), false);
+    assert.deepEqual(fair.detect(FAIR), []);
+    assert.deepEqual(detector({ minProfitPct: 5 }).detect(MISPRICED), [], 'below the profit threshold');
+  });
+
+  it('reports near misses when the profit threshold is negative', () => {
+    const opportunities = detector({ minProfitPct: -1 }).detect(FAIR);
+
+    assert.equal(opportunities.length, 2);
+    assert.ok(opportunities.every(opportunity => opportunity.profitPct < 0 && opportunity.profitPct > -1));
+  });
+
+  it('finds cycles longer than three legs, up to maxCycleLength', () => {
+    // USDT → BTC → ETH → BNB → USDT returns 620 / 600 before fees; no shorter cycle exists
+    const snapshot = [
+      row('BTCUSDT', 59990, 60000),
+      row('ETHBTC', 0.0499, 0.05),
+      row('BNBETH', 0.1999, 0.2),
+      row('BNBUSDT', 620, 621)
+    ];
+
+    const [opportunity] = detector({ maxCycleLength: 4 }).detect(snapshot);
+    assert.equal(opportunity.triangle, 'USDT → BTC → ETH → BNB → USDT');
+    assert.equal(opportunity.steps.length, 4);
+    assert.deepEqual(detector({ maxCycleLength: 3 }).detect(snapshot), []);
+  });
+
+  it('accepts the agent\'s symbol cache and skips markets that are not trading', () => {
+    const cache = normalizeQuotes(MISPRICED);
+    assert.ok(cache.get('ETHBTC').bid === 0.0499 && cache.get('BTCUSDT').askQty === 0.01);
+    assert.equal(detector().detect(cache).length, 1);
+
+    const markets = [{ symbol: 'ETHUSDT', base: 'ETH', quote: 'USDT', status: 'BREAK' }];
+    assert.deepEqual(detector().detect(cache, { markets }), []);
+  });
+});
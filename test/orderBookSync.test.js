@@ -0,0 +1,143 @@
+// Order book synchronisation: REST snapshot + buffered depth diffs, gap detection and resync
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { useOfflineEnv, startMockExchange, settle } from './helpers.js';
+
+useOfflineEnv({ ORDER_BOOK_RESYNC_DELAY_MS: '10' });
+
+const { OrderBookManager, WebSocketFeedManager } = await import('../src/websocket/websocketFeeds.js');
+const { InMemoryMarketDataProvider } = await import('../src/marketData/marketDataProvider.js');
+
+const diff = (U, u, b = [], a = []) => ({ e: 'depthUpdate', s: 'BTCUSDT', U, u, b, a });
+
+/**
+ * Snapshot source that counts the snapshots it served
+ */
+function snapshotSource(lastUpdateId) {
+  const provider = new InMemoryMarketDataProvider();
+  provider.calls = 0;
+  provider.setSnapshot = id => provider.setOrderBook('BTCUSDT', {
+    lastUpdateId: id,
+    bids: [['100', '1'], ['99', '2']],
+    asks: [['101', '1'], ['102', '3']]
+  });
+  const getOrderBook = provider.getOrderBook.bind(provider);
+  provider.getOrderBook = async (...args) => {
+    provider.calls++;
+    return await getOrderBook(...args);
+  };
+  provider.setSnapshot(lastUpdateId);
+  return provider;
+}
+
+describe('OrderBookManager', () => {
+  it('buffers diffs until the snapshot, drops stale ones and replays the rest', async () => {
+    const manager = new OrderBookManager({ snapshotProvider: snapshotSource(100) });
+
+    manager.updateOrderBook('BTCUSDT', diff(90, 95, [['100', '5']])); // Already in the snapshot
+    manager.updateOrderBook('BTCUSDT', diff(96, 101, [['99', '0']])); // Straddles it
+    manager.updateOrderBook('BTCUSDT', diff(102, 103, [], [['101', '4']]));
+    assert.equal(manager.isInSync('BTCUSDT'), false);
+
+    await settle();
+
+    const book = manager.getDepth('BTCUSDT', 10);
+    assert.equal(manager.isInSync('BTCUSDT'), true);
+    assert.equal(book.lastUpdateId, 103);
+    assert.deepEqual(book.bids, [[100, 1]]);
+    assert.deepEqual(book.asks, [[101, 4], [102, 3]]);
+  });
+
+  it('applies contiguous diffs and ignores ones already in the book', async () => {
+    const manager = new OrderBookManager({ snapshotProvider: snapshotSource(100) });
+    manager.updateOrderBook('BTCUSDT', diff(100, 101));
+    await settle();
+
+    assert.equal(manager.updateOrderBook('BTCUSDT', diff(102, 102, [['100.5', '2']])), true);
+    assert.equal(manager.updateOrderBook('BTCUSDT', diff(100, 102, [['100.5', '9']])), false);
+    assert.deepEqual(manager.getDepth('BTCUSDT', 1).bids, [[100.5, 2]]);
+  });
+
+  it('resyncs from a new snapshot after a sequence gap', async () => {
+    const source = snapshotSource(100);
+    const manager = new OrderBookManager({ snapshotProvider: source });
+    manager.updateOrderBook('BTCUSDT', diff(100, 101));
+    await settle();
+
+    source.setSnapshot(200);
+    assert.equal(manager.updateOrderBook('BTCUSDT', diff(150, 150)), false);
+    assert.equal(manager.isInSync('BTCUSDT'), false);
+    await settle();
+
+    const [status] = manager.getSyncStatus();
+    assert.equal(status.inSync, true);
+    assert.equal(status.lastUpdateId, 200);
+    assert.equal(status.resyncs, 2);
+  });
+
+  it('refetches a snapshot older than the buffered stream, then retries after the delay', async () => {
+    const source = snapshotSource(50);
+    const manager = new OrderBookManager({ snapshotProvider: source });
+
+    manager.updateOrderBook('BTCUSDT', diff(60, 61));
+    await settle();
+    assert.equal(manager.isInSync('BTCUSDT'), false);
+    assert.equal(source.calls, 3);
+
+    source.setSnapshot(61);
+    await settle(20);
+    manager.updateOrderBook('BTCUSDT', diff(62, 62, [['100', '7']]));
+    await settle();
+
+    assert.equal(manager.isInSync('BTCUSDT'), true);
+    assert.equal(manager.getDepth('BTCUSDT', 1).lastUpdateId, 62);
+    assert.deepEqual(manager.getDepth('BTCUSDT', 1).bids, [[100, 7]]);
+  });
+});
+
+describe('WebSocketFeedManager against the mock exchange', () => {
+  let server;
+  let feed;
+
+  after(async () => {
+    if (feed) feed.disconnect();
+    if (server) await server.stop();
+  });
+
+  it('keeps the local book equal to the exchange, across a dropped event', async () => {
+    server = await startMockExchange();
+    const exchange = server.exchange;
+    const exchangeBook = () => exchange.getDepth('BTCUSDT', 1000).bids.map(([price, qty]) => [parseFloat(price), parseFloat(qty)]);
+
+    feed = new WebSocketFeedManager(['BTCUSDT']);
+    feed.connect();
+    await settle(300);
+
+    exchange.advance();
+    await settle(300);
+    assert.equal(feed.isInSync('BTCUSDT'), true);
+    assert.deepEqual(feed.getDepth('BTCUSDT', 1000).bids, exchangeBook());
+
+    // Drop one BTCUSDT diff: the next one leaves a gap and forces a resync
+    exchange.removeAllListeners('depth');
+    let dropped = false;
+    exchange.on('depth', update => {
+      if (!dropped && update.symbol === 'BTCUSDT') {
+        dropped = true;
+        return;
+      }
+      server.broadcastDepth(update);
+    });
+    exchange.advance();
+    await settle(100);
+    exchange.advance();
+    await settle(400);
+
+    const [status] = feed.orderBookManager.getSyncStatus();
+    assert.equal(dropped, true);
+    assert.equal(status.inSync, true);
+    assert.equal(status.resyncs, 2);
+    assert.deepEqual(feed.getDepth('BTCUSDT', 1000).bids, exchangeBook());
+  });
+});
@@ -0,0 +1,168 @@
+// Paper trading: fills against real books with virtual balances, and state kept apart from live trading
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import ccxt from 'ccxt';
+import { useOfflineEnv, BTC_USDT_MARKET } from './helpers.js';
+
+const dir = useOfflineEnv({ DEFAULT_TAKER_FEE: '0.001', DEFAULT_MAKER_FEE: '0.001' });
+
+const { PaperExchange } = await import('../src/trading/paperExchange.js');
+const { InMemoryMarketDataProvider } = await import('../src/marketData/marketDataProvider.js');
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const FEE = 0.001;
+
+const close = (actual, expected, epsilon = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) < epsilon, `${actual} is not within ${epsilon} of ${expected}`);
+
+/**
+ * Default state file paths of a fresh config.js, with PAPER_TRADING set and no file overrides
+ */
+function defaultStateFiles(paperTrading) {
+  const output = execFileSync(process.execPath, [
+    '--input-type=module',
+    '-e',
+    "const { config } = await import('./config/config.js'); console.log(JSON.stringify({ journal: config.execution.journalFile, risk: config.risk.stateFile, account: config.paper.stateFile }));"
+  ], {
+    cwd: ROOT,
+    env: { ...process.env, PAPER_TRADING: String(paperTrading), CYCLE_JOURNAL_FILE: '', RISK_STATE_FILE: '', PAPER_STATE_FILE: '' },
+    encoding: 'utf8'
+  });
+  return JSON.parse(output.trim().split('\n').pop());
+}
+
+describe('PaperExchange', () => {
+  let accounts = 0;
+  let source;
+  let books;
+  let options;
+  let paper;
+
+  beforeEach(() => {
+    source = new ccxt.binance();
+    source.setMarkets([BTC_USDT_MARKET]);
+    books = new InMemoryMarketDataProvider({
+      orderBooks: {
+        BTCUSDT: {
+          bids: [['59990', '0.01'], ['59900', '0.01']],
+          asks: [['60000', '0.01'], ['60100', '1']]
+        }
+      }
+    });
+    accounts++;
+    options = {
+      source,
+      marketData: books,
+      balances: { USDT: 10000 },
+      stateFile: path.join(dir, `account-${accounts}.json`),
+      tradesFile: path.join(dir, `trades-${accounts}.jsonl`),
+      latencyMs: 0,
+      bookRefreshMs: 60000
+    };
+    paper = new PaperExchange(options);
+  });
+
+  const balance = async asset => (await paper.fetchBalance())[asset] || { free: 0, used: 0, total: 0 };
+
+  it('fills a quote-denominated buy across the asks and charges the fee in the received asset', async () => {
+    const order = await paper.createMarketBuyOrderWithCost('BTC/USDT', 1200);
+    const expectedQty = 0.01 + 0.00998; // 600 USDT at 60000, then 599.798 of the remaining 600 at 60100 (floored)
+
+    assert.equal(order.status, 'closed');
+    close(order.filled, expectedQty);
+    close(order.cost, 600 + 0.00998 * 60100, 1e-6);
+    close(order.average, order.cost / order.filled);
+    assert.equal(order.fee.currency, 'BTC');
+    close(order.fee.cost, expectedQty * FEE);
+
+    close((await balance('USDT')).free, 10000 - order.cost, 1e-6);
+    close((await balance('BTC')).free, expectedQty * (1 - FEE));
+    assert.deepEqual(paper.trades.map(trade => [trade.price, trade.paper]), [[60000, true], [60100, true]]);
+  });
+
+  it('keeps consumed depth consumed until the book is refetched', async () => {
+    await paper.createMarketBuyOrderWithCost('BTC/USDT', 300);
+    const second = await paper.createMarketBuyOrderWithCost('BTC/USDT', 600);
+
+    // The first buy took half of the 60000 level: the second gets the rest, then pays 60100
+    close(second.trades[0].amount, 0.005);
+    assert.equal(second.trades[0].price, 60000);
+    assert.equal(second.trades[1].price, 60100);
+  });
+
+  it('sells what the bids hold and expires the rest', async () => {
+    paper.reset({ BTC: 0.05 });
+    const order = await paper.createOrder('BTC/USDT', 'market', 'sell', 0.03);
+
+    assert.equal(order.status, 'expired');
+    close(order.filled, 0.02);
+    close(order.remaining, 0.01);
+    close(order.cost, 0.01 * 59990 + 0.01 * 59900, 1e-6);
+    close((await balance('BTC')).free, 0.03);
+    close((await balance('USDT')).free, order.cost * (1 - FEE), 1e-6);
+  });
+
+  it('refuses orders the virtual balance cannot pay for, leaving balances and the book untouched', async () => {
+    await assert.rejects(paper.createOrder('BTC/USDT', 'market', 'sell', 0.01), ccxt.InsufficientFunds);
+    await assert.rejects(paper.createMarketBuyOrderWithCost('BTC/USDT', 20000), ccxt.InsufficientFunds);
+
+    assert.equal((await balance('USDT')).free, 10000);
+    assert.equal(paper.trades.length, 0);
+    assert.equal((await paper.fetchOrderBook('BTC/USDT')).asks[0][1], 0.01);
+  });
+
+  it('rests post-only orders with their funds reserved until the book trades through', async () => {
+    await assert.rejects(
+      paper.createOrder('BTC/USDT', 'limit', 'buy', 0.01, 60000, { postOnly: true }),
+      ccxt.OrderImmediatelyFillable
+    );
+
+    const order = await paper.createOrder('BTC/USDT', 'limit', 'buy', 0.01, 59950, { postOnly: true });
+    assert.equal(order.status, 'open');
+    close((await balance('USDT')).used, 599.5);
+    close((await balance('USDT')).free, 10000 - 599.5);
+
+    // Sellers come down to the order's price: it fills as maker at its own price
+    books.setOrderBook('BTCUSDT', { bids: [['59900', '1']], asks: [['59940', '1']] });
+    paper.books.clear();
+    const filled = await paper.fetchOrder(order.id, 'BTC/USDT');
+
+    assert.equal(filled.status, 'closed');
+    assert.equal(filled.average, 59950);
+    assert.equal(filled.trades[0].takerOrMaker, 'maker');
+    close((await balance('USDT')).used, 0);
+    close((await balance('BTC')).free, 0.01 * (1 - FEE));
+  });
+
+  it('returns a cancelled order\'s reserve and keeps balances and open orders across restarts', async () => {
+    const resting = await paper.createOrder('BTC/USDT', 'limit', 'buy', 0.01, 59000, { postOnly: true });
+    const kept = await paper.createOrder('BTC/USDT', 'limit', 'buy', 0.01, 58000, { postOnly: true });
+    await paper.cancelOrder(resting.id, 'BTC/USDT');
+    close((await balance('USDT')).used, 580);
+
+    const restarted = new PaperExchange(options);
+    const open = await restarted.fetchOpenOrders('BTC/USDT');
+    assert.deepEqual(open.map(order => order.id), [kept.id]);
+    close((await restarted.fetchBalance()).USDT.free, 10000 - 580);
+
+    await restarted.cancelOrder(kept.id, 'BTC/USDT');
+    close((await restarted.fetchBalance()).USDT.free, 10000);
+  });
+});
+
+describe('Paper mode state files', () => {
+  it('journals paper cycles and keeps paper risk state apart from the live files', () => {
+    const live = defaultStateFiles(false);
+    const paper = defaultStateFiles(true);
+
+    assert.equal(live.journal, './data/cycle-journal.jsonl');
+    assert.equal(live.risk, './data/risk-state.json');
+    assert.equal(paper.journal, './data/paper-cycle-journal.jsonl');
+    assert.equal(paper.risk, './data/paper-risk-state.json');
+    assert.equal(paper.account, './data/paper-account.json');
+  });
+});
@@ -0,0 +1,85 @@
+// Price levels: one book side kept sorted best-first through inserts, updates and deletes, with depth and VWAP queries
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { PriceLevels } from '../src/websocket/priceLevels.js';
+
+const close = (actual, expected, epsilon = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) < epsilon, `${actual} is not within ${epsilon} of ${expected}`);
+
+describe('PriceLevels', () => {
+  it('keeps bids descending and asks ascending whatever order levels arrive in', () => {
+    const bids = new PriceLevels('bids');
+    const asks = new PriceLevels('asks');
+    [100, 98, 101, 99].forEach((price, i) => {
+      bids.set(price, i + 1);
+      asks.set(price, i + 1);
+    });
+
+    assert.deepEqual(bids.prices, [101, 100, 99, 98]);
+    assert.deepEqual(asks.prices, [98, 99, 100, 101]);
+    assert.deepEqual(bids.best(), [101, 3]);
+    assert.deepEqual(asks.best(), [98, 2]);
+  });
+
+  it('updates a level in place and removes it on a zero quantity', () => {
+    const asks = new PriceLevels('asks');
+    asks.load([['100', '1'], ['101', '2'], ['102', '3']]);
+
+    asks.set(101, 5);
+    assert.deepEqual(asks.top(), [[100, 1], [101, 5], [102, 3]]);
+
+    asks.set(100, 0);
+    asks.delete(150);
+    assert.equal(asks.size, 2);
+    assert.equal(asks.bestPrice(), 101);
+
+    asks.delete(101);
+    asks.delete(102);
+    assert.equal(asks.best(), null);
+    assert.equal(asks.bestPrice(), null);
+  });
+
+  it('loads a snapshot as numbers, dropping empty levels and replacing what was there', () => {
+    const bids = new PriceLevels('bids');
+    bids.set(50, 1);
+    bids.load([['99.5', '2'], ['100', '0'], ['99.9', '0.5']]);
+
+    assert.deepEqual(bids.top(), [[99.9, 0.5], [99.5, 2]]);
+    assert.deepEqual(bids.top(1), [[99.9, 0.5]]);
+    assert.equal(bids.top(10).length, 2);
+  });
+
+  it('sums the depth within a distance of the best price', () => {
+    const bids = new PriceLevels('bids');
+    bids.load([['100', '1'], ['99.95', '2'], ['99.9', '3'], ['99', '4']]);
+
+    const depth = bids.depthWithinBps(10);
+    close(depth.limitPrice, 99.9);
+    assert.equal(depth.levels, 3);
+    close(depth.quantity, 6);
+    close(depth.notional, 100 + 2 * 99.95 + 3 * 99.9);
+
+    assert.deepEqual(new PriceLevels('asks').depthWithinBps(10), { quantity: 0, notional: 0, levels: 0, limitPrice: null });
+  });
+
+  it('walks the book for a base or quote size and says whether it was filled', () => {
+    const asks = new PriceLevels('asks');
+    asks.load([['100', '1'], ['101', '1'], ['102', '1']]);
+
+    const base = asks.vwapForSize(1.5);
+    close(base.vwap, (100 + 0.5 * 101) / 1.5);
+    assert.equal(base.worstPrice, 101);
+    assert.equal(base.levels, 2);
+    assert.equal(base.complete, true);
+
+    const quote = asks.vwapForSize(150.5, { quote: true });
+    close(quote.quantity, 1.5);
+    close(quote.notional, 150.5);
+
+    const tooBig = asks.vwapForSize(5);
+    close(tooBig.quantity, 3);
+    assert.equal(tooBig.complete, false);
+    assert.equal(new PriceLevels('bids').vwapForSize(1).vwap, null);
+  });
+});
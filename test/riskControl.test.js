@@ -0,0 +1,166 @@
+// Kill switch and circuit breakers: trips, persistence, external trips/resets and the gate in front of orders
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { useOfflineEnv, startMockExchange, makeOpportunity, BTC_ETH_LEGS } from './helpers.js';
+
+const dir = useOfflineEnv({
+  PAPER_TRADING: 'true',
+  RISK_MAX_CONSECUTIVE_LOSSES: '2',
+  RISK_MAX_DAILY_LOSS_USD: '1000'
+});
+
+const { RiskControl, RiskLimitError, riskControl } = await import('../src/trading/riskControl.js');
+const { AutoTrader } = await import('../src/trading/autoTrader.js');
+const { cycleJournal } = await import('../src/trading/cycleJournal.js');
+const { InMemoryMarketDataProvider, setMarketDataProvider } = await import('../src/marketData/marketDataProvider.js');
+
+let files = 0;
+const newRiskControl = (limits = {}) => new RiskControl({ stateFile: path.join(dir, `risk-${++files}.json`), limits });
+
+describe('RiskControl', () => {
+  it('trips on consecutive losses and refuses every new cycle and leg, but not unwinds', () => {
+    const risk = newRiskControl({ maxConsecutiveLosses: 2 });
+    risk.recordCycle({ pnlUsd: -1, error: false });
+    assert.equal(risk.isTripped, false);
+    risk.recordCycle({ pnlUsd: -1, error: false });
+
+    assert.equal(risk.isTripped, true);
+    assert.equal(risk.state.trip.limit, 'consecutive_losses');
+    assert.equal(risk.canEnter().allowed, false);
+    assert.throws(
+      () => risk.checkOrder({ symbol: 'ETH/BTC', side: 'buy', asset: 'BTC', amount: 0.01, leg: 1 }),
+      error => error instanceof RiskLimitError && error.limit === 'tripped'
+    );
+    assert.equal(risk.checkOrder({ symbol: 'ETH/BTC', side: 'sell', asset: 'ETH', amount: 1, leg: 1, unwind: true }), true);
+  });
+
+  it('trips on the daily loss and on the error rate', () => {
+    const daily = newRiskControl({ maxDailyLossUsd: 10 });
+    daily.recordCycle({ pnlUsd: -4, error: false });
+    daily.recordCycle({ pnlUsd: 1, error: false });
+    daily.recordCycle({ pnlUsd: -7, error: false });
+    assert.equal(daily.state.trip.limit, 'daily_loss');
+
+    const errors = newRiskControl({ errorWindow: 4, maxErrorRate: 0.5 });
+    errors.recordCycle({ pnlUsd: null, error: true });
+    errors.recordCycle({ pnlUsd: 0, error: false });
+    errors.recordCycle({ pnlUsd: 0, error: false });
+    assert.equal(errors.isTripped, false);
+    errors.recordCycle({ pnlUsd: null, error: true });
+    assert.equal(errors.state.trip.limit, 'error_rate');
+  });
+
+  it('counts an unvalued cycle as losing what it committed', () => {
+    const streak = newRiskControl({ maxConsecutiveLosses: 2 });
+    streak.recordCycle({ pnlUsd: -1, error: false });
+    streak.recordCycle({ pnlUsd: null, error: true });
+    assert.equal(streak.state.trip.limit, 'consecutive_losses');
+
+    const daily = newRiskControl({ maxDailyLossUsd: 100 });
+    daily.recordCycle({ pnlUsd: null, exposureUsd: 250, error: true });
+    assert.equal(daily.state.dailyPnlUsd, -250);
+    assert.equal(daily.state.trip.limit, 'daily_loss');
+  });
+
+  it('throttles cycles per hour and the notional of one order', () => {
+    const risk = newRiskControl({ maxTradesPerHour: 2, maxNotional: { USDT: 100 } });
+    const leg1 = { symbol: 'BTC/USDT', side: 'buy', asset: 'USDT', amount: 50, leg: 0 };
+
+    assert.throws(() => risk.checkOrder({ ...leg1, amount: 150 }), error => error.limit === 'max_notional');
+    risk.checkOrder(leg1);
+    risk.checkOrder(leg1);
+    assert.throws(() => risk.checkOrder(leg1), error => error.limit === 'trades_per_hour');
+    assert.equal(risk.canEnter().allowed, false);
+  });
+
+  it('keeps a trip across restarts until an operator reset', () => {
+    const risk = newRiskControl();
+    risk.trip('Emergency stop', 'manual');
+
+    const restarted = new RiskControl({ stateFile: risk.stateFile });
+    assert.equal(restarted.isTripped, true);
+    assert.equal(restarted.canEnter().allowed, false);
+
+    restarted.reset('tester');
+    assert.equal(new RiskControl({ stateFile: risk.stateFile }).canEnter().allowed, true);
+  });
+
+  it('sees trips and resets written by another process, and a stale save does not erase them', () => {
+    const bot = newRiskControl();
+    const operator = new RiskControl({ stateFile: bot.stateFile });
+    assert.equal(bot.canEnter().allowed, true);
+
+    operator.trip('Operator halt', 'manual');
+    assert.equal(bot.canEnter().allowed, false);
+
+    // The bot's copy from before the trip is written back
+    bot.state = { ...bot.state, trip: null, trips: [] };
+    bot.saveState();
+    assert.equal(new RiskControl({ stateFile: bot.stateFile }).isTripped, true);
+
+    operator.reset('tester');
+    assert.equal(bot.canEnter().allowed, true);
+  });
+
+  it('treats an unreadable state file as tripped', () => {
+    const risk = newRiskControl();
+    fs.writeFileSync(risk.stateFile, '{ not json');
+    assert.equal(new RiskControl({ stateFile: risk.stateFile }).canEnter().allowed, false);
+  });
+});
+
+describe('Kill switch in front of the paper trader', () => {
+  let server;
+  let trader;
+  // Books on which USDT → BTC → ETH → USDT loses about 1.2%
+  const books = new InMemoryMarketDataProvider({
+    orderBooks: {
+      BTCUSDT: { bids: [['60000', '10']], asks: [['60010', '10']] },
+      ETHBTC: { bids: [['0.0505', '1000']], asks: [['0.0506', '1000']] },
+      ETHUSDT: { bids: [['3000', '1000']], asks: [['3001', '1000']] }
+    }
+  });
+  const losing = makeOpportunity(BTC_ETH_LEGS, 1000);
+
+  before(async () => {
+    server = await startMockExchange();
+    setMarketDataProvider(books);
+    trader = new AutoTrader();
+    assert.equal(await trader.initialize(), true);
+    assert.equal(trader.paper, true);
+  });
+
+  after(async () => {
+    if (server) await server.stop();
+  });
+
+  it('refuses a leg over the notional cap without trading', async () => {
+    const result = await trader.executeTriangularArbitrage(makeOpportunity(BTC_ETH_LEGS, 6000));
+    assert.equal(result.success, false);
+    assert.equal(result.refused, true);
+    assert.equal(trader.exchange.trades.length, 0);
+
+    // Refused before it was journaled: recovery has no submitted leg to look up
+    const history = cycleJournal.cycles.get(result.cycleId).history.map(entry => entry.state);
+    assert.deepEqual(history, ['planned', 'failed']);
+  });
+
+  it('trips after consecutive losing cycles and stops trading', async () => {
+    for (let i = 0; i < 2; i++) {
+      const result = await trader.executeTriangularArbitrage(losing);
+      assert.equal(result.success, true);
+      assert.ok(result.actualProfit < 0);
+    }
+    assert.equal(riskControl.getStatus().trip.limit, 'consecutive_losses');
+
+    const trades = trader.exchange.trades.length;
+    assert.equal(await trader.executeTriangularArbitrage(losing), null);
+    assert.equal(trader.exchange.trades.length, trades);
+
+    riskControl.reset('tester');
+    assert.equal((await trader.executeTriangularArbitrage(losing)).success, true);
+  });
+});
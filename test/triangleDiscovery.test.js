@@ -0,0 +1,100 @@
+// Triangle discovery: market filters, the currency graph, cycle enumeration and the static fallback
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { useOfflineEnv } from './helpers.js';
+
+useOfflineEnv({ TRIANGLE_DISCOVERY: 'true', DISCOVERY_START_CURRENCIES: 'USDT', DISCOVERY_MIN_VOLUME_USDT: '1000000' });
+
+const {
+  buildUsdPriceIndex,
+  filterMarkets,
+  buildCurrencyGraph,
+  enumerateTriangles,
+  discoverTriangles,
+  resolveTriangles,
+  getResolvedTriangles
+} = await import('../src/scanner/triangleDiscovery.js');
+const { config } = await import('../config/config.js');
+
+const market = (base, quote, lastPrice, quoteVolume, status = 'TRADING') =>
+  ({ symbol: `${base}${quote}`, base, quote, status, lastPrice, quoteVolume, filters: [] });
+
+const MARKETS = [
+  market('BTC', 'USDT', 60000, 900000000),
+  market('ETH', 'USDT', 3000, 400000000),
+  market('BNB', 'USDT', 600, 100000000),
+  market('ETH', 'BTC', 0.05, 20000),
+  market('BNB', 'BTC', 0.01, 500),
+  market('SOL', 'ETH', 0.05, 100000),
+  market('SOL', 'USDT', 150, 50000000, 'BREAK'),
+  market('BTC', 'EUR', 55000, 300000000)
+];
+
+const paths = triangles => triangles.map(t => t.path.join('-')).sort();
+
+describe('Triangle discovery', () => {
+  it('values assets in USDT directly or through one hop', () => {
+    const prices = buildUsdPriceIndex(MARKETS);
+
+    assert.equal(prices.get('USDT'), 1);
+    assert.equal(prices.get('BTC'), 60000);
+    assert.equal(prices.get('SOL'), 150, 'a direct USD quote wins even on a halted market');
+    assert.equal(buildUsdPriceIndex([market('ETH', 'BTC', 0.05, 1), market('BTC', 'USDT', 60000, 1)]).get('ETH'), 3000);
+    assert.equal(prices.has('EUR'), false);
+  });
+
+  it('drops halted markets, other quote assets and thin legs valued in USDT', () => {
+    const symbols = filterMarkets(MARKETS).map(m => m.symbol);
+
+    // ETHBTC trades 20000 BTC (1.2B USDT); BNBBTC only 500 BTC (30M USDT); SOLETH 100000 ETH (300M USDT)
+    assert.deepEqual(symbols, ['BTCUSDT', 'ETHUSDT', 'BNBUSDT', 'ETHBTC', 'BNBBTC', 'SOLETH']);
+    assert.deepEqual(filterMarkets(MARKETS, { minVolumeUSDT: 50000000 }).map(m => m.symbol), ['BTCUSDT', 'ETHUSDT', 'BNBUSDT', 'ETHBTC', 'SOLETH']);
+
+    // EUR has no USD valuation, so BTCEUR's volume cannot be proven until the volume filter is off
+    assert.ok(!filterMarkets(MARKETS, { quoteAssets: [] }).some(m => m.symbol === 'BTCEUR'));
+    assert.ok(filterMarkets(MARKETS, { quoteAssets: [], minVolumeUSDT: 0 }).some(m => m.symbol === 'BTCEUR'));
+  });
+
+  it('links both sides of every market and enumerates each cycle in both directions', () => {
+    const graph = buildCurrencyGraph(filterMarkets(MARKETS));
+
+    assert.equal(graph.get('BTC').get('ETH').symbol, 'ETHBTC');
+    assert.equal(graph.get('ETH').get('BTC').symbol, 'ETHBTC');
+
+    const triangles = enumerateTriangles(graph, ['USDT']);
+    assert.deepEqual(paths(triangles), [
+      'USDT-BNB-BTC-USDT',
+      'USDT-BTC-BNB-USDT',
+      'USDT-BTC-ETH-USDT',
+      'USDT-ETH-BTC-USDT'
+    ]);
+    assert.deepEqual(triangles.find(t => t.path.join('-') === 'USDT-BTC-ETH-USDT').pairs, ['BTCUSDT', 'ETHBTC', 'ETHUSDT']);
+    assert.deepEqual(enumerateTriangles(graph, ['XRP']), []);
+  });
+
+  it('ranks discovered triangles by their thinnest leg and keeps maxTriangles', async () => {
+    const triangles = await discoverTriangles({ markets: MARKETS, maxTriangles: 2 });
+
+    assert.deepEqual(paths(triangles), ['USDT-BTC-ETH-USDT', 'USDT-ETH-BTC-USDT']);
+  });
+
+  it('falls back to the configured triangles when discovery finds nothing or fails', async () => {
+    assert.equal(await resolveTriangles({ markets: [MARKETS[0]] }), config.pairs.triangles);
+
+    const exchange = { id: 'broken', loadMarkets: async () => { throw new Error('exchange down'); } };
+    assert.equal(await resolveTriangles({ exchange, forceRefresh: true }), config.pairs.triangles);
+    assert.equal(getResolvedTriangles(), config.pairs.triangles);
+  });
+
+  it('caches discovered triangles and keeps them when a later refresh fails', async () => {
+    const discovered = await resolveTriangles({ markets: MARKETS, forceRefresh: true });
+    assert.equal(discovered.length, 4);
+
+    assert.equal(await resolveTriangles({ markets: [] }), discovered, 'served from the cache');
+    assert.equal(getResolvedTriangles(), discovered);
+
+    const exchange = { id: 'broken', loadMarkets: async () => { throw new Error('exchange down'); } };
+    assert.equal(await resolveTriangles({ exchange, forceRefresh: true }), discovered);
+  });
+});